@@ -0,0 +1,715 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "./BTCLendingCore.sol";
+
+/**
+ * @title BTCLendingAdmin
+ * @notice Owner and pause guardian functions of BTCLendingProtocol, with views of the config
+ *         they manage and the loan and protocol reports
+ * @dev Reached through BTCLendingExt's fallback, so like the extension it only ever runs as a
+ *      delegatecall in the protocol's storage.
+ */
+contract BTCLendingAdmin is BTCLendingCore {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @notice Withdraw tracked protocol reserves to the owner
+     * @dev The reserve factor is credited as interest accrues, not when borrowers pay it, and
+     *      the USD paid out is only capped by the pool's idle balance. Reserves still owed by
+     *      borrowers are therefore paid from lenders' idle USD. If such a borrower defaults,
+     *      the bad debt written off includes the withdrawn reserve share, and lenders bear it.
+     *      The insurance fund is never withdrawn.
+     */
+    function withdrawProtocolFees() external onlyOwner nonReentrant {
+        _accrueInterest();
+        uint256 rbtcAmount = rbtcReserves;
+        uint256 usdAmount = _reserveLiquidity();
+
+        rbtcReserves = 0;
+        usdReserves -= usdAmount;
+
+        if (usdAmount > 0 && !usdToken.transfer(owner(), usdAmount)) revert TransferFailed();
+        _sendRBTC(owner(), rbtcAmount);
+
+        emit ReservesWithdrawn(owner(), rbtcAmount, usdAmount);
+    }
+
+    /**
+     * @notice Move USD reserves into the insurance fund, which absorbs bad debt before lenders
+     * @dev One-way: insured USD is only ever released to cover bad debt
+     * @param _usdAmount The amount of USD reserves to move
+     */
+    function fundInsurance(uint256 _usdAmount) external onlyOwner nonReentrant {
+        _accrueInterest();
+        if (_usdAmount > usdReserves) revert InsufficientReserves();
+
+        usdReserves -= _usdAmount;
+        insuranceFund += _usdAmount;
+
+        emit InsuranceFunded(_usdAmount);
+    }
+
+    /**
+     * @notice Set the flash loan fee
+     * @param _fee The new fee in basis points, at most MAX_FLASH_LOAN_FEE
+     */
+    function setFlashLoanFee(uint256 _fee) external onlyOwner {
+        if (_fee > MAX_FLASH_LOAN_FEE) revert InvalidFlashLoanFee();
+        emit FlashLoanFeeUpdated(flashLoanFee, _fee);
+        flashLoanFee = _fee;
+    }
+
+    /**
+     * @notice Withdraw the protocol's reserves of one ERC-20 collateral asset to the owner
+     * @param _asset The collateral asset
+     */
+    function withdrawTokenReserves(address _asset) external onlyOwner nonReentrant {
+        uint256 amount = tokenReserves[_asset];
+        tokenReserves[_asset] = 0;
+
+        IERC20(_asset).safeTransfer(owner(), amount);
+
+        emit TokenReservesWithdrawn(owner(), _asset, amount);
+    }
+
+    /**
+     * @notice Risk parameters currently in force
+     */
+    function riskParameters() external view returns (RiskParameters memory) {
+        return _riskParameters;
+    }
+
+    /**
+     * @notice Risk parameters waiting for the timelock, applied by executeRiskParameters
+     */
+    function pendingRiskParameters() external view returns (RiskParameters memory) {
+        return _pendingRiskParameters;
+    }
+
+    /**
+     * @notice Config of an ERC-20 collateral asset
+     * @param _asset The collateral asset
+     */
+    function collateralConfigs(address _asset) external view returns (CollateralConfig memory) {
+        return _collateralConfigs[_asset];
+    }
+
+    /**
+     * @notice Config of an ERC-20 collateral asset waiting for the timelock, applied by executeCollateralConfig
+     * @param _asset The collateral asset
+     */
+    function pendingCollateralConfigs(address _asset) external view returns (CollateralConfig memory) {
+        return _pendingCollateralConfigs[_asset];
+    }
+
+    /**
+     * @notice Account paid the reward of keeper liquidations, zero to keep it in reserves
+     */
+    function keeperRewardRecipient() external view returns (address) {
+        return _keeperRewardRecipient;
+    }
+
+    /**
+     * @notice Wrapped RBTC token waiting for the timelock, applied by executeWrappedRBTC
+     */
+    function pendingWrappedRBTC() external view returns (address) {
+        return _pendingWrappedRBTC;
+    }
+
+    /**
+     * @notice Earliest execution time of pendingWrappedRBTC, zero when nothing is queued
+     */
+    function wrappedRBTCEta() external view returns (uint256) {
+        return _wrappedRBTCEta;
+    }
+
+    /**
+     * @notice Calculate current loan-to-value ratio across all collateral assets
+     * @param _user The address of the user
+     * @return ltv The loan-to-value ratio
+     */
+    function getLoanToValue(address _user) public view returns (uint256) {
+        (uint256 collateralValueUSD,,) = _accountCollateral(_user);
+        if (collateralValueUSD == 0) return 0;
+
+        return (_getCurrentDebt(_user) * PRECISION) / collateralValueUSD;
+    }
+
+    /**
+     * @notice Get user's loan information
+     * @param _user The address of the user
+     * @return collateral The amount of native RBTC collateral
+     * @return borrowed The amount of USD owed, including accrued interest
+     * @return ltv The loan-to-value ratio
+     * @return liquidatable True if the loan is eligible for liquidation
+     * @return maxBorrow The maximum borrowable amount across all collateral
+     * @return collaterals Amount and USD value per collateral asset, native RBTC first
+     */
+    function getUserLoan(address _user) external view returns (
+        uint256 collateral,
+        uint256 borrowed,
+        uint256 ltv,
+        bool liquidatable,
+        uint256 maxBorrow,
+        CollateralBalance[] memory collaterals
+    ) {
+        return _userLoan(_user);
+    }
+
+    /**
+     * @notice Get a position's loan information
+     * @dev Same fields as getUserLoan
+     * @param _positionId The position
+     */
+    function getPositionLoan(uint256 _positionId) external view returns (
+        uint256 collateral,
+        uint256 borrowed,
+        uint256 ltv,
+        bool liquidatable,
+        uint256 maxBorrow,
+        CollateralBalance[] memory collaterals
+    ) {
+        return _userLoan(_existingPositionAccount(_positionId));
+    }
+
+    /**
+     * @notice Account that a position's collateral and debt are booked under
+     * @dev Events of position actions carry this account as the user, and every function
+     *      taking a user address accepts it
+     * @param _positionId The position
+     */
+    function positionAccount(uint256 _positionId) external pure returns (address) {
+        return _positionAccount(_positionId);
+    }
+
+    /**
+     * @notice How far a user's debt exceeds the value of all their collateral
+     * @param _user The address of the user
+     * @return shortfall The uncollateralized USD debt, zero for a solvent loan
+     */
+    function getShortfall(address _user) external view returns (uint256) {
+        uint256 debt = _getCurrentDebt(_user);
+        (uint256 collateralValueUSD,,) = _accountCollateral(_user);
+        return debt > collateralValueUSD ? debt - collateralValueUSD : 0;
+    }
+
+    /**
+     * @notice Get bad debt statistics
+     * @return cumulative All USD debt written off so far
+     * @return covered The part of it absorbed by the insurance fund
+     * @return uncovered The part of it borne by lenders through a lower share price
+     * @return insuranceBalance The USD left in the insurance fund
+     */
+    function getBadDebtStats() external view returns (
+        uint256 cumulative,
+        uint256 covered,
+        uint256 uncovered,
+        uint256 insuranceBalance
+    ) {
+        return (totalBadDebt, totalBadDebt - uncoveredBadDebt, uncoveredBadDebt, insuranceFund);
+    }
+
+    /**
+     * @notice Get protocol statistics
+     * @return _totalCollateral The total amount of RBTC collateral
+     * @return _totalBorrowed The total amount of USD borrowed
+     * @return btcPrice The latest BTC/USD price
+     * @return utilizationRate The share of USD liquidity lent out, in PRECISION units. In CDP
+     *         mode, the share of debtCeiling used.
+     * @return borrowRate The current borrow APR, scaled by WAD, the stability fee in CDP mode
+     * @return supplyRate The current supply APR, scaled by WAD, zero in CDP mode
+     */
+    function getProtocolStats() external view returns (
+        uint256 _totalCollateral,
+        uint256 _totalBorrowed,
+        uint256 btcPrice,
+        uint256 utilizationRate,
+        uint256 borrowRate,
+        uint256 supplyRate
+    ) {
+        (uint256 price,) = priceRouter.getPrice();
+        uint256 borrowed = _currentTotalBorrowed();
+        uint256 cash = _availableLiquidity();
+        if (cdpMode) {
+            utilizationRate = debtCeiling == 0 ? 0 : (borrowed * PRECISION) / debtCeiling;
+            return (totalCollateral, borrowed, price, utilizationRate, stabilityFee, 0);
+        }
+        uint256 utilization = interestRateModel.utilizationRate(cash, borrowed);
+
+        return (
+            totalCollateral,
+            borrowed,
+            price,
+            (utilization * PRECISION) / WAD,
+            interestRateModel.getBorrowRate(cash, borrowed),
+            interestRateModel.getSupplyRate(cash, borrowed, RESERVE_FACTOR)
+        );
+    }
+
+    /**
+     * @notice Which actions are currently paused
+     * @dev Repayments are never paused
+     */
+    function getPauseStatus() external view returns (
+        bool deposits,
+        bool borrows,
+        bool withdrawals,
+        bool liquidations
+    ) {
+        return (
+            pausedActions[PausableAction.Deposit],
+            pausedActions[PausableAction.Borrow],
+            pausedActions[PausableAction.Withdraw],
+            pausedActions[PausableAction.Liquidate]
+        );
+    }
+
+    /**
+     * @notice Get all listed ERC-20 collateral assets
+     * @return assets The assets in listing order
+     */
+    function getCollateralAssets() external view returns (address[] memory) {
+        return collateralAssets;
+    }
+
+    /**
+     * @notice Collateral of one asset that can still be deposited under its cap
+     * @param _asset The collateral asset, address(0) for RBTC
+     * @return capacity The remaining amount, type(uint256).max when uncapped
+     */
+    function getDepositCapacity(address _asset) external view returns (uint256) {
+        uint256 cap = depositCaps[_asset];
+        if (cap == 0) return type(uint256).max;
+        uint256 total = _asset == address(0) ? totalCollateral : totalTokenCollateral[_asset];
+        return cap > total ? cap - total : 0;
+    }
+
+    /**
+     * @notice USD that can still be borrowed across all loans under borrowCap
+     * @return capacity The remaining amount, type(uint256).max when uncapped
+     */
+    function getBorrowCapacity() external view returns (uint256) {
+        if (borrowCap == 0) return type(uint256).max;
+        uint256 borrowed = _currentTotalBorrowed();
+        return borrowCap > borrowed ? borrowCap - borrowed : 0;
+    }
+
+    /**
+     * @notice USD a user can still borrow under accountBorrowCap, regardless of collateral
+     * @param _user The borrower or position account
+     * @return capacity The remaining amount, type(uint256).max when uncapped
+     */
+    function getAccountBorrowCapacity(address _user) external view returns (uint256) {
+        if (accountBorrowCap == 0) return type(uint256).max;
+        uint256 debt = _getCurrentDebt(_user);
+        return accountBorrowCap > debt ? accountBorrowCap - debt : 0;
+    }
+
+    /**
+     * @notice Smallest amount a user can borrow, given minLoanSize and their current debt
+     * @param _user The borrower or position account
+     */
+    function getMinBorrowAmount(address _user) external view returns (uint256) {
+        uint256 debt = _getCurrentDebt(_user);
+        return minLoanSize > debt ? minLoanSize - debt : 0;
+    }
+
+    /**
+     * @notice Queue a price router change, executable after TIMELOCK_DELAY
+     * @dev Replaces any change already queued
+     * @param _newPriceRouter The address of the new price router
+     */
+    function queuePriceRouter(address _newPriceRouter) external onlyOwner {
+        if (_newPriceRouter == address(0)) revert ZeroAddress();
+        pendingPriceRouter = _newPriceRouter;
+        priceRouterEta = block.timestamp + TIMELOCK_DELAY;
+        emit PriceRouterQueued(_newPriceRouter, priceRouterEta);
+    }
+
+    /**
+     * @notice Apply the queued price router once its delay has passed
+     */
+    function executePriceRouter() external onlyOwner {
+        _checkTimelock(priceRouterEta);
+        emit PriceRouterUpdated(address(priceRouter), pendingPriceRouter);
+        priceRouter = IPriceRouter(pendingPriceRouter);
+        delete pendingPriceRouter;
+        delete priceRouterEta;
+    }
+
+    /**
+     * @notice Drop the queued price router change
+     */
+    function cancelPriceRouter() external onlyOwner {
+        if (priceRouterEta == 0) revert NoPendingChange();
+        emit PriceRouterCancelled(pendingPriceRouter);
+        delete pendingPriceRouter;
+        delete priceRouterEta;
+    }
+
+    /**
+     * @notice Queue new risk parameters, executable after TIMELOCK_DELAY
+     * @dev Replaces any change already queued. Requires 0 < maxLtv < liquidationThreshold < 100,
+     *      0 < liquidationBonus <= liquidationPenalty, a threshold low enough that the penalty can
+     *      still be seized at the threshold, 0 < closeFactor <= 100, and a penalty above
+     *      protectionFee.
+     * @param _params The new risk parameters
+     */
+    function queueRiskParameters(RiskParameters calldata _params) external onlyOwner {
+        _requireValidRiskParameters(_params);
+        _pendingRiskParameters = _params;
+        riskParametersEta = block.timestamp + TIMELOCK_DELAY;
+        emit RiskParametersQueued(_params, riskParametersEta);
+    }
+
+    /**
+     * @notice Apply the queued risk parameters once their delay has passed
+     * @dev Validates them again, since the protection fee or a listed asset's threshold may
+     *      have changed during the delay
+     */
+    function executeRiskParameters() external onlyOwner {
+        _checkTimelock(riskParametersEta);
+        _requireValidRiskParameters(_pendingRiskParameters);
+        _riskParameters = _pendingRiskParameters;
+        emit RiskParametersUpdated(_riskParameters);
+        delete _pendingRiskParameters;
+        delete riskParametersEta;
+    }
+
+    /**
+     * @notice Drop the queued risk parameters
+     */
+    function cancelRiskParameters() external onlyOwner {
+        if (riskParametersEta == 0) revert NoPendingChange();
+        emit RiskParametersCancelled(_pendingRiskParameters);
+        delete _pendingRiskParameters;
+        delete riskParametersEta;
+    }
+
+    /**
+     * @notice Queue listing an ERC-20 collateral asset or changing its config, executable after TIMELOCK_DELAY
+     * @dev Replaces any change already queued for the asset. The asset keeps its listing order
+     *      when updated. Thresholds follow the same rules as queueRiskParameters.
+     * @param _asset The collateral asset, with at most 18 decimals
+     * @param _priceRouter The asset/USD price router
+     * @param _maxLtv The max loan-to-value contributed by the asset
+     * @param _liquidationThreshold The liquidation threshold of the asset
+     */
+    function queueCollateralConfig(
+        address _asset,
+        address _priceRouter,
+        uint256 _maxLtv,
+        uint256 _liquidationThreshold
+    ) external onlyOwner {
+        if (_asset == address(0) || _priceRouter == address(0)) revert ZeroAddress();
+        uint8 decimals = IERC20Metadata(_asset).decimals();
+        if (
+            _asset == address(usdToken) ||
+            decimals > 18 ||
+            _maxLtv == 0 ||
+            _maxLtv >= _liquidationThreshold ||
+            _liquidationThreshold * (PRECISION + _riskParameters.liquidationPenalty) > PRECISION * PRECISION
+        ) revert InvalidCollateralConfig();
+        if (!_collateralConfigs[_asset].listed && collateralAssets.length >= MAX_COLLATERAL_ASSETS) {
+            revert TooManyCollateralAssets();
+        }
+
+        CollateralConfig memory config =
+            CollateralConfig(IPriceRouter(_priceRouter), _maxLtv, _liquidationThreshold, decimals, true);
+        _pendingCollateralConfigs[_asset] = config;
+        collateralConfigEtas[_asset] = block.timestamp + TIMELOCK_DELAY;
+        emit CollateralConfigQueued(_asset, config, collateralConfigEtas[_asset]);
+    }
+
+    /**
+     * @notice Apply the queued config of an ERC-20 collateral asset once its delay has passed
+     * @param _asset The collateral asset
+     */
+    function executeCollateralConfig(address _asset) external onlyOwner {
+        _checkTimelock(collateralConfigEtas[_asset]);
+        if (!_collateralConfigs[_asset].listed) {
+            if (collateralAssets.length >= MAX_COLLATERAL_ASSETS) revert TooManyCollateralAssets();
+            collateralAssets.push(_asset);
+        }
+        _collateralConfigs[_asset] = _pendingCollateralConfigs[_asset];
+        emit CollateralConfigUpdated(_asset, _collateralConfigs[_asset]);
+        delete _pendingCollateralConfigs[_asset];
+        delete collateralConfigEtas[_asset];
+    }
+
+    /**
+     * @notice Drop the queued config of an ERC-20 collateral asset
+     * @param _asset The collateral asset
+     */
+    function cancelCollateralConfig(address _asset) external onlyOwner {
+        if (collateralConfigEtas[_asset] == 0) revert NoPendingChange();
+        emit CollateralConfigCancelled(_asset);
+        delete _pendingCollateralConfigs[_asset];
+        delete collateralConfigEtas[_asset];
+    }
+
+    /**
+     * @notice Queue a switch of liquidation mode, executable after TIMELOCK_DELAY
+     * @dev A nonzero auction house turns on Dutch-auction liquidation, zero restores direct
+     *      liquidation. Replaces any change already queued.
+     * @param _newAuctionHouse The address of the new auction house, or address(0)
+     */
+    function queueAuctionHouse(address _newAuctionHouse) external onlyOwner {
+        pendingAuctionHouse = _newAuctionHouse;
+        auctionHouseEta = block.timestamp + TIMELOCK_DELAY;
+        emit AuctionHouseQueued(_newAuctionHouse, auctionHouseEta);
+    }
+
+    /**
+     * @notice Apply the queued liquidation mode once its delay has passed
+     * @dev Reverts while auctions are running, since only the current house can settle them
+     */
+    function executeAuctionHouse() external onlyOwner {
+        _checkTimelock(auctionHouseEta);
+        if (auctionDebt > 0) revert AuctionsInProgress();
+        emit AuctionHouseUpdated(auctionHouse, pendingAuctionHouse);
+        auctionHouse = pendingAuctionHouse;
+        delete pendingAuctionHouse;
+        delete auctionHouseEta;
+    }
+
+    /**
+     * @notice Drop the queued liquidation mode change
+     */
+    function cancelAuctionHouse() external onlyOwner {
+        if (auctionHouseEta == 0) revert NoPendingChange();
+        emit AuctionHouseCancelled(pendingAuctionHouse);
+        delete pendingAuctionHouse;
+        delete auctionHouseEta;
+    }
+
+    /**
+     * @notice Queue an upgrade of the proxy, which the owner can make with upgradeToAndCall after
+     *         TIMELOCK_DELAY
+     * @dev Replaces any upgrade already queued
+     * @param _newImplementation The address of the new BTCLendingProtocol implementation
+     */
+    function queueUpgrade(address _newImplementation) external onlyOwner {
+        if (_newImplementation == address(0)) revert ZeroAddress();
+        pendingImplementation = _newImplementation;
+        upgradeEta = block.timestamp + TIMELOCK_DELAY;
+        emit UpgradeQueued(_newImplementation, upgradeEta);
+    }
+
+    /**
+     * @notice Drop the queued upgrade
+     */
+    function cancelUpgrade() external onlyOwner {
+        if (upgradeEta == 0) revert NoPendingChange();
+        emit UpgradeCancelled(pendingImplementation);
+        delete pendingImplementation;
+        delete upgradeEta;
+    }
+
+    /**
+     * @notice Replace the interest rate model
+     * @dev Interest up to this block is accrued at the old model's rate
+     * @param _newModel The address of the new interest rate model
+     */
+    function setInterestRateModel(address _newModel) external onlyOwner {
+        if (_newModel == address(0)) revert ZeroAddress();
+        _accrueInterest();
+
+        emit InterestRateModelUpdated(address(interestRateModel), _newModel);
+        interestRateModel = IInterestRateModel(_newModel);
+    }
+
+    /**
+     * @notice Set the pause guardian, who can pause actions but not unpause them
+     * @param _newGuardian The new guardian, address(0) to leave pausing to the owner alone
+     */
+    function setPauseGuardian(address _newGuardian) external onlyOwner {
+        emit PauseGuardianUpdated(pauseGuardian, _newGuardian);
+        pauseGuardian = _newGuardian;
+    }
+
+    /**
+     * @notice Set the account paid the reward of keeper liquidations
+     * @dev For Chainlink Automation this is the upkeep's admin, not the registry or forwarder
+     *      that calls performUpkeep
+     * @param _newRecipient The new recipient, address(0) to keep rewards in reserves
+     */
+    function setKeeperRewardRecipient(address _newRecipient) external onlyOwner {
+        emit KeeperRewardRecipientUpdated(_keeperRewardRecipient, _newRecipient);
+        _keeperRewardRecipient = _newRecipient;
+    }
+
+    /**
+     * @notice Pause an action in an emergency
+     * @dev Callable by the pause guardian or the owner
+     * @param _action The action to pause
+     */
+    function pause(PausableAction _action) external {
+        if (msg.sender != pauseGuardian && msg.sender != owner()) revert NotPauseGuardian();
+        pausedActions[_action] = true;
+        emit PauseUpdated(_action, true, msg.sender);
+    }
+
+    /**
+     * @notice Resume a paused action
+     * @param _action The action to resume
+     */
+    function unpause(PausableAction _action) external onlyOwner {
+        pausedActions[_action] = false;
+        emit PauseUpdated(_action, false, msg.sender);
+    }
+
+    /**
+     * @notice Queue a change of the wrapped RBTC token paid to accounts that opt into it,
+     *         executable after TIMELOCK_DELAY
+     * @dev Payouts to opted-in accounts are deposited into this token, so changing it is
+     *      timelocked like the price router and auction house. Replaces any change already queued.
+     * @param _newWrappedRBTC The wrapped RBTC token, WETH9-compatible
+     */
+    function queueWrappedRBTC(address _newWrappedRBTC) external onlyOwner {
+        if (_newWrappedRBTC == address(0)) revert ZeroAddress();
+        _pendingWrappedRBTC = _newWrappedRBTC;
+        _wrappedRBTCEta = block.timestamp + TIMELOCK_DELAY;
+        emit WrappedRBTCQueued(_newWrappedRBTC, _wrappedRBTCEta);
+    }
+
+    /**
+     * @notice Apply the queued wrapped RBTC token once its delay has passed
+     */
+    function executeWrappedRBTC() external onlyOwner {
+        _checkTimelock(_wrappedRBTCEta);
+        emit WrappedRBTCUpdated(address(wrappedRBTC), _pendingWrappedRBTC);
+        wrappedRBTC = IWRBTC(_pendingWrappedRBTC);
+        delete _pendingWrappedRBTC;
+        delete _wrappedRBTCEta;
+    }
+
+    /**
+     * @notice Drop the queued wrapped RBTC token change
+     */
+    function cancelWrappedRBTC() external onlyOwner {
+        if (_wrappedRBTCEta == 0) revert NoPendingChange();
+        emit WrappedRBTCCancelled(_pendingWrappedRBTC);
+        delete _pendingWrappedRBTC;
+        delete _wrappedRBTCEta;
+    }
+
+    /**
+     * @notice Set the DEX adapter that protection orders sell collateral through
+     * @dev The adapter is trusted with the collateral it sells. Slippage is bounded by each order.
+     * @param _newAdapter The new adapter, address(0) to stop protection orders executing
+     */
+    function setSwapAdapter(address _newAdapter) external onlyOwner {
+        emit SwapAdapterUpdated(address(swapAdapter), _newAdapter);
+        swapAdapter = ISwapAdapter(_newAdapter);
+    }
+
+    /**
+     * @notice Set the keeper fee on protection orders
+     * @dev Checked against the liquidationPenalty in force. Queued risk parameters are checked
+     *      against the new fee when executed, so a fee at or above their penalty blocks
+     *      executeRiskParameters until it is lowered or the change is re-queued.
+     * @param _fee The new fee in basis points of the swap proceeds, below liquidationPenalty
+     */
+    function setProtectionFee(uint256 _fee) external onlyOwner {
+        if (_fee * PRECISION >= _riskParameters.liquidationPenalty * 10000) revert InvalidProtectionFee();
+        emit ProtectionFeeUpdated(protectionFee, _fee);
+        protectionFee = _fee;
+    }
+
+    /**
+     * @notice Set the annual stability fee charged on CDP debt
+     * @dev Debt up to this block accrues at the old fee
+     * @param _fee The new fee, scaled by WAD, at most MAX_STABILITY_FEE
+     */
+    function setStabilityFee(uint256 _fee) external onlyOwner {
+        if (!cdpMode) revert NotCdpMode();
+        if (_fee > MAX_STABILITY_FEE) revert InvalidStabilityFee();
+        _accrueInterest();
+
+        emit StabilityFeeUpdated(stabilityFee, _fee);
+        stabilityFee = _fee;
+    }
+
+    /**
+     * @notice Set the most USD that can be minted as CDP debt
+     * @dev Lowering it below the current debt only blocks new borrowing
+     * @param _ceiling The new ceiling
+     */
+    function setDebtCeiling(uint256 _ceiling) external onlyOwner {
+        if (!cdpMode) revert NotCdpMode();
+        emit DebtCeilingUpdated(debtCeiling, _ceiling);
+        debtCeiling = _ceiling;
+    }
+
+    /**
+     * @notice Cap the collateral of one asset the protocol accepts
+     * @dev Lowering a cap below the current total only blocks new deposits
+     * @param _asset The collateral asset, address(0) for RBTC
+     * @param _cap The most collateral of the asset, 0 for no cap
+     */
+    function setDepositCap(address _asset, uint256 _cap) external onlyOwner {
+        if (_asset != address(0) && !_collateralConfigs[_asset].listed) revert CollateralNotListed();
+        emit DepositCapUpdated(_asset, depositCaps[_asset], _cap);
+        depositCaps[_asset] = _cap;
+    }
+
+    /**
+     * @notice Cap the USD borrowed across all loans
+     * @param _cap The most USD borrowed, interest included, 0 for no cap
+     */
+    function setBorrowCap(uint256 _cap) external onlyOwner {
+        emit BorrowCapUpdated(borrowCap, _cap);
+        borrowCap = _cap;
+    }
+
+    /**
+     * @notice Cap the USD a single borrower or position account can owe
+     * @param _cap The most USD one account can owe, interest included, 0 for no cap
+     */
+    function setAccountBorrowCap(uint256 _cap) external onlyOwner {
+        emit AccountBorrowCapUpdated(accountBorrowCap, _cap);
+        accountBorrowCap = _cap;
+    }
+
+    /**
+     * @notice Set the smallest debt a loan can be left with after a borrow or partial repay
+     * @dev Loans already below it are untouched until their owner borrows or repays again
+     * @param _size The minimum debt in USD, 0 for no minimum
+     */
+    function setMinLoanSize(uint256 _size) external onlyOwner {
+        emit MinLoanSizeUpdated(minLoanSize, _size);
+        minLoanSize = _size;
+    }
+
+    /**
+     * @notice Loan information of a borrower or position account, as returned by getUserLoan
+     */
+    function _userLoan(address _user) internal view returns (
+        uint256 collateral,
+        uint256 borrowed,
+        uint256 ltv,
+        bool liquidatable,
+        uint256 maxBorrow,
+        CollateralBalance[] memory collaterals
+    ) {
+        collaterals = new CollateralBalance[](collateralAssets.length + 1);
+        collateral = loans[_user].collateralAmount;
+        collaterals[0] = CollateralBalance(address(0), collateral, _btcToUSD(collateral));
+        for (uint256 i = 0; i < collateralAssets.length; i++) {
+            address token = collateralAssets[i];
+            uint256 amount = tokenCollateral[_user][token];
+            collaterals[i + 1] = CollateralBalance(token, amount, amount == 0 ? 0 : _tokenToUSD(token, amount));
+        }
+
+        return (
+            collateral,
+            _getCurrentDebt(_user),
+            getLoanToValue(_user),
+            _isLiquidatable(_user),
+            _borrowingPower(_user),
+            collaterals
+        );
+    }
+}
@@ -0,0 +1,844 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./interfaces/IBTCLendingProtocol.sol";
+import "./interfaces/IInterestRateModel.sol";
+import "./interfaces/IPriceRouter.sol";
+import "./interfaces/IAuctionHouse.sol";
+import "./interfaces/IBTCLendingPositions.sol";
+import "./interfaces/IWRBTC.sol";
+import "./interfaces/IBTCLendingStablecoin.sol";
+
+/**
+ * @title BTCLendingCore
+ * @notice Storage, constants and internal logic shared by BTCLendingProtocol, BTCLendingExt and
+ *         BTCLendingAdmin
+ * @dev BTCLendingProtocol delegatecalls BTCLendingExt for functions it does not implement, which
+ *      in turn delegatecalls BTCLendingAdmin, so all three must lay out this contract's storage
+ *      identically. It must stay the first base of each, and none may declare state of its own.
+ *
+ *      BTCLendingProtocol runs behind an ERC-1967 proxy, so this layout is also shared by every
+ *      implementation the proxy is upgraded to: new state may only be appended after the last
+ *      variable, never inserted, reordered or retyped. The OpenZeppelin upgradeable bases and
+ *      BTCLendingProtocol's ERC-4626 vault keep their state in ERC-7201 namespaces instead, which
+ *      nothing here can collide with.
+ */
+abstract contract BTCLendingCore is ReentrancyGuardUpgradeable, OwnableUpgradeable, IBTCLendingTypes {
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    IPriceRouter public priceRouter;
+    IERC20 public usdToken;
+    IInterestRateModel public interestRateModel;
+    uint256 public constant PRECISION = 100; // 100% precision
+    uint256 public constant WAD = 1e18; // Fixed-point precision for rates and indexes
+    uint256 public constant SECONDS_PER_YEAR = 365 days;
+    uint256 public constant RESERVE_FACTOR = 1e17; // 10% of interest goes to protocol reserves
+    uint256 public constant TIMELOCK_DELAY = 2 days; // Notice period for risk changes
+    uint256 public constant MAX_COLLATERAL_ASSETS = 10; // Bounds the per-account health loop
+    uint256 public constant MAX_UPKEEP_BATCH = 20; // Max liquidations per performUpkeep
+    uint256 public constant MAX_FLASH_LOAN_FEE = 100; // 1% in basis points
+    uint256 public constant MAX_STABILITY_FEE = 1e18; // 100% a year, scaled by WAD
+    uint256 public constant DUST_COLLATERAL_VALUE = 1e18; // $1, not worth liquidating
+
+    /**
+     * @notice Risk parameters currently in force
+     */
+    RiskParameters internal _riskParameters;
+
+    /**
+     * @notice Risk parameters waiting for the timelock, applied by executeRiskParameters
+     */
+    RiskParameters internal _pendingRiskParameters;
+
+    /**
+     * @notice Earliest execution time of pendingRiskParameters, zero when nothing is queued
+     */
+    uint256 public riskParametersEta;
+
+    /**
+     * @notice Price router waiting for the timelock, applied by executePriceRouter
+     * @dev Feed staleness windows live in the router, so they change through this queue too
+     */
+    address public pendingPriceRouter;
+
+    /**
+     * @notice Earliest execution time of pendingPriceRouter, zero when nothing is queued
+     */
+    uint256 public priceRouterEta;
+
+    /**
+     * @notice ERC-20 collateral assets in listing order
+     */
+    address[] public collateralAssets;
+
+    /**
+     * @notice Config of each ERC-20 collateral asset
+     */
+    mapping(address => CollateralConfig) internal _collateralConfigs;
+
+    /**
+     * @notice Collateral configs waiting for the timelock, applied by executeCollateralConfig
+     */
+    mapping(address => CollateralConfig) internal _pendingCollateralConfigs;
+
+    /**
+     * @notice Earliest execution time of each pending collateral config, zero when nothing is queued
+     */
+    mapping(address => uint256) public collateralConfigEtas;
+
+    /**
+     * @notice ERC-20 collateral deposited per user and asset
+     */
+    mapping(address => mapping(address => uint256)) public tokenCollateral;
+
+    /**
+     * @notice Total ERC-20 collateral deposited per asset
+     */
+    mapping(address => uint256) public totalTokenCollateral;
+
+    /**
+     * @notice ERC-20 collateral owned by the protocol from liquidation penalties, per asset
+     */
+    mapping(address => uint256) public tokenReserves;
+
+    /**
+     * @notice Borrowers with an active loan, scanned by checkUpkeep
+     */
+    EnumerableSet.AddressSet internal activeBorrowers;
+
+    /**
+     * @notice Mapping of user addresses to their loan information
+     */
+    mapping(address => Loan) public loans;
+
+    /**
+     * @notice Total collateral deposited
+     */
+    uint256 public totalCollateral;
+
+    /**
+     * @notice Total borrowed amount as of the last accrual
+     * @dev Use totalBorrowed() for the amount including pending interest
+     */
+    uint256 internal totalBorrowedStored;
+
+    /**
+     * @notice Cumulative interest index, starts at WAD and only grows
+     */
+    uint256 public borrowIndex;
+
+    /**
+     * @notice Timestamp of the last interest accrual
+     */
+    uint256 public lastAccrualTime;
+
+    /**
+     * @notice RBTC owned by the protocol: liquidation penalties and direct transfers
+     * @dev Kept apart from totalCollateral so owner withdrawals never touch user funds
+     */
+    uint256 public rbtcReserves;
+
+    /**
+     * @notice USD owned by the protocol: its share of accrued interest
+     * @dev Credited as interest accrues, so part of it may still be owed by borrowers
+     */
+    uint256 public usdReserves;
+
+    /**
+     * @notice Auction contract that liquidations hand collateral to, zero for direct liquidation
+     */
+    address public auctionHouse;
+
+    /**
+     * @notice Auction house waiting for the timelock, applied by executeAuctionHouse
+     */
+    address public pendingAuctionHouse;
+
+    /**
+     * @notice Earliest execution time of pendingAuctionHouse, zero when nothing is queued
+     */
+    uint256 public auctionHouseEta;
+
+    /**
+     * @notice USD debt moved into running auctions and not yet repaid or written off
+     * @dev Still owed to lenders, so it counts towards totalAssets
+     */
+    uint256 public auctionDebt;
+
+    /**
+     * @notice USD set aside from reserves to absorb bad debt before lenders do
+     * @dev Owned by the protocol, so like usdReserves it is excluded from totalAssets
+     */
+    uint256 public insuranceFund;
+
+    /**
+     * @notice Cumulative USD debt written off because the collateral behind it ran out
+     */
+    uint256 public totalBadDebt;
+
+    /**
+     * @notice Part of totalBadDebt the insurance fund could not cover, borne by lenders
+     */
+    uint256 public uncoveredBadDebt;
+
+    /**
+     * @notice Fee charged on flash loans, in basis points, paid into usdReserves
+     */
+    uint256 public flashLoanFee;
+
+    /**
+     * @notice Set while a flash loan's USD is out, between the transfer and the repayment
+     */
+    bool internal flashLoanActive;
+
+    /**
+     * @notice ERC-721 of isolated positions, owned by the protocol
+     */
+    IBTCLendingPositions public positionToken;
+
+    /**
+     * @notice Operators each user allows to borrow and withdraw on their behalf
+     */
+    mapping(address => mapping(address => bool)) public operators;
+
+    /**
+     * @notice Signed intent nonces each user has used or cancelled
+     */
+    mapping(address => mapping(uint256 => bool)) public intentNonceUsed;
+
+    /**
+     * @notice Account allowed to pause actions next to the owner, who alone can unpause
+     */
+    address public pauseGuardian;
+
+    /**
+     * @notice Actions currently paused
+     */
+    mapping(PausableAction => bool) public pausedActions;
+
+    /**
+     * @notice Most collateral of each asset the protocol accepts, address(0) for RBTC, 0 for no cap
+     */
+    mapping(address => uint256) public depositCaps;
+
+    /**
+     * @notice Most USD that can be borrowed across all loans, 0 for no cap
+     */
+    uint256 public borrowCap;
+
+    /**
+     * @notice Most USD a single borrower or position account can owe, 0 for no cap
+     */
+    uint256 public accountBorrowCap;
+
+    /**
+     * @notice Smallest debt a loan can be left with, so every open loan is worth liquidating
+     */
+    uint256 public minLoanSize;
+
+    /**
+     * @notice Wrapped RBTC paid to accounts that opt into it, zero until the owner's first change executes
+     */
+    IWRBTC public wrappedRBTC;
+
+    /**
+     * @notice Accounts that receive RBTC from the protocol as wrappedRBTC instead of natively
+     */
+    mapping(address => bool) public receiveWrappedRBTC;
+
+    /**
+     * @notice RBTC owed to accounts whose receive rejected a payment, withdrawn with claimRBTC
+     */
+    mapping(address => uint256) public claimableRBTC;
+
+    /**
+     * @notice DEX adapter that protection orders sell collateral through, zero to disable them
+     */
+    ISwapAdapter public swapAdapter;
+
+    /**
+     * @notice Keeper fee on protection orders, in basis points of the swap proceeds
+     * @dev Always below liquidationPenalty, so protecting a loan costs less than losing it
+     */
+    uint256 public protectionFee;
+
+    /**
+     * @notice Protection orders each borrower has registered, one per type
+     */
+    mapping(address => mapping(ProtectionOrderType => ProtectionOrder)) internal _protectionOrders;
+
+    /**
+     * @notice Set for a CDP deployment, where usdToken is a BTCLendingStablecoin the protocol owns
+     * @dev Borrowing mints it and repayment burns it instead of lending from the vault, which
+     *      takes no deposits
+     */
+    bool public cdpMode;
+
+    /**
+     * @notice Annual rate charged on CDP debt in place of the interest rate model, scaled by WAD
+     * @dev Accrues entirely to usdReserves
+     */
+    uint256 public stabilityFee;
+
+    /**
+     * @notice Most USD that can be minted as CDP debt, stability fees included
+     * @dev Starts at zero, so a CDP deployment lends nothing until the owner calls setDebtCeiling
+     */
+    uint256 public debtCeiling;
+
+    /**
+     * @notice Implementation waiting for the timelock, which upgradeToAndCall can then switch to
+     */
+    address public pendingImplementation;
+
+    /**
+     * @notice Earliest upgrade time to pendingImplementation, zero when nothing is queued
+     */
+    uint256 public upgradeEta;
+
+    /**
+     * @notice Account paid the reward of keeper liquidations, zero to keep it in reserves
+     * @dev Automation registries call performUpkeep through their own contracts, so the reward
+     *      goes to an account the owner picks rather than to the caller
+     */
+    address internal _keeperRewardRecipient;
+
+    /**
+     * @notice Wrapped RBTC token waiting for the timelock, applied by executeWrappedRBTC
+     */
+    address internal _pendingWrappedRBTC;
+
+    /**
+     * @notice Earliest execution time of pendingWrappedRBTC, zero when nothing is queued
+     */
+    uint256 internal _wrappedRBTCEta;
+
+    /**
+     * @notice Accrue interest on all outstanding debt up to the current block
+     */
+    function _accrueInterest() internal {
+        uint256 elapsed = block.timestamp - lastAccrualTime;
+        if (elapsed == 0) return;
+
+        uint256 newIndex = _currentBorrowIndex();
+        uint256 interest = (totalBorrowedStored * (newIndex - borrowIndex)) / borrowIndex;
+
+        borrowIndex = newIndex;
+        totalBorrowedStored += interest;
+        lastAccrualTime = block.timestamp;
+        if (cdpMode) {
+            // Mint the fee as it accrues, so every stablecoin stays backed by debt
+            usdReserves += interest;
+            IBTCLendingStablecoin(address(usdToken)).mint(address(this), interest);
+        } else {
+            usdReserves += (interest * RESERVE_FACTOR) / WAD;
+        }
+
+        emit InterestAccrued(interest, newIndex, totalBorrowedStored);
+    }
+
+    /**
+     * @notice Total borrowed amount including interest accrued since the last update
+     */
+    function _currentTotalBorrowed() internal view returns (uint256) {
+        return (totalBorrowedStored * _currentBorrowIndex()) / borrowIndex;
+    }
+
+    /**
+     * @notice A user's current debt including accrued interest
+     */
+    function _getCurrentDebt(address _user) internal view returns (uint256) {
+        Loan memory loan = loans[_user];
+        if (loan.borrowedAmount == 0) return 0;
+        return (loan.borrowedAmount * _currentBorrowIndex()) / loan.borrowIndex;
+    }
+
+    /**
+     * @notice Current annual borrow rate from the interest rate model, scaled by WAD
+     */
+    function _getBorrowRate() internal view returns (uint256) {
+        if (cdpMode) return stabilityFee;
+        return interestRateModel.getBorrowRate(_availableLiquidity(), totalBorrowedStored);
+    }
+
+    /**
+     * @notice Borrow index as of the current block, including pending accrual
+     */
+    function _currentBorrowIndex() internal view returns (uint256) {
+        uint256 elapsed = block.timestamp - lastAccrualTime;
+        if (elapsed == 0) return borrowIndex;
+        uint256 interestFactor = (_getBorrowRate() * elapsed) / SECONDS_PER_YEAR;
+        return borrowIndex + (borrowIndex * interestFactor) / WAD;
+    }
+
+    /**
+     * @notice Convert RBTC amount to USD value
+     * @dev Staleness, round completeness and cross-feed deviation are checked by the router
+     */
+    function _btcToUSD(uint256 _btcAmount) internal view returns (uint256) {
+        (uint256 price, uint8 decimals) = priceRouter.getPrice();
+
+        // Convert BTC amount (18 decimals) to USD (18 decimals)
+        // Price has 'decimals' decimals, so we need to adjust
+        return (_btcAmount * price) / (10**decimals);
+    }
+
+    /**
+     * @notice Convert USD value to RBTC amount
+     */
+    function _usdToBTC(uint256 _usdAmount) internal view returns (uint256) {
+        (uint256 price, uint8 decimals) = priceRouter.getPrice();
+        return (_usdAmount * (10**decimals)) / price;
+    }
+
+    /**
+     * @notice Convert an amount of ERC-20 collateral, in its own decimals, to 18-decimal USD value
+     */
+    function _tokenToUSD(address _asset, uint256 _amount) internal view returns (uint256) {
+        CollateralConfig memory config = _collateralConfigs[_asset];
+        if (!config.listed) revert CollateralNotListed();
+        (uint256 price, uint8 decimals) = config.priceRouter.getPrice();
+        return (_amount * 10**(18 - config.decimals) * price) / (10**decimals);
+    }
+
+    /**
+     * @notice Convert 18-decimal USD value to an amount of ERC-20 collateral in its own decimals
+     */
+    function _usdToToken(address _asset, uint256 _usdAmount) internal view returns (uint256) {
+        CollateralConfig memory config = _collateralConfigs[_asset];
+        if (!config.listed) revert CollateralNotListed();
+        (uint256 price, uint8 decimals) = config.priceRouter.getPrice();
+        return (_usdAmount * (10**decimals)) / (price * 10**(18 - config.decimals));
+    }
+
+    /**
+     * @notice How much a user can borrow in total: the sum of each asset's value times its maxLtv
+     */
+    function _borrowingPower(address _user) internal view returns (uint256) {
+        (, uint256 borrowingPower,) = _accountCollateral(_user);
+        return borrowingPower;
+    }
+
+    /**
+     * @notice Check if a loan is eligible for liquidation
+     * @dev Compares the debt with each asset's value weighted by its own liquidation threshold
+     */
+    function _isLiquidatable(address _user) internal view returns (bool) {
+        (,, uint256 thresholdValue) = _accountCollateral(_user);
+        if (thresholdValue == 0) return false;
+
+        return _getCurrentDebt(_user) * PRECISION >= thresholdValue;
+    }
+
+    /**
+     * @notice Value a user's collateral across native RBTC and every ERC-20 asset they hold
+     * @return collateralValueUSD The total USD value
+     * @return borrowingPower The sum of each asset's value times its maxLtv
+     * @return thresholdValue The sum of each asset's value times its liquidation threshold, in PRECISION units
+     */
+    function _accountCollateral(address _user) internal view returns (
+        uint256 collateralValueUSD,
+        uint256 borrowingPower,
+        uint256 thresholdValue
+    ) {
+        uint256 rbtcAmount = loans[_user].collateralAmount;
+        if (rbtcAmount > 0) {
+            collateralValueUSD = _btcToUSD(rbtcAmount);
+            borrowingPower = (collateralValueUSD * _riskParameters.maxLtv) / PRECISION;
+            thresholdValue = collateralValueUSD * _riskParameters.liquidationThreshold;
+        }
+
+        for (uint256 i = 0; i < collateralAssets.length; i++) {
+            address token = collateralAssets[i];
+            uint256 amount = tokenCollateral[_user][token];
+            if (amount == 0) continue;
+
+            CollateralConfig memory config = _collateralConfigs[token];
+            uint256 value = _tokenToUSD(token, amount);
+            collateralValueUSD += value;
+            borrowingPower += (value * config.maxLtv) / PRECISION;
+            thresholdValue += value * config.liquidationThreshold;
+        }
+    }
+
+    /**
+     * @notice Revert if a user's debt exceeds what their remaining collateral allows at maxLtv
+     */
+    function _requireWithinBorrowingLimit(address _user) internal {
+        Loan storage loan = loans[_user];
+        if (loan.borrowedAmount == 0) return;
+
+        _accrueInterest();
+        _refreshPrices(_user);
+        if (_settleDebt(loan) > _borrowingPower(_user)) revert ExceedsBorrowingLimit();
+    }
+
+    /**
+     * @notice Refresh the RBTC price and the price of every ERC-20 asset a user holds
+     */
+    function _refreshPrices(address _user) internal {
+        priceRouter.refreshPrice();
+        for (uint256 i = 0; i < collateralAssets.length; i++) {
+            address token = collateralAssets[i];
+            if (tokenCollateral[_user][token] > 0) _collateralConfigs[token].priceRouter.refreshPrice();
+        }
+    }
+
+    /**
+     * @notice Accrue interest, refresh prices and revert unless the loan is liquidatable
+     */
+    function _requireLiquidatable(address _user) internal {
+        _accrueInterest();
+        _refreshPrices(_user);
+        if (!_isLiquidatable(_user)) revert LoanNotLiquidatable();
+    }
+
+    /**
+     * @notice Repay part of an unhealthy loan and work out the collateral to seize
+     * @dev Must follow _requireLiquidatable. The caller moves the seized collateral. Seizes
+     *      the repaid value plus the penalty, capped at the balance, also for a loan in
+     *      shortfall. Collateral left behind keeps backing the remaining debt.
+     * @param _asset The seized asset, address(0) for native RBTC
+     * @param _fromReserves Repay from USD reserves instead of pulling USD from msg.sender
+     * @return repaid The USD debt repaid
+     * @return liquidatorAmount The collateral owed to the liquidator
+     * @return penaltyAmount The collateral owed to reserves
+     */
+    function _liquidate(
+        address _user,
+        address _asset,
+        uint256 _repayAmount,
+        uint256 _minCollateralOut,
+        bool _fromReserves
+    ) internal returns (uint256 repaid, uint256 liquidatorAmount, uint256 penaltyAmount) {
+        uint256 collateralBalance =
+            _asset == address(0) ? loans[_user].collateralAmount : tokenCollateral[_user][_asset];
+        Loan storage loan = loans[_user];
+        RiskParameters memory params = _riskParameters;
+        (uint256 maxRepay,) = _liquidationLimit(_user, _settleDebt(loan));
+        if (_repayAmount == type(uint256).max) _repayAmount = maxRepay;
+        if (_repayAmount == 0 || _repayAmount > maxRepay) revert InvalidRepayAmount();
+
+        // Calculate liquidation amounts, capped by what the borrower has left
+        uint256 repayValue = _asset == address(0) ? _usdToBTC(_repayAmount) : _usdToToken(_asset, _repayAmount);
+        liquidatorAmount = Math.min(
+            (repayValue * (PRECISION + params.liquidationBonus)) / PRECISION,
+            collateralBalance
+        );
+        penaltyAmount = Math.min(
+            (repayValue * (params.liquidationPenalty - params.liquidationBonus)) / PRECISION,
+            collateralBalance - liquidatorAmount
+        );
+        if (liquidatorAmount < _minCollateralOut) revert CollateralOutBelowMinimum();
+
+        if (_fromReserves) {
+            // The USD already sits in the pool, it only moves from reserves to lenders
+            usdReserves -= _repayAmount;
+        } else if (!usdToken.transferFrom(msg.sender, address(this), _repayAmount)) {
+            // Transfer debt from liquidator to protocol
+            revert DebtTransferFailed();
+        }
+        _burnRepayment(_repayAmount);
+
+        loan.borrowedAmount -= _repayAmount;
+        _closeIfRepaid(_user, loan);
+        _reduceTotalBorrowed(_repayAmount);
+        return (_repayAmount, liquidatorAmount, penaltyAmount);
+    }
+
+    /**
+     * @notice Most of a loan's debt a single liquidation may repay
+     * @dev The close factor protects the borrower's equity. A loan in shortfall, whose
+     *      collateral is worth less than its debt, has none, so the whole debt may be repaid.
+     * @return maxRepay The repayment limit in USD
+     * @return shortfall True if the collateral is worth less than the debt
+     */
+    function _liquidationLimit(address _user, uint256 _debt) internal view returns (uint256 maxRepay, bool shortfall) {
+        (uint256 collateralValueUSD,,) = _accountCollateral(_user);
+        shortfall = collateralValueUSD < _debt;
+        maxRepay = shortfall ? _debt : (_debt * _riskParameters.closeFactor) / PRECISION;
+    }
+
+    /**
+     * @notice Write off the debt of a loan whose collateral has all been seized
+     * @dev Does nothing while the loan is repaid, or while its collateral covers the debt or is
+     *      worth DUST_COLLATERAL_VALUE or more. Dust below that, such as a donated balance, is
+     *      seized to reserves, since no liquidation would ever be worth taking it.
+     */
+    function _writeOffBadDebt(address _user) internal {
+        Loan storage loan = loans[_user];
+        uint256 debt = loan.borrowedAmount;
+        if (debt == 0) return;
+        (uint256 collateralValueUSD,,) = _accountCollateral(_user);
+        if (collateralValueUSD >= Math.min(debt, DUST_COLLATERAL_VALUE)) return;
+
+        _seizeDust(_user);
+        loan.borrowedAmount = 0;
+        _closeIfRepaid(_user, loan);
+        _reduceTotalBorrowed(debt);
+        _recordBadDebt(_user, debt);
+    }
+
+    /**
+     * @notice Move every collateral balance a user has left into reserves
+     */
+    function _seizeDust(address _user) internal {
+        uint256 amount = loans[_user].collateralAmount;
+        if (amount > 0) {
+            loans[_user].collateralAmount = 0;
+            totalCollateral -= amount;
+            rbtcReserves += amount;
+        }
+        for (uint256 i = 0; i < collateralAssets.length; i++) {
+            address asset = collateralAssets[i];
+            amount = tokenCollateral[_user][asset];
+            if (amount == 0) continue;
+            tokenCollateral[_user][asset] = 0;
+            totalTokenCollateral[asset] -= amount;
+            tokenReserves[asset] += amount;
+        }
+    }
+
+    /**
+     * @notice Book a loss, covering it from the insurance fund first
+     * @dev The debt must already be gone from totalBorrowedStored or auctionDebt. Whatever the
+     *      fund covers returns to lenders as it leaves the fund. The rest lowers totalAssets,
+     *      spreading the loss across all vault shares pro rata.
+     */
+    function _recordBadDebt(address _user, uint256 _amount) internal {
+        uint256 covered = Math.min(_amount, insuranceFund);
+        insuranceFund -= covered;
+        _burnRepayment(covered);
+        totalBadDebt += _amount;
+        uncoveredBadDebt += _amount - covered;
+
+        emit BadDebtRecorded(_user, _amount, covered);
+    }
+
+    /**
+     * @notice Move seized collateral out of a user's balance to a recipient and to reserves
+     * @dev Writes off any debt left without collateral before paying the recipient, so the
+     *      books are final by the time the recipient gets control
+     * @param _asset The seized asset, address(0) for native RBTC
+     */
+    function _seizeCollateral(
+        address _user,
+        address _asset,
+        address _to,
+        uint256 _toAmount,
+        uint256 _reserveAmount
+    ) internal {
+        uint256 seized = _toAmount + _reserveAmount;
+        if (_asset == address(0)) {
+            loans[_user].collateralAmount -= seized;
+            totalCollateral -= seized;
+            rbtcReserves += _reserveAmount;
+            _writeOffBadDebt(_user);
+            _sendRBTC(_to, _toAmount);
+        } else {
+            tokenCollateral[_user][_asset] -= seized;
+            totalTokenCollateral[_asset] -= seized;
+            tokenReserves[_asset] += _reserveAmount;
+            _writeOffBadDebt(_user);
+            if (_toAmount > 0) IERC20(_asset).safeTransfer(_to, _toAmount);
+        }
+    }
+
+    /**
+     * @notice Pay out RBTC without ever reverting on the recipient's side
+     * @dev Forwards all gas, so smart-contract wallets can receive. Wraps for accounts that opted
+     *      into wrappedRBTC. When the recipient rejects a native payment the amount is credited
+     *      to claimableRBTC instead. Callers must hold the reentrancy lock and finish their
+     *      bookkeeping first.
+     */
+    function _sendRBTC(address _to, uint256 _amount) internal {
+        if (_amount == 0) return;
+        if (receiveWrappedRBTC[_to]) {
+            wrappedRBTC.deposit{value: _amount}();
+            IERC20(address(wrappedRBTC)).safeTransfer(_to, _amount);
+            return;
+        }
+        (bool success,) = payable(_to).call{value: _amount}("");
+        if (!success) {
+            claimableRBTC[_to] += _amount;
+            emit RBTCClaimable(_to, _amount);
+        }
+    }
+
+    /**
+     * @notice Hand all of a user's balance of one collateral asset to the auction house
+     * @dev Must follow _requireLiquidatable. Moves the share of the debt backed by the asset,
+     *      weighted by liquidation threshold, out of the loan and into auctionDebt, so the
+     *      remaining loan keeps the same health. A loan backed by one asset moves entirely.
+     * @param _asset The seized asset, address(0) for native RBTC
+     * @return collateral The amount of collateral put up for auction
+     * @return debt The USD debt moved into the auction
+     */
+    function _startAuction(address _user, address _asset) internal returns (uint256 collateral, uint256 debt) {
+        Loan storage loan = loans[_user];
+        (,, uint256 thresholdValue) = _accountCollateral(_user);
+        uint256 assetThresholdValue;
+        if (_asset == address(0)) {
+            collateral = loan.collateralAmount;
+            if (collateral == 0) revert InsufficientCollateral();
+            assetThresholdValue = _btcToUSD(collateral) * _riskParameters.liquidationThreshold;
+            loan.collateralAmount = 0;
+            totalCollateral -= collateral;
+        } else {
+            collateral = tokenCollateral[_user][_asset];
+            if (collateral == 0) revert InsufficientCollateral();
+            assetThresholdValue = _tokenToUSD(_asset, collateral) * _collateralConfigs[_asset].liquidationThreshold;
+            tokenCollateral[_user][_asset] = 0;
+            totalTokenCollateral[_asset] -= collateral;
+            IERC20(_asset).safeTransfer(auctionHouse, collateral);
+        }
+
+        debt = (_settleDebt(loan) * assetThresholdValue) / thresholdValue;
+        loan.borrowedAmount -= debt;
+        _closeIfRepaid(_user, loan);
+        _reduceTotalBorrowed(debt);
+        auctionDebt += debt;
+
+        uint256 tab = (debt * (PRECISION + _riskParameters.liquidationPenalty)) / PRECISION;
+        uint256 auctionId = IAuctionHouse(auctionHouse).kick{value: _asset == address(0) ? collateral : 0}(
+            _user,
+            _asset,
+            collateral,
+            debt,
+            tab
+        );
+        emit AuctionStarted(_user, _asset, auctionId, collateral, debt);
+    }
+
+    /**
+     * @notice Account that a position's collateral and debt are booked under
+     * @dev Derived from the id like a contract address, so no one can ever act as it directly.
+     *      Every per-account path, from health checks to keepers and auctions, then applies
+     *      to positions unchanged, with the account in place of the borrower's address.
+     */
+    function _positionAccount(uint256 _positionId) internal pure returns (address) {
+        return address(uint160(uint256(keccak256(abi.encode("BTCLendingPosition", _positionId)))));
+    }
+
+    /**
+     * @notice Revert unless the caller owns a position or is approved to manage it
+     * @return account The position's account
+     */
+    function _authorizedPositionAccount(uint256 _positionId) internal view returns (address) {
+        if (!positionToken.isApprovedOrOwner(msg.sender, _positionId)) revert NotPositionOwner();
+        return _positionAccount(_positionId);
+    }
+
+    /**
+     * @notice Revert unless a position has been minted
+     * @return account The position's account
+     */
+    function _existingPositionAccount(uint256 _positionId) internal view returns (address) {
+        positionToken.ownerOf(_positionId);
+        return _positionAccount(_positionId);
+    }
+
+    /**
+     * @notice Mark a loan inactive and stop tracking its borrower once the debt is gone
+     * @dev Also drops the borrower's protection orders, which would otherwise fire on a later loan
+     */
+    function _closeIfRepaid(address _user, Loan storage loan) internal {
+        if (loan.borrowedAmount == 0) {
+            loan.active = false;
+            activeBorrowers.remove(_user);
+            // A zero trigger marks an order as unset
+            _protectionOrders[_user][ProtectionOrderType.Deleverage].trigger = 0;
+            _protectionOrders[_user][ProtectionOrderType.StopLoss].trigger = 0;
+        }
+    }
+
+    /**
+     * @notice Revert if an action is paused
+     */
+    function _requireNotPaused(PausableAction _action) internal view {
+        if (pausedActions[_action]) revert ActionPaused(_action);
+    }
+
+    /**
+     * @notice Revert unless a change is queued and its delay has passed
+     */
+    function _checkTimelock(uint256 _eta) internal view {
+        if (_eta == 0) revert NoPendingChange();
+        if (block.timestamp < _eta) revert TimelockNotReady(_eta);
+    }
+
+    /**
+     * @notice Revert unless risk parameters are consistent with each other, with the keeper fee
+     *         and with every listed asset's liquidation threshold
+     */
+    function _requireValidRiskParameters(RiskParameters memory _params) internal view {
+        if (
+            _params.maxLtv == 0 ||
+            _params.maxLtv >= _params.liquidationThreshold ||
+            _params.liquidationThreshold >= PRECISION ||
+            _params.liquidationBonus == 0 ||
+            _params.liquidationBonus > _params.liquidationPenalty ||
+            _params.liquidationThreshold * (PRECISION + _params.liquidationPenalty) > PRECISION * PRECISION ||
+            _params.closeFactor == 0 ||
+            _params.closeFactor > PRECISION ||
+            _params.liquidationPenalty * 10000 <= protectionFee * PRECISION
+        ) revert InvalidRiskParameters();
+        for (uint256 i = 0; i < collateralAssets.length; i++) {
+            uint256 threshold = _collateralConfigs[collateralAssets[i]].liquidationThreshold;
+            if (threshold * (PRECISION + _params.liquidationPenalty) > PRECISION * PRECISION) {
+                revert InvalidRiskParameters();
+            }
+        }
+    }
+
+    /**
+     * @notice USD held by the pool that is available to lend, excluding reserves and insurance
+     */
+    function _availableLiquidity() internal view returns (uint256) {
+        uint256 balance = usdToken.balanceOf(address(this));
+        uint256 protocolOwned = usdReserves + insuranceFund;
+        return balance > protocolOwned ? balance - protocolOwned : 0;
+    }
+
+    /**
+     * @notice USD reserves actually held by the pool, leaving the insurance fund untouched
+     */
+    function _reserveLiquidity() internal view returns (uint256) {
+        uint256 balance = usdToken.balanceOf(address(this));
+        return Math.min(usdReserves, balance > insuranceFund ? balance - insuranceFund : 0);
+    }
+
+    /**
+     * @notice Roll a loan's accrued interest into its stored debt
+     * @dev Must be called after _accrueInterest() so the global index is current
+     * @return debt The loan's debt including interest
+     */
+    function _settleDebt(Loan storage loan) internal returns (uint256) {
+        if (loan.borrowedAmount > 0) {
+            loan.borrowedAmount = (loan.borrowedAmount * borrowIndex) / loan.borrowIndex;
+        }
+        loan.borrowIndex = borrowIndex;
+        return loan.borrowedAmount;
+    }
+
+    /**
+     * @notice In CDP mode, burn USD the protocol holds once it has paid down debt
+     */
+    function _burnRepayment(uint256 _amount) internal {
+        if (cdpMode && _amount > 0) IBTCLendingStablecoin(address(usdToken)).burn(_amount);
+    }
+
+    /**
+     * @notice Decrease the stored total debt, flooring at zero to absorb per-loan rounding
+     */
+    function _reduceTotalBorrowed(uint256 _amount) internal {
+        totalBorrowedStored = _amount > totalBorrowedStored ? 0 : totalBorrowedStored - _amount;
+    }
+}
@@ -0,0 +1,789 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@chainlink/contracts/src/v0.8/automation/interfaces/AutomationCompatibleInterface.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "./BTCLendingCore.sol";
+
+/**
+ * @title BTCLendingExt
+ * @notice Liquidations, reserves, keeper automation, flash loans and views of BTCLendingProtocol
+ * @dev Only ever runs through BTCLendingProtocol's fallback, as a delegatecall in the
+ *      protocol's storage. Calling it directly reads and writes its own, unused storage.
+ *      Calls it does not implement go on to BTCLendingAdmin through its own fallback.
+ */
+contract BTCLendingExt is BTCLendingCore, AutomationCompatibleInterface, IERC3156FlashLender {
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    bytes32 private constant FLASH_LOAN_CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    /**
+     * @notice BTCLendingAdmin that serves the owner and guardian functions
+     * @custom:oz-upgrades-unsafe-allow state-variable-immutable
+     */
+    address public immutable adminDelegate;
+
+    /**
+     * @notice Constructor
+     * @param _adminDelegate The address of the BTCLendingAdmin
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor(address _adminDelegate) {
+        if (_adminDelegate == address(0)) revert ZeroAddress();
+        adminDelegate = _adminDelegate;
+    }
+
+    /**
+     * @notice Forward every other call to the admin contract, still in the protocol's storage
+     */
+    fallback() external {
+        address admin = adminDelegate;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), admin, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+
+    /**
+     * @notice Top up protocol reserves, which fund keeper liquidations
+     * @param _usdAmount The amount of USD to add, pulled from the caller
+     */
+    function addReserves(uint256 _usdAmount) external payable nonReentrant {
+        if (!usdToken.transferFrom(msg.sender, address(this), _usdAmount)) revert TransferFailed();
+        rbtcReserves += msg.value;
+        usdReserves += _usdAmount;
+        emit ReservesAdded(msg.sender, msg.value, _usdAmount);
+    }
+
+    /**
+     * @notice Allow or stop an operator borrowing and withdrawing on the caller's behalf
+     * @dev Operators never receive the funds: borrowFor and withdraw*For pay the user
+     * @param _operator The operator, typically a delegate contract
+     * @param _approved True to allow, false to revoke
+     */
+    function setOperator(address _operator, bool _approved) external {
+        if (_operator == address(0)) revert ZeroAddress();
+        operators[msg.sender][_operator] = _approved;
+        emit OperatorSet(msg.sender, _operator, _approved);
+    }
+
+    /**
+     * @notice Withdraw RBTC credited to the caller after their receive rejected a payment
+     * @param _to The recipient, for when the caller cannot receive RBTC itself
+     * @param _wrapped True to receive wrappedRBTC instead of native RBTC
+     */
+    function claimRBTC(address _to, bool _wrapped) external nonReentrant {
+        uint256 amount = claimableRBTC[msg.sender];
+        if (amount == 0) revert NothingToClaim();
+        if (_wrapped && address(wrappedRBTC) == address(0)) revert WrappedRBTCNotSet();
+        claimableRBTC[msg.sender] = 0;
+
+        if (_wrapped) {
+            wrappedRBTC.deposit{value: amount}();
+            IERC20(address(wrappedRBTC)).safeTransfer(_to, amount);
+        } else {
+            (bool success,) = payable(_to).call{value: amount}("");
+            if (!success) revert TransferFailed();
+        }
+
+        emit RBTCClaimed(msg.sender, _to, amount, _wrapped);
+    }
+
+    /**
+     * @notice Choose to receive RBTC from withdrawals, liquidations and fees as wrappedRBTC
+     * @param _wrapped True for wrappedRBTC, false for native RBTC
+     */
+    function setReceiveWrappedRBTC(bool _wrapped) external {
+        if (_wrapped && address(wrappedRBTC) == address(0)) revert WrappedRBTCNotSet();
+        receiveWrappedRBTC[msg.sender] = _wrapped;
+        emit ReceiveWrappedRBTCSet(msg.sender, _wrapped);
+    }
+
+    /**
+     * @notice Cancel a signed intent before a relayer submits it
+     * @param _nonce The intent's nonce
+     */
+    function cancelIntent(uint256 _nonce) external {
+        if (intentNonceUsed[msg.sender][_nonce]) revert IntentNonceAlreadyUsed(_nonce);
+        intentNonceUsed[msg.sender][_nonce] = true;
+        emit IntentCancelled(msg.sender, _nonce);
+    }
+
+    /**
+     * @notice Accrue interest on all outstanding debt up to the current block
+     */
+    function accrueInterest() external {
+        _accrueInterest();
+    }
+
+    /**
+     * @notice Get the total borrowed amount including interest accrued since the last update
+     * @return totalBorrowed The total outstanding debt
+     */
+    function totalBorrowed() external view returns (uint256) {
+        return _currentTotalBorrowed();
+    }
+
+    /**
+     * @notice Get a user's current debt including accrued interest
+     * @param _user The address of the user
+     * @return debt The outstanding USD debt
+     */
+    function getCurrentDebt(address _user) external view returns (uint256) {
+        return _getCurrentDebt(_user);
+    }
+
+    /**
+     * @notice Get the current annual borrow rate from the interest rate model
+     * @return borrowRate The borrow APR, scaled by WAD
+     */
+    function getBorrowRate() external view returns (uint256) {
+        return _getBorrowRate();
+    }
+
+    /**
+     * @notice Get latest BTC/USD price from the price router
+     * @dev Staleness, round completeness and cross-feed deviation are checked by the router
+     * @return price The latest BTC/USD price
+     * @return decimals The number of decimals for the price
+     */
+    function getLatestPrice() public view returns (int256, uint256) {
+        (uint256 price, uint8 decimals) = priceRouter.getPrice();
+        return (int256(price), decimals);
+    }
+
+    /**
+     * @notice Convert RBTC amount to USD value
+     * @param _btcAmount The amount of RBTC to convert
+     * @return usdValue The USD value of the RBTC amount
+     */
+    function btcToUSD(uint256 _btcAmount) external view returns (uint256) {
+        return _btcToUSD(_btcAmount);
+    }
+
+    /**
+     * @notice Convert USD value to RBTC amount
+     * @param _usdAmount The USD value to convert
+     * @return btcAmount The amount of RBTC worth _usdAmount
+     */
+    function usdToBTC(uint256 _usdAmount) external view returns (uint256) {
+        return _usdToBTC(_usdAmount);
+    }
+
+    /**
+     * @notice Convert an amount of ERC-20 collateral to USD value
+     * @param _asset The collateral asset
+     * @param _amount The amount in the asset's own decimals
+     * @return usdValue The USD value, 18 decimals
+     */
+    function tokenToUSD(address _asset, uint256 _amount) external view returns (uint256) {
+        return _tokenToUSD(_asset, _amount);
+    }
+
+    /**
+     * @notice Convert USD value to an amount of ERC-20 collateral
+     * @param _asset The collateral asset
+     * @param _usdAmount The USD value to convert
+     * @return amount The amount of the asset worth _usdAmount, in its own decimals
+     */
+    function usdToToken(address _asset, uint256 _usdAmount) external view returns (uint256) {
+        return _usdToToken(_asset, _usdAmount);
+    }
+
+    /**
+     * @notice Calculate maximum borrowable amount based on collateral
+     * @param _collateralAmount The amount of RBTC collateral
+     * @return maxBorrow The maximum borrowable amount
+     */
+    function getMaxBorrowAmount(uint256 _collateralAmount) external view returns (uint256) {
+        uint256 collateralValueUSD = _btcToUSD(_collateralAmount);
+        return (collateralValueUSD * _riskParameters.maxLtv) / PRECISION;
+    }
+
+    /**
+     * @notice Calculate how much a user can borrow in total against all of their collateral
+     * @param _user The address of the user
+     * @return borrowingPower The sum of each asset's value times its maxLtv
+     */
+    function getBorrowingPower(address _user) public view returns (uint256) {
+        return _borrowingPower(_user);
+    }
+
+    /**
+     * @notice Check if a loan is eligible for liquidation
+     * @dev Compares the debt with each asset's value weighted by its own liquidation threshold
+     * @param _user The address of the user
+     * @return isLiquidatable True if the loan is eligible for liquidation
+     */
+    function isLiquidatable(address _user) public view returns (bool) {
+        return _isLiquidatable(_user);
+    }
+
+    /**
+     * @notice Get the most RBTC collateral a user can withdraw at the current price
+     * @dev Exact boundary against the debt accrued to this block. Interest accrues until a
+     *      withdrawal is mined, so callers with debt must leave headroom below this amount.
+     * @param _user The address of the user
+     * @return amount The RBTC amount that keeps the loan within maxLtv
+     */
+    function getMaxWithdrawableCollateral(address _user) external view returns (uint256) {
+        uint256 balance = loans[_user].collateralAmount;
+        uint256 freeValue = _freeCollateralValue(_user, _riskParameters.maxLtv);
+        if (freeValue == type(uint256).max) return balance;
+        return Math.min(_usdToBTC(freeValue), balance);
+    }
+
+    /**
+     * @notice Get the most ERC-20 collateral a user can withdraw at the current price
+     * @dev Exact boundary against the debt accrued to this block, see getMaxWithdrawableCollateral
+     * @param _user The address of the user
+     * @param _asset The collateral asset
+     * @return amount The amount of the asset that keeps the loan within maxLtv
+     */
+    function getMaxWithdrawableTokenCollateral(address _user, address _asset) external view returns (uint256) {
+        uint256 balance = tokenCollateral[_user][_asset];
+        if (balance == 0) return 0;
+        uint256 freeValue = _freeCollateralValue(_user, _collateralConfigs[_asset].maxLtv);
+        if (freeValue == type(uint256).max) return balance;
+        return Math.min(_usdToToken(_asset, freeValue), balance);
+    }
+
+    /**
+     * @notice Get the number of borrowers with an active loan
+     */
+    function getActiveBorrowerCount() external view returns (uint256) {
+        return activeBorrowers.length();
+    }
+
+    /**
+     * @notice Get a page of borrowers with an active loan
+     * @dev Order is not stable: removing a borrower moves the last one into its slot
+     * @param _offset The index of the first borrower
+     * @param _limit The maximum number of borrowers to return
+     * @return borrowers The borrowers in [_offset, _offset + _limit)
+     */
+    function getActiveBorrowers(uint256 _offset, uint256 _limit) public view returns (address[] memory borrowers) {
+        uint256 length = activeBorrowers.length();
+        uint256 end = Math.min(_offset + _limit, length);
+        if (_offset >= end) return new address[](0);
+
+        borrowers = new address[](end - _offset);
+        for (uint256 i = 0; i < borrowers.length; i++) {
+            borrowers[i] = activeBorrowers.at(_offset + i);
+        }
+    }
+
+    /**
+     * @notice Liquidate part of an undercollateralized loan, seizing RBTC collateral
+     * @dev The liquidator repays up to closeFactor of the debt and receives RBTC worth the
+     *      repayment plus liquidationBonus. The rest of the liquidationPenalty goes to reserves.
+     *      A loan in shortfall, with collateral worth less than its debt, may be repaid in full
+     *      and loses all of the seized asset. Debt left once no collateral remains is written
+     *      off as bad debt, covered by the insurance fund first and then by lenders.
+     *      In auction mode all of the user's RBTC goes to the auction house instead, together
+     *      with the debt it backs, and _repayAmount and _minCollateralOut are ignored.
+     * @param _user The address of the user to liquidate
+     * @param _repayAmount The amount of USD debt to repay, or type(uint256).max for the close factor limit
+     * @param _minCollateralOut The minimum RBTC the liquidator accepts
+     */
+    function liquidate(address _user, uint256 _repayAmount, uint256 _minCollateralOut) external nonReentrant {
+        _liquidateCollateral(_user, _repayAmount, _minCollateralOut);
+    }
+
+    /**
+     * @notice Liquidate part of an undercollateralized loan, seizing one ERC-20 collateral asset
+     * @dev Same close factor, bonus and penalty as liquidate, priced with the asset's own router.
+     *      In auction mode the user's whole balance of the asset is auctioned instead.
+     * @param _user The address of the user to liquidate
+     * @param _asset The collateral asset to seize
+     * @param _repayAmount The amount of USD debt to repay, or type(uint256).max for the close factor limit
+     * @param _minCollateralOut The minimum amount of the asset the liquidator accepts
+     */
+    function liquidateTokenCollateral(
+        address _user,
+        address _asset,
+        uint256 _repayAmount,
+        uint256 _minCollateralOut
+    ) external nonReentrant {
+        _liquidateTokenCollateral(_user, _asset, _repayAmount, _minCollateralOut);
+    }
+
+    /**
+     * @notice Liquidate part of an undercollateralized position, seizing RBTC collateral
+     * @dev Same rules as liquidate
+     * @param _positionId The position
+     * @param _repayAmount The amount of USD debt to repay, or type(uint256).max for the close factor limit
+     * @param _minCollateralOut The minimum RBTC the liquidator accepts
+     */
+    function liquidatePosition(uint256 _positionId, uint256 _repayAmount, uint256 _minCollateralOut)
+        external
+        nonReentrant
+    {
+        _liquidateCollateral(_existingPositionAccount(_positionId), _repayAmount, _minCollateralOut);
+    }
+
+    /**
+     * @notice Liquidate part of an undercollateralized position, seizing one ERC-20 collateral asset
+     * @dev Same rules as liquidateTokenCollateral
+     * @param _positionId The position
+     * @param _asset The collateral asset to seize
+     * @param _repayAmount The amount of USD debt to repay, or type(uint256).max for the close factor limit
+     * @param _minCollateralOut The minimum amount of the asset the liquidator accepts
+     */
+    function liquidatePositionTokenCollateral(
+        uint256 _positionId,
+        address _asset,
+        uint256 _repayAmount,
+        uint256 _minCollateralOut
+    ) external nonReentrant {
+        _liquidateTokenCollateral(_existingPositionAccount(_positionId), _asset, _repayAmount, _minCollateralOut);
+    }
+
+    /**
+     * @notice Scan a page of active borrowers for liquidatable loans
+     * @dev Simulated off-chain by Chainlink Automation. Register one upkeep per page.
+     *      Outside auction mode a loan is only reported while USD reserves left over from the
+     *      loans before it can repay part of it, the same amount performUpkeep would use.
+     * @param _checkData abi.encode(uint256 offset, uint256 limit), or empty to scan from the start
+     * @return upkeepNeeded True if at least one loan in the page can be liquidated
+     * @return performData abi.encode(address[]) of up to MAX_UPKEEP_BATCH liquidatable borrowers
+     */
+    function checkUpkeep(bytes calldata _checkData)
+        external
+        view
+        override
+        returns (bool upkeepNeeded, bytes memory performData)
+    {
+        bool direct = auctionHouse == address(0);
+        uint256 liquidity = direct ? _reserveLiquidity() : 0;
+        if (pausedActions[PausableAction.Liquidate] || (direct && liquidity == 0)) {
+            return (false, abi.encode(new address[](0)));
+        }
+        (uint256 offset, uint256 limit) =
+            _checkData.length == 0 ? (0, MAX_UPKEEP_BATCH) : abi.decode(_checkData, (uint256, uint256));
+        address[] memory page = getActiveBorrowers(offset, limit);
+        address[] memory unhealthy = new address[](Math.min(page.length, MAX_UPKEEP_BATCH));
+
+        uint256 count;
+        for (uint256 i = 0; i < page.length && count < unhealthy.length; i++) {
+            if (!_isLiquidatable(page[i])) continue;
+            if (direct) {
+                (, uint256 value) = _keeperCollateral(page[i]);
+                uint256 repayAmount = _keeperRepayAmount(page[i], _getCurrentDebt(page[i]), value, liquidity);
+                if (repayAmount == 0) continue;
+                liquidity -= repayAmount;
+            }
+            unhealthy[count++] = page[i];
+        }
+        assembly {
+            mstore(unhealthy, count)
+        }
+        return (count > 0, abi.encode(unhealthy));
+    }
+
+    /**
+     * @notice Liquidate the unhealthy loans found by checkUpkeep, paying keeperRewardRecipient a reward
+     * @dev Anyone may call this and every borrower is re-checked. The debt is repaid from USD
+     *      reserves, up to the close factor and the value of the seized asset. The protocol keeps
+     *      the seized collateral except the liquidationBonus, which goes to keeperRewardRecipient
+     *      as reward, or also stays in reserves while it is unset.
+     *      In auction mode the first collateral asset is auctioned instead, without a reward.
+     * @param _performData abi.encode(address[]) of borrowers to liquidate
+     */
+    function performUpkeep(bytes calldata _performData) external override nonReentrant {
+        _requireNotPaused(PausableAction.Liquidate);
+        address[] memory users = abi.decode(_performData, (address[]));
+        if (users.length > MAX_UPKEEP_BATCH) revert UpkeepBatchTooLarge();
+
+        _accrueInterest();
+        for (uint256 i = 0; i < users.length; i++) {
+            _refreshPrices(users[i]);
+            if (_isLiquidatable(users[i])) _keeperLiquidate(users[i]);
+        }
+    }
+
+    /**
+     * @notice Book the proceeds of an auction started by liquidate
+     * @dev Called by the auction house after every take. USD paid by bidders is already in the
+     *      pool: the debt part goes back to lenders and the penalty part to reserves. Debt the
+     *      auction could not raise is recorded as bad debt. Collateral left over
+     *      once the tab is raised is credited back to the borrower.
+     * @param _user The borrower whose collateral was auctioned
+     * @param _asset The auctioned asset, address(0) for native RBTC sent as msg.value
+     * @param _debtRepaid The USD debt repaid by this take
+     * @param _penaltyPaid The USD liquidation penalty paid by this take
+     * @param _collateralReturned The collateral handed back to the borrower
+     * @param _debtUnpaid The USD debt left unpaid when the collateral ran out
+     */
+    function settleAuction(
+        address _user,
+        address _asset,
+        uint256 _debtRepaid,
+        uint256 _penaltyPaid,
+        uint256 _collateralReturned,
+        uint256 _debtUnpaid
+    ) external payable {
+        if (msg.sender != auctionHouse) revert NotAuctionHouse();
+
+        auctionDebt -= _debtRepaid + _debtUnpaid;
+        usdReserves += _penaltyPaid;
+        _burnRepayment(_debtRepaid);
+        if (_debtUnpaid > 0) _recordBadDebt(_user, _debtUnpaid);
+        if (_asset == address(0)) {
+            loans[_user].collateralAmount += _collateralReturned;
+            totalCollateral += _collateralReturned;
+        } else {
+            tokenCollateral[_user][_asset] += _collateralReturned;
+            totalTokenCollateral[_asset] += _collateralReturned;
+        }
+
+        emit AuctionSettlement(_user, _asset, _debtRepaid, _penaltyPaid, _collateralReturned, _debtUnpaid);
+    }
+
+    /**
+     * @notice Most USD a single flash loan can borrow: the pool's liquidity not lent out
+     * @param _token The token to borrow, only usdToken is supported
+     */
+    function maxFlashLoan(address _token) external view returns (uint256) {
+        bool available = _token == address(usdToken) && !flashLoanActive && !pausedActions[PausableAction.Borrow];
+        return available ? _availableLiquidity() : 0;
+    }
+
+    /**
+     * @notice Fee charged for a flash loan, paid on top of the borrowed amount
+     * @param _token The token to borrow, only usdToken is supported
+     * @param _amount The amount to borrow
+     */
+    function flashFee(address _token, uint256 _amount) public view returns (uint256) {
+        if (_token != address(usdToken)) revert UnsupportedFlashLoanToken();
+        return (_amount * flashLoanFee) / 10000;
+    }
+
+    /**
+     * @notice Lend pool USD for the duration of one call to the receiver (ERC-3156)
+     * @dev Does not take the reentrancy lock, so the receiver can use every protocol function
+     *      during the callback, for example to repay a loan through liquidate. In exchange:
+     *      - it cannot start inside another protocol call or another flash loan
+     *      - it accrues interest first, so the lowered balance cannot skew the accrued rate
+     *      - vault deposits and withdrawals revert until the loan is repaid, as totalAssets
+     *        does not count the USD that is out
+     *      The amount plus fee is pulled from the receiver, which must approve it.
+     * @param _receiver The contract receiving the USD and the onFlashLoan callback
+     * @param _token The token to borrow, only usdToken is supported
+     * @param _amount The amount to borrow
+     * @param _data Passed through to the receiver
+     * @return success Always true, failures revert
+     */
+    function flashLoan(
+        IERC3156FlashBorrower _receiver,
+        address _token,
+        uint256 _amount,
+        bytes calldata _data
+    ) external returns (bool) {
+        if (_reentrancyGuardEntered() || flashLoanActive) revert FlashLoanInProgress();
+        _requireNotPaused(PausableAction.Borrow);
+        uint256 fee = flashFee(_token, _amount);
+        if (_amount > _availableLiquidity()) revert InsufficientLiquidity();
+        _accrueInterest();
+
+        flashLoanActive = true;
+        if (!usdToken.transfer(address(_receiver), _amount)) revert TransferFailed();
+        if (_receiver.onFlashLoan(msg.sender, _token, _amount, fee, _data) != FLASH_LOAN_CALLBACK_SUCCESS) {
+            revert FlashLoanCallbackFailed();
+        }
+        if (!usdToken.transferFrom(address(_receiver), address(this), _amount + fee)) revert TransferFailed();
+        usdReserves += fee;
+        flashLoanActive = false;
+
+        emit FlashLoan(address(_receiver), msg.sender, _amount, fee);
+        return true;
+    }
+
+    /**
+     * @notice Register a protection order on the caller's own loan
+     * @dev Replaces any order of the same type. Orders are one-shot and deleted once executed,
+     *      and all of a borrower's orders are deleted once their debt is repaid.
+     *      Deleverage needs 0 < targetLtv < trigger, and both types a maxSlippage below 100%.
+     * @param _orderType The order type
+     * @param _order The order
+     */
+    function placeProtectionOrder(ProtectionOrderType _orderType, ProtectionOrder calldata _order) external {
+        if (_order.asset != address(0) && !_collateralConfigs[_order.asset].listed) revert CollateralNotListed();
+        if (
+            _order.trigger == 0 ||
+            _order.maxSlippage >= 10000 ||
+            (_orderType == ProtectionOrderType.Deleverage &&
+                (_order.targetLtv == 0 || _order.targetLtv >= _order.trigger))
+        ) revert InvalidProtectionOrder();
+
+        _protectionOrders[msg.sender][_orderType] = _order;
+        emit ProtectionOrderPlaced(msg.sender, _orderType, _order);
+    }
+
+    /**
+     * @notice Drop one of the caller's protection orders
+     * @param _orderType The order type
+     */
+    function cancelProtectionOrder(ProtectionOrderType _orderType) external {
+        if (_protectionOrders[msg.sender][_orderType].trigger == 0) revert NoProtectionOrder();
+        delete _protectionOrders[msg.sender][_orderType];
+        emit ProtectionOrderCancelled(msg.sender, _orderType);
+    }
+
+    /**
+     * @notice Execute a triggered protection order, paying the caller protectionFee
+     * @dev Sells the order's collateral through swapAdapter and repays the loan from the proceeds.
+     *      Deleverage sells the oracle value that brings the loan to targetLtv after the fee, so
+     *      slippage leaves it slightly above. StopLoss sells enough to repay the whole debt at the
+     *      worst allowed slippage and returns any USD left over to the borrower. Either sells at
+     *      most the borrower's balance of the asset. Reverts when the swap returns less than the
+     *      oracle value minus maxSlippage, or leaves debt that is liquidatable or below minLoanSize.
+     * @param _user The borrower
+     * @param _orderType The order type
+     */
+    function executeProtectionOrder(address _user, ProtectionOrderType _orderType) external nonReentrant {
+        _requireNotPaused(PausableAction.Withdraw);
+        ProtectionOrder memory order = _protectionOrders[_user][_orderType];
+        if (order.trigger == 0) revert NoProtectionOrder();
+        if (address(swapAdapter) == address(0)) revert SwapAdapterNotSet();
+        _accrueInterest();
+        _refreshPrices(_user);
+        Loan storage loan = loans[_user];
+        uint256 debt = _settleDebt(loan);
+        if (debt == 0) revert NoActiveLoan();
+        if (!_protectionOrderTriggered(_user, _orderType, order, debt)) revert OrderNotTriggered();
+
+        (uint256 amount, uint256 value) = _protectionSale(_user, _orderType, order, debt);
+        if (amount == 0) revert InsufficientCollateral();
+        delete _protectionOrders[_user][_orderType];
+
+        uint256 proceeds = usdToken.balanceOf(address(this));
+        if (order.asset == address(0)) {
+            loan.collateralAmount -= amount;
+            totalCollateral -= amount;
+        } else {
+            tokenCollateral[_user][order.asset] -= amount;
+            totalTokenCollateral[order.asset] -= amount;
+            IERC20(order.asset).forceApprove(address(swapAdapter), amount);
+        }
+        uint256 minOut = (value * (10000 - order.maxSlippage)) / 10000;
+        swapAdapter.swapToUSD{value: order.asset == address(0) ? amount : 0}(order.asset, amount, minOut);
+        proceeds = usdToken.balanceOf(address(this)) - proceeds;
+        if (proceeds < minOut) revert SwapOutputBelowMinimum();
+
+        uint256 fee = (proceeds * protectionFee) / 10000;
+        uint256 repaid = Math.min(proceeds - fee, debt);
+        loan.borrowedAmount -= repaid;
+        _reduceTotalBorrowed(repaid);
+        _closeIfRepaid(_user, loan);
+        _burnRepayment(repaid);
+        if (loan.borrowedAmount > 0) {
+            if (loan.borrowedAmount < minLoanSize) revert LoanBelowMinimum(minLoanSize);
+            if (_isLiquidatable(_user)) revert UnhealthyAfterProtection();
+        }
+
+        if (fee > 0 && !usdToken.transfer(msg.sender, fee)) revert TransferFailed();
+        uint256 surplus = proceeds - fee - repaid;
+        if (surplus > 0 && !usdToken.transfer(_user, surplus)) revert TransferFailed();
+
+        emit ProtectionOrderExecuted(_user, _orderType, msg.sender, amount, repaid, fee);
+    }
+
+    /**
+     * @notice Whether a protection order can be executed at current prices
+     * @param _user The borrower
+     * @param _orderType The order type
+     */
+    function isProtectionOrderTriggered(address _user, ProtectionOrderType _orderType) external view returns (bool) {
+        ProtectionOrder memory order = _protectionOrders[_user][_orderType];
+        uint256 debt = _getCurrentDebt(_user);
+        return order.trigger != 0 && debt > 0 && _protectionOrderTriggered(_user, _orderType, order, debt);
+    }
+
+    /**
+     * @notice A borrower's protection order of one type, with a zero trigger when none is set
+     * @param _user The borrower
+     * @param _orderType The order type
+     */
+    function protectionOrders(
+        address _user,
+        ProtectionOrderType _orderType
+    ) external view returns (ProtectionOrder memory) {
+        return _protectionOrders[_user][_orderType];
+    }
+
+    /**
+     * @notice USD value of one asset that a user could remove while staying within maxLtv
+     * @param _maxLtv The maxLtv of the asset being removed
+     * @return value The removable value, type(uint256).max when the user has no debt
+     */
+    function _freeCollateralValue(address _user, uint256 _maxLtv) internal view returns (uint256) {
+        uint256 debt = _getCurrentDebt(_user);
+        if (debt == 0) return type(uint256).max;
+
+        uint256 borrowingPower = _borrowingPower(_user);
+        if (borrowingPower <= debt) return 0;
+        return ((borrowingPower - debt) * PRECISION) / _maxLtv;
+    }
+
+    /**
+     * @notice Whether the LTV or price condition of a protection order holds
+     */
+    function _protectionOrderTriggered(
+        address _user,
+        ProtectionOrderType _orderType,
+        ProtectionOrder memory _order,
+        uint256 _debt
+    ) internal view returns (bool) {
+        if (_orderType == ProtectionOrderType.Deleverage) {
+            (uint256 collateralValueUSD,,) = _accountCollateral(_user);
+            return _debt * PRECISION >= _order.trigger * collateralValueUSD;
+        }
+        uint256 price = _order.asset == address(0)
+            ? _btcToUSD(1 ether)
+            : _tokenToUSD(_order.asset, 10 ** _collateralConfigs[_order.asset].decimals);
+        return price <= _order.trigger;
+    }
+
+    /**
+     * @notice Collateral a triggered protection order sells, capped at the borrower's balance
+     * @return amount The amount to sell, in the asset's own decimals
+     * @return value Its oracle value in USD
+     */
+    function _protectionSale(
+        address _user,
+        ProtectionOrderType _orderType,
+        ProtectionOrder memory _order,
+        uint256 _debt
+    ) internal view returns (uint256 amount, uint256 value) {
+        bool native = _order.asset == address(0);
+        uint256 balance = native ? loans[_user].collateralAmount : tokenCollateral[_user][_order.asset];
+        if (balance == 0) return (0, 0);
+        uint256 balanceValue = native ? _btcToUSD(balance) : _tokenToUSD(_order.asset, balance);
+
+        if (_orderType == ProtectionOrderType.Deleverage) {
+            // Solve (debt - value * (1 - fee)) / (collateral - value) = targetLtv for value
+            (uint256 collateralValueUSD,,) = _accountCollateral(_user);
+            uint256 excess = _debt * PRECISION - _order.targetLtv * collateralValueUSD;
+            uint256 keptShare = PRECISION * (10000 - protectionFee);
+            value = keptShare > _order.targetLtv * 10000
+                ? (excess * 10000) / (keptShare - _order.targetLtv * 10000)
+                : balanceValue;
+        } else {
+            value = (_debt * 10000 * 10000) / ((10000 - protectionFee) * (10000 - _order.maxSlippage));
+        }
+        if (value >= balanceValue) return (balance, balanceValue);
+        amount = (balance * value) / balanceValue;
+    }
+
+    /**
+     * @notice Liquidate an account's RBTC collateral, or auction it in auction mode
+     */
+    function _liquidateCollateral(address _user, uint256 _repayAmount, uint256 _minCollateralOut) internal {
+        _requireNotPaused(PausableAction.Liquidate);
+        _requireLiquidatable(_user);
+        if (auctionHouse != address(0)) {
+            _startAuction(_user, address(0));
+            return;
+        }
+        (uint256 repaid, uint256 liquidatorAmount, uint256 penaltyAmount) =
+            _liquidate(_user, address(0), _repayAmount, _minCollateralOut, false);
+
+        // Send collateral plus bonus to liquidator
+        _seizeCollateral(_user, address(0), msg.sender, liquidatorAmount, penaltyAmount);
+
+        emit Liquidation(_user, msg.sender, liquidatorAmount + penaltyAmount, repaid);
+    }
+
+    /**
+     * @notice Liquidate one of an account's ERC-20 collateral assets, or auction it in auction mode
+     */
+    function _liquidateTokenCollateral(
+        address _user,
+        address _asset,
+        uint256 _repayAmount,
+        uint256 _minCollateralOut
+    ) internal {
+        _requireNotPaused(PausableAction.Liquidate);
+        if (!_collateralConfigs[_asset].listed) revert CollateralNotListed();
+        _requireLiquidatable(_user);
+        if (auctionHouse != address(0)) {
+            _startAuction(_user, _asset);
+            return;
+        }
+        (uint256 repaid, uint256 liquidatorAmount, uint256 penaltyAmount) =
+            _liquidate(_user, _asset, _repayAmount, _minCollateralOut, false);
+
+        _seizeCollateral(_user, _asset, msg.sender, liquidatorAmount, penaltyAmount);
+
+        emit TokenCollateralLiquidated(_user, msg.sender, _asset, liquidatorAmount + penaltyAmount, repaid);
+    }
+
+    /**
+     * @notice Liquidate a loan from USD reserves on behalf of a keeper
+     * @dev Skips the loan when reserves are empty
+     */
+    function _keeperLiquidate(address _user) internal {
+        (address asset, uint256 value) = _keeperCollateral(_user);
+        if (auctionHouse != address(0)) {
+            _startAuction(_user, asset);
+            return;
+        }
+
+        uint256 repayAmount = _keeperRepayAmount(_user, _settleDebt(loans[_user]), value, _reserveLiquidity());
+        if (repayAmount == 0) return;
+
+        uint256 bonus = _riskParameters.liquidationBonus;
+        address recipient = _keeperRewardRecipient;
+        (, uint256 liquidatorAmount, uint256 penaltyAmount) = _liquidate(_user, asset, repayAmount, 0, true);
+        uint256 reward = recipient == address(0) ? 0 : (liquidatorAmount * bonus) / (PRECISION + bonus);
+        _seizeCollateral(_user, asset, recipient, reward, liquidatorAmount + penaltyAmount - reward);
+
+        emit KeeperLiquidation(_user, msg.sender, asset, liquidatorAmount + penaltyAmount, repayAmount, reward);
+    }
+
+    /**
+     * @notice Collateral asset a keeper liquidation seizes
+     * @dev Native RBTC first, then ERC-20 assets in listing order
+     * @return asset The asset, address(0) for native RBTC
+     * @return value The USD value of the user's balance of it
+     */
+    function _keeperCollateral(address _user) internal view returns (address asset, uint256 value) {
+        uint256 balance = loans[_user].collateralAmount;
+        if (balance > 0) return (address(0), _btcToUSD(balance));
+        for (uint256 i = 0; i < collateralAssets.length; i++) {
+            asset = collateralAssets[i];
+            balance = tokenCollateral[_user][asset];
+            if (balance > 0) return (asset, _tokenToUSD(asset, balance));
+        }
+    }
+
+    /**
+     * @notice USD debt a keeper liquidation repays from reserves
+     * @dev Up to the close factor and the value of the seized asset. A loan in shortfall pays no
+     *      penalty to reserves: its collateral all goes to the debt and the keeper's reward, so
+     *      lenders only lose what it cannot cover.
+     * @param _debt The loan's current debt
+     * @param _value The USD value of the seized asset
+     * @param _liquidity The USD reserves available, see _reserveLiquidity
+     */
+    function _keeperRepayAmount(
+        address _user,
+        uint256 _debt,
+        uint256 _value,
+        uint256 _liquidity
+    ) internal view returns (uint256) {
+        (uint256 maxRepay, bool shortfall) = _liquidationLimit(_user, _debt);
+        uint256 seizedShare = shortfall ? _riskParameters.liquidationBonus : _riskParameters.liquidationPenalty;
+        return Math.min(_liquidity, Math.min(maxRepay, (_value * PRECISION) / (PRECISION + seizedShare)));
+    }
+}
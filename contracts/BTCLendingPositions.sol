@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/IBTCLendingPositions.sol";
+
+/**
+ * @title BTCLendingPositions
+ * @notice Position tokens of BTCLendingProtocol. Each token is an isolated loan with its own
+ *      collateral and debt, and whoever holds it controls the loan.
+ * @dev Deployed before the protocol's proxy, which must then be made its owner. The protocol
+ *      books a position's collateral and debt itself; transferring the token moves the whole
+ *      position, debt included.
+ */
+contract BTCLendingPositions is ERC721, Ownable, IBTCLendingPositions {
+    uint256 public positionCount;
+
+    constructor() ERC721("BTC Lending Position", "BLP") Ownable(msg.sender) {}
+
+    /**
+     * @notice Mint a new, empty position
+     * @dev Uses _mint rather than _safeMint so no receiver hook runs inside a protocol call
+     * @param _to The owner of the new position
+     * @return positionId The id of the new position, starting at 1
+     */
+    function mint(address _to) external onlyOwner returns (uint256 positionId) {
+        positionId = ++positionCount;
+        _mint(_to, positionId);
+    }
+
+    /**
+     * @notice Whether an address may manage a position: its owner or an approved operator
+     * @param _spender The address to check
+     * @param _positionId The position
+     */
+    function isApprovedOrOwner(address _spender, uint256 _positionId) external view returns (bool) {
+        return _isAuthorized(_ownerOf(_positionId), _spender, _positionId);
+    }
+}
@@ -1,325 +1,695 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.29;
 
-import "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-
-/**
- * @notice Custom errors
- */
-error InvalidPriceData();
-error PriceDataStale();
-error MustDepositCollateral();
-error NoCollateralDeposited();
-error ExceedsBorrowingLimit();
-error TransferFailed();
-error NoActiveLoan();
-error AmountExceedsDebt();
-error InsufficientCollateral();
-error OutstandingDebtExists();
-error LoanNotLiquidatable();
-error DebtTransferFailed();
-
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC4626Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./BTCLendingCore.sol";
 
 /**
  * @title BTCLendingProtocol
  * @notice A simple BTC-backed lending protocol on RSK Testnet
+ * @dev The contract is also an ERC-4626 vault over usdToken: lenders deposit USD for shares
+ *      whose value grows as borrowers pay interest. Unhealthy loans can be liquidated by anyone,
+ *      or by Chainlink Automation keepers through checkUpkeep/performUpkeep.
+ *
+ *      Each address has one loan of its own and can open any number of isolated positions on
+ *      top, ERC-721 tokens of positionToken that carry their collateral and debt with them.
+ *      Borrow, repay and withdraw can also be signed as EIP-712 intents for a relayer to submit.
+ *
+ *      Borrower flows live here. Liquidations, reserves, keepers and most views live in
+ *      BTCLendingExt, reached through the fallback, and owner functions and reports in
+ *      BTCLendingAdmin, reached through the extension's fallback. This keeps every contract
+ *      under the 24KB size limit. Use IBTCLendingProtocol for the complete ABI.
+ *
+ *      Deployed behind a BTCLendingProxy and set up with initialize. It is a UUPS implementation:
+ *      the owner queues the next one with queueUpgrade and calls upgradeToAndCall on the proxy
+ *      once TIMELOCK_DELAY has passed. Each implementation brings its own extension, so an
+ *      upgrade replaces all three contracts at once.
  */
-contract BTCLendingProtocol is ReentrancyGuard, Ownable {
-    AggregatorV3Interface internal priceFeed;
-    IERC20 public usdToken;
-    uint256 public constant LIQUIDATION_THRESHOLD = 75; // 75% LTV
-    uint256 public constant MAX_LTV = 70; // 70% max loan-to-value
-    uint256 public constant LIQUIDATION_PENALTY = 10; // 10% penalty
-    uint256 public constant PRECISION = 100; // 100% precision
-    
+contract BTCLendingProtocol is BTCLendingCore, ERC4626Upgradeable, EIP712Upgradeable, UUPSUpgradeable {
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    bytes32 private constant BORROW_TYPEHASH =
+        keccak256("Borrow(address user,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 private constant REPAY_TYPEHASH =
+        keccak256("Repay(address user,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 private constant WITHDRAW_TYPEHASH =
+        keccak256("Withdraw(address user,address asset,uint256 amount,uint256 nonce,uint256 deadline)");
+
     /**
-     * @notice Loan struct
-     * @dev Stores loan information
+     * @notice BTCLendingExt that serves every call this contract does not implement
+     * @custom:oz-upgrades-unsafe-allow state-variable-immutable
      */
-    struct Loan {
-        uint256 collateralAmount; // RBTC amount in wei
-        uint256 borrowedAmount;   // USD amount borrowed
-        uint256 timestamp;        // When loan was created
-        bool active;             // Is loan active
+    address public immutable extensionDelegate;
+
+    /**
+     * @notice Constructor of the implementation, whose own storage is never initialized
+     * @param _extensionDelegate The address of the BTCLendingExt serving the remaining functions
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor(address _extensionDelegate) {
+        if (_extensionDelegate == address(0)) revert ZeroAddress();
+        extensionDelegate = _extensionDelegate;
+        _disableInitializers();
     }
-    
+
     /**
-     * @notice Mapping of user addresses to their loan information
+     * @notice Set up the protocol behind its proxy, with the caller as owner
+     * @param _usdToken The address of the USD token
+     * @param _interestRateModel The address of the interest rate model
+     * @param _priceRouter The address of the BTC/USD price router
+     * @param _positionToken The BTCLendingPositions this proxy must be made the owner of
+     * @param _riskParams The initial risk parameters, validated like queueRiskParameters
+     * @param _cdpMode True to mint _usdToken, a BTCLendingStablecoin this proxy must be made
+     *        the owner of, instead of lending it from the vault. Borrowing then stays closed
+     *        until the owner sets a debt ceiling with setDebtCeiling.
      */
-    mapping(address => Loan) public loans;
+    function initialize(
+        address _usdToken,
+        address _interestRateModel,
+        address _priceRouter,
+        address _positionToken,
+        RiskParameters calldata _riskParams,
+        bool _cdpMode
+    ) external initializer {
+        if (
+            _usdToken == address(0) ||
+            _interestRateModel == address(0) ||
+            _priceRouter == address(0) ||
+            _positionToken == address(0)
+        ) revert ZeroAddress();
+        __ReentrancyGuard_init();
+        __Ownable_init(msg.sender);
+        __ERC20_init("BTC Lending Pool USD", "blUSD");
+        __ERC4626_init(IERC20(_usdToken));
+        __EIP712_init("BTCLendingProtocol", "1");
+
+        priceRouter = IPriceRouter(_priceRouter);
+        usdToken = IERC20(_usdToken);
+        cdpMode = _cdpMode;
+        protectionFee = 50; // 0.5%
+        _requireValidRiskParameters(_riskParams);
+        _riskParameters = _riskParams;
+        interestRateModel = IInterestRateModel(_interestRateModel);
+        positionToken = IBTCLendingPositions(_positionToken);
+        flashLoanFee = 9; // 0.09%
+        borrowIndex = WAD;
+        lastAccrualTime = block.timestamp;
+    }
 
     /**
-     * @notice Total collateral deposited
+     * @notice Allow contract to receive ETH
+     * @dev Direct transfers are not collateral and are credited to protocol reserves
      */
-    uint256 public totalCollateral;
+    receive() external payable {
+        rbtcReserves += msg.value;
+        emit ReservesAdded(msg.sender, msg.value, 0);
+    }
 
     /**
-     * @notice Total borrowed amount
+     * @notice Forward every other call to the extension, in this contract's storage
      */
-    uint256 public totalBorrowed;
-    
+    fallback() external payable {
+        address extension = extensionDelegate;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), extension, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+
     /**
-     * @notice Emitted when collateral is deposited
+     * @notice Deposit RBTC as collateral
      */
-    event CollateralDeposited(address indexed user, uint256 amount);
-    event LoanTaken(address indexed user, uint256 collateral, uint256 borrowed);
-    event LoanRepaid(address indexed user, uint256 amount);
-    event CollateralWithdrawn(address indexed user, uint256 amount);
-    event Liquidation(address indexed user, address indexed liquidator, uint256 collateral, uint256 debt);
-    
+    function depositCollateral() external payable nonReentrant {
+        _depositCollateral(msg.sender);
+    }
+
     /**
-     * @notice Constructor
-     * @param _usdToken The address of the USD token
+     * @notice Deposit a listed ERC-20 asset as collateral
+     * @param _asset The collateral asset
+     * @param _amount The amount to deposit, in the asset's own decimals
      */
-    constructor(address _usdToken) Ownable(msg.sender) {
-        // BTC/USD Price Feed on RSK Testnet
-        priceFeed = AggregatorV3Interface(0x5741306c21795FdCBb9b265Ea0255F499DFe515C);
-        usdToken = IERC20(_usdToken);
+    function depositTokenCollateral(address _asset, uint256 _amount) external nonReentrant {
+        _depositTokenCollateral(msg.sender, _asset, _amount);
     }
-    
+
     /**
-     * @notice Allow contract to receive ETH
+     * @notice Borrow USD against RBTC and ERC-20 collateral
+     * @param _amount The amount of USD to borrow
      */
-    receive() external payable {}
-    
+    function borrow(uint256 _amount) external nonReentrant {
+        _borrow(msg.sender, msg.sender, _amount);
+    }
+
     /**
-     * @notice Get latest BTC/USD price from Chainlink
-     * @return price The latest BTC/USD price
-     * @return decimals The number of decimals for the price
+     * @notice Repay borrowed USD
+     * @param _amount The amount of USD to repay, or type(uint256).max to repay the full debt
      */
-    function getLatestPrice() public view returns (int256, uint256) {
-        (
-            ,
-            int256 price,
-            ,
-            uint256 updatedAt,
-        ) = priceFeed.latestRoundData();
-        
-        if (price <= 0) revert InvalidPriceData();
-        if (block.timestamp - updatedAt >= 3600) revert PriceDataStale();
-        
-        return (price, priceFeed.decimals());
+    function repay(uint256 _amount) external nonReentrant {
+        _repay(msg.sender, msg.sender, _amount);
     }
-    
+
     /**
-     * @notice Convert RBTC amount to USD value
-     * @param _btcAmount The amount of RBTC to convert
-     * @return usdValue The USD value of the RBTC amount
+     * @notice Withdraw collateral, keeping any open loan within maxLtv
+     * @param _amount The amount of RBTC to withdraw
      */
-    function btcToUSD(uint256 _btcAmount) public view returns (uint256) {
-        (int256 price, uint256 decimals) = getLatestPrice();
-        
-        // Convert BTC amount (18 decimals) to USD (18 decimals)
-        // Price has 'decimals' decimals, so we need to adjust
-        uint256 usdValue = (_btcAmount * uint256(price)) / (10**decimals);
-        
-        return usdValue;
+    function withdrawCollateral(uint256 _amount) external nonReentrant {
+        _withdrawCollateral(msg.sender, msg.sender, _amount);
     }
-    
+
     /**
-     * @notice Calculate maximum borrowable amount based on collateral
-     * @param _collateralAmount The amount of RBTC collateral
-     * @return maxBorrow The maximum borrowable amount
+     * @notice Withdraw ERC-20 collateral, keeping any open loan within maxLtv
+     * @param _asset The collateral asset
+     * @param _amount The amount to withdraw, in the asset's own decimals
      */
-    function getMaxBorrowAmount(uint256 _collateralAmount) public view returns (uint256) {
-        uint256 collateralValueUSD = btcToUSD(_collateralAmount);
-        return (collateralValueUSD * MAX_LTV) / PRECISION;
+    function withdrawTokenCollateral(address _asset, uint256 _amount) external nonReentrant {
+        _withdrawTokenCollateral(msg.sender, msg.sender, _asset, _amount);
     }
-    
+
     /**
-     * @notice Calculate current loan-to-value ratio
-     * @param _user The address of the user
-     * @return ltv The loan-to-value ratio
+     * @notice Deposit RBTC as collateral for another user
+     * @param _user The user credited with the collateral
      */
-    function getLoanToValue(address _user) public view returns (uint256) {
-        Loan memory loan = loans[_user];
-        if (loan.collateralAmount == 0) return 0;
-        
-        uint256 collateralValueUSD = btcToUSD(loan.collateralAmount);
-        return (loan.borrowedAmount * PRECISION) / collateralValueUSD;
+    function depositCollateralFor(address _user) external payable nonReentrant {
+        _depositCollateral(_user);
+        emit ActionOnBehalf(_user, msg.sender, msg.sig);
     }
-    
+
     /**
-     * @notice Check if a loan is eligible for liquidation
-     * @param _user The address of the user
-     * @return isLiquidatable True if the loan is eligible for liquidation
+     * @notice Deposit a listed ERC-20 asset as collateral for another user, pulled from the caller
+     * @param _user The user credited with the collateral
+     * @param _asset The collateral asset
+     * @param _amount The amount to deposit, in the asset's own decimals
      */
-    function isLiquidatable(address _user) public view returns (bool) {
-        return getLoanToValue(_user) >= LIQUIDATION_THRESHOLD;
+    function depositTokenCollateralFor(address _user, address _asset, uint256 _amount) external nonReentrant {
+        _depositTokenCollateral(_user, _asset, _amount);
+        emit ActionOnBehalf(_user, msg.sender, msg.sig);
     }
-    
+
     /**
-     * @notice Deposit RBTC as collateral
+     * @notice Repay another user's debt with the caller's USD
+     * @param _user The user whose debt is repaid
+     * @param _amount The amount of USD to repay, or type(uint256).max to repay the full debt
      */
-    function depositCollateral() external payable nonReentrant {
+    function repayFor(address _user, uint256 _amount) external nonReentrant {
+        _repay(_user, msg.sender, _amount);
+        emit ActionOnBehalf(_user, msg.sender, msg.sig);
+    }
+
+    /**
+     * @notice Borrow USD against a user's collateral as their operator
+     * @dev The USD always goes to the user, never to the operator
+     * @param _user The user who approved the caller with setOperator
+     * @param _amount The amount of USD to borrow
+     */
+    function borrowFor(address _user, uint256 _amount) external nonReentrant {
+        _requireOperator(_user);
+        _borrow(_user, _user, _amount);
+        emit ActionOnBehalf(_user, msg.sender, msg.sig);
+    }
+
+    /**
+     * @notice Withdraw a user's RBTC collateral as their operator
+     * @dev The RBTC always goes to the user, never to the operator
+     * @param _user The user who approved the caller with setOperator
+     * @param _amount The amount of RBTC to withdraw
+     */
+    function withdrawCollateralFor(address _user, uint256 _amount) external nonReentrant {
+        _requireOperator(_user);
+        _withdrawCollateral(_user, _user, _amount);
+        emit ActionOnBehalf(_user, msg.sender, msg.sig);
+    }
+
+    /**
+     * @notice Withdraw a user's ERC-20 collateral as their operator
+     * @dev The collateral always goes to the user, never to the operator
+     * @param _user The user who approved the caller with setOperator
+     * @param _asset The collateral asset
+     * @param _amount The amount to withdraw, in the asset's own decimals
+     */
+    function withdrawTokenCollateralFor(address _user, address _asset, uint256 _amount) external nonReentrant {
+        _requireOperator(_user);
+        _withdrawTokenCollateral(_user, _user, _asset, _amount);
+        emit ActionOnBehalf(_user, msg.sender, msg.sig);
+    }
+
+    /**
+     * @notice Repay borrowed USD, approving it with an ERC-2612 permit in the same transaction
+     * @dev A failed permit is ignored, so a permit already submitted by someone else does not
+     *      block the repayment. It then relies on the existing allowance.
+     * @param _amount The amount of USD to repay, also the permitted allowance
+     * @param _deadline The permit deadline
+     * @param _v The permit signature's v
+     * @param _r The permit signature's r
+     * @param _s The permit signature's s
+     */
+    function repayWithPermit(uint256 _amount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s)
+        external
+        nonReentrant
+    {
+        try IERC20Permit(address(usdToken)).permit(msg.sender, address(this), _amount, _deadline, _v, _r, _s) {}
+        catch {}
+        _repay(msg.sender, msg.sender, _amount);
+    }
+
+    /**
+     * @notice Borrow USD for a user who signed a Borrow intent, sent to the user
+     * @dev Anyone can relay the intent. See _useIntent for the checks.
+     * @param _user The signer, whose loan borrows
+     * @param _amount The amount of USD to borrow
+     * @param _nonce The intent's nonce, any unused value
+     * @param _deadline The last timestamp the intent is valid at
+     * @param _signature The user's EIP-712 signature, or ERC-1271 for contract wallets
+     */
+    function borrowWithSig(
+        address _user,
+        uint256 _amount,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external nonReentrant {
+        _useIntent(
+            _user,
+            keccak256(abi.encode(BORROW_TYPEHASH, _user, _amount, _nonce, _deadline)),
+            _nonce,
+            _deadline,
+            _signature
+        );
+        _borrow(_user, _user, _amount);
+        emit ActionOnBehalf(_user, msg.sender, msg.sig);
+    }
+
+    /**
+     * @notice Repay a user's debt with USD pulled from the user, who signed a Repay intent
+     * @dev The user must have approved the USD, which a relayer can do with an ERC-2612 permit
+     * @param _user The signer, whose loan is repaid
+     * @param _amount The amount of USD to repay, or type(uint256).max to repay the full debt
+     * @param _nonce The intent's nonce, any unused value
+     * @param _deadline The last timestamp the intent is valid at
+     * @param _signature The user's EIP-712 signature, or ERC-1271 for contract wallets
+     */
+    function repayWithSig(
+        address _user,
+        uint256 _amount,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external nonReentrant {
+        _useIntent(
+            _user,
+            keccak256(abi.encode(REPAY_TYPEHASH, _user, _amount, _nonce, _deadline)),
+            _nonce,
+            _deadline,
+            _signature
+        );
+        _repay(_user, _user, _amount);
+        emit ActionOnBehalf(_user, msg.sender, msg.sig);
+    }
+
+    /**
+     * @notice Withdraw collateral for a user who signed a Withdraw intent, sent to the user
+     * @param _user The signer, whose collateral is withdrawn
+     * @param _asset The collateral asset, address(0) for native RBTC
+     * @param _amount The amount to withdraw, in the asset's own decimals
+     * @param _nonce The intent's nonce, any unused value
+     * @param _deadline The last timestamp the intent is valid at
+     * @param _signature The user's EIP-712 signature, or ERC-1271 for contract wallets
+     */
+    function withdrawWithSig(
+        address _user,
+        address _asset,
+        uint256 _amount,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external nonReentrant {
+        _useIntent(
+            _user,
+            keccak256(abi.encode(WITHDRAW_TYPEHASH, _user, _asset, _amount, _nonce, _deadline)),
+            _nonce,
+            _deadline,
+            _signature
+        );
+        if (_asset == address(0)) {
+            _withdrawCollateral(_user, _user, _amount);
+        } else {
+            _withdrawTokenCollateral(_user, _user, _asset, _amount);
+        }
+        emit ActionOnBehalf(_user, msg.sender, msg.sig);
+    }
+
+    /**
+     * @notice Open a new isolated position, minted to the caller as an ERC-721 token
+     * @dev Any RBTC sent along is deposited into the position
+     * @return positionId The id of the new position
+     */
+    function openPosition() external payable nonReentrant returns (uint256 positionId) {
+        positionId = positionToken.mint(msg.sender);
+        emit PositionOpened(positionId, msg.sender, _positionAccount(positionId));
+        if (msg.value > 0) _depositCollateral(_positionAccount(positionId));
+    }
+
+    /**
+     * @notice Deposit RBTC as collateral into a position
+     * @dev Anyone may add collateral to an existing position
+     * @param _positionId The position
+     */
+    function depositPositionCollateral(uint256 _positionId) external payable nonReentrant {
+        _depositCollateral(_existingPositionAccount(_positionId));
+    }
+
+    /**
+     * @notice Deposit a listed ERC-20 asset as collateral into a position
+     * @param _positionId The position
+     * @param _asset The collateral asset
+     * @param _amount The amount to deposit, in the asset's own decimals
+     */
+    function depositPositionTokenCollateral(uint256 _positionId, address _asset, uint256 _amount)
+        external
+        nonReentrant
+    {
+        _depositTokenCollateral(_existingPositionAccount(_positionId), _asset, _amount);
+    }
+
+    /**
+     * @notice Borrow USD against a position's collateral, sent to the caller
+     * @dev Only the position's owner or an approved operator
+     * @param _positionId The position
+     * @param _amount The amount of USD to borrow
+     */
+    function borrowFromPosition(uint256 _positionId, uint256 _amount) external nonReentrant {
+        _borrow(_authorizedPositionAccount(_positionId), msg.sender, _amount);
+    }
+
+    /**
+     * @notice Repay a position's debt from the caller's USD
+     * @dev Anyone may repay an existing position
+     * @param _positionId The position
+     * @param _amount The amount of USD to repay, or type(uint256).max to repay the full debt
+     */
+    function repayPosition(uint256 _positionId, uint256 _amount) external nonReentrant {
+        _repay(_existingPositionAccount(_positionId), msg.sender, _amount);
+    }
+
+    /**
+     * @notice Withdraw RBTC from a position to the caller, keeping its loan within maxLtv
+     * @dev Only the position's owner or an approved operator
+     * @param _positionId The position
+     * @param _amount The amount of RBTC to withdraw
+     */
+    function withdrawPositionCollateral(uint256 _positionId, uint256 _amount) external nonReentrant {
+        _withdrawCollateral(_authorizedPositionAccount(_positionId), msg.sender, _amount);
+    }
+
+    /**
+     * @notice Withdraw ERC-20 collateral from a position to the caller, keeping its loan within maxLtv
+     * @dev Only the position's owner or an approved operator
+     * @param _positionId The position
+     * @param _asset The collateral asset
+     * @param _amount The amount to withdraw, in the asset's own decimals
+     */
+    function withdrawPositionTokenCollateral(uint256 _positionId, address _asset, uint256 _amount)
+        external
+        nonReentrant
+    {
+        _withdrawTokenCollateral(_authorizedPositionAccount(_positionId), msg.sender, _asset, _amount);
+    }
+
+    /**
+     * @notice Total USD owed to lenders: idle liquidity plus outstanding debt, net of reserves
+     *      and the insurance fund
+     * @dev Uncovered bad debt leaves totalBorrowed without being repaid, so it lowers this value
+     *      and with it the price of every share
+     */
+    function totalAssets() public view override returns (uint256) {
+        uint256 pendingInterest = _currentTotalBorrowed() - totalBorrowedStored;
+        uint256 reserves = usdReserves + insuranceFund + (pendingInterest * RESERVE_FACTOR) / WAD;
+        uint256 assets =
+            usdToken.balanceOf(address(this)) + totalBorrowedStored + pendingInterest + auctionDebt;
+        return assets > reserves ? assets - reserves : 0;
+    }
+
+    /**
+     * @notice Maximum USD a lender can deposit, zero while deposits are paused and in CDP mode
+     */
+    function maxDeposit(address _receiver) public view override returns (uint256) {
+        return pausedActions[PausableAction.Deposit] || cdpMode ? 0 : super.maxDeposit(_receiver);
+    }
+
+    /**
+     * @notice Maximum shares a lender can mint, zero while deposits are paused and in CDP mode
+     */
+    function maxMint(address _receiver) public view override returns (uint256) {
+        return pausedActions[PausableAction.Deposit] || cdpMode ? 0 : super.maxMint(_receiver);
+    }
+
+    /**
+     * @notice Maximum USD a lender can withdraw, capped by liquidity not currently lent out
+     * @dev Zero while withdrawals are paused
+     * @param _owner The address of the share holder
+     */
+    function maxWithdraw(address _owner) public view override returns (uint256) {
+        if (pausedActions[PausableAction.Withdraw]) return 0;
+        return Math.min(super.maxWithdraw(_owner), _availableLiquidity());
+    }
+
+    /**
+     * @notice Maximum shares a lender can redeem, capped by liquidity not currently lent out
+     * @dev Zero while withdrawals are paused
+     * @param _owner The address of the share holder
+     */
+    function maxRedeem(address _owner) public view override returns (uint256) {
+        if (pausedActions[PausableAction.Withdraw]) return 0;
+        return Math.min(
+            super.maxRedeem(_owner),
+            _convertToShares(_availableLiquidity(), Math.Rounding.Floor)
+        );
+    }
+
+    /**
+     * @notice Accrue interest before lender deposits change pool liquidity
+     * @dev Rejected during a flash loan, which lowers totalAssets until it is repaid
+     */
+    function _deposit(address _caller, address _receiver, uint256 _assets, uint256 _shares)
+        internal
+        override
+        nonReentrant
+    {
+        if (flashLoanActive) revert FlashLoanInProgress();
+        _accrueInterest();
+        super._deposit(_caller, _receiver, _assets, _shares);
+    }
+
+    /**
+     * @notice Accrue interest before lender withdrawals change pool liquidity
+     * @dev Rejected during a flash loan, which lowers totalAssets until it is repaid
+     */
+    function _withdraw(address _caller, address _receiver, address _owner, uint256 _assets, uint256 _shares)
+        internal
+        override
+        nonReentrant
+    {
+        if (flashLoanActive) revert FlashLoanInProgress();
+        _accrueInterest();
+        super._withdraw(_caller, _receiver, _owner, _assets, _shares);
+    }
+
+    /**
+     * @notice Check and consume a signed intent
+     * @dev Nonces are unordered: each can be used once, in any order, and cancelIntent burns
+     *      one without using it
+     * @param _structHash The EIP-712 hash of the intent struct
+     */
+    function _useIntent(
+        address _user,
+        bytes32 _structHash,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) internal {
+        if (block.timestamp > _deadline) revert IntentExpired(_deadline);
+        if (intentNonceUsed[_user][_nonce]) revert IntentNonceAlreadyUsed(_nonce);
+        if (!SignatureChecker.isValidSignatureNow(_user, _hashTypedDataV4(_structHash), _signature)) {
+            revert InvalidSignature();
+        }
+        intentNonceUsed[_user][_nonce] = true;
+        emit IntentExecuted(_user, _nonce);
+    }
+
+    /**
+     * @notice Let the owner upgrade to the implementation queued with queueUpgrade once its delay
+     *         has passed
+     */
+    function _authorizeUpgrade(address _newImplementation) internal override onlyOwner {
+        _checkTimelock(upgradeEta);
+        if (_newImplementation != pendingImplementation) revert UpgradeNotQueued(_newImplementation);
+        delete pendingImplementation;
+        delete upgradeEta;
+    }
+
+    /**
+     * @notice Revert unless the caller is an operator approved by the user
+     */
+    function _requireOperator(address _user) internal view {
+        if (!operators[_user][msg.sender]) revert NotOperator();
+    }
+
+    /**
+     * @notice Revert if depositing would take an asset's total collateral over its cap
+     * @param _total The asset's total collateral before the deposit
+     */
+    function _requireDepositCap(address _asset, uint256 _total, uint256 _amount) internal view {
+        uint256 cap = depositCaps[_asset];
+        if (cap != 0 && _total + _amount > cap) revert DepositCapExceeded(_asset, cap > _total ? cap - _total : 0);
+    }
+
+    /**
+     * @notice Credit msg.value to an account's RBTC collateral
+     * @param _account A borrower's address or a position's account
+     */
+    function _depositCollateral(address _account) internal {
+        _requireNotPaused(PausableAction.Deposit);
         if (msg.value == 0) revert MustDepositCollateral();
-        
-        loans[msg.sender].collateralAmount += msg.value;
+        _requireDepositCap(address(0), totalCollateral, msg.value);
+
+        loans[_account].collateralAmount += msg.value;
         totalCollateral += msg.value;
-        
-        emit CollateralDeposited(msg.sender, msg.value);
+
+        emit CollateralDeposited(_account, msg.value);
     }
-    
+
     /**
-     * @notice Borrow USD against RBTC collateral
-     * @param _amount The amount of USD to borrow
+     * @notice Pull ERC-20 collateral from the caller into an account
      */
-    function borrow(uint256 _amount) external nonReentrant {
-        Loan storage loan = loans[msg.sender];
-        if (loan.collateralAmount == 0) revert NoCollateralDeposited();
-        
-        uint256 maxBorrow = getMaxBorrowAmount(loan.collateralAmount);
-        if (loan.borrowedAmount + _amount > maxBorrow) revert ExceedsBorrowingLimit();
-        
-        loan.borrowedAmount += _amount;
+    function _depositTokenCollateral(address _account, address _asset, uint256 _amount) internal {
+        _requireNotPaused(PausableAction.Deposit);
+        if (!_collateralConfigs[_asset].listed) revert CollateralNotListed();
+        if (_amount == 0) revert MustDepositCollateral();
+        _requireDepositCap(_asset, totalTokenCollateral[_asset], _amount);
+
+        IERC20(_asset).safeTransferFrom(msg.sender, address(this), _amount);
+        tokenCollateral[_account][_asset] += _amount;
+        totalTokenCollateral[_asset] += _amount;
+
+        emit TokenCollateralDeposited(_account, _asset, _amount);
+    }
+
+    /**
+     * @notice Borrow against an account's collateral
+     * @param _to The recipient of the USD
+     */
+    function _borrow(address _account, address _to, uint256 _amount) internal {
+        _requireNotPaused(PausableAction.Borrow);
+        _accrueInterest();
+        _refreshPrices(_account);
+        Loan storage loan = loans[_account];
+        (uint256 collateralValueUSD, uint256 maxBorrow,) = _accountCollateral(_account);
+        if (collateralValueUSD == 0) revert NoCollateralDeposited();
+
+        uint256 debt = _settleDebt(loan);
+        if (debt + _amount > maxBorrow) revert ExceedsBorrowingLimit();
+        if (cdpMode) {
+            if (totalBorrowedStored + _amount > debtCeiling) {
+                revert DebtCeilingExceeded(debtCeiling > totalBorrowedStored ? debtCeiling - totalBorrowedStored : 0);
+            }
+        } else if (_amount > _availableLiquidity()) {
+            revert InsufficientLiquidity();
+        }
+        if (borrowCap != 0 && totalBorrowedStored + _amount > borrowCap) {
+            revert BorrowCapExceeded(borrowCap > totalBorrowedStored ? borrowCap - totalBorrowedStored : 0);
+        }
+        if (accountBorrowCap != 0 && debt + _amount > accountBorrowCap) {
+            revert AccountBorrowCapExceeded(accountBorrowCap > debt ? accountBorrowCap - debt : 0);
+        }
+        if (debt + _amount < minLoanSize) revert LoanBelowMinimum(minLoanSize);
+
+        loan.borrowedAmount = debt + _amount;
         if (!loan.active) {
             loan.active = true;
             loan.timestamp = block.timestamp;
+            activeBorrowers.add(_account);
+        }
+        totalBorrowedStored += _amount;
+
+        // Mint or transfer USD tokens to borrower
+        if (cdpMode) {
+            IBTCLendingStablecoin(address(usdToken)).mint(_to, _amount);
+        } else if (!usdToken.transfer(_to, _amount)) {
+            revert TransferFailed();
         }
-        totalBorrowed += _amount;
-        
-        // Transfer USD tokens to borrower
-        if (!usdToken.transfer(msg.sender, _amount)) revert TransferFailed();
-        
-        emit LoanTaken(msg.sender, loan.collateralAmount, _amount);
+
+        emit LoanTaken(_account, loan.collateralAmount, _amount);
     }
-    
+
     /**
-     * @notice Repay borrowed USD
-     * @param _amount The amount of USD to repay
+     * @notice Repay an account's debt
+     * @param _payer The address the USD is pulled from
      */
-    function repay(uint256 _amount) external nonReentrant {
-        Loan storage loan = loans[msg.sender];
+    function _repay(address _account, address _payer, uint256 _amount) internal {
+        _accrueInterest();
+        Loan storage loan = loans[_account];
         if (!loan.active) revert NoActiveLoan();
-        if (_amount > loan.borrowedAmount) revert AmountExceedsDebt();
-        
+
+        uint256 debt = _settleDebt(loan);
+        if (_amount == type(uint256).max) _amount = debt;
+        if (_amount > debt) revert AmountExceedsDebt();
+        if (_amount < debt && debt - _amount < minLoanSize) revert LoanBelowMinimum(minLoanSize);
+
         // Transfer USD tokens from borrower
-        if (!usdToken.transferFrom(msg.sender, address(this), _amount)) revert TransferFailed();
-        
+        if (!usdToken.transferFrom(_payer, address(this), _amount)) revert TransferFailed();
+        _burnRepayment(_amount);
+
         loan.borrowedAmount -= _amount;
-        totalBorrowed -= _amount;
-        
-        if (loan.borrowedAmount == 0) {
-            loan.active = false;
-        }
-        
-        emit LoanRepaid(msg.sender, _amount);
+        _reduceTotalBorrowed(_amount);
+        _closeIfRepaid(_account, loan);
+
+        emit LoanRepaid(_account, _amount);
     }
-    
+
     /**
-     * @notice Withdraw collateral (only if no outstanding debt)
-     * @param _amount The amount of RBTC to withdraw
+     * @notice Withdraw RBTC collateral from an account
+     * @param _to The recipient of the RBTC
      */
-    function withdrawCollateral(uint256 _amount) external nonReentrant {
-        Loan storage loan = loans[msg.sender];
+    function _withdrawCollateral(address _account, address _to, uint256 _amount) internal {
+        _requireNotPaused(PausableAction.Withdraw);
+        Loan storage loan = loans[_account];
         if (loan.collateralAmount < _amount) revert InsufficientCollateral();
-        if (loan.borrowedAmount > 0) revert OutstandingDebtExists();
-        
+
         loan.collateralAmount -= _amount;
         totalCollateral -= _amount;
-        
-        payable(msg.sender).transfer(_amount);
-        
-        emit CollateralWithdrawn(msg.sender, _amount);
-    }
-    
-    /**
-     * @notice Liquidate an undercollateralized loan
-     * @param _user The address of the user to liquidate
-     */
-    function liquidate(address _user) external nonReentrant {
-        if (!isLiquidatable(_user)) revert LoanNotLiquidatable();
-        
-        Loan storage loan = loans[_user];
-        uint256 debtAmount = loan.borrowedAmount;
-        uint256 collateralAmount = loan.collateralAmount;
-        
-        // Calculate liquidation amounts
-        uint256 penaltyAmount = (collateralAmount * LIQUIDATION_PENALTY) / PRECISION;
-        
-        // Transfer debt from liquidator to protocol
-        if (!usdToken.transferFrom(msg.sender, address(this), debtAmount)) revert DebtTransferFailed();
-        
-        // Clear the loan
-        loan.collateralAmount = 0;
-        loan.borrowedAmount = 0;
-        loan.active = false;
-        
-        totalCollateral -= collateralAmount;
-        totalBorrowed -= debtAmount;
-        
-        // Send collateral to liquidator (minus penalty to protocol)
-        payable(msg.sender).transfer(collateralAmount - penaltyAmount);
-        
-        emit Liquidation(_user, msg.sender, collateralAmount, debtAmount);
-    }
-    
-    /**
-     * @notice Get user's loan information
-     * @param _user The address of the user
-     * @return collateral The amount of RBTC collateral
-     * @return borrowed The amount of USD borrowed
-     * @return ltv The loan-to-value ratio
-     * @return liquidatable True if the loan is eligible for liquidation
-     * @return maxBorrow The maximum borrowable amount
-     */
-    function getUserLoan(address _user) external view returns (
-        uint256 collateral,
-        uint256 borrowed,
-        uint256 ltv,
-        bool liquidatable,
-        uint256 maxBorrow
-    ) {
-        Loan memory loan = loans[_user];
-        return (
-            loan.collateralAmount,
-            loan.borrowedAmount,
-            getLoanToValue(_user),
-            isLiquidatable(_user),
-            getMaxBorrowAmount(loan.collateralAmount)
-        );
-    }
-    
-    /**
-     * @notice Get protocol statistics
-     * @return _totalCollateral The total amount of RBTC collateral
-     * @return _totalBorrowed The total amount of USD borrowed
-     * @return btcPrice The latest BTC/USD price
-     * @return utilizationRate The utilization rate of the protocol
-     */
-    function getProtocolStats() external view returns (
-        uint256 _totalCollateral,
-        uint256 _totalBorrowed,
-        uint256 btcPrice,
-        uint256 utilizationRate
-    ) {
-        (int256 price,) = getLatestPrice();
-        uint256 utilization = totalCollateral > 0 ? 
-            (totalBorrowed * PRECISION) / btcToUSD(totalCollateral) : 0;
-            
-        return (
-            totalCollateral,
-            totalBorrowed,
-            uint256(price),
-            utilization
-        );
-    }
-    
-    /**
-     * @notice Emergency functions for owner
-     */
-    function withdrawProtocolFees() external onlyOwner {
-        payable(owner()).transfer(address(this).balance);
+        _requireWithinBorrowingLimit(_account);
+
+        _sendRBTC(_to, _amount);
+
+        emit CollateralWithdrawn(_account, _amount);
     }
-    
+
     /**
-     * @notice Update the price feed
-     * @param _newPriceFeed The address of the new price feed
+     * @notice Withdraw ERC-20 collateral from an account
+     * @param _to The recipient of the collateral
      */
-    function updatePriceFeed(address _newPriceFeed) external onlyOwner {
-        priceFeed = AggregatorV3Interface(_newPriceFeed);
+    function _withdrawTokenCollateral(address _account, address _to, address _asset, uint256 _amount) internal {
+        _requireNotPaused(PausableAction.Withdraw);
+        if (tokenCollateral[_account][_asset] < _amount) revert InsufficientCollateral();
+
+        tokenCollateral[_account][_asset] -= _amount;
+        totalTokenCollateral[_asset] -= _amount;
+        _requireWithinBorrowingLimit(_account);
+
+        IERC20(_asset).safeTransfer(_to, _amount);
+
+        emit TokenCollateralWithdrawn(_account, _asset, _amount);
     }
-}
\ No newline at end of file
+}
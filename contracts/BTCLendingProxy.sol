@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title BTCLendingProxy
+ * @notice ERC-1967 proxy that BTCLendingProtocol is deployed behind
+ * @dev Holds the protocol's state and funds. Pass the encoded initialize call as _data so the
+ *      proxy is initialized in the same transaction that deploys it.
+ */
+contract BTCLendingProxy is ERC1967Proxy {
+    /**
+     * @notice Constructor
+     * @param _implementation The address of the BTCLendingProtocol implementation
+     * @param _data The initialize call to make on the implementation
+     */
+    constructor(address _implementation, bytes memory _data) ERC1967Proxy(_implementation, _data) {}
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/IBTCLendingStablecoin.sol";
+
+/**
+ * @title BTCLendingStablecoin
+ * @notice USD stablecoin of a BTCLendingProtocol deployed in CDP mode, minted when users borrow
+ *      and burned when debt is repaid
+ * @dev Deployed before the protocol, which must then be made its owner. Supports EIP-2612
+ *      permits, so repayWithPermit works as in pooled mode.
+ */
+contract BTCLendingStablecoin is ERC20, ERC20Burnable, ERC20Permit, Ownable, IBTCLendingStablecoin {
+    constructor() ERC20("BTC Lending Dollar", "BLD") ERC20Permit("BTC Lending Dollar") Ownable(msg.sender) {}
+
+    /**
+     * @notice Mint new stablecoins
+     * @param _to The recipient
+     * @param _amount The amount to mint
+     */
+    function mint(address _to, uint256 _amount) external onlyOwner {
+        _mint(_to, _amount);
+    }
+
+    /**
+     * @notice Burn stablecoins held by the caller
+     * @param _amount The amount to burn
+     */
+    function burn(uint256 _amount) public override(ERC20Burnable, IBTCLendingStablecoin) {
+        super.burn(_amount);
+    }
+}
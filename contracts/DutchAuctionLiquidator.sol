@@ -0,0 +1,287 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/IAuctionHouse.sol";
+import "./interfaces/IBTCLendingProtocol.sol";
+
+/**
+ * @notice Custom errors
+ */
+error NotProtocol();
+error AuctionNotActive();
+error AuctionExpired();
+error AuctionNotExpired();
+error PriceAboveMax(uint256 price);
+error InvalidTakeAmount();
+error InvalidAuctionParameters();
+
+/**
+ * @title DutchAuctionLiquidator
+ * @notice Sells collateral seized by BTCLendingProtocol in falling-price auctions
+ * @dev Each auction starts above the oracle price and falls linearly to a floor over
+ *      `duration`. Bidders buy any part of the collateral at the current price, paying USD
+ *      straight into the lending pool. The auction ends once it raises the debt plus the
+ *      liquidation penalty, and the leftover collateral goes back to the borrower, or once the
+ *      collateral is sold out, and the unpaid debt is written off. An auction that reaches
+ *      its floor unsold can be restarted from a fresh oracle price with redo.
+ */
+contract DutchAuctionLiquidator is IAuctionHouse, ReentrancyGuard, Ownable {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant PRECISION = 100; // 100% precision
+    uint256 public constant WAD = 1e18; // Fixed-point precision for prices
+
+    /**
+     * @notice Auction struct
+     * @dev Prices are USD wei per collateral base unit, scaled by WAD. For native RBTC this is
+     *      the USD price of one RBTC with 18 decimals.
+     */
+    struct Auction {
+        address user;        // Borrower whose collateral is sold
+        address asset;       // Collateral asset, address(0) for native RBTC
+        uint256 collateral;  // Collateral left to sell
+        uint256 debt;        // Debt left to repay, paid before the penalty
+        uint256 tab;         // USD left to raise: debt plus liquidation penalty
+        uint256 startPrice;  // Price when the auction (re)started
+        uint256 startTime;   // When the auction (re)started
+    }
+
+    IBTCLendingProtocol public immutable protocol;
+    IERC20 public immutable usdToken;
+
+    /**
+     * @notice Start price relative to the oracle price, in PRECISION units
+     */
+    uint256 public startPremium;
+
+    /**
+     * @notice Floor price relative to the oracle price at the start, in PRECISION units
+     */
+    uint256 public floorRatio;
+
+    /**
+     * @notice Seconds for the price to fall from the start price to the floor
+     */
+    uint256 public duration;
+
+    /**
+     * @notice Number of auctions started, also the id of the latest one
+     */
+    uint256 public auctionCount;
+
+    /**
+     * @notice Auctions by id, deleted once they end
+     */
+    mapping(uint256 => Auction) public auctions;
+
+    event AuctionKicked(
+        uint256 indexed id,
+        address indexed user,
+        address indexed asset,
+        uint256 collateral,
+        uint256 debt,
+        uint256 tab,
+        uint256 startPrice
+    );
+    event AuctionTaken(uint256 indexed id, address indexed bidder, uint256 collateral, uint256 price, uint256 paid);
+    event AuctionReset(uint256 indexed id, uint256 startPrice);
+    event AuctionClosed(uint256 indexed id, uint256 collateralReturned, uint256 debtUnpaid);
+    event AuctionParametersUpdated(uint256 startPremium, uint256 floorRatio, uint256 duration);
+
+    modifier onlyProtocol() {
+        if (msg.sender != address(protocol)) revert NotProtocol();
+        _;
+    }
+
+    /**
+     * @notice Constructor
+     * @param _protocol The BTCLendingProtocol whose collateral is auctioned
+     * @param _startPremium Start price relative to the oracle price, above 100
+     * @param _floorRatio Floor price relative to the oracle price, below _startPremium
+     * @param _duration Seconds for the price to fall to the floor
+     */
+    constructor(address _protocol, uint256 _startPremium, uint256 _floorRatio, uint256 _duration)
+        Ownable(msg.sender)
+    {
+        protocol = IBTCLendingProtocol(_protocol);
+        usdToken = protocol.usdToken();
+        _setParameters(_startPremium, _floorRatio, _duration);
+    }
+
+    /**
+     * @notice Start an auction of collateral seized by the protocol
+     * @dev Native RBTC arrives as msg.value, ERC-20 collateral is transferred before the call
+     * @param _user The borrower whose collateral is sold
+     * @param _asset The collateral asset, address(0) for native RBTC
+     * @param _collateral The amount of collateral to sell
+     * @param _debt The USD debt moved out of the loan into the auction
+     * @param _tab The USD to raise: the debt plus the liquidation penalty
+     * @return id The id of the new auction
+     */
+    function kick(
+        address _user,
+        address _asset,
+        uint256 _collateral,
+        uint256 _debt,
+        uint256 _tab
+    ) external payable override onlyProtocol returns (uint256 id) {
+        id = ++auctionCount;
+        uint256 startPrice = _startPrice(_asset, _collateral);
+        auctions[id] = Auction(_user, _asset, _collateral, _debt, _tab, startPrice, block.timestamp);
+
+        emit AuctionKicked(id, _user, _asset, _collateral, _debt, _tab, startPrice);
+    }
+
+    /**
+     * @notice Buy collateral from an auction at the current price
+     * @dev Pulls the USD owed from the caller into the lending pool. Buying more than the tab
+     *      needs is cut down to what raises exactly the tab.
+     * @param _id The auction id
+     * @param _maxCollateral The most collateral to buy
+     * @param _maxPrice The highest price the caller accepts, in WAD-scaled USD per base unit
+     * @return amount The collateral bought
+     * @return paid The USD paid
+     */
+    function take(uint256 _id, uint256 _maxCollateral, uint256 _maxPrice)
+        external
+        nonReentrant
+        returns (uint256 amount, uint256 paid)
+    {
+        Auction storage auction = auctions[_id];
+        (uint256 price, bool expired) = getPrice(_id);
+        if (expired) revert AuctionExpired();
+        if (price > _maxPrice) revert PriceAboveMax(price);
+
+        amount = Math.min(_maxCollateral, auction.collateral);
+        paid = (amount * price) / WAD;
+        if (paid > auction.tab) {
+            paid = auction.tab;
+            amount = (paid * WAD) / price;
+        }
+        if (amount == 0 || paid == 0) revert InvalidTakeAmount();
+
+        uint256 debtRepaid = Math.min(paid, auction.debt);
+        auction.collateral -= amount;
+        auction.debt -= debtRepaid;
+        auction.tab -= paid;
+
+        address asset = auction.asset;
+        uint256 collateralReturned;
+        uint256 debtUnpaid;
+        bool closed = auction.tab == 0 || auction.collateral == 0;
+        if (closed) {
+            // The debt is always raised before the penalty, so a cleared tab leaves no debt
+            collateralReturned = auction.tab == 0 ? auction.collateral : 0;
+            debtUnpaid = auction.debt;
+        }
+
+        // Book the payment before the bidder gets control back
+        _settle(auction.user, asset, paid, debtRepaid, collateralReturned, debtUnpaid);
+        if (closed) delete auctions[_id];
+
+        if (asset == address(0)) {
+            Address.sendValue(payable(msg.sender), amount);
+        } else {
+            IERC20(asset).safeTransfer(msg.sender, amount);
+        }
+
+        emit AuctionTaken(_id, msg.sender, amount, price, paid);
+        if (closed) emit AuctionClosed(_id, collateralReturned, debtUnpaid);
+    }
+
+    /**
+     * @notice Restart an auction that reached its floor, from a fresh oracle price
+     * @param _id The auction id
+     */
+    function redo(uint256 _id) external nonReentrant {
+        Auction storage auction = auctions[_id];
+        (, bool expired) = getPrice(_id);
+        if (!expired) revert AuctionNotExpired();
+
+        auction.startPrice = _startPrice(auction.asset, auction.collateral);
+        auction.startTime = block.timestamp;
+
+        emit AuctionReset(_id, auction.startPrice);
+    }
+
+    /**
+     * @notice Get the current price of an auction
+     * @param _id The auction id
+     * @return price The price, in WAD-scaled USD per collateral base unit
+     * @return expired True once the price has reached the floor, after which only redo works
+     */
+    function getPrice(uint256 _id) public view returns (uint256 price, bool expired) {
+        Auction memory auction = auctions[_id];
+        if (auction.collateral == 0) revert AuctionNotActive();
+
+        uint256 elapsed = block.timestamp - auction.startTime;
+        uint256 floorPrice = (auction.startPrice * floorRatio) / startPremium;
+        if (elapsed >= duration) return (floorPrice, true);
+        return (auction.startPrice - ((auction.startPrice - floorPrice) * elapsed) / duration, false);
+    }
+
+    /**
+     * @notice Update the price curve of future auctions and restarts
+     * @dev Running auctions keep their start price but follow the new floor and duration
+     * @param _startPremium Start price relative to the oracle price, above 100
+     * @param _floorRatio Floor price relative to the oracle price, below _startPremium
+     * @param _duration Seconds for the price to fall to the floor
+     */
+    function setParameters(uint256 _startPremium, uint256 _floorRatio, uint256 _duration) external onlyOwner {
+        _setParameters(_startPremium, _floorRatio, _duration);
+    }
+
+    function _setParameters(uint256 _startPremium, uint256 _floorRatio, uint256 _duration) internal {
+        if (
+            _startPremium <= PRECISION ||
+            _floorRatio == 0 ||
+            _floorRatio >= _startPremium ||
+            _duration == 0
+        ) revert InvalidAuctionParameters();
+        startPremium = _startPremium;
+        floorRatio = _floorRatio;
+        duration = _duration;
+        emit AuctionParametersUpdated(_startPremium, _floorRatio, _duration);
+    }
+
+    /**
+     * @notice Move a bidder's payment and any leftover collateral to the protocol and book them
+     */
+    function _settle(
+        address _user,
+        address _asset,
+        uint256 _paid,
+        uint256 _debtRepaid,
+        uint256 _collateralReturned,
+        uint256 _debtUnpaid
+    ) internal {
+        usdToken.safeTransferFrom(msg.sender, address(protocol), _paid);
+        if (_asset != address(0) && _collateralReturned > 0) {
+            IERC20(_asset).safeTransfer(address(protocol), _collateralReturned);
+        }
+        protocol.settleAuction{value: _asset == address(0) ? _collateralReturned : 0}(
+            _user,
+            _asset,
+            _debtRepaid,
+            _paid - _debtRepaid,
+            _collateralReturned,
+            _debtUnpaid
+        );
+    }
+
+    /**
+     * @notice Oracle price of the collateral marked up by startPremium
+     */
+    function _startPrice(address _asset, uint256 _collateral) internal view returns (uint256) {
+        uint256 value = _asset == address(0)
+            ? protocol.btcToUSD(_collateral)
+            : protocol.tokenToUSD(_asset, _collateral);
+        return (value * WAD * startPremium) / (_collateral * PRECISION);
+    }
+}
@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "./interfaces/IInterestRateModel.sol";
+
+/**
+ * @notice Custom errors
+ */
+error InvalidKink();
+
+/**
+ * @title InterestRateModel
+ * @notice Kinked utilization curve: the borrow rate rises gently up to the kink and steeply after it
+ * @dev Rates are annual and scaled by 1e18. At the kink the rate is baseRate + slope1,
+ *      at full utilization it is baseRate + slope1 + slope2.
+ */
+contract InterestRateModel is IInterestRateModel {
+    uint256 public constant WAD = 1e18;
+
+    uint256 public immutable baseRate;
+    uint256 public immutable slope1;
+    uint256 public immutable kink;
+    uint256 public immutable slope2;
+
+    /**
+     * @notice Constructor
+     * @param _baseRate The borrow rate at zero utilization
+     * @param _slope1 The rate increase from zero utilization up to the kink
+     * @param _kink The utilization at which slope2 takes over
+     * @param _slope2 The rate increase from the kink up to full utilization
+     */
+    constructor(uint256 _baseRate, uint256 _slope1, uint256 _kink, uint256 _slope2) {
+        if (_kink == 0 || _kink >= WAD) revert InvalidKink();
+        baseRate = _baseRate;
+        slope1 = _slope1;
+        kink = _kink;
+        slope2 = _slope2;
+    }
+
+    /**
+     * @inheritdoc IInterestRateModel
+     */
+    function utilizationRate(uint256 cash, uint256 borrows) public pure returns (uint256) {
+        if (borrows == 0) return 0;
+        return (borrows * WAD) / (cash + borrows);
+    }
+
+    /**
+     * @inheritdoc IInterestRateModel
+     */
+    function getBorrowRate(uint256 cash, uint256 borrows) public view returns (uint256) {
+        uint256 utilization = utilizationRate(cash, borrows);
+        if (utilization <= kink) {
+            return baseRate + (utilization * slope1) / kink;
+        }
+        return baseRate + slope1 + ((utilization - kink) * slope2) / (WAD - kink);
+    }
+
+    /**
+     * @inheritdoc IInterestRateModel
+     */
+    function getSupplyRate(uint256 cash, uint256 borrows, uint256 reserveFactor) external view returns (uint256) {
+        uint256 rateToPool = (getBorrowRate(cash, borrows) * (WAD - reserveFactor)) / WAD;
+        return (utilizationRate(cash, borrows) * rateToPool) / WAD;
+    }
+}
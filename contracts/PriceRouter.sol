@@ -0,0 +1,171 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
+import "./interfaces/IPriceRouter.sol";
+
+/**
+ * @notice Custom errors
+ */
+error InvalidPriceData();
+error PriceDataStale();
+error InvalidFeedConfig();
+error PriceDeviationTooHigh(uint256 price, uint256 referencePrice);
+
+/**
+ * @title PriceRouter
+ * @notice Serves a price from a primary Chainlink feed, falling back to secondary feeds
+ *         when the primary is stale, incomplete or reverting
+ * @dev Feeds are tried in order. The serving price is cross-checked against the next healthy
+ *      feed, and the router refuses to answer when the two disagree by more than maxDeviation.
+ */
+contract PriceRouter is IPriceRouter {
+    uint256 public constant DEVIATION_PRECISION = 10_000; // basis points
+
+    /**
+     * @notice Price source struct
+     * @dev Stores a feed with its own staleness window
+     */
+    struct PriceSource {
+        AggregatorV3Interface feed;
+        uint256 stalenessLimit;  // Max age of an answer in seconds
+        uint8 decimals;          // Cached feed decimals
+    }
+
+    /**
+     * @notice Price sources in priority order, index 0 is the primary feed
+     */
+    PriceSource[] internal sources;
+
+    /**
+     * @notice Max difference between the serving feed and its reference feed, in basis points
+     */
+    uint256 public immutable maxDeviation;
+
+    /**
+     * @notice Index of the source that served the last refreshed price
+     */
+    uint256 public activeSource;
+
+    /**
+     * @notice Emitted when a different feed starts serving the price
+     */
+    event PriceSourceSwitched(uint256 indexed fromSource, uint256 indexed toSource, address feed);
+
+    /**
+     * @notice Constructor
+     * @param _feeds The Chainlink feeds, primary first
+     * @param _stalenessLimits The staleness window of each feed in seconds
+     * @param _maxDeviation The circuit breaker threshold in basis points
+     */
+    constructor(address[] memory _feeds, uint256[] memory _stalenessLimits, uint256 _maxDeviation) {
+        if (_feeds.length == 0 || _feeds.length != _stalenessLimits.length) revert InvalidFeedConfig();
+        if (_maxDeviation == 0 || _maxDeviation > DEVIATION_PRECISION) revert InvalidFeedConfig();
+
+        for (uint256 i = 0; i < _feeds.length; i++) {
+            if (_feeds[i] == address(0) || _stalenessLimits[i] == 0) revert InvalidFeedConfig();
+            AggregatorV3Interface feed = AggregatorV3Interface(_feeds[i]);
+            sources.push(PriceSource(feed, _stalenessLimits[i], feed.decimals()));
+        }
+        maxDeviation = _maxDeviation;
+    }
+
+    /**
+     * @notice Get all configured price sources
+     * @return sources The sources in priority order
+     */
+    function getSources() external view returns (PriceSource[] memory) {
+        return sources;
+    }
+
+    /**
+     * @inheritdoc IPriceRouter
+     */
+    function getPrice() external view returns (uint256, uint8) {
+        (, uint256 price, uint8 decimals) = _selectSource();
+        return (price, decimals);
+    }
+
+    /**
+     * @inheritdoc IPriceRouter
+     */
+    function refreshPrice() external returns (uint256, uint8) {
+        (uint256 index, uint256 price, uint8 decimals) = _selectSource();
+        if (index != activeSource) {
+            emit PriceSourceSwitched(activeSource, index, address(sources[index].feed));
+            activeSource = index;
+        }
+        return (price, decimals);
+    }
+
+    /**
+     * @notice Pick the first healthy source and check it against the next healthy one
+     * @dev Reverts with the primary feed's failure when no source is healthy
+     */
+    function _selectSource() internal view returns (uint256 index, uint256 price, uint8 decimals) {
+        bytes4 primaryError;
+        bool found;
+        for (; index < sources.length; index++) {
+            bytes4 err;
+            (price, err) = _readSource(index);
+            if (err == bytes4(0)) {
+                found = true;
+                break;
+            }
+            if (index == 0) primaryError = err;
+        }
+        if (!found) {
+            if (primaryError == PriceDataStale.selector) revert PriceDataStale();
+            revert InvalidPriceData();
+        }
+        decimals = sources[index].decimals;
+
+        for (uint256 i = index + 1; i < sources.length; i++) {
+            (uint256 referencePrice, bytes4 err) = _readSource(i);
+            if (err != bytes4(0)) continue;
+
+            uint256 normalized = _normalize(price, decimals);
+            uint256 normalizedReference = _normalize(referencePrice, sources[i].decimals);
+            uint256 difference = normalized > normalizedReference
+                ? normalized - normalizedReference
+                : normalizedReference - normalized;
+            if (difference * DEVIATION_PRECISION > normalized * maxDeviation) {
+                revert PriceDeviationTooHigh(normalized, normalizedReference);
+            }
+            break;
+        }
+    }
+
+    /**
+     * @notice Read and validate one source
+     * @return price The feed answer, zero when invalid
+     * @return err The selector of the validation failure, zero when healthy
+     */
+    function _readSource(uint256 _index) internal view returns (uint256 price, bytes4 err) {
+        PriceSource memory source = sources[_index];
+        try source.feed.latestRoundData() returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        ) {
+            if (answer <= 0 || startedAt == 0 || updatedAt == 0 || updatedAt > block.timestamp) {
+                return (0, InvalidPriceData.selector);
+            }
+            if (answeredInRound < roundId || block.timestamp - updatedAt >= source.stalenessLimit) {
+                return (0, PriceDataStale.selector);
+            }
+            return (uint256(answer), bytes4(0));
+        } catch {
+            return (0, InvalidPriceData.selector);
+        }
+    }
+
+    /**
+     * @notice Scale a price to 18 decimals so feeds can be compared
+     */
+    function _normalize(uint256 _price, uint8 _decimals) internal pure returns (uint256) {
+        return _decimals <= 18 ? _price * 10**(18 - _decimals) : _price / 10**(_decimals - 18);
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+/**
+ * @title IAuctionHouse
+ * @notice Auction contract that BTCLendingProtocol hands seized collateral to in auction mode
+ */
+interface IAuctionHouse {
+    /**
+     * @notice Start an auction of collateral already sent to the auction house
+     * @dev Native RBTC arrives as msg.value, ERC-20 collateral is transferred before the call
+     * @param user The borrower whose collateral is sold
+     * @param asset The collateral asset, address(0) for native RBTC
+     * @param collateral The amount of collateral to sell
+     * @param debt The USD debt moved out of the loan into the auction
+     * @param tab The USD to raise: the debt plus the liquidation penalty
+     * @return auctionId The id of the new auction
+     */
+    function kick(
+        address user,
+        address asset,
+        uint256 collateral,
+        uint256 debt,
+        uint256 tab
+    ) external payable returns (uint256 auctionId);
+}
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+
+/**
+ * @title IBTCLendingPositions
+ * @notice ERC-721 whose tokens are BTCLendingProtocol positions, each an isolated loan
+ */
+interface IBTCLendingPositions is IERC721 {
+    /**
+     * @notice Number of positions minted so far, also the id of the latest one
+     */
+    function positionCount() external view returns (uint256);
+
+    /**
+     * @notice Mint a new, empty position
+     * @dev Only callable by the owner, the protocol
+     * @param to The owner of the new position
+     * @return positionId The id of the new position, starting at 1
+     */
+    function mint(address to) external returns (uint256 positionId);
+
+    /**
+     * @notice Whether an address may manage a position: its owner or an approved operator
+     * @param spender The address to check
+     * @param positionId The position
+     */
+    function isApprovedOrOwner(address spender, uint256 positionId) external view returns (bool);
+}
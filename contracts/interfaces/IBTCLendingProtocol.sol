@@ -0,0 +1,579 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "@openzeppelin/contracts/interfaces/IERC5267.sol";
+import "./IPriceRouter.sol";
+import "./IBTCLendingPositions.sol";
+import "./IWRBTC.sol";
+import "./ISwapAdapter.sol";
+
+/**
+ * @title IBTCLendingTypes
+ * @notice Structs, events and custom errors shared by the protocol contracts and their interface
+ */
+interface IBTCLendingTypes {
+    /**
+     * @notice Risk parameters struct
+     * @dev All values are percentages in PRECISION units
+     */
+    struct RiskParameters {
+        uint256 maxLtv;               // Max loan-to-value when borrowing
+        uint256 liquidationThreshold; // LTV at which a loan becomes liquidatable
+        uint256 liquidationPenalty;   // Extra collateral seized on top of the repaid value
+        uint256 liquidationBonus;     // Part of the penalty paid to the liquidator
+        uint256 closeFactor;          // Max share of the debt repaid per liquidation
+    }
+
+    /**
+     * @notice ERC-20 collateral config struct
+     * @dev Native RBTC uses riskParameters and priceRouter instead
+     */
+    struct CollateralConfig {
+        IPriceRouter priceRouter;     // Asset/USD price source
+        uint256 maxLtv;               // Max loan-to-value applied to this asset's value
+        uint256 liquidationThreshold; // Liquidation threshold applied to this asset's value
+        uint8 decimals;               // Token decimals, normalized to 18 when pricing
+        bool listed;                  // Set once the asset is accepted as collateral
+    }
+
+    /**
+     * @notice Collateral entry reported by getUserLoan
+     * @dev asset is address(0) for native RBTC
+     */
+    struct CollateralBalance {
+        address asset;
+        uint256 amount;   // In the asset's own decimals
+        uint256 valueUSD; // 18 decimals
+    }
+
+    /**
+     * @notice Actions the pause guardian can stop independently
+     * @dev Deposit and Withdraw cover both collateral and the lender vault, Borrow covers
+     *      flash loans. Repayments can never be paused.
+     */
+    enum PausableAction {
+        Deposit,
+        Borrow,
+        Withdraw,
+        Liquidate
+    }
+
+    /**
+     * @notice Kinds of protection order a borrower can register on their loan
+     * @dev Deleverage sells collateral to bring the loan back to a target LTV, StopLoss sells
+     *      enough to repay the whole debt
+     */
+    enum ProtectionOrderType {
+        Deleverage,
+        StopLoss
+    }
+
+    /**
+     * @notice Protection order struct, executed by keepers through the swap adapter
+     * @dev trigger is an LTV in PRECISION units for Deleverage, which executes at or above it, and
+     *      the USD price of one whole unit of asset (18 decimals) for StopLoss, which executes at
+     *      or below it
+     */
+    struct ProtectionOrder {
+        address asset;       // Collateral sold, address(0) for native RBTC
+        uint256 trigger;     // LTV or price that makes the order executable
+        uint256 targetLtv;   // Deleverage: LTV to bring the loan back to, unused by StopLoss
+        uint256 maxSlippage; // Basis points below the oracle value the swap may return
+    }
+
+    /**
+     * @notice Loan struct
+     * @dev Stores loan information
+     */
+    struct Loan {
+        uint256 collateralAmount; // RBTC amount in wei
+        uint256 borrowedAmount;   // USD amount borrowed
+        uint256 timestamp;        // When loan was created
+        bool active;             // Is loan active
+        uint256 borrowIndex;      // Global borrow index when borrowedAmount was last updated
+    }
+
+    /**
+     * @notice Emitted when collateral is deposited
+     */
+    event CollateralDeposited(address indexed user, uint256 amount);
+    event LoanTaken(address indexed user, uint256 collateral, uint256 borrowed);
+    event LoanRepaid(address indexed user, uint256 amount);
+    event CollateralWithdrawn(address indexed user, uint256 amount);
+    event Liquidation(address indexed user, address indexed liquidator, uint256 collateral, uint256 debt);
+    event InterestAccrued(uint256 interest, uint256 borrowIndex, uint256 totalBorrowed);
+    event InterestRateModelUpdated(address indexed oldModel, address indexed newModel);
+    event PriceRouterQueued(address indexed newRouter, uint256 eta);
+    event PriceRouterUpdated(address indexed oldRouter, address indexed newRouter);
+    event PriceRouterCancelled(address indexed newRouter);
+    event RiskParametersQueued(RiskParameters params, uint256 eta);
+    event RiskParametersUpdated(RiskParameters params);
+    event RiskParametersCancelled(RiskParameters params);
+    event ReservesAdded(address indexed from, uint256 rbtcAmount, uint256 usdAmount);
+    event ReservesWithdrawn(address indexed to, uint256 rbtcAmount, uint256 usdAmount);
+    event TokenCollateralDeposited(address indexed user, address indexed asset, uint256 amount);
+    event TokenCollateralWithdrawn(address indexed user, address indexed asset, uint256 amount);
+    event TokenCollateralLiquidated(
+        address indexed user,
+        address indexed liquidator,
+        address indexed asset,
+        uint256 collateral,
+        uint256 debt
+    );
+    event TokenReservesWithdrawn(address indexed to, address indexed asset, uint256 amount);
+    event KeeperLiquidation(
+        address indexed user,
+        address indexed keeper,
+        address indexed asset,
+        uint256 collateral,
+        uint256 debt,
+        uint256 reward
+    );
+    event KeeperRewardRecipientUpdated(address indexed oldRecipient, address indexed newRecipient);
+    event CollateralConfigQueued(address indexed asset, CollateralConfig config, uint256 eta);
+    event CollateralConfigUpdated(address indexed asset, CollateralConfig config);
+    event CollateralConfigCancelled(address indexed asset);
+    event AuctionHouseQueued(address indexed newAuctionHouse, uint256 eta);
+    event AuctionHouseUpdated(address indexed oldAuctionHouse, address indexed newAuctionHouse);
+    event AuctionHouseCancelled(address indexed newAuctionHouse);
+    event AuctionStarted(
+        address indexed user,
+        address indexed asset,
+        uint256 indexed auctionId,
+        uint256 collateral,
+        uint256 debt
+    );
+    event AuctionSettlement(
+        address indexed user,
+        address indexed asset,
+        uint256 debtRepaid,
+        uint256 penaltyPaid,
+        uint256 collateralReturned,
+        uint256 debtUnpaid
+    );
+    event InsuranceFunded(uint256 amount);
+    event BadDebtRecorded(address indexed user, uint256 amount, uint256 coveredByInsurance);
+    event FlashLoan(address indexed receiver, address indexed initiator, uint256 amount, uint256 fee);
+    event FlashLoanFeeUpdated(uint256 oldFee, uint256 newFee);
+    event PositionOpened(uint256 indexed positionId, address indexed owner, address account);
+    event OperatorSet(address indexed user, address indexed operator, bool approved);
+    event ActionOnBehalf(address indexed user, address indexed sender, bytes4 indexed action);
+    event IntentExecuted(address indexed user, uint256 indexed nonce);
+    event IntentCancelled(address indexed user, uint256 indexed nonce);
+    event PauseGuardianUpdated(address indexed oldGuardian, address indexed newGuardian);
+    event PauseUpdated(PausableAction indexed action, bool paused, address indexed sender);
+    event DepositCapUpdated(address indexed asset, uint256 oldCap, uint256 newCap);
+    event BorrowCapUpdated(uint256 oldCap, uint256 newCap);
+    event AccountBorrowCapUpdated(uint256 oldCap, uint256 newCap);
+    event MinLoanSizeUpdated(uint256 oldSize, uint256 newSize);
+    event RBTCClaimable(address indexed account, uint256 amount);
+    event RBTCClaimed(address indexed account, address indexed to, uint256 amount, bool wrapped);
+    event ReceiveWrappedRBTCSet(address indexed account, bool wrapped);
+    event WrappedRBTCQueued(address indexed newWrappedRBTC, uint256 eta);
+    event WrappedRBTCUpdated(address indexed oldWrappedRBTC, address indexed newWrappedRBTC);
+    event WrappedRBTCCancelled(address indexed newWrappedRBTC);
+    event ProtectionOrderPlaced(address indexed user, ProtectionOrderType indexed orderType, ProtectionOrder order);
+    event ProtectionOrderCancelled(address indexed user, ProtectionOrderType indexed orderType);
+    event ProtectionOrderExecuted(
+        address indexed user,
+        ProtectionOrderType indexed orderType,
+        address indexed keeper,
+        uint256 collateralSold,
+        uint256 debtRepaid,
+        uint256 keeperFee
+    );
+    event SwapAdapterUpdated(address indexed oldAdapter, address indexed newAdapter);
+    event ProtectionFeeUpdated(uint256 oldFee, uint256 newFee);
+    event StabilityFeeUpdated(uint256 oldFee, uint256 newFee);
+    event DebtCeilingUpdated(uint256 oldCeiling, uint256 newCeiling);
+    event UpgradeQueued(address indexed newImplementation, uint256 eta);
+    event UpgradeCancelled(address indexed newImplementation);
+
+    /**
+     * @notice Custom errors
+     */
+    error MustDepositCollateral();
+    error NoCollateralDeposited();
+    error ExceedsBorrowingLimit();
+    error TransferFailed();
+    error NoActiveLoan();
+    error AmountExceedsDebt();
+    error InsufficientCollateral();
+    error LoanNotLiquidatable();
+    error DebtTransferFailed();
+    error ZeroAddress();
+    error InsufficientLiquidity();
+    error InvalidRepayAmount();
+    error CollateralOutBelowMinimum();
+    error InvalidRiskParameters();
+    error NoPendingChange();
+    error TimelockNotReady(uint256 eta);
+    error CollateralNotListed();
+    error InvalidCollateralConfig();
+    error TooManyCollateralAssets();
+    error UpkeepBatchTooLarge();
+    error NotAuctionHouse();
+    error AuctionsInProgress();
+    error InsufficientReserves();
+    error FlashLoanInProgress();
+    error UnsupportedFlashLoanToken();
+    error FlashLoanCallbackFailed();
+    error InvalidFlashLoanFee();
+    error NotPositionOwner();
+    error NotOperator();
+    error IntentExpired(uint256 deadline);
+    error IntentNonceAlreadyUsed(uint256 nonce);
+    error InvalidSignature();
+    error NotPauseGuardian();
+    error ActionPaused(PausableAction action);
+    error DepositCapExceeded(address asset, uint256 capacity);
+    error BorrowCapExceeded(uint256 capacity);
+    error AccountBorrowCapExceeded(uint256 capacity);
+    error LoanBelowMinimum(uint256 minLoanSize);
+    error NothingToClaim();
+    error WrappedRBTCNotSet();
+    error NoProtectionOrder();
+    error InvalidProtectionOrder();
+    error OrderNotTriggered();
+    error SwapAdapterNotSet();
+    error SwapOutputBelowMinimum();
+    error UnhealthyAfterProtection();
+    error InvalidProtectionFee();
+    error NotCdpMode();
+    error InvalidStabilityFee();
+    error DebtCeilingExceeded(uint256 capacity);
+    error UpgradeNotQueued(address implementation);
+}
+
+/**
+ * @title IBTCLendingProtocol
+ * @notice Full interface of BTCLendingProtocol, including the functions served by BTCLendingExt
+ *         and BTCLendingAdmin
+ * @dev Use this ABI to talk to a deployed protocol. The BTCLendingProtocol artifact alone lacks
+ *      the extensions' functions.
+ */
+interface IBTCLendingProtocol is IERC4626, IERC3156FlashLender, IERC5267, IBTCLendingTypes {
+    /**
+     * @notice Ownable
+     */
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    error OwnableUnauthorizedAccount(address account);
+    error OwnableInvalidOwner(address owner);
+
+    function owner() external view returns (address);
+    function transferOwnership(address newOwner) external;
+    function renounceOwnership() external;
+
+    /**
+     * @notice Initializable and UUPS
+     */
+    event Initialized(uint64 version);
+    event Upgraded(address indexed implementation);
+    error InvalidInitialization();
+    error NotInitializing();
+    error UUPSUnauthorizedCallContext();
+    error UUPSUnsupportedProxiableUUID(bytes32 slot);
+    error ERC1967InvalidImplementation(address implementation);
+
+    function initialize(
+        address usdToken,
+        address interestRateModel,
+        address priceRouter,
+        address positionToken,
+        RiskParameters calldata riskParams,
+        bool cdpMode
+    ) external;
+    function UPGRADE_INTERFACE_VERSION() external view returns (string memory);
+    function proxiableUUID() external view returns (bytes32);
+    function upgradeToAndCall(address newImplementation, bytes calldata data) external payable;
+
+    /**
+     * @notice ERC-4626
+     */
+    error ERC4626ExceededMaxDeposit(address receiver, uint256 assets, uint256 max);
+    error ERC4626ExceededMaxMint(address receiver, uint256 shares, uint256 max);
+    error ERC4626ExceededMaxWithdraw(address owner, uint256 assets, uint256 max);
+    error ERC4626ExceededMaxRedeem(address owner, uint256 shares, uint256 max);
+
+    /**
+     * @notice Configuration and state
+     */
+    function PRECISION() external view returns (uint256);
+    function WAD() external view returns (uint256);
+    function SECONDS_PER_YEAR() external view returns (uint256);
+    function RESERVE_FACTOR() external view returns (uint256);
+    function TIMELOCK_DELAY() external view returns (uint256);
+    function MAX_COLLATERAL_ASSETS() external view returns (uint256);
+    function MAX_UPKEEP_BATCH() external view returns (uint256);
+    function MAX_FLASH_LOAN_FEE() external view returns (uint256);
+    function MAX_STABILITY_FEE() external view returns (uint256);
+    function DUST_COLLATERAL_VALUE() external view returns (uint256);
+    function extensionDelegate() external view returns (address);
+    function adminDelegate() external view returns (address);
+    function priceRouter() external view returns (IPriceRouter);
+    function usdToken() external view returns (IERC20);
+    function interestRateModel() external view returns (address);
+    function riskParameters() external view returns (RiskParameters memory);
+    function pendingRiskParameters() external view returns (RiskParameters memory);
+    function riskParametersEta() external view returns (uint256);
+    function pendingPriceRouter() external view returns (address);
+    function priceRouterEta() external view returns (uint256);
+    function collateralAssets(uint256 index) external view returns (address);
+    function collateralConfigs(address asset) external view returns (CollateralConfig memory);
+    function pendingCollateralConfigs(address asset) external view returns (CollateralConfig memory);
+    function collateralConfigEtas(address asset) external view returns (uint256);
+    function tokenCollateral(address user, address asset) external view returns (uint256);
+    function totalTokenCollateral(address asset) external view returns (uint256);
+    function tokenReserves(address asset) external view returns (uint256);
+    function loans(address user) external view returns (
+        uint256 collateralAmount,
+        uint256 borrowedAmount,
+        uint256 timestamp,
+        bool active,
+        uint256 borrowIndex
+    );
+    function totalCollateral() external view returns (uint256);
+    function borrowIndex() external view returns (uint256);
+    function lastAccrualTime() external view returns (uint256);
+    function rbtcReserves() external view returns (uint256);
+    function usdReserves() external view returns (uint256);
+    function auctionHouse() external view returns (address);
+    function pendingAuctionHouse() external view returns (address);
+    function auctionHouseEta() external view returns (uint256);
+    function auctionDebt() external view returns (uint256);
+    function insuranceFund() external view returns (uint256);
+    function totalBadDebt() external view returns (uint256);
+    function uncoveredBadDebt() external view returns (uint256);
+    function flashLoanFee() external view returns (uint256);
+    function positionToken() external view returns (IBTCLendingPositions);
+    function operators(address user, address operator) external view returns (bool);
+    function intentNonceUsed(address user, uint256 nonce) external view returns (bool);
+    function pauseGuardian() external view returns (address);
+    function pausedActions(PausableAction action) external view returns (bool);
+    function depositCaps(address asset) external view returns (uint256);
+    function borrowCap() external view returns (uint256);
+    function accountBorrowCap() external view returns (uint256);
+    function minLoanSize() external view returns (uint256);
+    function wrappedRBTC() external view returns (IWRBTC);
+    function receiveWrappedRBTC(address account) external view returns (bool);
+    function claimableRBTC(address account) external view returns (uint256);
+    function swapAdapter() external view returns (ISwapAdapter);
+    function protectionFee() external view returns (uint256);
+    function protectionOrders(address user, ProtectionOrderType orderType) external view returns (ProtectionOrder memory);
+    function cdpMode() external view returns (bool);
+    function stabilityFee() external view returns (uint256);
+    function debtCeiling() external view returns (uint256);
+    function pendingImplementation() external view returns (address);
+    function upgradeEta() external view returns (uint256);
+    function keeperRewardRecipient() external view returns (address);
+    function pendingWrappedRBTC() external view returns (address);
+    function wrappedRBTCEta() external view returns (uint256);
+
+    /**
+     * @notice Borrower actions
+     */
+    function depositCollateral() external payable;
+    function depositTokenCollateral(address asset, uint256 amount) external;
+    function borrow(uint256 amount) external;
+    function repay(uint256 amount) external;
+    function withdrawCollateral(uint256 amount) external;
+    function withdrawTokenCollateral(address asset, uint256 amount) external;
+    function claimRBTC(address to, bool wrapped) external;
+    function setReceiveWrappedRBTC(bool wrapped) external;
+
+    /**
+     * @notice Protection orders
+     */
+    function placeProtectionOrder(ProtectionOrderType orderType, ProtectionOrder calldata order) external;
+    function cancelProtectionOrder(ProtectionOrderType orderType) external;
+    function executeProtectionOrder(address user, ProtectionOrderType orderType) external;
+    function isProtectionOrderTriggered(address user, ProtectionOrderType orderType) external view returns (bool);
+
+    /**
+     * @notice Actions on another user's loan
+     */
+    function depositCollateralFor(address user) external payable;
+    function depositTokenCollateralFor(address user, address asset, uint256 amount) external;
+    function repayFor(address user, uint256 amount) external;
+    function setOperator(address operator, bool approved) external;
+    function borrowFor(address user, uint256 amount) external;
+    function withdrawCollateralFor(address user, uint256 amount) external;
+    function withdrawTokenCollateralFor(address user, address asset, uint256 amount) external;
+
+    /**
+     * @notice Permits and EIP-712 signed intents, which anyone can relay
+     */
+    function repayWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external;
+    function borrowWithSig(
+        address user,
+        uint256 amount,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external;
+    function repayWithSig(
+        address user,
+        uint256 amount,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external;
+    function withdrawWithSig(
+        address user,
+        address asset,
+        uint256 amount,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external;
+    function cancelIntent(uint256 nonce) external;
+
+    /**
+     * @notice Isolated positions, each an ERC-721 token of positionToken
+     */
+    function openPosition() external payable returns (uint256 positionId);
+    function depositPositionCollateral(uint256 positionId) external payable;
+    function depositPositionTokenCollateral(uint256 positionId, address asset, uint256 amount) external;
+    function borrowFromPosition(uint256 positionId, uint256 amount) external;
+    function repayPosition(uint256 positionId, uint256 amount) external;
+    function withdrawPositionCollateral(uint256 positionId, uint256 amount) external;
+    function withdrawPositionTokenCollateral(uint256 positionId, address asset, uint256 amount) external;
+    function liquidatePosition(uint256 positionId, uint256 repayAmount, uint256 minCollateralOut) external;
+    function liquidatePositionTokenCollateral(
+        uint256 positionId,
+        address asset,
+        uint256 repayAmount,
+        uint256 minCollateralOut
+    ) external;
+    function positionAccount(uint256 positionId) external pure returns (address);
+    function getPositionLoan(uint256 positionId) external view returns (
+        uint256 collateral,
+        uint256 borrowed,
+        uint256 ltv,
+        bool liquidatable,
+        uint256 maxBorrow,
+        CollateralBalance[] memory collaterals
+    );
+
+    /**
+     * @notice Liquidations
+     */
+    function liquidate(address user, uint256 repayAmount, uint256 minCollateralOut) external;
+    function liquidateTokenCollateral(
+        address user,
+        address asset,
+        uint256 repayAmount,
+        uint256 minCollateralOut
+    ) external;
+    function getActiveBorrowerCount() external view returns (uint256);
+    function getActiveBorrowers(uint256 offset, uint256 limit) external view returns (address[] memory);
+    function checkUpkeep(bytes calldata checkData) external view returns (bool upkeepNeeded, bytes memory performData);
+    function performUpkeep(bytes calldata performData) external;
+    function settleAuction(
+        address user,
+        address asset,
+        uint256 debtRepaid,
+        uint256 penaltyPaid,
+        uint256 collateralReturned,
+        uint256 debtUnpaid
+    ) external payable;
+
+    /**
+     * @notice Interest, prices and account health
+     */
+    function accrueInterest() external;
+    function totalBorrowed() external view returns (uint256);
+    function getCurrentDebt(address user) external view returns (uint256);
+    function getBorrowRate() external view returns (uint256);
+    function getLatestPrice() external view returns (int256 price, uint256 decimals);
+    function btcToUSD(uint256 btcAmount) external view returns (uint256);
+    function usdToBTC(uint256 usdAmount) external view returns (uint256);
+    function tokenToUSD(address asset, uint256 amount) external view returns (uint256);
+    function usdToToken(address asset, uint256 usdAmount) external view returns (uint256);
+    function getMaxBorrowAmount(uint256 collateralAmount) external view returns (uint256);
+    function getBorrowingPower(address user) external view returns (uint256);
+    function getLoanToValue(address user) external view returns (uint256);
+    function isLiquidatable(address user) external view returns (bool);
+    function getShortfall(address user) external view returns (uint256);
+    function getMaxWithdrawableCollateral(address user) external view returns (uint256);
+    function getMaxWithdrawableTokenCollateral(address user, address asset) external view returns (uint256);
+    function getUserLoan(address user) external view returns (
+        uint256 collateral,
+        uint256 borrowed,
+        uint256 ltv,
+        bool liquidatable,
+        uint256 maxBorrow,
+        CollateralBalance[] memory collaterals
+    );
+    function getProtocolStats() external view returns (
+        uint256 _totalCollateral,
+        uint256 _totalBorrowed,
+        uint256 btcPrice,
+        uint256 utilizationRate,
+        uint256 borrowRate,
+        uint256 supplyRate
+    );
+    function getBadDebtStats() external view returns (
+        uint256 cumulative,
+        uint256 covered,
+        uint256 uncovered,
+        uint256 insuranceBalance
+    );
+    function getCollateralAssets() external view returns (address[] memory);
+    function getPauseStatus() external view returns (
+        bool deposits,
+        bool borrows,
+        bool withdrawals,
+        bool liquidations
+    );
+    function getDepositCapacity(address asset) external view returns (uint256);
+    function getBorrowCapacity() external view returns (uint256);
+    function getAccountBorrowCapacity(address user) external view returns (uint256);
+    function getMinBorrowAmount(address user) external view returns (uint256);
+
+    /**
+     * @notice Reserves and governance
+     */
+    function addReserves(uint256 usdAmount) external payable;
+    function withdrawProtocolFees() external;
+    function fundInsurance(uint256 usdAmount) external;
+    function setFlashLoanFee(uint256 fee) external;
+    function withdrawTokenReserves(address asset) external;
+    function queuePriceRouter(address newPriceRouter) external;
+    function executePriceRouter() external;
+    function cancelPriceRouter() external;
+    function queueRiskParameters(RiskParameters calldata params) external;
+    function executeRiskParameters() external;
+    function cancelRiskParameters() external;
+    function queueCollateralConfig(
+        address asset,
+        address priceRouter,
+        uint256 maxLtv,
+        uint256 liquidationThreshold
+    ) external;
+    function executeCollateralConfig(address asset) external;
+    function cancelCollateralConfig(address asset) external;
+    function queueAuctionHouse(address newAuctionHouse) external;
+    function executeAuctionHouse() external;
+    function cancelAuctionHouse() external;
+    function queueUpgrade(address newImplementation) external;
+    function cancelUpgrade() external;
+    function setInterestRateModel(address newModel) external;
+    function setPauseGuardian(address newGuardian) external;
+    function setKeeperRewardRecipient(address newRecipient) external;
+    function pause(PausableAction action) external;
+    function unpause(PausableAction action) external;
+    function queueWrappedRBTC(address newWrappedRBTC) external;
+    function executeWrappedRBTC() external;
+    function cancelWrappedRBTC() external;
+    function setSwapAdapter(address newAdapter) external;
+    function setProtectionFee(uint256 fee) external;
+    function setStabilityFee(uint256 fee) external;
+    function setDebtCeiling(uint256 ceiling) external;
+    function setDepositCap(address asset, uint256 cap) external;
+    function setBorrowCap(uint256 cap) external;
+    function setAccountBorrowCap(uint256 cap) external;
+    function setMinLoanSize(uint256 size) external;
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IBTCLendingStablecoin
+ * @notice Stablecoin that BTCLendingProtocol mints against collateral in CDP mode
+ */
+interface IBTCLendingStablecoin is IERC20 {
+    /**
+     * @notice Mint new stablecoins
+     * @dev Only callable by the owner, the protocol once ownership is handed to it
+     * @param to The recipient
+     * @param amount The amount to mint
+     */
+    function mint(address to, uint256 amount) external;
+
+    /**
+     * @notice Burn stablecoins held by the caller
+     * @param amount The amount to burn
+     */
+    function burn(uint256 amount) external;
+}
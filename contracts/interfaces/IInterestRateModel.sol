@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+/**
+ * @title IInterestRateModel
+ * @notice Rate model consumed by BTCLendingProtocol
+ * @dev All rates are annual and, like utilization, scaled by 1e18
+ */
+interface IInterestRateModel {
+    /**
+     * @notice Share of pool liquidity currently lent out
+     * @param cash USD held by the pool and available to borrow
+     * @param borrows USD currently owed by borrowers
+     */
+    function utilizationRate(uint256 cash, uint256 borrows) external view returns (uint256);
+
+    /**
+     * @notice Annual rate charged to borrowers
+     * @param cash USD held by the pool and available to borrow
+     * @param borrows USD currently owed by borrowers
+     */
+    function getBorrowRate(uint256 cash, uint256 borrows) external view returns (uint256);
+
+    /**
+     * @notice Annual rate earned by suppliers
+     * @param cash USD held by the pool and available to borrow
+     * @param borrows USD currently owed by borrowers
+     * @param reserveFactor Share of interest kept by the protocol
+     */
+    function getSupplyRate(uint256 cash, uint256 borrows, uint256 reserveFactor) external view returns (uint256);
+}
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+/**
+ * @title IPriceRouter
+ * @notice Price source consumed by BTCLendingProtocol
+ */
+interface IPriceRouter {
+    /**
+     * @notice Latest validated price from the highest-priority healthy feed
+     * @return price The price, scaled by 10**decimals
+     * @return decimals The number of decimals of the price
+     */
+    function getPrice() external view returns (uint256 price, uint8 decimals);
+
+    /**
+     * @notice Same as getPrice, but records which feed served it and emits an event when that changes
+     * @return price The price, scaled by 10**decimals
+     * @return decimals The number of decimals of the price
+     */
+    function refreshPrice() external returns (uint256 price, uint8 decimals);
+}
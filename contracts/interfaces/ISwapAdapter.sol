@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+/**
+ * @title ISwapAdapter
+ * @notice Sells collateral for the protocol's USD token on a DEX, for protection orders
+ */
+interface ISwapAdapter {
+    /**
+     * @notice Sell an asset for USD, paid to the caller
+     * @param asset The asset sold, address(0) for native RBTC sent as msg.value. ERC-20 assets
+     *        are pulled from the caller, which approves them first.
+     * @param amount The amount sold, in the asset's own decimals
+     * @param minUsdOut The least USD the caller accepts
+     * @return usdOut The USD paid to the caller
+     */
+    function swapToUSD(address asset, uint256 amount, uint256 minUsdOut) external payable returns (uint256 usdOut);
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IWRBTC
+ * @notice Wrapped RBTC, an ERC-20 minted 1:1 against native RBTC (WETH9 interface)
+ */
+interface IWRBTC is IERC20 {
+    /**
+     * @notice Wrap the RBTC sent with the call, minting the same amount to the caller
+     */
+    function deposit() external payable;
+
+    /**
+     * @notice Burn wrapped RBTC from the caller and send back the same amount of RBTC
+     * @param amount The amount to unwrap
+     */
+    function withdraw(uint256 amount) external;
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "../BTCLendingProtocol.sol";
+
+// Upgrade target for tests: the current protocol plus a version getter
+// The proxy is already initialized, so there is nothing left to set up
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract BTCLendingProtocolV2 is BTCLendingProtocol {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _extensionDelegate) BTCLendingProtocol(_extensionDelegate) {}
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@chainlink/contracts/src/v0.8/automation/interfaces/AutomationCompatibleInterface.sol";
+
+// Stands in for a Chainlink Automation registry: simulates checkUpkeep, then performs it
+contract MockAutomationRegistry {
+    struct Upkeep {
+        AutomationCompatibleInterface target;
+        bytes checkData;
+    }
+
+    Upkeep[] public upkeeps;
+
+    event UpkeepRegistered(uint256 indexed id, address indexed target, bytes checkData);
+    event UpkeepPerformed(uint256 indexed id, bytes performData);
+
+    function registerUpkeep(address _target, bytes calldata _checkData) external returns (uint256 id) {
+        id = upkeeps.length;
+        upkeeps.push(Upkeep(AutomationCompatibleInterface(_target), _checkData));
+        emit UpkeepRegistered(id, _target, _checkData);
+    }
+
+    function checkUpkeep(uint256 _id) public view returns (bool upkeepNeeded, bytes memory performData) {
+        Upkeep memory upkeep = upkeeps[_id];
+        // Real registries simulate checkUpkeep off-chain, a static call does the same here
+        (bool success, bytes memory result) = address(upkeep.target).staticcall(
+            abi.encodeCall(AutomationCompatibleInterface.checkUpkeep, (upkeep.checkData))
+        );
+        if (!success) return (false, "");
+        return abi.decode(result, (bool, bytes));
+    }
+
+    function performUpkeep(uint256 _id) external returns (bool upkeepNeeded) {
+        bytes memory performData;
+        (upkeepNeeded, performData) = checkUpkeep(_id);
+        if (!upkeepNeeded) return false;
+
+        upkeeps[_id].target.performUpkeep(performData);
+        emit UpkeepPerformed(_id, performData);
+    }
+}
@@ -2,8 +2,9 @@
 pragma solidity ^0.8.29;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract MockERC20 is ERC20 {
+contract MockERC20 is ERC20Permit {
     uint8 private _decimals;
 
     constructor(
@@ -11,7 +12,7 @@ contract MockERC20 is ERC20 {
         string memory symbol,
         uint8 decimals_,
         uint256 initialSupply
-    ) ERC20(name, symbol) {
+    ) ERC20(name, symbol) ERC20Permit(name) {
         _decimals = decimals_;
         _mint(msg.sender, initialSupply);
     }
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+contract MockFlashBorrower is IERC3156FlashBorrower {
+    IERC3156FlashLender public immutable lender;
+    bytes32 public callbackResult = keccak256("ERC3156FlashBorrower.onFlashLoan");
+    bool public approveRepayment = true;
+    address public lastInitiator;
+    uint256 public lastFee;
+    uint256 public balanceDuringLoan;
+
+    constructor(address _lender) {
+        lender = IERC3156FlashLender(_lender);
+    }
+
+    receive() external payable {}
+
+    function setCallbackResult(bytes32 _result) external {
+        callbackResult = _result;
+    }
+
+    function setApproveRepayment(bool _approve) external {
+        approveRepayment = _approve;
+    }
+
+    // Borrows and, during the loan, makes `_action` as a call to the lender
+    function flashBorrow(address _token, uint256 _amount, bytes calldata _action) external {
+        lender.flashLoan(this, _token, _amount, _action);
+    }
+
+    function onFlashLoan(
+        address _initiator,
+        address _token,
+        uint256,
+        uint256 _fee,
+        bytes calldata _data
+    ) external returns (bytes32) {
+        require(msg.sender == address(lender), "untrusted lender");
+        lastInitiator = _initiator;
+        lastFee = _fee;
+        balanceDuringLoan = IERC20(_token).balanceOf(address(this));
+
+        if (approveRepayment) IERC20(_token).approve(address(lender), type(uint256).max);
+        if (_data.length > 0) {
+            (bool success, bytes memory result) = address(lender).call(_data);
+            if (!success) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+        }
+        return callbackResult;
+    }
+}
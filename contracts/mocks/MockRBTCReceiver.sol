@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+// Smart-contract wallet stand-in: rejects RBTC, or accepts it with a receive hook that
+// writes storage and so needs more than the 2300 gas stipend of transfer
+contract MockRBTCReceiver {
+    bool public rejectPayments;
+    uint256 public totalReceived;
+
+    constructor(bool _rejectPayments) {
+        rejectPayments = _rejectPayments;
+    }
+
+    receive() external payable {
+        require(!rejectPayments, "payments rejected");
+        totalReceived += msg.value;
+    }
+
+    function setRejectPayments(bool _reject) external {
+        rejectPayments = _reject;
+    }
+
+    function execute(address _target, bytes calldata _data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = _target.call{value: msg.value}(_data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+}
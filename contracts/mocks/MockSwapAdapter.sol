@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.29;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../interfaces/ISwapAdapter.sol";
+
+// Fixed-rate DEX paying out of its own USD balance, with an optional haircut for slippage.
+// It ignores minUsdOut, leaving the slippage check to the protocol.
+contract MockSwapAdapter is ISwapAdapter {
+    IERC20 public immutable usd;
+    mapping(address => uint256) public rates; // USD per smallest unit of the asset, scaled by 1e18
+    uint256 public slippage; // Basis points kept from every swap
+
+    constructor(address _usd) {
+        usd = IERC20(_usd);
+    }
+
+    function setRate(address _asset, uint256 _rate) external {
+        rates[_asset] = _rate;
+    }
+
+    function setSlippage(uint256 _slippage) external {
+        slippage = _slippage;
+    }
+
+    function swapToUSD(address _asset, uint256 _amount, uint256) external payable returns (uint256 usdOut) {
+        if (_asset == address(0)) {
+            require(msg.value == _amount, "wrong value");
+        } else {
+            IERC20(_asset).transferFrom(msg.sender, address(this), _amount);
+        }
+        usdOut = (((_amount * rates[_asset]) / 1e18) * (10000 - slippage)) / 10000;
+        usd.transfer(msg.sender, usdOut);
+    }
+}
@@ -14,6 +14,7 @@ contract MockV3Aggregator is AggregatorV3Interface {
     mapping(uint256 => int256) public getAnswer;
     mapping(uint256 => uint256) public getTimestamp;
     mapping(uint256 => uint256) private getStartedAt;
+    mapping(uint256 => uint80) private getAnsweredInRound;
 
     constructor(uint8 _decimals, int256 _initialAnswer) {
         decimals = _decimals;
@@ -43,6 +44,15 @@ contract MockV3Aggregator is AggregatorV3Interface {
         getStartedAt[_roundId] = _startedAt;
     }
 
+    function setAnsweredInRound(uint80 _roundId, uint80 _answered) public {
+        getAnsweredInRound[_roundId] = _answered;
+    }
+
+    function _answeredInRound(uint80 _roundId) internal view returns (uint80) {
+        uint80 answeredInRound = getAnsweredInRound[_roundId];
+        return answeredInRound == 0 ? _roundId : answeredInRound;
+    }
+
     function getRoundData(uint80 _roundId)
         external
         view
@@ -60,7 +70,7 @@ contract MockV3Aggregator is AggregatorV3Interface {
             getAnswer[_roundId],
             getStartedAt[_roundId],
             getTimestamp[_roundId],
-            _roundId
+            _answeredInRound(_roundId)
         );
     }
 
@@ -81,7 +91,7 @@ contract MockV3Aggregator is AggregatorV3Interface {
             getAnswer[latestRound],
             getStartedAt[latestRound],
             getTimestamp[latestRound],
-            uint80(latestRound)
+            _answeredInRound(uint80(latestRound))
         );
     }
 
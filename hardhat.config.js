@@ -1,27 +1,36 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
+require("./tasks/protocol");
+require("./tasks/owner");
+
+// Deployer key for the RSK networks, from PRIVATE_KEY in the environment or .env
+const accounts = process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [];
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.29",
+  solidity: {
+    version: "0.8.29",
+    settings: {
+      // Keeps BTCLendingProtocol under the 24KB contract size limit
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
   networks: {
     rskTestnet: {
       url: "https://public-node.testnet.rsk.co",
       chainId: 31,
       gasPrice: "auto", 
-      accounts: [
-        // Add your private key here (use environment variables in production)
-        process.env.PRIVATE_KEY,
-      ]
+      accounts,
     },
     rskMainnet: {
       url: "https://public-node.rsk.co",
       chainId: 30,
       gasPrice: "auto",
-      accounts: [
-        // Add your private key here (use environment variables in production)
-        process.env.PRIVATE_KEY,
-      ]
+      accounts,
     }
   }
 };
\ No newline at end of file
@@ -0,0 +1,89 @@
+// Deploys the pooled BTC lending market: price router, interest rate model,
+// the protocol implementation with its extension and admin contracts, the
+// position token and the proxy users talk to, then seeds pool liquidity from
+// the deployer.
+//
+// On the hardhat and localhost networks the USD token and the BTC/USD feed
+// come from MocksModule. Elsewhere they are the usdToken and priceFeeds
+// parameters, see ignition/parameters/<network>.json.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { network } = require("hardhat");
+const MocksModule = require("./Mocks");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+module.exports = buildModule("BTCLendingProtocolModule", (m) => {
+  const deployer = m.getAccount(0);
+
+  let usdToken;
+  let priceFeeds;
+  let mocks = {};
+  if (LOCAL_NETWORKS.includes(network.name)) {
+    mocks = m.useModule(MocksModule);
+    usdToken = mocks.usdToken;
+    priceFeeds = [mocks.priceFeed];
+  } else {
+    usdToken = m.contractAt("IERC20Metadata", m.getParameter("usdToken"), {
+      id: "USDToken",
+    });
+    priceFeeds = m.getParameter("priceFeeds");
+  }
+
+  const priceRouter = m.contract("PriceRouter", [
+    priceFeeds,
+    m.getParameter("stalenessLimits", [3600]),
+    m.getParameter("maxDeviation", 500), // 5% in basis points
+  ]);
+  // 2% base, +10% up to 80% utilization, +100% above it
+  const interestRateModel = m.contract("InterestRateModel", [
+    m.getParameter("baseRate", 2n * 10n ** 16n),
+    m.getParameter("slope1", 10n ** 17n),
+    m.getParameter("kink", 8n * 10n ** 17n),
+    m.getParameter("slope2", 10n ** 18n),
+  ]);
+
+  const admin = m.contract("BTCLendingAdmin");
+  const extension = m.contract("BTCLendingExt", [admin]);
+  const implementation = m.contract("BTCLendingProtocol", [extension]);
+  const positionToken = m.contract("BTCLendingPositions");
+  const proxy = m.contract("BTCLendingProxy", [
+    implementation,
+    m.encodeFunctionCall(implementation, "initialize", [
+      usdToken,
+      interestRateModel,
+      priceRouter,
+      positionToken,
+      m.getParameter("riskParameters", {
+        maxLtv: 70,
+        liquidationThreshold: 75,
+        liquidationPenalty: 10,
+        liquidationBonus: 5,
+        closeFactor: 50,
+      }),
+      false, // pooled mode, lending USD deposited by lenders
+    ]),
+  ]);
+  m.call(positionToken, "transferOwnership", [proxy]);
+
+  // The full ABI covers the functions served by the extension and admin
+  const protocol = m.contractAt("IBTCLendingProtocol", proxy, {
+    id: "Protocol",
+  });
+
+  const seedLiquidity = m.getParameter("seedLiquidity", 100_000n * 10n ** 18n);
+  const approval = m.call(usdToken, "approve", [protocol, seedLiquidity]);
+  m.call(protocol, "deposit", [seedLiquidity, deployer], { after: [approval] });
+
+  return {
+    protocol,
+    implementation,
+    extension,
+    admin,
+    positionToken,
+    priceRouter,
+    interestRateModel,
+    usdToken,
+    ...mocks,
+  };
+});
@@ -0,0 +1,15 @@
+// Stand-ins for the external contracts the protocol needs, deployed only on
+// local networks: a USD token minted to the deployer and a BTC/USD feed.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("MocksModule", (m) => {
+  const usdSupply = m.getParameter("usdSupply", 10_000_000n * 10n ** 18n);
+  const priceDecimals = m.getParameter("priceDecimals", 8);
+  const btcPrice = m.getParameter("btcPrice", 50_000n * 10n ** 8n);
+
+  const usdToken = m.contract("MockERC20", ["Mock USD", "mUSD", 18, usdSupply]);
+  const priceFeed = m.contract("MockV3Aggregator", [priceDecimals, btcPrice]);
+
+  return { usdToken, priceFeed };
+});
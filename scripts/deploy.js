@@ -1,47 +1,108 @@
+// Deploys BTCLendingProtocol with Hardhat Ignition and writes the deployment
+// manifest, deployments/<network>.json, with every address and ABI.
+//
+// Usage:
+//   npx hardhat run scripts/deploy.js --network localhost
+//   PRIVATE_KEY=0x... npx hardhat run scripts/deploy.js --network rskTestnet
+//
+// Parameters come from ignition/parameters/<network>.json, hardhat.json for
+// the local networks, which also deploy a mock USD token and BTC/USD feed.
+// Re-running resumes or reuses the Ignition deployment of that network.
+//
+// This deploys the pooled mode. A CDP deployment needs setDebtCeiling from the
+// owner after initialize, since every borrow reverts until the ceiling is set.
+const fs = require("fs");
+const path = require("path");
 const hre = require("hardhat");
+const BTCLendingProtocolModule = require("../ignition/modules/BTCLendingProtocol");
+const { manifestPath, writeManifest } = require("./manifest");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// Artifact whose ABI the manifest lists for each module result
+const MANIFEST_CONTRACTS = {
+  protocol: ["BTCLendingProtocol", "IBTCLendingProtocol"],
+  implementation: ["BTCLendingProtocolImplementation", "BTCLendingProtocol"],
+  extension: ["BTCLendingExt", "BTCLendingExt"],
+  admin: ["BTCLendingAdmin", "BTCLendingAdmin"],
+  positionToken: ["BTCLendingPositions", "BTCLendingPositions"],
+  priceRouter: ["PriceRouter", "PriceRouter"],
+  interestRateModel: ["InterestRateModel", "InterestRateModel"],
+  usdToken: ["USDToken", "IERC20Metadata"],
+  priceFeed: ["PriceFeed", "MockV3Aggregator"],
+};
+
+function parametersFile(networkName) {
+  const name = LOCAL_NETWORKS.includes(networkName) ? "hardhat" : networkName;
+  const file = path.join(__dirname, "../ignition/parameters", `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No Ignition parameters for ${networkName} at ${file}`);
+  }
+  return file;
+}
+
+// Placeholder addresses in a parameter file would only fail halfway through
+function checkParameters(networkName, file) {
+  if (LOCAL_NETWORKS.includes(networkName)) return;
+  const params =
+    JSON.parse(fs.readFileSync(file, "utf8")).BTCLendingProtocolModule || {};
+  const addresses = [params.usdToken, ...(params.priceFeeds || [])];
+  if (addresses.length < 2 || addresses.some((a) => !a || BigInt(a) === 0n)) {
+    throw new Error(
+      `Set usdToken and priceFeeds in ${file} before deploying to ${networkName}`
+    );
+  }
+}
 
 async function main() {
-  console.log("Deploying lending protocol to Rootstock...");
-  
-  // Deploy Mock USD token first
-  console.log("Deploying Mock USD token...");
-  const MockUSD = await hre.ethers.getContractFactory("MockUSD");
-  const mockUSD = await MockUSD.deploy();
-  await mockUSD.deployed();
-  console.log("Mock USD deployed to:", mockUSD.address);
-  
-  // Deploy Lending Protocol
-  console.log("Deploying BTC Lending Protocol...");
-  const BTCLendingProtocol = await hre.ethers.getContractFactory("BTCLendingProtocol");
-  const lendingProtocol = await BTCLendingProtocol.deploy(mockUSD.address);
-  await lendingProtocol.deployed();
-  console.log("BTC Lending Protocol deployed to:", lendingProtocol.address);
-  
-  // Transfer some USD tokens to the lending protocol
-  console.log("Funding lending protocol with USD tokens...");
-  const fundAmount = hre.ethers.utils.parseEther("100000"); // 100k USD
-  await mockUSD.transfer(lendingProtocol.address, fundAmount);
-  
-  // Verify price feed is working
-  try {
-    const [price, decimals] = await lendingProtocol.getLatestPrice();
-    console.log("BTC/USD Price:", price.toString());
-    console.log("Price Feed Decimals:", decimals.toString());
-    
-    const protocolStats = await lendingProtocol.getProtocolStats();
-    console.log("Protocol Stats:", {
-      totalCollateral: protocolStats._totalCollateral.toString(),
-      totalBorrowed: protocolStats._totalBorrowed.toString(),
-      btcPrice: protocolStats.btcPrice.toString(),
-      utilizationRate: protocolStats.utilizationRate.toString()
-    });
-  } catch (error) {
-    console.log("Error fetching price data:", error.message);
+  const networkName = hre.network.name;
+  const file = parametersFile(networkName);
+  checkParameters(networkName, file);
+
+  const [deployer] = await hre.ethers.getSigners();
+  console.log(
+    `Deploying BTC Lending Protocol to ${networkName} from ${deployer.address}`
+  );
+  const deployed = await hre.ignition.deploy(BTCLendingProtocolModule, {
+    parameters: file,
+    displayUi: true,
+  });
+
+  const contracts = {};
+  for (const [key, contract] of Object.entries(deployed)) {
+    const [name, artifactName] = MANIFEST_CONTRACTS[key];
+    const artifact = await hre.artifacts.readArtifact(
+      key === "usdToken" && LOCAL_NETWORKS.includes(networkName)
+        ? "MockERC20"
+        : artifactName
+    );
+    contracts[name] = {
+      address: await contract.getAddress(),
+      contract: artifact.contractName,
+      abi: artifact.abi,
+    };
   }
-  
-  console.log("\nDeployment Summary:");
-  console.log("Mock USD Token:", mockUSD.address);
-  console.log("BTC Lending Protocol:", lendingProtocol.address);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  writeManifest(networkName, {
+    network: networkName,
+    chainId: Number(chainId),
+    deployer: deployer.address,
+    mocks: LOCAL_NETWORKS.includes(networkName),
+    deployedAt: new Date().toISOString(),
+    contracts,
+  });
+
+  const protocol = deployed.protocol;
+  const [btcPrice, decimals] = await protocol.getLatestPrice();
+  console.log("\nBTC Lending Protocol:", contracts.BTCLendingProtocol.address);
+  console.log("USD token:", contracts.USDToken.address);
+  console.log("BTC/USD price:", hre.ethers.formatUnits(btcPrice, decimals));
+  console.log(
+    "Pool liquidity:",
+    hre.ethers.formatEther(await protocol.totalAssets()),
+    "USD"
+  );
+  console.log("Manifest written to", manifestPath(networkName));
 }
 
 main()
@@ -49,4 +110,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
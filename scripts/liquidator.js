@@ -0,0 +1,576 @@
+// Liquidation bot for BTCLendingProtocol.
+//
+// Rebuilds open positions from protocol events, then follows new blocks and
+// re-checks positions with getUserLoan whenever a price feed updates or a
+// position changes. Liquidates RBTC collateral when the trade is profitable
+// after gas. In auction mode liquidate only starts an auction, so the bot
+// kicks unhealthy loans instead and bids on RBTC auctions of the
+// DutchAuctionLiquidator once the auction price is profitable after gas.
+//
+// Usage:
+//   npx hardhat run scripts/liquidator.js --network localhost
+//
+// Environment:
+//   LENDING_ADDRESS   BTCLendingProtocol address (default: from deployments/<network>.json)
+//   DRY_RUN           "true" to log liquidations without sending transactions
+//   MIN_PROFIT_USD    Minimum profit after gas, in USD (default 0)
+//   SLIPPAGE_BPS      Tolerated collateral shortfall vs. the quote (default 50)
+//   FROM_BLOCK        First block to scan for events (default 0)
+//   LOG_RANGE         Blocks per eth_getLogs request (default 2000)
+//   LIQUIDATE_GAS     Gas assumed for liquidate when it cannot be estimated (default 400000)
+//   TAKE_GAS          Gas assumed for an auction take when it cannot be estimated (default 300000)
+const fs = require("fs");
+const hre = require("hardhat");
+const { manifestPath, readManifest } = require("./manifest");
+
+const POSITION_EVENTS = new Set([
+  "CollateralDeposited",
+  "LoanTaken",
+  "LoanRepaid",
+  "CollateralWithdrawn",
+  "Liquidation",
+  "KeeperLiquidation",
+  "AuctionStarted",
+  "AuctionSettlement",
+  "BadDebtRecorded",
+]);
+
+const config = {
+  lendingAddress: process.env.LENDING_ADDRESS,
+  dryRun: ["1", "true"].includes((process.env.DRY_RUN || "").toLowerCase()),
+  minProfitUSD: hre.ethers.parseEther(process.env.MIN_PROFIT_USD || "0"),
+  slippageBps: BigInt(process.env.SLIPPAGE_BPS || "50"),
+  fromBlock: Number(process.env.FROM_BLOCK || "0"),
+  logRange: Number(process.env.LOG_RANGE || "2000"),
+  liquidateGas: BigInt(process.env.LIQUIDATE_GAS || "400000"),
+  takeGas: BigInt(process.env.TAKE_GAS || "300000"),
+};
+
+// One JSON object per line, bigint values as decimal strings
+function log(level, event, fields = {}) {
+  const entry = { ts: new Date().toISOString(), level, event, ...fields };
+  console.log(
+    JSON.stringify(entry, (_, value) =>
+      typeof value === "bigint" ? value.toString() : value
+    )
+  );
+}
+
+// Event-sourced view of each borrower. Amounts exclude interest, so health is
+// always confirmed on-chain with getUserLoan before acting.
+class PositionBook {
+  constructor() {
+    this.positions = new Map();
+  }
+
+  get(user) {
+    if (!this.positions.has(user)) {
+      this.positions.set(user, { collateral: 0n, borrowed: 0n });
+    }
+    return this.positions.get(user);
+  }
+
+  apply(event) {
+    const { args } = event;
+    const position = this.get(args.user);
+
+    switch (event.name) {
+      case "CollateralDeposited":
+        position.collateral += args.amount;
+        break;
+      case "CollateralWithdrawn":
+        position.collateral -= args.amount;
+        break;
+      case "LoanTaken":
+        position.borrowed += args.borrowed;
+        break;
+      case "LoanRepaid":
+        position.borrowed -= args.amount;
+        break;
+      case "Liquidation":
+        position.collateral -= args.collateral;
+        position.borrowed -= args.debt;
+        break;
+      case "KeeperLiquidation":
+        // Token collateral is not tracked, only the debt side applies
+        if (args.asset === hre.ethers.ZeroAddress) {
+          position.collateral -= args.collateral;
+        }
+        position.borrowed -= args.debt;
+        break;
+      case "AuctionStarted":
+        if (args.asset === hre.ethers.ZeroAddress) {
+          position.collateral -= args.collateral;
+        }
+        position.borrowed -= args.debt;
+        break;
+      case "AuctionSettlement":
+        // Collateral left over once the auction raised its tab
+        if (args.asset === hre.ethers.ZeroAddress) {
+          position.collateral += args.collateralReturned;
+        }
+        break;
+      case "BadDebtRecorded":
+        // Written off once the collateral ran out; auction losses were
+        // already moved out at AuctionStarted and floor at zero below
+        position.borrowed -= args.amount;
+        break;
+    }
+
+    // Repayments include interest, so the principal can go below zero
+    if (position.collateral < 0n) position.collateral = 0n;
+    if (position.borrowed < 0n) position.borrowed = 0n;
+    return args.user;
+  }
+
+  // Borrowers whose events leave an outstanding loan
+  openPositions() {
+    return [...this.positions.entries()]
+      .filter(([, position]) => position.borrowed > 0n)
+      .map(([user]) => user);
+  }
+
+  close(user) {
+    this.get(user).borrowed = 0n;
+  }
+}
+
+class Liquidator {
+  constructor({ lending, usd, feeds, signer, auctionHouse }) {
+    this.lending = lending;
+    this.usd = usd;
+    this.feeds = feeds;
+    this.signer = signer;
+    // DutchAuctionLiquidator in auction mode, null otherwise
+    this.auctionHouse = auctionHouse;
+    this.book = new PositionBook();
+    this.lastBlock = config.fromBlock - 1;
+    this.feedRounds = new Map();
+    this.auctions = new Set();
+    this.lastAuction = 0n;
+    this.busy = false;
+  }
+
+  // Fetch and apply protocol events up to toBlock, returning the touched borrowers
+  async syncEvents(toBlock) {
+    const touched = new Set();
+    for (
+      let from = this.lastBlock + 1;
+      from <= toBlock;
+      from += config.logRange
+    ) {
+      const to = Math.min(from + config.logRange - 1, toBlock);
+      const logs = await hre.ethers.provider.getLogs({
+        address: config.lendingAddress,
+        fromBlock: from,
+        toBlock: to,
+      });
+
+      for (const raw of logs) {
+        const event = this.lending.interface.parseLog(raw);
+        if (!event || !POSITION_EVENTS.has(event.name)) continue;
+        touched.add(this.book.apply(event));
+      }
+    }
+    this.lastBlock = toBlock;
+    return touched;
+  }
+
+  // True if any feed published a new round since the last call
+  async pollFeeds() {
+    let updated = false;
+    for (const feed of this.feeds) {
+      const { roundId, answer } = await feed.latestRoundData();
+      const address = await feed.getAddress();
+      if (this.feedRounds.get(address) !== roundId) {
+        if (this.feedRounds.has(address)) {
+          log("info", "price_update", { feed: address, roundId, answer });
+        }
+        this.feedRounds.set(address, roundId);
+        updated = true;
+      }
+    }
+    return updated;
+  }
+
+  async start() {
+    const head = await hre.ethers.provider.getBlockNumber();
+    await this.syncEvents(head);
+    await this.pollFeeds();
+
+    const open = this.book.openPositions();
+    log("info", "positions_rebuilt", {
+      block: head,
+      tracked: this.book.positions.size,
+      open: open.length,
+    });
+    await this.checkPositions(open);
+    await this.checkAuctions();
+
+    hre.ethers.provider.on("block", (blockNumber) => this.onBlock(blockNumber));
+    log("info", "following_blocks", { dryRun: config.dryRun });
+  }
+
+  async onBlock(blockNumber) {
+    // Blocks that arrive while a check is running are covered by the next sync
+    if (this.busy || blockNumber <= this.lastBlock) return;
+    this.busy = true;
+    try {
+      const touched = await this.syncEvents(blockNumber);
+      const priceUpdated = await this.pollFeeds();
+      const users = priceUpdated ? this.book.openPositions() : [...touched];
+      if (users.length > 0) {
+        log("debug", "block", {
+          block: blockNumber,
+          priceUpdated,
+          checking: users.length,
+        });
+        await this.checkPositions(users);
+      }
+      // Auction prices fall with time, so every block may bring a bid
+      await this.checkAuctions();
+    } catch (error) {
+      log("error", "block_failed", {
+        block: blockNumber,
+        error: error.message,
+      });
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  async checkPositions(users) {
+    for (const user of users) {
+      try {
+        const loan = await this.lending.getUserLoan(user);
+        if (loan.borrowed === 0n) {
+          this.book.close(user);
+          continue;
+        }
+        if (loan.liquidatable) {
+          await this.tryLiquidate(user, loan);
+        }
+      } catch (error) {
+        log("error", "check_failed", { user, error: error.message });
+      }
+    }
+  }
+
+  // Quote the close-factor liquidation and its profit after gas, in USD
+  async quote(user, loan) {
+    const lendingAddress = await this.lending.getAddress();
+    const [params, balance, allowance, feeData] = await Promise.all([
+      this.lending.riskParameters(),
+      this.usd.balanceOf(this.signer.address),
+      this.usd.allowance(this.signer.address, lendingAddress),
+      hre.ethers.provider.getFeeData(),
+    ]);
+
+    let repayAmount = (loan.borrowed * params.closeFactor) / 100n;
+    if (repayAmount > balance) repayAmount = balance;
+    if (repayAmount === 0n) return { repayAmount };
+
+    const repayValue = await this.lending.usdToBTC(repayAmount);
+    let collateralOut = (repayValue * (100n + params.liquidationBonus)) / 100n;
+    if (collateralOut > loan.collateral) collateralOut = loan.collateral;
+    const minCollateralOut =
+      (collateralOut * (10000n - config.slippageBps)) / 10000n;
+
+    // Liquidate can only be estimated once the allowance is in place
+    let gas = 0n;
+    if (allowance < repayAmount) {
+      gas += await this.usd.approve.estimateGas(lendingAddress, repayAmount);
+      gas += config.liquidateGas;
+    } else {
+      gas += await this.lending.liquidate.estimateGas(
+        user,
+        repayAmount,
+        minCollateralOut
+      );
+    }
+    const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+    const gasCostUSD = await this.lending.btcToUSD(gas * gasPrice);
+    const collateralUSD = await this.lending.btcToUSD(collateralOut);
+    const profitUSD = collateralUSD - repayAmount - gasCostUSD;
+
+    return {
+      repayAmount,
+      collateralOut,
+      minCollateralOut,
+      allowance,
+      gas,
+      gasCostUSD,
+      profitUSD,
+    };
+  }
+
+  async tryLiquidate(user, loan) {
+    if (this.auctionHouse) {
+      await this.kick(user, loan);
+      return;
+    }
+    const quote = await this.quote(user, loan);
+    const context = {
+      user,
+      debt: loan.borrowed,
+      collateral: loan.collateral,
+      ltv: loan.ltv,
+      ...quote,
+    };
+    delete context.allowance;
+
+    if (quote.repayAmount === 0n) {
+      log("warn", "skip_no_funds", context);
+      return;
+    }
+    if (quote.profitUSD < config.minProfitUSD) {
+      log("info", "skip_unprofitable", context);
+      return;
+    }
+    if (config.dryRun) {
+      log("info", "dry_run_liquidation", context);
+      return;
+    }
+
+    if (quote.allowance < quote.repayAmount) {
+      await this.approve(await this.lending.getAddress(), quote.repayAmount);
+    }
+
+    const tx = await this.lending.liquidate(
+      user,
+      quote.repayAmount,
+      quote.minCollateralOut
+    );
+    const receipt = await tx.wait();
+    log("info", "liquidated", {
+      ...context,
+      tx: tx.hash,
+      block: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+    });
+  }
+
+  async approve(spender, amount) {
+    const tx = await this.usd.approve(spender, amount);
+    await tx.wait();
+    log("info", "approved", { spender, amount, tx: tx.hash });
+  }
+
+  // In auction mode liquidate moves the collateral and debt into an auction
+  // and pays nothing, so there is no profit to check before kicking
+  async kick(user, loan) {
+    const context = {
+      user,
+      debt: loan.borrowed,
+      collateral: loan.collateral,
+      ltv: loan.ltv,
+    };
+    if (config.dryRun) {
+      log("info", "dry_run_kick", context);
+      return;
+    }
+
+    const tx = await this.lending.liquidate(user, hre.ethers.MaxUint256, 0);
+    const receipt = await tx.wait();
+    const started = receipt.logs
+      .map((raw) => this.lending.interface.parseLog(raw))
+      .find((event) => event?.name === "AuctionStarted");
+    log("info", "auction_kicked", {
+      ...context,
+      auctionId: started?.args.auctionId,
+      tx: tx.hash,
+      block: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+    });
+    this.book.close(user);
+  }
+
+  // Track auctions kicked since the last call and bid on the running ones
+  async checkAuctions() {
+    if (!this.auctionHouse) return;
+    const count = await this.auctionHouse.auctionCount();
+    for (let id = this.lastAuction + 1n; id <= count; id++) {
+      this.auctions.add(id);
+    }
+    this.lastAuction = count;
+
+    for (const id of this.auctions) {
+      try {
+        await this.tryBid(id);
+      } catch (error) {
+        log("error", "bid_failed", { auctionId: id, error: error.message });
+      }
+    }
+  }
+
+  // Quote buying as much of an RBTC auction as the tab and the USD balance
+  // allow at the current price, and its profit after gas against the oracle
+  async quoteBid(id, auction, price) {
+    const houseAddress = await this.auctionHouse.getAddress();
+    const [balance, allowance, feeData] = await Promise.all([
+      this.usd.balanceOf(this.signer.address),
+      this.usd.allowance(this.signer.address, houseAddress),
+      hre.ethers.provider.getFeeData(),
+    ]);
+
+    const WAD = hre.ethers.WeiPerEther;
+    let amount = auction.collateral;
+    if ((amount * price) / WAD > auction.tab)
+      amount = (auction.tab * WAD) / price;
+    if ((amount * price) / WAD > balance) amount = (balance * WAD) / price;
+    const paid = (amount * price) / WAD;
+    if (amount === 0n || paid === 0n) return { amount: 0n };
+
+    // Take can only be estimated once the allowance is in place
+    let gas = 0n;
+    if (allowance < paid) {
+      gas += await this.usd.approve.estimateGas(houseAddress, paid);
+      gas += config.takeGas;
+    } else {
+      gas += await this.auctionHouse.take.estimateGas(id, amount, price);
+    }
+    const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+    const gasCostUSD = await this.lending.btcToUSD(gas * gasPrice);
+    const collateralUSD = await this.lending.btcToUSD(amount);
+    const profitUSD = collateralUSD - paid - gasCostUSD;
+
+    return { amount, paid, allowance, gas, gasCostUSD, profitUSD };
+  }
+
+  async tryBid(id) {
+    const auction = await this.auctionHouse.auctions(id);
+    if (auction.collateral === 0n) {
+      // Closed auctions are deleted
+      this.auctions.delete(id);
+      return;
+    }
+    if (auction.asset !== hre.ethers.ZeroAddress) {
+      this.auctions.delete(id);
+      log("debug", "skip_token_auction", {
+        auctionId: id,
+        asset: auction.asset,
+      });
+      return;
+    }
+
+    const [price, expired] = await this.auctionHouse.getPrice(id);
+    const context = { auctionId: id, user: auction.user, price, expired };
+    if (expired) {
+      // Anyone may restart an auction stuck at its floor from the oracle price
+      if (config.dryRun) {
+        log("info", "dry_run_redo", context);
+        return;
+      }
+      const tx = await this.auctionHouse.redo(id);
+      await tx.wait();
+      log("info", "auction_restarted", { ...context, tx: tx.hash });
+      return;
+    }
+
+    const quote = await this.quoteBid(id, auction, price);
+    Object.assign(context, quote);
+    delete context.allowance;
+    if (quote.amount === 0n) {
+      log("warn", "skip_no_funds", context);
+      return;
+    }
+    if (quote.profitUSD < config.minProfitUSD) {
+      log("debug", "skip_unprofitable_bid", context);
+      return;
+    }
+    if (config.dryRun) {
+      log("info", "dry_run_bid", context);
+      return;
+    }
+
+    if (quote.allowance < quote.paid) {
+      await this.approve(await this.auctionHouse.getAddress(), quote.paid);
+    }
+    // The price only falls, so the quoted price caps what the take pays
+    const tx = await this.auctionHouse.take(id, quote.amount, price);
+    const receipt = await tx.wait();
+    log("info", "auction_taken", {
+      ...context,
+      tx: tx.hash,
+      block: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+    });
+  }
+}
+
+async function main() {
+  if (!config.lendingAddress && fs.existsSync(manifestPath(hre.network.name))) {
+    const { contracts } = readManifest(hre.network.name);
+    config.lendingAddress = contracts.BTCLendingProtocol.address;
+  }
+  if (!config.lendingAddress) {
+    throw new Error("Set LENDING_ADDRESS to the BTCLendingProtocol address");
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const lending = await hre.ethers.getContractAt(
+    "IBTCLendingProtocol",
+    config.lendingAddress,
+    signer
+  );
+  const usd = await hre.ethers.getContractAt(
+    "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20",
+    await lending.usdToken(),
+    signer
+  );
+  const router = await hre.ethers.getContractAt(
+    "PriceRouter",
+    await lending.priceRouter()
+  );
+  const feeds = await Promise.all(
+    (
+      await router.getSources()
+    ).map((source) =>
+      hre.ethers.getContractAt("AggregatorV3Interface", source.feed)
+    )
+  );
+
+  const auctionHouseAddress = await lending.auctionHouse();
+  const auctionHouse =
+    auctionHouseAddress === hre.ethers.ZeroAddress
+      ? null
+      : await hre.ethers.getContractAt(
+          "DutchAuctionLiquidator",
+          auctionHouseAddress,
+          signer
+        );
+
+  log("info", "starting", {
+    network: hre.network.name,
+    lending: config.lendingAddress,
+    liquidator: signer.address,
+    feeds: await Promise.all(feeds.map((feed) => feed.getAddress())),
+    dryRun: config.dryRun,
+    minProfitUSD: config.minProfitUSD,
+    auctionHouse: auctionHouseAddress,
+  });
+
+  const liquidator = new Liquidator({
+    lending,
+    usd,
+    feeds,
+    signer,
+    auctionHouse,
+  });
+  await liquidator.start();
+
+  // Keep running until interrupted
+  await new Promise((resolve) => {
+    process.on("SIGINT", resolve);
+    process.on("SIGTERM", resolve);
+  });
+  hre.ethers.provider.removeAllListeners("block");
+  log("info", "stopped", { lastBlock: liquidator.lastBlock });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    log("error", "fatal", { error: error.message });
+    process.exit(1);
+  });
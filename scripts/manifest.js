@@ -0,0 +1,31 @@
+// Deployment manifests: the addresses and ABIs of one network's deployment,
+// written by scripts/deploy.js to deployments/<network>.json so other scripts
+// and tasks can find the protocol without copying addresses around.
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+function manifestPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+function writeManifest(networkName, manifest) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(
+    manifestPath(networkName),
+    JSON.stringify(manifest, null, 2) + "\n"
+  );
+}
+
+function readManifest(networkName) {
+  const file = manifestPath(networkName);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `No deployment manifest at ${file}. Run scripts/deploy.js with --network ${networkName} first.`
+    );
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = { manifestPath, readManifest, writeManifest };
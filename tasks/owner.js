@@ -0,0 +1,407 @@
+// Owner and pause guardian tasks, named owner:<action>, against the
+// deployment in deployments/<network>.json. They are sent from the network's
+// first account, which must be the protocol owner or, to pause, the guardian.
+//
+//   npx hardhat owner:pause --action borrow --network localhost
+//   npx hardhat owner:set-borrow-cap --cap 1000000 --network rskTestnet
+//   npx hardhat owner:queue-risk-parameters --max-ltv 60 --network localhost
+//   npx hardhat owner:execute-price-router --network localhost
+const { task } = require("hardhat/config");
+const {
+  fail,
+  formatPercent,
+  formatTimestamp,
+  formatUsd,
+  loadDeployment,
+  parseAddress,
+  parseAmount,
+  parseExactAmount,
+  parsePausableAction,
+  runTask,
+  send,
+} = require("./utils");
+
+const RISK_PARAMETERS = [
+  ["maxLtv", "Max loan-to-value when borrowing, in %"],
+  [
+    "liquidationThreshold",
+    "Loan-to-value at which loans become liquidatable, in %",
+  ],
+  ["liquidationPenalty", "Extra collateral seized on liquidation, in %"],
+  ["liquidationBonus", "Part of the penalty paid to the liquidator, in %"],
+  ["closeFactor", "Max share of the debt repaid per liquidation, in %"],
+];
+
+function parseInteger(value, name) {
+  if (!/^\d+$/.test(value)) {
+    fail(`Invalid ${name} "${value}", expected a whole number`);
+  }
+  return BigInt(value);
+}
+
+// When a change queued behind the timelock may be executed
+async function reportEta(eta) {
+  const value = await eta;
+  return {
+    lines: [["Executable from", formatTimestamp(value)]],
+    data: { executableFrom: value },
+  };
+}
+
+// queue-, execute- and cancel-<name> for a contract address the protocol
+// swaps behind the timelock, through queue<Fn>, execute<Fn> and cancel<Fn>
+function addressTimelockTasks(name, fn, label) {
+  const param = fn.charAt(0).toLowerCase() + fn.slice(1);
+  return [
+    {
+      name: `queue-${name}`,
+      description: `Queue a new ${label} behind the timelock`,
+      params: [[param, `New ${label}`]],
+      call: (hre, protocol, args) => {
+        const address = parseAddress(hre, args[param], param);
+        return [
+          protocol[`queue${fn}`](address),
+          `Queued ${address} as the ${label}`,
+        ];
+      },
+      after: (protocol) => reportEta(protocol[`${param}Eta`]()),
+    },
+    {
+      name: `execute-${name}`,
+      description: `Switch to the queued ${label} once the timelock passed`,
+      params: [],
+      call: (hre, protocol) => [
+        protocol[`execute${fn}`](),
+        `Switched to the queued ${label}`,
+      ],
+    },
+    {
+      name: `cancel-${name}`,
+      description: `Drop the queued ${label}`,
+      params: [],
+      call: (hre, protocol) => [
+        protocol[`cancel${fn}`](),
+        `Cancelled the queued ${label}`,
+      ],
+    },
+  ];
+}
+
+// Tasks that send one transaction. `params` are [name, description] pairs and
+// `call` maps the parsed arguments to the transaction and a summary line.
+// `after` reads state to report once the transaction is mined, given the
+// protocol and the arguments.
+const OWNER_TASKS = [
+  {
+    name: "pause",
+    description: "Pause deposit, borrow, withdraw or liquidate",
+    params: [["action", "Action to pause"]],
+    call: (hre, protocol, args) => [
+      protocol.pause(parsePausableAction(args.action)),
+      `Paused ${args.action}`,
+    ],
+  },
+  {
+    name: "unpause",
+    description: "Unpause deposit, borrow, withdraw or liquidate",
+    params: [["action", "Action to unpause"]],
+    call: (hre, protocol, args) => [
+      protocol.unpause(parsePausableAction(args.action)),
+      `Unpaused ${args.action}`,
+    ],
+  },
+  {
+    name: "set-pause-guardian",
+    description: "Set the account allowed to pause alongside the owner",
+    params: [["guardian", "New pause guardian"]],
+    call: (hre, protocol, args) => {
+      const guardian = parseAddress(hre, args.guardian, "guardian");
+      return [
+        protocol.setPauseGuardian(guardian),
+        `Set the pause guardian to ${guardian}`,
+      ];
+    },
+  },
+  {
+    name: "set-keeper-reward-recipient",
+    description: "Set the account paid the reward of keeper liquidations",
+    params: [["recipient", "New reward recipient, such as the upkeep admin"]],
+    call: (hre, protocol, args) => {
+      const recipient = parseAddress(hre, args.recipient, "recipient");
+      return [
+        protocol.setKeeperRewardRecipient(recipient),
+        `Set the keeper reward recipient to ${recipient}`,
+      ];
+    },
+  },
+  {
+    name: "withdraw-fees",
+    description: "Send the protocol's RBTC and USD reserves to the owner",
+    params: [],
+    call: (hre, protocol) => [
+      protocol.withdrawProtocolFees(),
+      "Withdrew the protocol reserves",
+    ],
+  },
+  {
+    name: "fund-insurance",
+    description: "Move USD reserves into the insurance fund",
+    params: [["amount", "Amount of USD to move"]],
+    call: (hre, protocol, args) => {
+      const amount = parseExactAmount(hre, args.amount);
+      return [
+        protocol.fundInsurance(amount),
+        `Moved ${formatUsd(amount)} into the insurance fund`,
+      ];
+    },
+  },
+  {
+    name: "set-flash-loan-fee",
+    description: "Set the flash loan fee",
+    params: [["fee", "Fee in basis points"]],
+    call: (hre, protocol, args) => {
+      const fee = parseInteger(args.fee, "fee");
+      return [
+        protocol.setFlashLoanFee(fee),
+        `Set the flash loan fee to ${fee} bps`,
+      ];
+    },
+  },
+  {
+    name: "set-deposit-cap",
+    description: "Cap the total deposits of RBTC or an ERC-20 collateral",
+    params: [["cap", 'Cap in the asset\'s units, 0 or "max" for none']],
+    optional: [["asset", "ERC-20 collateral asset instead of RBTC"]],
+    call: async (hre, protocol, args) => {
+      const asset = args.asset
+        ? parseAddress(hre, args.asset, "asset")
+        : hre.ethers.ZeroAddress;
+      let decimals = 18;
+      if (args.asset) {
+        const { abi } = await hre.artifacts.readArtifact("IERC20Metadata");
+        const token = new hre.ethers.Contract(asset, abi, protocol.runner);
+        decimals = await token.decimals();
+      }
+      const cap = parseAmount(hre, args.cap, decimals);
+      return [
+        protocol.setDepositCap(asset, cap),
+        `Set the deposit cap of ${args.asset ? asset : "RBTC"} to ${args.cap}`,
+      ];
+    },
+  },
+  {
+    name: "set-borrow-cap",
+    description: "Cap the protocol's total USD debt",
+    params: [["cap", 'Cap in USD, 0 or "max" for none']],
+    call: (hre, protocol, args) => {
+      const cap = parseAmount(hre, args.cap);
+      return [
+        protocol.setBorrowCap(cap),
+        `Set the borrow cap to ${formatUsd(cap)}`,
+      ];
+    },
+  },
+  {
+    name: "set-account-borrow-cap",
+    description: "Cap each account's USD debt",
+    params: [["cap", 'Cap in USD, 0 or "max" for none']],
+    call: (hre, protocol, args) => {
+      const cap = parseAmount(hre, args.cap);
+      return [
+        protocol.setAccountBorrowCap(cap),
+        `Set the per-account borrow cap to ${formatUsd(cap)}`,
+      ];
+    },
+  },
+  {
+    name: "set-min-loan-size",
+    description: "Set the smallest USD debt a loan may be left with",
+    params: [["size", "Minimum debt in USD"]],
+    call: (hre, protocol, args) => {
+      const size = parseExactAmount(hre, args.size);
+      return [
+        protocol.setMinLoanSize(size),
+        `Set the minimum loan size to ${formatUsd(size)}`,
+      ];
+    },
+  },
+  {
+    name: "queue-risk-parameters",
+    description: "Queue new risk parameters behind the timelock",
+    params: [],
+    // Parameters left out keep their current value
+    optional: RISK_PARAMETERS,
+    call: async (hre, protocol, args) => {
+      const current = await protocol.riskParameters();
+      const params = {};
+      for (const [name] of RISK_PARAMETERS) {
+        params[name] =
+          args[name] === undefined
+            ? current[name]
+            : parseInteger(args[name], name);
+      }
+      const summary = RISK_PARAMETERS.map(
+        ([name]) => `${name} ${formatPercent(params[name])}`
+      ).join(", ");
+      return [protocol.queueRiskParameters(params), `Queued ${summary}`];
+    },
+    after: (protocol) => reportEta(protocol.riskParametersEta()),
+  },
+  {
+    name: "execute-risk-parameters",
+    description: "Apply the queued risk parameters once the timelock passed",
+    params: [],
+    call: (hre, protocol) => [
+      protocol.executeRiskParameters(),
+      "Applied the queued risk parameters",
+    ],
+  },
+  {
+    name: "cancel-risk-parameters",
+    description: "Drop the queued risk parameters",
+    params: [],
+    call: (hre, protocol) => [
+      protocol.cancelRiskParameters(),
+      "Cancelled the queued risk parameters",
+    ],
+  },
+  ...addressTimelockTasks("price-router", "PriceRouter", "price router"),
+  {
+    name: "queue-collateral-config",
+    description: "Queue listing an ERC-20 collateral or changing its config",
+    params: [
+      ["asset", "ERC-20 collateral asset"],
+      ["priceRouter", "Price router of the asset in USD"],
+      ["maxLtv", "Max loan-to-value the asset contributes, in %"],
+      [
+        "liquidationThreshold",
+        "Loan-to-value at which the asset's loans become liquidatable, in %",
+      ],
+    ],
+    call: (hre, protocol, args) => {
+      const asset = parseAddress(hre, args.asset, "asset");
+      const maxLtv = parseInteger(args.maxLtv, "maxLtv");
+      const threshold = parseInteger(
+        args.liquidationThreshold,
+        "liquidationThreshold"
+      );
+      return [
+        protocol.queueCollateralConfig(
+          asset,
+          parseAddress(hre, args.priceRouter, "priceRouter"),
+          maxLtv,
+          threshold
+        ),
+        `Queued ${asset} with maxLtv ${formatPercent(
+          maxLtv
+        )}, liquidationThreshold ${formatPercent(threshold)}`,
+      ];
+    },
+    after: (protocol, args) =>
+      reportEta(protocol.collateralConfigEtas(args.asset)),
+  },
+  {
+    name: "execute-collateral-config",
+    description: "Apply an asset's queued collateral config",
+    params: [["asset", "ERC-20 collateral asset"]],
+    call: (hre, protocol, args) => {
+      const asset = parseAddress(hre, args.asset, "asset");
+      return [
+        protocol.executeCollateralConfig(asset),
+        `Applied the queued collateral config of ${asset}`,
+      ];
+    },
+  },
+  {
+    name: "cancel-collateral-config",
+    description: "Drop an asset's queued collateral config",
+    params: [["asset", "ERC-20 collateral asset"]],
+    call: (hre, protocol, args) => {
+      const asset = parseAddress(hre, args.asset, "asset");
+      return [
+        protocol.cancelCollateralConfig(asset),
+        `Cancelled the queued collateral config of ${asset}`,
+      ];
+    },
+  },
+  ...addressTimelockTasks("auction-house", "AuctionHouse", "auction house"),
+  ...addressTimelockTasks("wrapped-rbtc", "WrappedRBTC", "wrapped RBTC token"),
+  {
+    name: "queue-upgrade",
+    description: "Queue an upgrade of the protocol behind the timelock",
+    params: [["implementation", "New BTCLendingProtocol implementation"]],
+    call: (hre, protocol, args) => {
+      const implementation = parseAddress(
+        hre,
+        args.implementation,
+        "implementation"
+      );
+      return [
+        protocol.queueUpgrade(implementation),
+        `Queued the upgrade to ${implementation}`,
+      ];
+    },
+    after: (protocol) => reportEta(protocol.upgradeEta()),
+  },
+  {
+    name: "execute-upgrade",
+    description:
+      "Upgrade to the queued implementation once the timelock passed",
+    params: [],
+    call: async (hre, protocol) => {
+      const implementation = await protocol.pendingImplementation();
+      if (implementation === hre.ethers.ZeroAddress) fail("Nothing is queued.");
+      return [
+        protocol.upgradeToAndCall(implementation, "0x"),
+        `Upgraded to ${implementation}`,
+      ];
+    },
+  },
+  {
+    name: "cancel-upgrade",
+    description: "Drop the queued upgrade",
+    params: [],
+    call: (hre, protocol) => [
+      protocol.cancelUpgrade(),
+      "Cancelled the queued upgrade",
+    ],
+  },
+];
+
+for (const definition of OWNER_TASKS) {
+  const ownerTask = task(`owner:${definition.name}`, definition.description);
+  for (const [name, description] of definition.params) {
+    ownerTask.addParam(name, description);
+  }
+  for (const [name, description] of definition.optional || []) {
+    ownerTask.addOptionalParam(name, description);
+  }
+  ownerTask
+    .addFlag("json", "Print the result as JSON")
+    .setAction(async (args, hre) =>
+      runTask(hre, args.json, async () => {
+        const { protocol, signer } = await loadDeployment(hre);
+        const [txPromise, summary] = await definition.call(hre, protocol, args);
+        const result = await send(txPromise);
+        const extra = definition.after
+          ? await definition.after(protocol, args)
+          : { lines: [], data: {} };
+        return {
+          title: summary,
+          lines: [
+            ["Sender", signer.address],
+            ["Transaction", result.tx],
+            ["Block", result.block.toString()],
+            ["Gas used", result.gasUsed.toString()],
+            ...extra.lines,
+          ],
+          data: {
+            action: `owner:${definition.name}`,
+            summary,
+            ...extra.data,
+            ...result,
+          },
+        };
+      })
+    );
+}
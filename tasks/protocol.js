@@ -0,0 +1,529 @@
+// Borrower, liquidator and market tasks against the deployment in
+// deployments/<network>.json, signed by the network's first account.
+//
+//   npx hardhat deposit --amount 0.5 --network localhost
+//   npx hardhat borrow --amount 10000 --network localhost
+//   npx hardhat repay --amount max --network localhost
+//   npx hardhat position 0x... --network localhost --json
+const { task } = require("hardhat/config");
+const {
+  ensureAllowance,
+  fail,
+  formatPercent,
+  formatRate,
+  formatRbtc,
+  formatToken,
+  formatUsd,
+  loadDeployment,
+  parseAddress,
+  parseAmount,
+  parseExactAmount,
+  runTask,
+  send,
+} = require("./utils");
+
+const JSON_FLAG = ["json", "Print the result as JSON"];
+
+// An ERC-20 collateral asset with its display metadata
+async function loadAsset(hre, signer, address) {
+  const { abi } = await hre.artifacts.readArtifact("IERC20Metadata");
+  const token = new hre.ethers.Contract(address, abi, signer);
+  const [symbol, decimals] = await Promise.all([
+    token.symbol(),
+    token.decimals(),
+  ]);
+  return {
+    token,
+    address,
+    decimals,
+    symbol,
+    format: (value) => formatToken(value, decimals, symbol),
+  };
+}
+
+// The first event of `name` the protocol emitted in a transaction
+async function findEvent(protocol, result, name) {
+  const receipt = await protocol.runner.provider.getTransactionReceipt(
+    result.tx
+  );
+  for (const log of receipt.logs) {
+    const parsed = protocol.interface.parseLog(log);
+    if (parsed?.name === name) return parsed.args;
+  }
+  return undefined;
+}
+
+function txLines(result) {
+  return [
+    ["Transaction", result.tx],
+    ["Block", result.block.toString()],
+    ["Gas used", result.gasUsed.toString()],
+  ];
+}
+
+// Interest keeps accruing until a transaction is mined, so amounts worked out
+// from the current debt allow it to grow by 0.1%
+const withAccrualMargin = (debt) => (debt * 1001n) / 1000n;
+
+// What a "max" withdrawal takes: all of the collateral once the loan is
+// repaid, otherwise the view's exact limit less the collateral that backs the
+// accrual margin at the maximum loan-to-value. `asset` is null for RBTC.
+async function maxWithdrawal(protocol, account, asset) {
+  const debt = await protocol.getCurrentDebt(account);
+  if (debt === 0n) {
+    return asset
+      ? protocol.tokenCollateral(account, asset)
+      : (await protocol.loans(account)).collateralAmount;
+  }
+  const [limit, { maxLtv }] = await Promise.all([
+    asset
+      ? protocol.getMaxWithdrawableTokenCollateral(account, asset)
+      : protocol.getMaxWithdrawableCollateral(account),
+    asset ? protocol.collateralConfigs(asset) : protocol.riskParameters(),
+  ]);
+  // maxLtv is a percentage
+  const value = ((withAccrualMargin(debt) - debt) * 100n) / maxLtv;
+  const margin = asset
+    ? await protocol.usdToToken(asset, value)
+    : await protocol.usdToBTC(value);
+  return limit > margin ? limit - margin : 0n;
+}
+
+// What a "max" liquidation repays: the close factor share of the debt, or all
+// of it when the collateral is worth less, plus the accrual margin
+async function maxLiquidation(protocol, user) {
+  const [debt, shortfall, { closeFactor }] = await Promise.all([
+    protocol.getCurrentDebt(user),
+    protocol.getShortfall(user),
+    protocol.riskParameters(),
+  ]);
+  return withAccrualMargin(shortfall > 0n ? debt : (debt * closeFactor) / 100n);
+}
+
+task("deposit", "Deposit RBTC, or an ERC-20 asset with --asset, as collateral")
+  .addParam("amount", "Amount to deposit, in RBTC or the asset's units")
+  .addOptionalParam("asset", "ERC-20 collateral asset instead of RBTC")
+  .addFlag(...JSON_FLAG)
+  .setAction(async (args, hre) =>
+    runTask(hre, args.json, async () => {
+      const { protocol, signer } = await loadDeployment(hre);
+      let amount;
+      let result;
+      let formatted;
+      let approval = null;
+      if (args.asset) {
+        const asset = await loadAsset(
+          hre,
+          signer,
+          parseAddress(hre, args.asset, "asset")
+        );
+        amount = parseExactAmount(hre, args.amount, asset.decimals);
+        approval = await ensureAllowance(
+          asset.token,
+          signer.address,
+          await protocol.getAddress(),
+          amount
+        );
+        result = await send(
+          protocol.depositTokenCollateral(asset.address, amount)
+        );
+        formatted = asset.format(amount);
+      } else {
+        amount = parseExactAmount(hre, args.amount);
+        result = await send(protocol.depositCollateral({ value: amount }));
+        formatted = formatRbtc(amount);
+      }
+      return {
+        title: `Deposited ${formatted} of collateral`,
+        lines: [
+          ["Account", signer.address],
+          [
+            "Borrowing power",
+            formatUsd(await protocol.getBorrowingPower(signer.address)),
+          ],
+          ...txLines(result),
+        ],
+        data: {
+          action: "deposit",
+          account: signer.address,
+          asset: args.asset || null,
+          amount,
+          approval,
+          ...result,
+        },
+      };
+    })
+  );
+
+task("borrow", "Borrow USD against the signer's collateral")
+  .addParam("amount", "Amount of USD to borrow")
+  .addFlag(...JSON_FLAG)
+  .setAction(async (args, hre) =>
+    runTask(hre, args.json, async () => {
+      const { protocol, signer } = await loadDeployment(hre);
+      const amount = parseExactAmount(hre, args.amount);
+      const result = await send(protocol.borrow(amount));
+      const debt = await protocol.getCurrentDebt(signer.address);
+      return {
+        title: `Borrowed ${formatUsd(amount)}`,
+        lines: [
+          ["Account", signer.address],
+          ["Debt", formatUsd(debt)],
+          [
+            "Loan-to-value",
+            formatPercent(await protocol.getLoanToValue(signer.address)),
+          ],
+          ...txLines(result),
+        ],
+        data: {
+          action: "borrow",
+          account: signer.address,
+          amount,
+          debt,
+          ...result,
+        },
+      };
+    })
+  );
+
+task("repay", "Repay USD debt, approving the protocol first when needed")
+  .addParam("amount", 'Amount of USD to repay, or "max" for the whole debt')
+  .addFlag(...JSON_FLAG)
+  .setAction(async (args, hre) =>
+    runTask(hre, args.json, async () => {
+      const { protocol, usd, signer } = await loadDeployment(hre);
+      const amount = parseAmount(hre, args.amount);
+      const needed =
+        amount === hre.ethers.MaxUint256
+          ? withAccrualMargin(await protocol.getCurrentDebt(signer.address))
+          : amount;
+      const approval = await ensureAllowance(
+        usd,
+        signer.address,
+        await protocol.getAddress(),
+        needed
+      );
+      const result = await send(protocol.repay(amount));
+      const repaid = (await findEvent(protocol, result, "LoanRepaid")).amount;
+      const debt = await protocol.getCurrentDebt(signer.address);
+      return {
+        title: `Repaid ${formatUsd(repaid)}`,
+        lines: [
+          ["Account", signer.address],
+          ["Remaining debt", formatUsd(debt)],
+          ...(approval ? [["Approval", approval.tx]] : []),
+          ...txLines(result),
+        ],
+        data: {
+          action: "repay",
+          account: signer.address,
+          amount: repaid,
+          debt,
+          approval,
+          ...result,
+        },
+      };
+    })
+  );
+
+task(
+  "withdraw",
+  "Withdraw RBTC, or an ERC-20 asset with --asset, from collateral"
+)
+  .addParam("amount", 'Amount to withdraw, or "max" for all the loan allows')
+  .addOptionalParam("asset", "ERC-20 collateral asset instead of RBTC")
+  .addFlag(...JSON_FLAG)
+  .setAction(async (args, hre) =>
+    runTask(hre, args.json, async () => {
+      const { protocol, signer } = await loadDeployment(hre);
+      let amount;
+      let result;
+      let formatted;
+      if (args.asset) {
+        const asset = await loadAsset(
+          hre,
+          signer,
+          parseAddress(hre, args.asset, "asset")
+        );
+        amount = parseAmount(hre, args.amount, asset.decimals);
+        if (amount === hre.ethers.MaxUint256) {
+          amount = await maxWithdrawal(protocol, signer.address, asset.address);
+          if (amount === 0n) fail("Nothing can be withdrawn");
+        }
+        result = await send(
+          protocol.withdrawTokenCollateral(asset.address, amount)
+        );
+        formatted = asset.format(amount);
+      } else {
+        amount = parseAmount(hre, args.amount);
+        if (amount === hre.ethers.MaxUint256) {
+          amount = await maxWithdrawal(protocol, signer.address, null);
+          if (amount === 0n) fail("Nothing can be withdrawn");
+        }
+        result = await send(protocol.withdrawCollateral(amount));
+        formatted = formatRbtc(amount);
+      }
+      return {
+        title: `Withdrew ${formatted} of collateral`,
+        lines: [
+          ["Account", signer.address],
+          [
+            "Loan-to-value",
+            formatPercent(await protocol.getLoanToValue(signer.address)),
+          ],
+          ...txLines(result),
+        ],
+        data: {
+          action: "withdraw",
+          account: signer.address,
+          asset: args.asset || null,
+          amount,
+          ...result,
+        },
+      };
+    })
+  );
+
+task(
+  "liquidate",
+  "Liquidate an unhealthy loan, approving USD first when needed"
+)
+  .addParam("user", "Borrower to liquidate")
+  .addOptionalParam(
+    "amount",
+    'USD debt to repay, "max" for the close factor limit',
+    "max"
+  )
+  .addOptionalParam("asset", "ERC-20 collateral asset to seize instead of RBTC")
+  .addOptionalParam(
+    "minOut",
+    "Least collateral accepted, in RBTC or the asset's units",
+    "0"
+  )
+  .addFlag(...JSON_FLAG)
+  .setAction(async (args, hre) =>
+    runTask(hre, args.json, async () => {
+      const { protocol, usd, signer } = await loadDeployment(hre);
+      const user = parseAddress(hre, args.user, "user");
+      const amount = parseAmount(hre, args.amount);
+      const needed =
+        amount === hre.ethers.MaxUint256
+          ? await maxLiquidation(protocol, user)
+          : amount;
+      const approval = await ensureAllowance(
+        usd,
+        signer.address,
+        await protocol.getAddress(),
+        needed
+      );
+
+      let result;
+      let seized;
+      let formatted;
+      let repaid;
+      if (args.asset) {
+        const asset = await loadAsset(
+          hre,
+          signer,
+          parseAddress(hre, args.asset, "asset")
+        );
+        const minOut = parseExactAmount(hre, args.minOut, asset.decimals);
+        result = await send(
+          protocol.liquidateTokenCollateral(user, asset.address, amount, minOut)
+        );
+        const event = await findEvent(
+          protocol,
+          result,
+          "TokenCollateralLiquidated"
+        );
+        seized = event?.collateral;
+        formatted = event && asset.format(event.collateral);
+        repaid = event?.debt;
+      } else {
+        const minOut = parseExactAmount(hre, args.minOut);
+        result = await send(protocol.liquidate(user, amount, minOut));
+        const event = await findEvent(protocol, result, "Liquidation");
+        seized = event?.collateral;
+        formatted = event && formatRbtc(event.collateral);
+        repaid = event?.debt;
+      }
+      // In auction mode the collateral goes to the auction house instead
+      const auctioned = seized === undefined;
+      return {
+        title: auctioned
+          ? `Started an auction of ${user}'s collateral`
+          : `Liquidated ${user}: repaid ${formatUsd(
+              repaid
+            )}, seized ${formatted}`,
+        lines: [
+          ["Remaining debt", formatUsd(await protocol.getCurrentDebt(user))],
+          ...(approval ? [["Approval", approval.tx]] : []),
+          ...txLines(result),
+        ],
+        data: {
+          action: "liquidate",
+          user,
+          auctioned,
+          asset: args.asset || null,
+          repaid: repaid ?? null,
+          seized: seized ?? null,
+          approval,
+          ...result,
+        },
+      };
+    })
+  );
+
+task("position", "Show a loan's collateral, debt and health")
+  .addOptionalPositionalParam(
+    "address",
+    "Borrower to show, the signer by default"
+  )
+  .addFlag(...JSON_FLAG)
+  .setAction(async (args, hre) =>
+    runTask(hre, args.json, async () => {
+      const { protocol, signer } = await loadDeployment(hre);
+      const user = args.address
+        ? parseAddress(hre, args.address, "borrower")
+        : signer.address;
+      const [loan, maxWithdraw] = await Promise.all([
+        protocol.getUserLoan(user),
+        protocol.getMaxWithdrawableCollateral(user),
+      ]);
+
+      const collaterals = [];
+      const lines = [];
+      for (const { asset, amount, valueUSD } of loan.collaterals) {
+        let symbol = "RBTC";
+        let formatted = formatRbtc(amount);
+        if (asset !== hre.ethers.ZeroAddress) {
+          if (amount === 0n) continue;
+          const token = await loadAsset(hre, signer, asset);
+          symbol = token.symbol;
+          formatted = token.format(amount);
+        }
+        collaterals.push({ asset, symbol, amount, valueUSD });
+        lines.push([
+          `Collateral ${symbol}`,
+          `${formatted} (${formatUsd(valueUSD)})`,
+        ]);
+      }
+      return {
+        title: `Position of ${user}`,
+        lines: [
+          ...lines,
+          ["Debt", formatUsd(loan.borrowed)],
+          ["Borrowing power", formatUsd(loan.maxBorrow)],
+          ["Loan-to-value", formatPercent(loan.ltv)],
+          ["Withdrawable RBTC", formatRbtc(maxWithdraw)],
+          ["Liquidatable", loan.liquidatable ? "yes" : "no"],
+        ],
+        data: {
+          action: "position",
+          account: user,
+          collaterals,
+          debt: loan.borrowed,
+          borrowingPower: loan.maxBorrow,
+          ltv: loan.ltv,
+          withdrawableRBTC: maxWithdraw,
+          liquidatable: loan.liquidatable,
+        },
+      };
+    })
+  );
+
+task("stats", "Show protocol-wide totals, rates and pause status")
+  .addFlag(...JSON_FLAG)
+  .setAction(async (args, hre) =>
+    runTask(hre, args.json, async () => {
+      const { protocol } = await loadDeployment(hre);
+      const [
+        stats,
+        btcPrice,
+        totalAssets,
+        rbtcReserves,
+        usdReserves,
+        insuranceFund,
+        badDebt,
+        paused,
+        borrowers,
+      ] = await Promise.all([
+        protocol.getProtocolStats(),
+        // The stats report the price in the feed's decimals
+        protocol.btcToUSD(hre.ethers.WeiPerEther),
+        protocol.totalAssets(),
+        protocol.rbtcReserves(),
+        protocol.usdReserves(),
+        protocol.insuranceFund(),
+        protocol.getBadDebtStats(),
+        protocol.getPauseStatus(),
+        protocol.getActiveBorrowerCount(),
+      ]);
+      const pausedActions = [
+        "deposits",
+        "borrows",
+        "withdrawals",
+        "liquidations",
+      ].filter((_, i) => paused[i]);
+      return {
+        title: `BTC Lending Protocol on ${hre.network.name}`,
+        lines: [
+          ["BTC price", formatUsd(btcPrice)],
+          ["Total collateral", formatRbtc(stats._totalCollateral)],
+          ["Total borrowed", formatUsd(stats._totalBorrowed)],
+          ["Pool assets", formatUsd(totalAssets)],
+          ["Utilization", formatPercent(stats.utilizationRate)],
+          ["Borrow rate", formatRate(stats.borrowRate)],
+          ["Supply rate", formatRate(stats.supplyRate)],
+          ["Active borrowers", borrowers.toString()],
+          ["RBTC reserves", formatRbtc(rbtcReserves)],
+          ["USD reserves", formatUsd(usdReserves)],
+          ["Insurance fund", formatUsd(insuranceFund)],
+          ["Bad debt", formatUsd(badDebt[0])],
+          [
+            "Paused",
+            pausedActions.length ? pausedActions.join(", ") : "nothing",
+          ],
+        ],
+        data: {
+          action: "stats",
+          btcPrice,
+          totalCollateral: stats._totalCollateral,
+          totalBorrowed: stats._totalBorrowed,
+          totalAssets,
+          utilizationRate: stats.utilizationRate,
+          borrowRate: stats.borrowRate,
+          supplyRate: stats.supplyRate,
+          activeBorrowers: borrowers,
+          rbtcReserves,
+          usdReserves,
+          insuranceFund,
+          totalBadDebt: badDebt[0],
+          paused: pausedActions,
+        },
+      };
+    })
+  );
+
+task("set-price", "Set the BTC/USD price of a local deployment's mock feed")
+  .addParam("price", "New BTC price in USD")
+  .addFlag(...JSON_FLAG)
+  .setAction(async (args, hre) =>
+    runTask(hre, args.json, async () => {
+      const { manifest, contract } = await loadDeployment(hre);
+      if (!manifest.mocks || !manifest.contracts.PriceFeed) {
+        fail(
+          `set-price only works on deployments with a mock feed, not ${hre.network.name}`
+        );
+      }
+      const feed = contract("PriceFeed");
+      const answer = parseExactAmount(hre, args.price, await feed.decimals());
+      const result = await send(feed.updateAnswer(answer));
+      const price = hre.ethers.parseEther(args.price);
+      return {
+        title: `Set the BTC price to ${formatUsd(price)}`,
+        lines: txLines(result),
+        data: { action: "set-price", price, answer, ...result },
+      };
+    })
+  );
@@ -0,0 +1,304 @@
+// Shared plumbing of the protocol tasks: loading the deployment manifest,
+// parsing and formatting amounts, printing results and explaining reverts.
+const { HardhatPluginError } = require("hardhat/plugins");
+const { manifestPath, readManifest } = require("../scripts/manifest");
+
+const PLUGIN_NAME = "btc-lending";
+const PAUSABLE_ACTIONS = ["deposit", "borrow", "withdraw", "liquidate"];
+
+// Artifacts whose custom errors can surface through a protocol call
+const ERROR_ARTIFACTS = [
+  "IBTCLendingProtocol",
+  "PriceRouter",
+  "MockERC20",
+  "SafeERC20",
+];
+
+function fail(message) {
+  throw new HardhatPluginError(PLUGIN_NAME, message);
+}
+
+// Contracts of the current network's deployment, connected to the first signer
+async function loadDeployment(hre) {
+  let manifest;
+  try {
+    manifest = readManifest(hre.network.name);
+  } catch (error) {
+    fail(error.message);
+  }
+  const [signer] = await hre.ethers.getSigners();
+  const contract = (name) => {
+    const entry = manifest.contracts[name];
+    if (!entry) fail(`${name} is not in ${manifestPath(hre.network.name)}`);
+    return new hre.ethers.Contract(entry.address, entry.abi, signer);
+  };
+  return {
+    manifest,
+    signer,
+    contract,
+    protocol: contract("BTCLendingProtocol"),
+    usd: contract("USDToken"),
+  };
+}
+
+// "max" maps to the protocol's type(uint256).max sentinel
+function parseAmount(hre, value, decimals = 18) {
+  if (value === "max") return hre.ethers.MaxUint256;
+  try {
+    return hre.ethers.parseUnits(value, decimals);
+  } catch {
+    fail(`Invalid amount "${value}", expected a decimal number or "max"`);
+  }
+}
+
+// For amounts where the "max" sentinel has no meaning, like a deposit
+function parseExactAmount(hre, value, decimals = 18) {
+  if (value === "max") fail(`Invalid amount "max", expected a decimal number`);
+  return parseAmount(hre, value, decimals);
+}
+
+function parseAddress(hre, value, name) {
+  if (!hre.ethers.isAddress(value)) fail(`Invalid ${name} address "${value}"`);
+  return hre.ethers.getAddress(value);
+}
+
+function parsePausableAction(value) {
+  const index = PAUSABLE_ACTIONS.indexOf(value.toLowerCase());
+  if (index === -1) {
+    fail(`Unknown action "${value}", expected ${PAUSABLE_ACTIONS.join(", ")}`);
+  }
+  return index;
+}
+
+// Truncated to `shown` decimals with thousands separators, e.g. 12,345.67
+function formatAmount(value, decimals, shown) {
+  const places = Math.min(decimals, shown);
+  const truncated = value / 10n ** BigInt(decimals - places);
+  const unit = 10n ** BigInt(places);
+  const whole = (truncated / unit).toLocaleString("en-US");
+  if (places === 0) return whole;
+  return `${whole}.${(truncated % unit).toString().padStart(places, "0")}`;
+}
+
+function formatUsd(value) {
+  if (value === (1n << 256n) - 1n) return "unlimited";
+  return `${formatAmount(value, 18, 2)} USD`;
+}
+
+function formatRbtc(value) {
+  return `${formatAmount(value, 18, 8)} RBTC`;
+}
+
+// Token amounts in error arguments, assumed to have 18 decimals
+function formatTokens(value) {
+  return formatAmount(value, 18, 2);
+}
+
+function formatToken(value, decimals, symbol) {
+  return `${formatAmount(value, Number(decimals), 8)} ${symbol}`;
+}
+
+// Percentages are in the protocol's PRECISION units of 1%
+function formatPercent(value) {
+  return `${value}%`;
+}
+
+// Annual rates are scaled by 1e18
+function formatRate(value) {
+  return `${formatAmount(value * 100n, 18, 2)}%`;
+}
+
+function formatTimestamp(value) {
+  return new Date(Number(value) * 1000).toISOString();
+}
+
+// What each custom error means for the caller, with its arguments formatted
+const EXPLANATIONS = {
+  MustDepositCollateral: () => "Deposit a non-zero amount of collateral.",
+  NoCollateralDeposited: () =>
+    "The account has no collateral to borrow against.",
+  ExceedsBorrowingLimit: () =>
+    "This would take the loan above its maximum loan-to-value. Borrow or withdraw less, or add collateral first.",
+  TransferFailed: () => "A USD or RBTC transfer failed.",
+  NoActiveLoan: () => "The account has no open loan.",
+  AmountExceedsDebt: () =>
+    "The amount is more than the loan owes. Use --amount max to repay it in full.",
+  InsufficientCollateral: () =>
+    "The account does not hold that much collateral.",
+  LoanNotLiquidatable: () => "The loan is healthy, so it cannot be liquidated.",
+  InsufficientLiquidity: () =>
+    "The pool does not hold enough idle USD for this.",
+  InvalidRepayAmount: () =>
+    "The repay amount is zero or above what may be repaid.",
+  CollateralOutBelowMinimum: () =>
+    "The liquidation would pay out less collateral than --min-out.",
+  InvalidRiskParameters: () =>
+    "The risk parameters are inconsistent: check 0 < maxLtv < liquidationThreshold < 100, bonus <= penalty and 0 < closeFactor <= 100.",
+  NoPendingChange: () => "Nothing is queued.",
+  TimelockNotReady: ([eta]) =>
+    `The queued change can only be executed from ${formatTimestamp(eta)}.`,
+  CollateralNotListed: () => "That asset is not listed as collateral.",
+  InsufficientReserves: () => "Protocol reserves do not cover that amount.",
+  NotOperator: () => "The signer is not an approved operator of that account.",
+  NotPositionOwner: () => "The signer does not own or manage that position.",
+  NotPauseGuardian: () => "Only the owner or the pause guardian can pause.",
+  ActionPaused: ([action]) =>
+    `${PAUSABLE_ACTIONS[Number(action)]} is currently paused.`,
+  DepositCapExceeded: ([, capacity]) =>
+    `The deposit cap only has room for ${formatAmount(capacity, 18, 8)} more.`,
+  BorrowCapExceeded: ([capacity]) =>
+    `The protocol borrow cap only has room for ${formatUsd(capacity)} more.`,
+  AccountBorrowCapExceeded: ([capacity]) =>
+    `The per-account borrow cap only has room for ${formatUsd(capacity)} more.`,
+  LoanBelowMinimum: ([minimum]) =>
+    `A loan must owe at least ${formatUsd(minimum)} unless repaid in full.`,
+  DebtCeilingExceeded: ([capacity]) =>
+    `The debt ceiling only has room for ${formatUsd(capacity)} more.`,
+  NothingToClaim: () => "The account has no RBTC to claim.",
+  OwnableUnauthorizedAccount: ([account]) =>
+    `${account} is not the protocol owner.`,
+  UpgradeNotQueued: ([implementation]) =>
+    `${implementation} is not the queued implementation.`,
+  PriceDataStale: () =>
+    "The BTC/USD feed has not updated within its staleness limit. Wait for a new round, or run set-price on a local network.",
+  InvalidPriceData: () =>
+    "The price feed returned an invalid or incomplete round.",
+  PriceDeviationTooHigh: ([price, reference]) =>
+    `The price feeds disagree: ${formatUsd(price)} vs ${formatUsd(reference)}.`,
+  ERC20InsufficientAllowance: ([, allowance, needed]) =>
+    `Allowance ${formatTokens(allowance)} is below ${formatTokens(needed)}.`,
+  ERC20InsufficientBalance: ([, balance, needed]) =>
+    `Balance ${formatTokens(balance)} is below ${formatTokens(needed)}.`,
+  ERC4626ExceededMaxDeposit: ([, , max]) =>
+    `The vault accepts at most ${formatUsd(max)} right now.`,
+  ERC4626ExceededMaxWithdraw: ([, , max]) =>
+    `At most ${formatUsd(max)} can be withdrawn from the vault right now.`,
+};
+
+let errorInterface;
+
+async function getErrorInterface(hre) {
+  if (!errorInterface) {
+    const fragments = new Map();
+    for (const name of ERROR_ARTIFACTS) {
+      const { abi } = await hre.artifacts.readArtifact(name);
+      for (const fragment of abi) {
+        if (fragment.type !== "error") continue;
+        const types = fragment.inputs.map((input) => input.type);
+        fragments.set(`${fragment.name}(${types})`, fragment);
+      }
+    }
+    errorInterface = new hre.ethers.Interface([...fragments.values()]);
+  }
+  return errorInterface;
+}
+
+// Revert data sits at different depths depending on where the call failed
+function findRevertData(error) {
+  for (let e = error; e; e = e.error || e.info?.error || e.cause) {
+    if (typeof e.data === "string" && e.data.startsWith("0x")) return e.data;
+    if (typeof e.data?.data === "string") return e.data.data;
+  }
+  return undefined;
+}
+
+async function explainError(hre, error) {
+  const data = findRevertData(error);
+  if (data && data.length >= 10) {
+    const parsed = (await getErrorInterface(hre)).parseError(data);
+    if (parsed) {
+      const args = [...parsed.args];
+      const explain = EXPLANATIONS[parsed.name];
+      return {
+        error: parsed.name,
+        args: args.map(String),
+        message: explain
+          ? explain(args)
+          : `${parsed.name}(${args.map(String).join(", ")})`,
+      };
+    }
+  }
+  return {
+    error: error.code || error.name,
+    args: [],
+    message: error.shortMessage || error.message,
+  };
+}
+
+function toJson(value) {
+  return JSON.stringify(
+    value,
+    (_, v) => (typeof v === "bigint" ? v.toString() : v),
+    2
+  );
+}
+
+// Prints a task's result as JSON, or as aligned label: value lines. Every
+// task's JSON is { ok: true, action, ... } with amounts as integer strings in
+// base units, and failures are { ok: false, error, args, message }.
+function print(result, json) {
+  if (json) {
+    console.log(toJson({ ok: true, ...result.data }));
+    return;
+  }
+  if (result.title) console.log(result.title);
+  const width = Math.max(0, ...result.lines.map(([label]) => label.length));
+  for (const [label, value] of result.lines) {
+    console.log(`  ${(label + ":").padEnd(width + 1)} ${value}`);
+  }
+}
+
+// Runs a task body, turning reverts into a readable error or JSON object
+async function runTask(hre, json, body) {
+  let result;
+  try {
+    result = await body();
+  } catch (error) {
+    if (HardhatPluginError.isHardhatPluginError(error)) throw error;
+    const explained = await explainError(hre, error);
+    if (json) {
+      console.log(toJson({ ok: false, ...explained }));
+      process.exitCode = 1;
+      return;
+    }
+    fail(`${explained.error}: ${explained.message}`);
+  }
+  print(result, json);
+}
+
+// Sends a transaction and waits for it, returning what every task reports
+async function send(txPromise) {
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+  return {
+    tx: tx.hash,
+    block: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+  };
+}
+
+// Approves the protocol for at least `amount` of a token when needed
+async function ensureAllowance(token, owner, spender, amount) {
+  const allowance = await token.allowance(owner, spender);
+  if (allowance >= amount) return null;
+  return send(token.approve(spender, amount));
+}
+
+module.exports = {
+  PAUSABLE_ACTIONS,
+  ensureAllowance,
+  fail,
+  formatPercent,
+  formatRate,
+  formatRbtc,
+  formatTimestamp,
+  formatToken,
+  formatUsd,
+  loadDeployment,
+  parseAddress,
+  parseAmount,
+  parseExactAmount,
+  parsePausableAction,
+  runTask,
+  send,
+};
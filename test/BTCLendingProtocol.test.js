@@ -3,46 +3,173 @@ const {
   loadFixture,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
 
 describe("BTCLendingProtocol", function () {
   // Optimized constants
   const LIQUIDATION_THRESHOLD = 75n;
   const MAX_LTV = 70n;
   const LIQUIDATION_PENALTY = 10n;
+  const LIQUIDATION_BONUS = 5n;
+  const CLOSE_FACTOR = 50n;
   const PRECISION = 100n;
   const MOCK_BTC_PRICE = 50000n * 10n ** 8n;
   const MOCK_DECIMALS = 8;
   const INITIAL_USD_SUPPLY = ethers.parseEther("10000000");
+  const POOL_LIQUIDITY = ethers.parseEther("500000");
   const ONE_BTC = ethers.parseEther("1");
   const HALF_BTC = ethers.parseEther("0.5");
+  const WAD = 10n ** 18n;
+  const ONE_YEAR = 365 * 24 * 60 * 60;
+  const RESERVE_FACTOR = 10n ** 17n;
+  const RATE_MODEL = {
+    baseRate: 2n * 10n ** 16n, // 2%
+    slope1: 10n ** 17n, // +10% up to the kink
+    kink: 8n * 10n ** 17n, // 80% utilization
+    slope2: 10n ** 18n, // +100% from kink to full utilization
+  };
+  const STALENESS_LIMIT = 3600;
+  const TIMELOCK_DELAY = 2 * 24 * 60 * 60;
+  const MAX_DEVIATION = 500; // 5% in basis points
+  const WRBTC_DECIMALS = 8;
+  const ONE_WRBTC = 10n ** 8n;
+  const WRBTC_MAX_LTV = 60n;
+  const WRBTC_THRESHOLD = 70n;
+
+  const RISK_PARAMETERS = {
+    maxLtv: MAX_LTV,
+    liquidationThreshold: LIQUIDATION_THRESHOLD,
+    liquidationPenalty: LIQUIDATION_PENALTY,
+    liquidationBonus: LIQUIDATION_BONUS,
+    closeFactor: CLOSE_FACTOR,
+  };
+
+  async function deployImplementation(name = "BTCLendingProtocol") {
+    const admin = await ethers.deployContract("BTCLendingAdmin");
+    const extension = await ethers.deployContract("BTCLendingExt", [
+      await admin.getAddress(),
+    ]);
+    return ethers.deployContract(name, [await extension.getAddress()]);
+  }
+
+  // Deploys the protocol behind an initialized proxy, owning its position token
+  async function deployProtocol(usdToken, rateModel, priceRouter, cdpMode) {
+    const [implementation, positions] = await Promise.all([
+      deployImplementation(),
+      ethers.deployContract("BTCLendingPositions"),
+    ]);
+    const proxy = await ethers.deployContract("BTCLendingProxy", [
+      await implementation.getAddress(),
+      implementation.interface.encodeFunctionData("initialize", [
+        await usdToken.getAddress(),
+        await rateModel.getAddress(),
+        await priceRouter.getAddress(),
+        await positions.getAddress(),
+        RISK_PARAMETERS,
+        cdpMode,
+      ]),
+    ]);
+    await positions.transferOwnership(await proxy.getAddress());
+    // The full ABI covers the functions served by the extensions
+    return ethers.getContractAt(
+      "IBTCLendingProtocol",
+      await proxy.getAddress()
+    );
+  }
+
+  async function deployPriceRouter(feed) {
+    const PriceRouter = await ethers.getContractFactory("PriceRouter");
+    return PriceRouter.deploy(
+      [await feed.getAddress()],
+      [STALENESS_LIMIT],
+      MAX_DEVIATION
+    );
+  }
 
   async function deployFixture() {
     const [owner, borrower, liquidator, user2] = await ethers.getSigners();
-    const [MockERC20, MockV3Aggregator, BTCLendingProtocol] = await Promise.all(
-      [
-        ethers.getContractFactory("MockERC20"),
-        ethers.getContractFactory("MockV3Aggregator"),
-        ethers.getContractFactory("BTCLendingProtocol"),
-      ]
-    );
+    const [MockERC20, MockV3Aggregator, InterestRateModel] = await Promise.all([
+      ethers.getContractFactory("MockERC20"),
+      ethers.getContractFactory("MockV3Aggregator"),
+      ethers.getContractFactory("InterestRateModel"),
+    ]);
 
-    const [usd, feed] = await Promise.all([
+    const [usd, feed, rateModel] = await Promise.all([
       MockERC20.deploy("Mock USD", "mUSD", 18, INITIAL_USD_SUPPLY),
       MockV3Aggregator.deploy(MOCK_DECIMALS, MOCK_BTC_PRICE),
+      InterestRateModel.deploy(
+        RATE_MODEL.baseRate,
+        RATE_MODEL.slope1,
+        RATE_MODEL.kink,
+        RATE_MODEL.slope2
+      ),
     ]);
 
-    const protocol = await BTCLendingProtocol.deploy(await usd.getAddress());
+    const priceRouter = await deployPriceRouter(feed);
+    const protocol = await deployProtocol(usd, rateModel, priceRouter, false);
 
     await Promise.all([
-      protocol.updatePriceFeed(await feed.getAddress()),
-      usd.transfer(await protocol.getAddress(), ethers.parseEther("500000")),
+      usd.approve(await protocol.getAddress(), POOL_LIQUIDITY),
       usd.transfer(borrower.address, ethers.parseEther("100000")),
       usd.transfer(liquidator.address, ethers.parseEther("100000")),
       usd.transfer(user2.address, ethers.parseEther("50000")),
     ]);
+    // The owner seeds pool liquidity as the first lender
+    await protocol.deposit(POOL_LIQUIDITY, owner.address);
+
+    return {
+      protocol,
+      usd,
+      feed,
+      priceRouter,
+      rateModel,
+      owner,
+      borrower,
+      liquidator,
+      user2,
+    };
+  }
+
+  // Lists an 8-decimal wrapped RBTC token with its own feed and price router
+  async function deployMultiCollateralFixture() {
+    const base = await deployFixture();
+    const { protocol, feed, owner, borrower, user2 } = base;
+    const [MockERC20, MockV3Aggregator] = await Promise.all([
+      ethers.getContractFactory("MockERC20"),
+      ethers.getContractFactory("MockV3Aggregator"),
+    ]);
+
+    const [wrbtc, wrbtcFeed] = await Promise.all([
+      MockERC20.deploy("Wrapped RBTC", "WRBTC", WRBTC_DECIMALS, 0),
+      MockV3Aggregator.deploy(MOCK_DECIMALS, MOCK_BTC_PRICE),
+    ]);
+    const wrbtcRouter = await deployPriceRouter(wrbtcFeed);
+
+    await protocol
+      .connect(owner)
+      .queueCollateralConfig(
+        await wrbtc.getAddress(),
+        await wrbtcRouter.getAddress(),
+        WRBTC_MAX_LTV,
+        WRBTC_THRESHOLD
+      );
+    await time.increase(TIMELOCK_DELAY);
+    await Promise.all([
+      feed.updateAnswer(MOCK_BTC_PRICE),
+      wrbtcFeed.updateAnswer(MOCK_BTC_PRICE),
+    ]);
+    await protocol
+      .connect(owner)
+      .executeCollateralConfig(await wrbtc.getAddress());
+
+    for (const user of [borrower, user2]) {
+      await wrbtc.mint(user.address, 2n * ONE_WRBTC);
+      await wrbtc
+        .connect(user)
+        .approve(await protocol.getAddress(), ethers.MaxUint256);
+    }
 
-    return { protocol, usd, feed, owner, borrower, liquidator, user2 };
+    return { ...base, wrbtc, wrbtcFeed, wrbtcRouter };
   }
 
   // Helper functions for common operations
@@ -54,6 +181,12 @@ describe("BTCLendingProtocol", function () {
       await usd.connect(user).approve(await protocol.getAddress(), amount);
       return protocol.connect(user).repay(amount);
     },
+    async repayAll(protocol, usd, user) {
+      await usd
+        .connect(user)
+        .approve(await protocol.getAddress(), ethers.MaxUint256);
+      return protocol.connect(user).repay(ethers.MaxUint256);
+    },
     async setupLoan(protocol, user, collateral, borrowed) {
       await this.deposit(protocol, user, collateral);
       await this.borrow(protocol, user, borrowed);
@@ -69,30 +202,44 @@ describe("BTCLendingProtocol", function () {
       await feed.updateAnswer(35000n * 10n ** 8n);
       await usd
         .connect(liquidator)
-        .approve(await protocol.getAddress(), ethers.parseEther("30000"));
+        .approve(await protocol.getAddress(), ethers.MaxUint256);
       return { collateral: ONE_BTC, borrowed: ethers.parseEther("30000") };
     },
+    async switchPriceRouter(protocol, owner, router, feeds) {
+      await protocol.connect(owner).queuePriceRouter(await router.getAddress());
+      await time.increase(TIMELOCK_DELAY);
+      for (const feed of feeds) {
+        await feed.updateAnswer(await feed.latestAnswer());
+      }
+      return protocol.connect(owner).executePriceRouter();
+    },
   };
 
   describe("Core Functionality", function () {
     it("Should deploy with correct parameters", async function () {
       const { protocol, usd, owner } = await loadFixture(deployFixture);
-      const [ownerAddr, usdAddr, threshold, ltv, penalty, precision] =
-        await Promise.all([
-          protocol.owner(),
-          protocol.usdToken(),
-          protocol.LIQUIDATION_THRESHOLD(),
-          protocol.MAX_LTV(),
-          protocol.LIQUIDATION_PENALTY(),
-          protocol.PRECISION(),
-        ]);
+      const [ownerAddr, usdAddr, params, precision] = await Promise.all([
+        protocol.owner(),
+        protocol.usdToken(),
+        protocol.riskParameters(),
+        protocol.PRECISION(),
+      ]);
 
       expect(ownerAddr).to.equal(owner.address);
       expect(usdAddr).to.equal(await usd.getAddress());
-      expect([threshold, ltv, penalty, precision]).to.deep.equal([
+      expect([
+        params.liquidationThreshold,
+        params.maxLtv,
+        params.liquidationPenalty,
+        params.liquidationBonus,
+        params.closeFactor,
+        precision,
+      ]).to.deep.equal([
         LIQUIDATION_THRESHOLD,
         MAX_LTV,
         LIQUIDATION_PENALTY,
+        LIQUIDATION_BONUS,
+        CLOSE_FACTOR,
         PRECISION,
       ]);
     });
@@ -113,20 +260,54 @@ describe("BTCLendingProtocol", function () {
     });
 
     it("Should reject invalid price conditions", async function () {
-      const { protocol, feed } = await loadFixture(deployFixture);
+      const { protocol, feed, priceRouter } = await loadFixture(
+        deployFixture
+      );
 
       await time.increase(7201); // Make stale
       await expect(protocol.getLatestPrice()).to.be.revertedWithCustomError(
-        protocol,
+        priceRouter,
         "PriceDataStale"
       );
 
       await feed.updateAnswer(0); // Invalid price
       await expect(protocol.getLatestPrice()).to.be.revertedWithCustomError(
-        protocol,
+        priceRouter,
         "InvalidPriceData"
       );
     });
+
+    it("Should keep operating on a fallback feed when the primary is stale", async function () {
+      const { protocol, feed, borrower, owner } = await loadFixture(
+        deployFixture
+      );
+      const [MockV3Aggregator, PriceRouter] = await Promise.all([
+        ethers.getContractFactory("MockV3Aggregator"),
+        ethers.getContractFactory("PriceRouter"),
+      ]);
+      const fallbackFeed = await MockV3Aggregator.deploy(
+        MOCK_DECIMALS,
+        MOCK_BTC_PRICE
+      );
+      const router = await PriceRouter.deploy(
+        [await feed.getAddress(), await fallbackFeed.getAddress()],
+        [STALENESS_LIMIT, STALENESS_LIMIT],
+        MAX_DEVIATION
+      );
+      await helpers.switchPriceRouter(protocol, owner, router, [
+        feed,
+        fallbackFeed,
+      ]);
+      await helpers.deposit(protocol, borrower, ONE_BTC);
+
+      await time.increase(STALENESS_LIMIT);
+      await fallbackFeed.updateAnswer(MOCK_BTC_PRICE);
+      await expect(
+        helpers.borrow(protocol, borrower, ethers.parseEther("10000"))
+      )
+        .to.emit(router, "PriceSourceSwitched")
+        .withArgs(0, 1, await fallbackFeed.getAddress());
+    });
   });
 
   describe("Collateral & Borrowing", function () {
@@ -168,7 +349,7 @@ describe("BTCLendingProtocol", function () {
       ]).to.deep.equal([borrowAmount, true, borrowAmount, 40n]);
 
       // Repay and withdraw
-      await helpers.repay(protocol, usd, borrower, borrowAmount);
+      await helpers.repayAll(protocol, usd, borrower);
       await expect(
         protocol.connect(borrower).withdrawCollateral(ONE_BTC + HALF_BTC)
       )
@@ -205,7 +386,7 @@ describe("BTCLendingProtocol", function () {
       await helpers.borrow(protocol, borrower, ethers.parseEther("30000"));
       await expect(
         protocol.connect(borrower).withdrawCollateral(ONE_BTC)
-      ).to.be.revertedWithCustomError(protocol, "OutstandingDebtExists");
+      ).to.be.revertedWithCustomError(protocol, "ExceedsBorrowingLimit");
       await expect(
         protocol.connect(borrower).repay(ethers.parseEther("40000"))
       ).to.be.revertedWithCustomError(protocol, "AmountExceedsDebt");
@@ -216,6 +397,229 @@ describe("BTCLendingProtocol", function () {
     });
   });
 
+  describe("Interest Accrual", function () {
+    it("Should grow debt over time using the borrow index", async function () {
+      const { protocol, feed, borrower } = await loadFixture(deployFixture);
+      const principal = ethers.parseEther("10000");
+
+      await helpers.setupLoan(protocol, borrower, ONE_BTC, principal);
+      const [startIndex, borrowRate] = await Promise.all([
+        protocol.borrowIndex(),
+        protocol.getBorrowRate(),
+      ]);
+      await time.increase(ONE_YEAR);
+      await feed.updateAnswer(MOCK_BTC_PRICE);
+
+      const expectedDebt = principal + (principal * borrowRate) / WAD;
+      const [debt, totalBorrowed, [, borrowed]] = await Promise.all([
+        protocol.getCurrentDebt(borrower.address),
+        protocol.totalBorrowed(),
+        protocol.getUserLoan(borrower.address),
+      ]);
+      expect(debt).to.be.closeTo(expectedDebt, ethers.parseEther("0.01"));
+      expect([totalBorrowed, borrowed]).to.deep.equal([debt, debt]);
+
+      await expect(protocol.accrueInterest()).to.emit(
+        protocol,
+        "InterestAccrued"
+      );
+      expect(await protocol.borrowIndex()).to.be.gt(startIndex);
+    });
+
+    it("Should make a loan liquidatable through interest alone", async function () {
+      const { protocol, feed, borrower } = await loadFixture(deployFixture);
+
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("35000")
+      );
+      expect(await protocol.getLoanToValue(borrower.address)).to.equal(70n);
+      expect(await protocol.isLiquidatable(borrower.address)).to.be.false;
+
+      await time.increase(3 * ONE_YEAR);
+      await feed.updateAnswer(MOCK_BTC_PRICE);
+      expect(await protocol.getLoanToValue(borrower.address)).to.be.gte(
+        LIQUIDATION_THRESHOLD
+      );
+      expect(await protocol.isLiquidatable(borrower.address)).to.be.true;
+    });
+
+    it("Should charge accrued interest on repayment", async function () {
+      const { protocol, usd, feed, borrower } = await loadFixture(
+        deployFixture
+      );
+      const principal = ethers.parseEther("10000");
+
+      await helpers.setupLoan(protocol, borrower, ONE_BTC, principal);
+      const borrowRate = await protocol.getBorrowRate();
+      await time.increase(ONE_YEAR);
+      await feed.updateAnswer(MOCK_BTC_PRICE);
+
+      await helpers.repay(protocol, usd, borrower, principal);
+      const loan = await protocol.loans(borrower.address);
+      expect(loan.active).to.be.true;
+      expect(loan.borrowedAmount).to.be.closeTo(
+        (principal * borrowRate) / WAD,
+        ethers.parseEther("0.01")
+      );
+      await expect(
+        protocol.connect(borrower).repay(principal)
+      ).to.be.revertedWithCustomError(protocol, "AmountExceedsDebt");
+
+      const balanceBefore = await usd.balanceOf(borrower.address);
+      await helpers.repayAll(protocol, usd, borrower);
+      const paid = balanceBefore - (await usd.balanceOf(borrower.address));
+
+      expect(paid).to.be.gte(loan.borrowedAmount);
+      expect(await protocol.getCurrentDebt(borrower.address)).to.equal(0n);
+      expect(await protocol.totalBorrowed()).to.equal(0n);
+    });
+  });
+
+  describe("Interest Rate Model", function () {
+    it("Should follow pool utilization along the kinked curve", async function () {
+      const { protocol, usd, borrower, user2 } = await loadFixture(
+        deployFixture
+      );
+
+      expect(await protocol.getBorrowRate()).to.equal(RATE_MODEL.baseRate);
+
+      // Push utilization past the 80% kink: 450k borrowed out of 500k
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ethers.parseEther("10"),
+        ethers.parseEther("300000")
+      );
+      await helpers.setupLoan(
+        protocol,
+        user2,
+        ethers.parseEther("5"),
+        ethers.parseEther("150000")
+      );
+
+      const [, , , utilizationRate, borrowRate] =
+        await protocol.getProtocolStats();
+      expect(utilizationRate).to.equal(90n);
+      expect(borrowRate).to.be.closeTo(
+        RATE_MODEL.baseRate + RATE_MODEL.slope1 + RATE_MODEL.slope2 / 2n,
+        10n ** 12n
+      );
+      expect(await usd.balanceOf(await protocol.getAddress())).to.equal(
+        ethers.parseEther("50000")
+      );
+    });
+
+    it("Should let only the owner swap the rate model", async function () {
+      const { protocol, rateModel, owner, borrower } = await loadFixture(
+        deployFixture
+      );
+      const InterestRateModel = await ethers.getContractFactory(
+        "InterestRateModel"
+      );
+      const flatModel = await InterestRateModel.deploy(
+        10n ** 17n,
+        0,
+        RATE_MODEL.kink,
+        0
+      );
+
+      await expect(
+        protocol
+          .connect(borrower)
+          .setInterestRateModel(await flatModel.getAddress())
+      ).to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount");
+      await expect(
+        protocol.connect(owner).setInterestRateModel(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(protocol, "ZeroAddress");
+
+      await expect(
+        protocol
+          .connect(owner)
+          .setInterestRateModel(await flatModel.getAddress())
+      )
+        .to.emit(protocol, "InterestRateModelUpdated")
+        .withArgs(await rateModel.getAddress(), await flatModel.getAddress());
+      expect(await protocol.getBorrowRate()).to.equal(10n ** 17n);
+    });
+  });
+
+  describe("Lender Vault", function () {
+    it("Should mint shares that grow as borrowers pay interest", async function () {
+      const { protocol, usd, feed, borrower, user2 } = await loadFixture(
+        deployFixture
+      );
+      const supplied = ethers.parseEther("50000");
+
+      await usd.connect(user2).approve(await protocol.getAddress(), supplied);
+      await expect(protocol.connect(user2).deposit(supplied, user2.address))
+        .to.emit(protocol, "Deposit")
+        .withArgs(user2.address, user2.address, supplied, supplied);
+      const shares = await protocol.balanceOf(user2.address);
+      expect(shares).to.equal(supplied);
+
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ethers.parseEther("10"),
+        ethers.parseEther("200000")
+      );
+      await time.increase(ONE_YEAR);
+      await feed.updateAnswer(MOCK_BTC_PRICE);
+      await helpers.repayAll(protocol, usd, borrower);
+
+      const redeemable = await protocol.previewRedeem(shares);
+      expect(redeemable).to.be.gt(supplied);
+
+      const balanceBefore = await usd.balanceOf(user2.address);
+      await protocol
+        .connect(user2)
+        .redeem(shares, user2.address, user2.address);
+      expect(await usd.balanceOf(user2.address)).to.equal(
+        balanceBefore + redeemable
+      );
+      expect(await protocol.balanceOf(user2.address)).to.equal(0n);
+    });
+
+    it("Should never pay out USD that is lent to borrowers", async function () {
+      const { protocol, usd, owner, borrower, user2 } = await loadFixture(
+        deployFixture
+      );
+
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ethers.parseEther("20"),
+        ethers.parseEther("450000")
+      );
+      const cash = await usd.balanceOf(await protocol.getAddress());
+      expect(cash).to.equal(ethers.parseEther("50000"));
+
+      const [maxWithdraw, maxRedeem, ownerAssets] = await Promise.all([
+        protocol.maxWithdraw(owner.address),
+        protocol.maxRedeem(owner.address),
+        protocol.previewRedeem(await protocol.balanceOf(owner.address)),
+      ]);
+      expect(ownerAssets).to.be.gte(POOL_LIQUIDITY);
+      expect(maxWithdraw).to.equal(cash);
+      expect(await protocol.convertToAssets(maxRedeem)).to.be.lte(cash);
+
+      await expect(
+        protocol.withdraw(cash + 1n, owner.address, owner.address)
+      ).to.be.revertedWithCustomError(protocol, "ERC4626ExceededMaxWithdraw");
+
+      // Remaining liquidity can still be withdrawn in full
+      await protocol.withdraw(cash, owner.address, owner.address);
+      expect(await usd.balanceOf(await protocol.getAddress())).to.equal(0n);
+      await helpers.deposit(protocol, user2, ONE_BTC);
+      await expect(
+        helpers.borrow(protocol, user2, 1n)
+      ).to.be.revertedWithCustomError(protocol, "InsufficientLiquidity");
+    });
+  });
+
   describe("Liquidation System", function () {
     it("Should handle liquidation mechanics", async function () {
       const { protocol, usd, feed, borrower, liquidator } = await loadFixture(
@@ -235,30 +639,40 @@ describe("BTCLendingProtocol", function () {
       await feed.updateAnswer(40000n * 10n ** 8n); // Exactly at threshold
       expect(await protocol.isLiquidatable(borrower.address)).to.be.true;
 
-      // Execute liquidation
+      // Execute a partial liquidation: $10k is worth 0.25 BTC at $40k
+      const repayAmount = ethers.parseEther("10000");
       const liquidatorBefore = await ethers.provider.getBalance(
         liquidator.address
       );
-      const tx = await protocol.connect(liquidator).liquidate(borrower.address);
+      const tx = await protocol
+        .connect(liquidator)
+        .liquidate(borrower.address, repayAmount, 0);
       const receipt = await tx.wait();
       const liquidatorAfter = await ethers.provider.getBalance(
         liquidator.address
       );
 
-      // Verify liquidation completed and penalty applied
-      const loan = await protocol.loans(borrower.address);
-      expect([
-        loan.collateralAmount,
-        loan.borrowedAmount,
-        loan.active,
-      ]).to.deep.equal([0n, 0n, false]);
-
-      const expectedCollateral = (collateral * 90n) / 100n; // 90% after penalty
+      // Liquidator gets the repaid value plus bonus, the borrower keeps the rest
+      const repayValue = ethers.parseEther("0.25");
+      const liquidatorShare =
+        (repayValue * (PRECISION + LIQUIDATION_BONUS)) / PRECISION;
+      const protocolShare =
+        (repayValue * (LIQUIDATION_PENALTY - LIQUIDATION_BONUS)) / PRECISION;
       const gasUsed = receipt.gasUsed * receipt.gasPrice;
-      expect(liquidatorAfter).to.be.closeTo(
-        liquidatorBefore + expectedCollateral - gasUsed,
+      expect(liquidatorAfter).to.equal(
+        liquidatorBefore + liquidatorShare - gasUsed
+      );
+
+      const loan = await protocol.loans(borrower.address);
+      expect(loan.collateralAmount).to.equal(
+        collateral - liquidatorShare - protocolShare
+      );
+      expect(loan.borrowedAmount).to.be.closeTo(
+        borrowed - repayAmount,
         ethers.parseEther("0.01")
       );
+      expect(loan.active).to.be.true;
+      expect(await protocol.rbtcReserves()).to.equal(protocolShare);
     });
 
     it("Should test isLiquidatable function with comprehensive LTV scenarios", async function () {
@@ -311,38 +725,89 @@ describe("BTCLendingProtocol", function () {
 
       await usd
         .connect(liquidator)
-        .approve(await protocol.getAddress(), borrowAmount);
+        .approve(await protocol.getAddress(), ethers.MaxUint256);
 
-      // Execute liquidation and measure penalty
-      await expect(protocol.connect(liquidator).liquidate(borrower.address))
-        .to.emit(protocol, "Liquidation")
-        .withArgs(
-          borrower.address,
-          liquidator.address,
-          collateralAmount,
-          borrowAmount
-        );
+      // Liquidate up to the close factor and measure penalty
+      const tx = await protocol
+        .connect(liquidator)
+        .liquidate(borrower.address, ethers.MaxUint256, 0);
+      const receipt = await tx.wait();
+      const [event] = await protocol.queryFilter(
+        protocol.filters.Liquidation,
+        receipt.blockNumber
+      );
+      const [, , seized, repaid] = event.args;
+      expect(repaid).to.be.closeTo(
+        (borrowAmount * CLOSE_FACTOR) / PRECISION,
+        ethers.parseEther("0.01")
+      );
 
       const liquidatorEthAfter = await ethers.provider.getBalance(
         liquidator.address
       );
 
-      // Liquidator should receive 90% of collateral (10% penalty to protocol)
-      const expectedCollateralReceived = (collateralAmount * 90n) / 100n;
+      // Borrower loses the repaid value plus the 10% penalty, half of it to the liquidator
+      const repayValue = await protocol.usdToBTC(repaid);
+      const expectedCollateralReceived =
+        (repayValue * (PRECISION + LIQUIDATION_BONUS)) / PRECISION;
       const actualCollateralReceived = liquidatorEthAfter - liquidatorEthBefore;
 
       // Allow for gas costs in comparison
       expect(actualCollateralReceived).to.be.closeTo(
         expectedCollateralReceived,
-        ethers.parseEther("0.1")
+        ethers.parseEther("0.001")
+      );
+      expect(seized).to.be.closeTo(
+        (repayValue * (PRECISION + LIQUIDATION_PENALTY)) / PRECISION,
+        10n
       );
 
-      // Verify protocol received penalty
-      const protocolBalance = await ethers.provider.getBalance(
-        await protocol.getAddress()
+      // Verify protocol received its share of the penalty
+      const expectedPenalty =
+        (repayValue * (LIQUIDATION_PENALTY - LIQUIDATION_BONUS)) / PRECISION;
+      expect(await protocol.rbtcReserves()).to.be.closeTo(expectedPenalty, 10n);
+      expect(
+        (await protocol.loans(borrower.address)).collateralAmount
+      ).to.equal(collateralAmount - seized);
+    });
+
+    it("Should enforce the close factor and minimum collateral out", async function () {
+      const { protocol, usd, feed, borrower, liquidator } = await loadFixture(
+        deployFixture
       );
-      const expectedPenalty = (collateralAmount * 10n) / 100n;
-      expect(protocolBalance).to.be.gte(expectedPenalty);
+      await helpers.makeLiquidatable(protocol, feed, usd, borrower, liquidator);
+
+      const debt = await protocol.getCurrentDebt(borrower.address);
+      const overCloseFactor =
+        (debt * CLOSE_FACTOR) / PRECISION + ethers.parseEther("1");
+      await expect(
+        protocol
+          .connect(liquidator)
+          .liquidate(borrower.address, overCloseFactor, 0)
+      ).to.be.revertedWithCustomError(protocol, "InvalidRepayAmount");
+      await expect(
+        protocol.connect(liquidator).liquidate(borrower.address, 0, 0)
+      ).to.be.revertedWithCustomError(protocol, "InvalidRepayAmount");
+
+      // $7k at $35k is 0.2 BTC, 0.21 BTC with the bonus
+      const repayAmount = ethers.parseEther("7000");
+      await expect(
+        protocol
+          .connect(liquidator)
+          .liquidate(borrower.address, repayAmount, ethers.parseEther("0.22"))
+      ).to.be.revertedWithCustomError(protocol, "CollateralOutBelowMinimum");
+      await expect(
+        protocol
+          .connect(liquidator)
+          .liquidate(borrower.address, repayAmount, ethers.parseEther("0.21"))
+      )
+        .to.emit(protocol, "Liquidation")
+        .withArgs(
+          borrower.address,
+          liquidator.address,
+          ethers.parseEther("0.22"),
+          repayAmount
+        );
     });
 
     it("Should prevent invalid liquidations", async function () {
@@ -362,11 +827,180 @@ describe("BTCLendingProtocol", function () {
         .connect(liquidator)
         .approve(await protocol.getAddress(), ethers.parseEther("30000"));
       await expect(
-        protocol.connect(liquidator).liquidate(borrower.address)
+        protocol
+          .connect(liquidator)
+          .liquidate(borrower.address, ethers.MaxUint256, 0)
       ).to.be.revertedWithCustomError(protocol, "LoanNotLiquidatable");
     });
   });
 
+  describe("Protocol Reserves", function () {
+    it("Should track penalties, interest share and direct transfers as reserves", async function () {
+      const { protocol, usd, feed, owner, borrower, liquidator, user2 } =
+        await loadFixture(deployFixture);
+
+      await user2.sendTransaction({
+        to: await protocol.getAddress(),
+        value: HALF_BTC,
+      });
+      expect(await protocol.rbtcReserves()).to.equal(HALF_BTC);
+
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("30000")
+      );
+      await time.increase(ONE_YEAR);
+      await feed.updateAnswer(MOCK_BTC_PRICE);
+      await protocol.accrueInterest();
+
+      const debt = await protocol.getCurrentDebt(borrower.address);
+      const interest = debt - ethers.parseEther("30000");
+      expect(await protocol.usdReserves()).to.be.closeTo(
+        (interest * RESERVE_FACTOR) / WAD,
+        10n ** 9n
+      );
+
+      await helpers.setupLoan(
+        protocol,
+        user2,
+        ethers.parseEther("2"),
+        ethers.parseEther("60000")
+      );
+      await feed.updateAnswer(35000n * 10n ** 8n);
+      await usd
+        .connect(liquidator)
+        .approve(await protocol.getAddress(), ethers.MaxUint256);
+      await protocol
+        .connect(liquidator)
+        .liquidate(borrower.address, ethers.parseEther("7000"), 0);
+
+      // 5% of the 0.2 BTC repaid value ($7k at $35k) stays with the protocol
+      const penalty = ethers.parseEther("0.01");
+      expect(await protocol.rbtcReserves()).to.equal(HALF_BTC + penalty);
+
+      // Owner sweeps only the reserves; user2's collateral stays put
+      const [rbtcReserves, usdReserves] = await Promise.all([
+        protocol.rbtcReserves(),
+        protocol.usdReserves(),
+      ]);
+      const usdBefore = await usd.balanceOf(owner.address);
+      await expect(protocol.connect(owner).withdrawProtocolFees())
+        .to.emit(protocol, "ReservesWithdrawn")
+        .withArgs(owner.address, rbtcReserves, (amount) => amount >= usdReserves);
+      expect(await usd.balanceOf(owner.address)).to.be.gt(
+        usdBefore + usdReserves - 1n
+      );
+
+      const protocolBalance = await ethers.provider.getBalance(
+        await protocol.getAddress()
+      );
+      const userCollateral = ethers.parseEther("2.78"); // 0.78 + 2 BTC
+      expect(protocolBalance).to.equal(userCollateral);
+      expect(await protocol.totalCollateral()).to.equal(userCollateral);
+      expect(await protocol.rbtcReserves()).to.equal(0n);
+
+      await expect(
+        protocol.connect(user2).withdrawProtocolFees()
+      ).to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should keep the RBTC balance covering totalCollateral across random operations", async function () {
+      const { protocol, usd, feed, owner, borrower, liquidator, user2 } =
+        await loadFixture(deployFixture);
+      const protocolAddress = await protocol.getAddress();
+      const users = [borrower, user2];
+
+      // Deterministic LCG so failures are reproducible
+      let seed = 2024;
+      const rand = (n) => {
+        seed = (seed * 1103515245 + 12345) % 2 ** 31;
+        return (seed >>> 16) % n;
+      };
+      const attempt = async (txPromise) => {
+        try {
+          await (await txPromise).wait();
+        } catch {
+          // Reverts are expected for random inputs; only the invariant matters
+        }
+      };
+
+      await usd.mint(liquidator.address, ethers.parseEther("10000000"));
+      await Promise.all(
+        [liquidator, ...users].map((signer) =>
+          usd.connect(signer).approve(protocolAddress, ethers.MaxUint256)
+        )
+      );
+
+      for (let i = 0; i < 60; i++) {
+        const user = users[rand(users.length)];
+        const action = rand(8);
+
+        if (action === 0) {
+          await helpers.deposit(
+            protocol,
+            user,
+            ethers.parseEther("0.1") * BigInt(1 + rand(20))
+          );
+        } else if (action === 1) {
+          const [collateral, debt] = await Promise.all([
+            protocol.loans(user.address).then((loan) => loan.collateralAmount),
+            protocol.getCurrentDebt(user.address),
+          ]);
+          const maxBorrow = await protocol.getMaxBorrowAmount(collateral);
+          if (maxBorrow > debt) {
+            await attempt(
+              protocol
+                .connect(user)
+                .borrow(((maxBorrow - debt) * BigInt(5 + rand(6))) / 10n)
+            );
+          }
+        } else if (action === 2) {
+          const debt = await protocol.getCurrentDebt(user.address);
+          await attempt(
+            protocol
+              .connect(user)
+              .repay(rand(2) === 0 ? ethers.MaxUint256 : debt / 2n)
+          );
+        } else if (action === 3) {
+          const { collateralAmount } = await protocol.loans(user.address);
+          await attempt(
+            protocol
+              .connect(user)
+              .withdrawCollateral(collateralAmount / BigInt(1 + rand(3)))
+          );
+        } else if (action === 4) {
+          await time.increase(rand(30) * 24 * 60 * 60);
+          await feed.updateAnswer(BigInt(20000 + rand(40000)) * 10n ** 8n);
+        } else if (action === 5) {
+          for (const target of users) {
+            if (await protocol.isLiquidatable(target.address)) {
+              await protocol
+                .connect(liquidator)
+                .liquidate(target.address, ethers.MaxUint256, 0);
+            }
+          }
+        } else if (action === 6) {
+          await owner.sendTransaction({
+            to: protocolAddress,
+            value: ethers.parseEther("0.01"),
+          });
+        } else {
+          await protocol.connect(owner).withdrawProtocolFees();
+        }
+
+        const [balance, totalCollateral, rbtcReserves] = await Promise.all([
+          ethers.provider.getBalance(protocolAddress),
+          protocol.totalCollateral(),
+          protocol.rbtcReserves(),
+        ]);
+        expect(balance).to.be.gte(totalCollateral);
+        expect(balance).to.equal(totalCollateral + rbtcReserves);
+      }
+    });
+  });
+
   describe("Partial Collateral Withdrawal", function () {
     it("Should allow partial collateral withdrawal when no debt", async function () {
       const { protocol, borrower } = await loadFixture(deployFixture);
@@ -394,7 +1028,7 @@ describe("BTCLendingProtocol", function () {
         ethers.parseEther("3"),
         ethers.parseEther("90000")
       );
-      await helpers.repay(protocol, usd, borrower, ethers.parseEther("90000"));
+      await helpers.repayAll(protocol, usd, borrower);
 
       // Should allow partial withdrawal
       await expect(
@@ -406,18 +1040,88 @@ describe("BTCLendingProtocol", function () {
       const loan = await protocol.loans(borrower.address);
       expect(loan.collateralAmount).to.equal(ethers.parseEther("1.5"));
     });
-  });
-
-  describe("Transfer Failure Scenarios", function () {
-    it("Should handle USD token transfer failures comprehensively", async function () {
-      const { protocol, usd, borrower, owner } = await loadFixture(deployFixture);
 
-      await helpers.deposit(protocol, borrower, ONE_BTC);
+    it("Should allow withdrawals while a loan stays within max LTV", async function () {
+      const { protocol, borrower } = await loadFixture(deployFixture);
 
-      // Test borrow failure - contract insufficient balance
-      const excessiveBorrow = ethers.parseEther("600000"); // More than 500k contract balance
-      await expect(
-        helpers.borrow(protocol, borrower, excessiveBorrow)
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("100")
+      );
+      await expect(protocol.connect(borrower).withdrawCollateral(10n ** 10n))
+        .to.emit(protocol, "CollateralWithdrawn")
+        .withArgs(borrower.address, 10n ** 10n);
+
+      // $100 of debt needs ~$142.86 of collateral at 70% LTV, the rest is free
+      const maxWithdrawable = await protocol.getMaxWithdrawableCollateral(
+        borrower.address
+      );
+      const required = (ethers.parseEther("100") * PRECISION) / MAX_LTV;
+      expect(maxWithdrawable).to.be.closeTo(
+        ONE_BTC - 10n ** 10n - (required * 10n ** 8n) / MOCK_BTC_PRICE,
+        10n ** 10n
+      );
+
+      await expect(
+        protocol
+          .connect(borrower)
+          .withdrawCollateral(maxWithdrawable + 10n ** 12n)
+      ).to.be.revertedWithCustomError(protocol, "ExceedsBorrowingLimit");
+      await protocol
+        .connect(borrower)
+        .withdrawCollateral(maxWithdrawable - 10n ** 12n);
+      expect(await protocol.getLoanToValue(borrower.address)).to.equal(
+        MAX_LTV - 1n
+      );
+    });
+
+    it("Should report max withdrawable collateral at the current price", async function () {
+      const { protocol, feed, borrower, user2 } = await loadFixture(
+        deployFixture
+      );
+
+      // Without debt the whole balance is free
+      await helpers.deposit(protocol, user2, ONE_BTC);
+      expect(
+        await protocol.getMaxWithdrawableCollateral(user2.address)
+      ).to.equal(ONE_BTC);
+      expect(
+        await protocol.getMaxWithdrawableCollateral(borrower.address)
+      ).to.equal(0n);
+
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ethers.parseEther("2"),
+        ethers.parseEther("35000")
+      );
+      expect(
+        await protocol.getMaxWithdrawableCollateral(borrower.address)
+      ).to.be.closeTo(ONE_BTC, 10n ** 12n);
+
+      // Above max LTV but below the liquidation threshold nothing can leave
+      await feed.updateAnswer(25000n * 10n ** 8n);
+      expect(
+        await protocol.getMaxWithdrawableCollateral(borrower.address)
+      ).to.equal(0n);
+      await expect(
+        protocol.connect(borrower).withdrawCollateral(1n)
+      ).to.be.revertedWithCustomError(protocol, "ExceedsBorrowingLimit");
+    });
+  });
+
+  describe("Transfer Failure Scenarios", function () {
+    it("Should handle USD token transfer failures comprehensively", async function () {
+      const { protocol, usd, borrower, owner } = await loadFixture(deployFixture);
+
+      await helpers.deposit(protocol, borrower, ONE_BTC);
+
+      // Test borrow failure - contract insufficient balance
+      const excessiveBorrow = ethers.parseEther("600000"); // More than 500k contract balance
+      await expect(
+        helpers.borrow(protocol, borrower, excessiveBorrow)
       ).to.be.revertedWithCustomError(protocol, "ExceedsBorrowingLimit");
 
       // Test repay failure - no approval
@@ -452,7 +1156,9 @@ describe("BTCLendingProtocol", function () {
       // Remove liquidator's approval to cause transfer failure
       await usd.connect(liquidator).approve(await protocol.getAddress(), 0);
       await expect(
-        protocol.connect(liquidator).liquidate(borrower.address)
+        protocol
+          .connect(liquidator)
+          .liquidate(borrower.address, ethers.MaxUint256, 0)
       ).to.be.revertedWithCustomError(usd, "ERC20InsufficientAllowance");
     });
   });
@@ -474,12 +1180,12 @@ describe("BTCLendingProtocol", function () {
 
       // Verify timestamp doesn't change on additional borrows
       const originalTimestamp = loan.timestamp;
-      await helpers.borrow(protocol, borrower, ethers.parseEther("5000"));
+      await helpers.borrow(protocol, borrower, ethers.parseEther("4000"));
       const updatedLoan = await protocol.loans(borrower.address);
       expect(updatedLoan.timestamp).to.equal(originalTimestamp);
 
       // Verify state transitions with timestamps
-      await helpers.repay(protocol, usd, borrower, ethers.parseEther("35000"));
+      await helpers.repayAll(protocol, usd, borrower);
       const finalLoan = await protocol.loans(borrower.address);
       expect(finalLoan.active).to.be.false;
       expect(finalLoan.timestamp).to.equal(originalTimestamp); // Timestamp preserved
@@ -516,7 +1222,7 @@ describe("BTCLendingProtocol", function () {
       ]).to.deep.equal([true, true, true]);
 
       // After full repayment - inactive loan, zero debt
-      await helpers.repay(protocol, usd, borrower, ethers.parseEther("30000"));
+      await helpers.repayAll(protocol, usd, borrower);
       loan = await protocol.loans(borrower.address);
       expect([
         loan.active,
@@ -529,7 +1235,9 @@ describe("BTCLendingProtocol", function () {
 
   describe("View Functions & Owner Operations", function () {
     it("Should return accurate data and handle owner functions", async function () {
-      const { protocol, owner, borrower } = await loadFixture(deployFixture);
+      const { protocol, priceRouter, owner, borrower } = await loadFixture(
+        deployFixture
+      );
 
       await helpers.setupLoan(
         protocol,
@@ -546,7 +1254,14 @@ describe("BTCLendingProtocol", function () {
           userLiquidatable,
           userMaxBorrow,
         ],
-        [protocolCollateral, protocolBorrowed, btcPrice, utilizationRate],
+        [
+          protocolCollateral,
+          protocolBorrowed,
+          btcPrice,
+          utilizationRate,
+          borrowRate,
+          supplyRate,
+        ],
       ] = await Promise.all([
         protocol.getUserLoan(borrower.address),
         protocol.getProtocolStats(),
@@ -572,7 +1287,11 @@ describe("BTCLendingProtocol", function () {
         ethers.parseEther("2"),
         ethers.parseEther("60000"),
         MOCK_BTC_PRICE,
-        60n,
+        12n, // 60k borrowed out of 500k pool liquidity
+      ]);
+      expect([borrowRate, supplyRate]).to.deep.equal([
+        35n * 10n ** 15n, // 2% + 10% * (12% / 80%)
+        378n * 10n ** 13n, // 3.5% * 12% * (1 - 10% reserve factor)
       ]);
 
       // Owner operations
@@ -580,73 +1299,2808 @@ describe("BTCLendingProtocol", function () {
         "MockV3Aggregator"
       );
       const newFeed = await MockV3Aggregator.deploy(8, 60000n * 10n ** 8n);
-      await protocol.connect(owner).updatePriceFeed(await newFeed.getAddress());
+      const newRouter = await deployPriceRouter(newFeed);
+      await expect(
+        helpers.switchPriceRouter(protocol, owner, newRouter, [newFeed])
+      )
+        .to.emit(protocol, "PriceRouterUpdated")
+        .withArgs(await priceRouter.getAddress(), await newRouter.getAddress());
 
       const [newPrice] = await protocol.getLatestPrice();
       expect(newPrice).to.equal(60000n * 10n ** 8n);
 
       // Access control
       await expect(
-        protocol.connect(borrower).updatePriceFeed(ethers.ZeroAddress)
+        protocol.connect(borrower).queuePriceRouter(ethers.ZeroAddress)
       ).to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount");
     });
   });
 
-  describe("Edge Cases & Multi-User", function () {
-    it("Should handle edge cases and multiple users", async function () {
-      const { protocol, usd, borrower, user2 } = await loadFixture(
-        deployFixture
-      );
+  describe("Risk Parameter Governance", function () {
+    const NEW_PARAMS = {
+      maxLtv: 60n,
+      liquidationThreshold: 70n,
+      liquidationPenalty: 8n,
+      liquidationBonus: 6n,
+      closeFactor: 100n,
+    };
 
-      // Edge cases
-      const [zeroUsd, zeroMax, zeroLtv] = await Promise.all([
-        protocol.btcToUSD(0),
-        protocol.getMaxBorrowAmount(0),
-        protocol.getLoanToValue(borrower.address),
+    it("Should apply queued risk parameters only after the delay", async function () {
+      const { protocol, feed, owner } = await loadFixture(deployFixture);
+
+      const tx = await protocol.connect(owner).queueRiskParameters(NEW_PARAMS);
+      const eta = BigInt((await time.latest()) + TIMELOCK_DELAY);
+      await expect(tx)
+        .to.emit(protocol, "RiskParametersQueued")
+        .withArgs(Object.values(NEW_PARAMS), eta);
+
+      // Borrowers can see what is coming and when
+      const [pending, pendingEta, current] = await Promise.all([
+        protocol.pendingRiskParameters(),
+        protocol.riskParametersEta(),
+        protocol.riskParameters(),
       ]);
-      expect([zeroUsd, zeroMax, zeroLtv]).to.deep.equal([0n, 0n, 0n]);
+      expect(pending.toObject()).to.deep.equal(NEW_PARAMS);
+      expect(pendingEta).to.equal(eta);
+      expect(current.maxLtv).to.equal(MAX_LTV);
 
-      // Large amounts
-      const largeAmount = ethers.parseEther("1000");
-      const [largeUsd, largeMax] = await Promise.all([
-        protocol.btcToUSD(largeAmount),
-        protocol.getMaxBorrowAmount(largeAmount),
+      await expect(protocol.connect(owner).executeRiskParameters())
+        .to.be.revertedWithCustomError(protocol, "TimelockNotReady")
+        .withArgs(eta);
+
+      await time.increaseTo(eta);
+      await feed.updateAnswer(MOCK_BTC_PRICE);
+      await expect(protocol.connect(owner).executeRiskParameters())
+        .to.emit(protocol, "RiskParametersUpdated")
+        .withArgs(Object.values(NEW_PARAMS));
+
+      expect((await protocol.riskParameters()).toObject()).to.deep.equal(
+        NEW_PARAMS
+      );
+      expect(await protocol.riskParametersEta()).to.equal(0n);
+      expect(await protocol.getMaxBorrowAmount(ONE_BTC)).to.equal(
+        ethers.parseEther("30000")
+      );
+    });
+
+    it("Should reject risk parameters that break liquidations", async function () {
+      const { protocol, owner, borrower } = await loadFixture(deployFixture);
+      const invalid = [
+        { maxLtv: 0n },
+        { maxLtv: 75n }, // not below the threshold
+        { liquidationThreshold: 100n },
+        { liquidationBonus: 0n },
+        { liquidationBonus: 11n }, // more than the penalty
+        { liquidationThreshold: 95n, maxLtv: 90n }, // 95% * 110% > 100%
+        { closeFactor: 0n },
+        { closeFactor: 101n },
+      ];
+
+      for (const change of invalid) {
+        const params = { ...NEW_PARAMS, ...change };
+        await expect(
+          protocol.connect(owner).queueRiskParameters(params)
+        ).to.be.revertedWithCustomError(protocol, "InvalidRiskParameters");
+      }
+      await expect(
+        protocol.connect(borrower).queueRiskParameters(NEW_PARAMS)
+      ).to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should re-check queued risk parameters when executing them", async function () {
+      const { protocol, feed, owner } = await loadFixture(deployFixture);
+
+      await protocol.connect(owner).queueRiskParameters(NEW_PARAMS);
+      // Valid against the 10% penalty in force, not against the queued 8%
+      await protocol.connect(owner).setProtectionFee(850n);
+
+      await time.increase(TIMELOCK_DELAY);
+      await feed.updateAnswer(MOCK_BTC_PRICE);
+      await expect(
+        protocol.connect(owner).executeRiskParameters()
+      ).to.be.revertedWithCustomError(protocol, "InvalidRiskParameters");
+
+      await protocol.connect(owner).setProtectionFee(50n);
+      await expect(protocol.connect(owner).executeRiskParameters())
+        .to.emit(protocol, "RiskParametersUpdated")
+        .withArgs(Object.values(NEW_PARAMS));
+    });
+
+    it("Should cancel queued changes", async function () {
+      const { protocol, feed, owner } = await loadFixture(deployFixture);
+
+      await expect(
+        protocol.connect(owner).cancelRiskParameters()
+      ).to.be.revertedWithCustomError(protocol, "NoPendingChange");
+
+      await protocol.connect(owner).queueRiskParameters(NEW_PARAMS);
+      await expect(protocol.connect(owner).cancelRiskParameters()).to.emit(
+        protocol,
+        "RiskParametersCancelled"
+      );
+
+      const newRouter = await deployPriceRouter(feed);
+      await expect(
+        protocol.connect(owner).queuePriceRouter(await newRouter.getAddress())
+      ).to.emit(protocol, "PriceRouterQueued");
+      expect(await protocol.pendingPriceRouter()).to.equal(
+        await newRouter.getAddress()
+      );
+      await expect(protocol.connect(owner).cancelPriceRouter())
+        .to.emit(protocol, "PriceRouterCancelled")
+        .withArgs(await newRouter.getAddress());
+
+      await time.increase(TIMELOCK_DELAY);
+      await expect(
+        protocol.connect(owner).executeRiskParameters()
+      ).to.be.revertedWithCustomError(protocol, "NoPendingChange");
+      await expect(
+        protocol.connect(owner).executePriceRouter()
+      ).to.be.revertedWithCustomError(protocol, "NoPendingChange");
+    });
+  });
+
+  describe("Multi-Collateral", function () {
+    it("Should list collateral assets only through the timelock", async function () {
+      const { protocol, usd, owner, borrower } = await loadFixture(
+        deployFixture
+      );
+      const [MockERC20, MockV3Aggregator] = await Promise.all([
+        ethers.getContractFactory("MockERC20"),
+        ethers.getContractFactory("MockV3Aggregator"),
       ]);
-      expect([largeUsd, largeMax]).to.deep.equal([
-        ethers.parseEther("50000000"),
-        ethers.parseEther("35000000"),
+      const [wrbtc, wideToken, wrbtcFeed] = await Promise.all([
+        MockERC20.deploy("Wrapped RBTC", "WRBTC", WRBTC_DECIMALS, 0),
+        MockERC20.deploy("Wide Token", "WIDE", 24, 0),
+        MockV3Aggregator.deploy(MOCK_DECIMALS, MOCK_BTC_PRICE),
       ]);
+      const router = await (await deployPriceRouter(wrbtcFeed)).getAddress();
+      const asset = await wrbtc.getAddress();
 
-      // Multi-user operations
-      await Promise.all([
-        helpers.setupLoan(
-          protocol,
-          borrower,
-          ONE_BTC,
-          ethers.parseEther("30000")
-        ),
-        helpers.setupLoan(
-          protocol,
-          user2,
-          ethers.parseEther("1.5"),
-          ethers.parseEther("40000")
-        ),
+      const invalid = [
+        [await usd.getAddress(), WRBTC_MAX_LTV, WRBTC_THRESHOLD],
+        [await wideToken.getAddress(), WRBTC_MAX_LTV, WRBTC_THRESHOLD],
+        [asset, 0n, WRBTC_THRESHOLD],
+        [asset, WRBTC_THRESHOLD, WRBTC_THRESHOLD],
+        [asset, 90n, 95n], // 95% * 110% > 100%
+      ];
+      for (const [token, maxLtv, threshold] of invalid) {
+        await expect(
+          protocol
+            .connect(owner)
+            .queueCollateralConfig(token, router, maxLtv, threshold)
+        ).to.be.revertedWithCustomError(protocol, "InvalidCollateralConfig");
+      }
+      await expect(
+        protocol
+          .connect(borrower)
+          .queueCollateralConfig(asset, router, WRBTC_MAX_LTV, WRBTC_THRESHOLD)
+      ).to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount");
+
+      await expect(
+        protocol
+          .connect(owner)
+          .queueCollateralConfig(asset, router, WRBTC_MAX_LTV, WRBTC_THRESHOLD)
+      ).to.emit(protocol, "CollateralConfigQueued");
+      const eta = await protocol.collateralConfigEtas(asset);
+      expect(
+        (await protocol.pendingCollateralConfigs(asset)).decimals
+      ).to.equal(WRBTC_DECIMALS);
+
+      await expect(protocol.connect(owner).executeCollateralConfig(asset))
+        .to.be.revertedWithCustomError(protocol, "TimelockNotReady")
+        .withArgs(eta);
+      await expect(
+        protocol.connect(borrower).depositTokenCollateral(asset, ONE_WRBTC)
+      ).to.be.revertedWithCustomError(protocol, "CollateralNotListed");
+
+      await time.increaseTo(eta);
+      await expect(
+        protocol.connect(owner).executeCollateralConfig(asset)
+      ).to.emit(protocol, "CollateralConfigUpdated");
+
+      const config = await protocol.collateralConfigs(asset);
+      expect([
+        config.priceRouter,
+        config.maxLtv,
+        config.liquidationThreshold,
+        config.decimals,
+        config.listed,
+      ]).to.deep.equal([router, WRBTC_MAX_LTV, WRBTC_THRESHOLD, 8n, true]);
+      expect(await protocol.getCollateralAssets()).to.deep.equal([asset]);
+
+      // Risk parameters can no longer raise the penalty past what the asset's threshold allows
+      await expect(
+        protocol.connect(owner).queueRiskParameters({
+          maxLtv: 60n,
+          liquidationThreshold: 65n,
+          liquidationPenalty: 45n, // 70% * 145% > 100%
+          liquidationBonus: 5n,
+          closeFactor: 50n,
+        })
+      ).to.be.revertedWithCustomError(protocol, "InvalidRiskParameters");
+    });
+
+    it("Should normalize token decimals when pricing collateral", async function () {
+      const { protocol, wrbtc, wrbtcFeed } = await loadFixture(
+        deployMultiCollateralFixture
+      );
+      const asset = await wrbtc.getAddress();
+
+      expect(await protocol.tokenToUSD(asset, ONE_WRBTC)).to.equal(
+        ethers.parseEther("50000")
+      );
+      expect(
+        await protocol.usdToToken(asset, ethers.parseEther("25000"))
+      ).to.equal(ONE_WRBTC / 2n);
+
+      await wrbtcFeed.updateAnswer(40000n * 10n ** 8n);
+      expect(await protocol.tokenToUSD(asset, ONE_WRBTC / 4n)).to.equal(
+        ethers.parseEther("10000")
+      );
+      await expect(
+        protocol.tokenToUSD(ethers.ZeroAddress, ONE_WRBTC)
+      ).to.be.revertedWithCustomError(protocol, "CollateralNotListed");
+    });
+
+    it("Should combine borrowing power across assets", async function () {
+      const { protocol, wrbtc, borrower, user2 } = await loadFixture(
+        deployMultiCollateralFixture
+      );
+      const asset = await wrbtc.getAddress();
+
+      await helpers.deposit(protocol, borrower, ONE_BTC);
+      await expect(
+        protocol.connect(borrower).depositTokenCollateral(asset, ONE_WRBTC)
+      )
+        .to.emit(protocol, "TokenCollateralDeposited")
+        .withArgs(borrower.address, asset, ONE_WRBTC);
+
+      // 70% of 50k RBTC plus 60% of 50k WRBTC
+      const power = ethers.parseEther("65000");
+      expect(await protocol.getBorrowingPower(borrower.address)).to.equal(
+        power
+      );
+      await expect(
+        helpers.borrow(protocol, borrower, power + 1n)
+      ).to.be.revertedWithCustomError(protocol, "ExceedsBorrowingLimit");
+      await helpers.borrow(protocol, borrower, power);
+
+      const [collateral, borrowed, ltv, liquidatable, maxBorrow, collaterals] =
+        await protocol.getUserLoan(borrower.address);
+      expect([
+        collateral,
+        borrowed,
+        ltv,
+        liquidatable,
+        maxBorrow,
+      ]).to.deep.equal([ONE_BTC, power, 65n, false, power]);
+      expect(collaterals.map((c) => c.toArray())).to.deep.equal([
+        [ethers.ZeroAddress, ONE_BTC, ethers.parseEther("50000")],
+        [asset, ONE_WRBTC, ethers.parseEther("50000")],
       ]);
+      expect(await protocol.totalTokenCollateral(asset)).to.equal(ONE_WRBTC);
 
-      const [loan1, loan2, totalBorrowed] = await Promise.all([
-        protocol.loans(borrower.address),
-        protocol.loans(user2.address),
-        protocol.totalBorrowed(),
+      // Token collateral alone is enough to open a loan
+      await protocol.connect(user2).depositTokenCollateral(asset, ONE_WRBTC);
+      await expect(
+        helpers.borrow(protocol, user2, ethers.parseEther("30000"))
+      ).to.emit(protocol, "LoanTaken");
+    });
+
+    it("Should liquidate token collateral using the asset's own price", async function () {
+      const { protocol, usd, owner, wrbtc, wrbtcFeed, borrower, liquidator } =
+        await loadFixture(deployMultiCollateralFixture);
+      const asset = await wrbtc.getAddress();
+
+      await helpers.deposit(protocol, borrower, ONE_BTC);
+      await protocol.connect(borrower).depositTokenCollateral(asset, ONE_WRBTC);
+      await helpers.borrow(protocol, borrower, ethers.parseEther("65000"));
+
+      // Only the WRBTC price moves; the RBTC leg alone keeps its value
+      await wrbtcFeed.updateAnswer(30000n * 10n ** 8n);
+      expect(await protocol.isLiquidatable(borrower.address)).to.be.true;
+
+      const repayAmount = ethers.parseEther("10000");
+      const repayValue =
+        (repayAmount * 10n ** 8n) / (30000n * 10n ** 8n * 10n ** 10n);
+      const liquidatorAmount =
+        (repayValue * (PRECISION + LIQUIDATION_BONUS)) / PRECISION;
+      const penaltyAmount =
+        (repayValue * (LIQUIDATION_PENALTY - LIQUIDATION_BONUS)) / PRECISION;
+
+      await usd
+        .connect(liquidator)
+        .approve(await protocol.getAddress(), ethers.MaxUint256);
+      await expect(
+        protocol
+          .connect(liquidator)
+          .liquidateTokenCollateral(
+            borrower.address,
+            asset,
+            repayAmount,
+            liquidatorAmount + 1n
+          )
+      ).to.be.revertedWithCustomError(protocol, "CollateralOutBelowMinimum");
+      await expect(
+        protocol
+          .connect(liquidator)
+          .liquidateTokenCollateral(
+            borrower.address,
+            asset,
+            repayAmount,
+            liquidatorAmount
+          )
+      )
+        .to.emit(protocol, "TokenCollateralLiquidated")
+        .withArgs(
+          borrower.address,
+          liquidator.address,
+          asset,
+          liquidatorAmount + penaltyAmount,
+          repayAmount
+        );
+
+      expect(await wrbtc.balanceOf(liquidator.address)).to.equal(
+        liquidatorAmount
+      );
+      expect(await protocol.tokenCollateral(borrower.address, asset)).to.equal(
+        ONE_WRBTC - liquidatorAmount - penaltyAmount
+      );
+      expect(
+        (await protocol.loans(borrower.address)).collateralAmount
+      ).to.equal(ONE_BTC);
+      expect(await protocol.tokenReserves(asset)).to.equal(penaltyAmount);
+
+      await expect(protocol.connect(owner).withdrawTokenReserves(asset))
+        .to.emit(protocol, "TokenReservesWithdrawn")
+        .withArgs(owner.address, asset, penaltyAmount);
+      expect(await wrbtc.balanceOf(owner.address)).to.equal(penaltyAmount);
+      expect(await protocol.tokenReserves(asset)).to.equal(0n);
+    });
+
+    it("Should withdraw token collateral within the combined borrowing limit", async function () {
+      const { protocol, usd, wrbtc, borrower } = await loadFixture(
+        deployMultiCollateralFixture
+      );
+      const asset = await wrbtc.getAddress();
+
+      await protocol.connect(borrower).depositTokenCollateral(asset, ONE_WRBTC);
+      await helpers.borrow(protocol, borrower, ethers.parseEther("10000"));
+
+      await expect(
+        protocol.connect(borrower).withdrawTokenCollateral(asset, ONE_WRBTC)
+      ).to.be.revertedWithCustomError(protocol, "ExceedsBorrowingLimit");
+      await expect(
+        protocol
+          .connect(borrower)
+          .withdrawTokenCollateral(asset, ONE_WRBTC + 1n)
+      ).to.be.revertedWithCustomError(protocol, "InsufficientCollateral");
+
+      // $10k of debt keeps $16,667 of WRBTC locked at 60% LTV
+      const maxWithdrawable = await protocol.getMaxWithdrawableTokenCollateral(
+        borrower.address,
+        asset
+      );
+      expect(maxWithdrawable).to.be.closeTo((2n * ONE_WRBTC) / 3n, 10n);
+      await protocol
+        .connect(borrower)
+        .withdrawTokenCollateral(asset, maxWithdrawable - 10n);
+
+      await helpers.repayAll(protocol, usd, borrower);
+      const remaining = ONE_WRBTC - maxWithdrawable + 10n;
+      expect(
+        await protocol.getMaxWithdrawableTokenCollateral(
+          borrower.address,
+          asset
+        )
+      ).to.equal(remaining);
+      await expect(
+        protocol.connect(borrower).withdrawTokenCollateral(asset, remaining)
+      )
+        .to.emit(protocol, "TokenCollateralWithdrawn")
+        .withArgs(borrower.address, asset, remaining);
+      expect(await wrbtc.balanceOf(borrower.address)).to.equal(2n * ONE_WRBTC);
+      expect(await protocol.totalTokenCollateral(asset)).to.equal(0n);
+    });
+  });
+
+  describe("Keeper Automation", function () {
+    const decodeUsers = (performData) =>
+      ethers.AbiCoder.defaultAbiCoder().decode(["address[]"], performData)[0];
+
+    it("Should track active borrowers as loans open and close", async function () {
+      const { protocol, usd, borrower, liquidator, user2 } = await loadFixture(
+        deployFixture
+      );
+
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("10000")
+      );
+      await helpers.setupLoan(
+        protocol,
+        user2,
+        ONE_BTC,
+        ethers.parseEther("10000")
+      );
+      await helpers.deposit(protocol, liquidator, ONE_BTC); // no loan
+
+      expect(await protocol.getActiveBorrowerCount()).to.equal(2n);
+      expect(await protocol.getActiveBorrowers(0, 10)).to.deep.equal([
+        borrower.address,
+        user2.address,
       ]);
-      expect([
-        loan1.borrowedAmount,
-        loan2.borrowedAmount,
-        totalBorrowed,
-      ]).to.deep.equal([
-        ethers.parseEther("30000"),
-        ethers.parseEther("40000"),
-        ethers.parseEther("70000"),
+      expect(await protocol.getActiveBorrowers(1, 10)).to.deep.equal([
+        user2.address,
       ]);
+      expect(await protocol.getActiveBorrowers(5, 10)).to.deep.equal([]);
+
+      await helpers.repayAll(protocol, usd, borrower);
+      expect(await protocol.getActiveBorrowers(0, 10)).to.deep.equal([
+        user2.address,
+      ]);
+    });
+
+    it("Should report liquidatable borrowers in the scanned page", async function () {
+      const { protocol, feed, borrower, user2 } = await loadFixture(
+        deployFixture
+      );
+
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("30000")
+      );
+      await helpers.setupLoan(
+        protocol,
+        user2,
+        ethers.parseEther("1.5"),
+        ethers.parseEther("30000")
+      );
+
+      let [upkeepNeeded, performData] = await protocol.checkUpkeep("0x");
+      expect(upkeepNeeded).to.be.false;
+      expect(decodeUsers(performData)).to.deep.equal([]);
+
+      // Only the first borrower crosses the threshold at $35k
+      await feed.updateAnswer(35000n * 10n ** 8n);
+      [upkeepNeeded, performData] = await protocol.checkUpkeep("0x");
+      expect(upkeepNeeded).to.be.true;
+      expect(decodeUsers(performData)).to.deep.equal([borrower.address]);
+
+      const secondPage = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "uint256"],
+        [1, 1]
+      );
+      [upkeepNeeded] = await protocol.checkUpkeep(secondPage);
+      expect(upkeepNeeded).to.be.false;
+    });
+
+    it("Should only report loans that reserves can repay", async function () {
+      const { protocol, usd, feed, owner, borrower, user2 } = await loadFixture(
+        deployFixture
+      );
+
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("30000")
+      );
+      await helpers.setupLoan(
+        protocol,
+        user2,
+        ONE_BTC,
+        ethers.parseEther("30000")
+      );
+      await protocol.connect(owner).withdrawProtocolFees();
+      await feed.updateAnswer(35000n * 10n ** 8n);
+      expect(await protocol.isLiquidatable(borrower.address)).to.be.true;
+
+      // Empty reserves would make performUpkeep a no-op
+      expect(await protocol.usdReserves()).to.equal(0);
+      let [upkeepNeeded, performData] = await protocol.checkUpkeep("0x");
+      expect(upkeepNeeded).to.be.false;
+      expect(decodeUsers(performData)).to.deep.equal([]);
+
+      // Reserves used up by the first loan leave nothing for the second
+      const reserves = ethers.parseEther("1000");
+      await usd.approve(await protocol.getAddress(), reserves);
+      await protocol.addReserves(reserves);
+      [upkeepNeeded, performData] = await protocol.checkUpkeep("0x");
+      expect(upkeepNeeded).to.be.true;
+      expect(decodeUsers(performData)).to.deep.equal([borrower.address]);
+    });
+
+    it("Should liquidate from reserves through a registry and reward the keeper", async function () {
+      const { protocol, usd, feed, owner, borrower, liquidator, user2 } =
+        await loadFixture(deployFixture);
+      const registry = await (
+        await ethers.getContractFactory("MockAutomationRegistry")
+      ).deploy();
+      await registry.registerUpkeep(await protocol.getAddress(), "0x");
+
+      // The registry calls performUpkeep, the reward goes to the upkeep's admin
+      await expect(
+        protocol.connect(user2).setKeeperRewardRecipient(user2.address)
+      )
+        .to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount")
+        .withArgs(user2.address);
+      await expect(
+        protocol.connect(owner).setKeeperRewardRecipient(user2.address)
+      )
+        .to.emit(protocol, "KeeperRewardRecipientUpdated")
+        .withArgs(ethers.ZeroAddress, user2.address);
+
+      const reserves = ethers.parseEther("20000");
+      await usd.approve(await protocol.getAddress(), reserves);
+      await expect(protocol.connect(owner).addReserves(reserves))
+        .to.emit(protocol, "ReservesAdded")
+        .withArgs(owner.address, 0n, reserves);
+
+      expect((await registry.checkUpkeep(0))[0]).to.be.false;
+      await helpers.makeLiquidatable(protocol, feed, usd, borrower, liquidator);
+      const assetsBefore = await protocol.totalAssets();
+      const recipientBefore = await ethers.provider.getBalance(user2.address);
+
+      const tx = await registry.performUpkeep(0);
+      const event = (await tx.wait()).logs
+        .map((log) => protocol.interface.parseLog(log))
+        .find((log) => log && log.name === "KeeperLiquidation");
+      const { user, keeper, asset, collateral, debt, reward } = event.args;
+
+      // Half of the debt is repaid at $35k, the keeper earns the liquidation bonus
+      expect([user, keeper, asset]).to.deep.equal([
+        borrower.address,
+        await registry.getAddress(),
+        ethers.ZeroAddress,
+      ]);
+      expect(debt).to.be.closeTo(
+        ethers.parseEther("15000"),
+        ethers.parseEther("0.01")
+      );
+      const repayValue = (debt * 10n ** 8n) / (35000n * 10n ** 8n);
+      const liquidatorShare =
+        (repayValue * (PRECISION + LIQUIDATION_BONUS)) / PRECISION;
+      expect(collateral).to.equal(
+        liquidatorShare +
+          (repayValue * (LIQUIDATION_PENALTY - LIQUIDATION_BONUS)) / PRECISION
+      );
+      expect(reward).to.equal(
+        (liquidatorShare * LIQUIDATION_BONUS) / (PRECISION + LIQUIDATION_BONUS)
+      );
+
+      expect(await ethers.provider.getBalance(user2.address)).to.equal(
+        recipientBefore + reward
+      );
+      expect(
+        await ethers.provider.getBalance(await registry.getAddress())
+      ).to.equal(0);
+      expect(
+        await protocol.claimableRBTC(await registry.getAddress())
+      ).to.equal(0);
+      expect(await protocol.rbtcReserves()).to.equal(collateral - reward);
+      expect(
+        (await protocol.loans(borrower.address)).collateralAmount
+      ).to.equal(ONE_BTC - collateral);
+      expect(await protocol.usdReserves()).to.be.closeTo(
+        reserves - debt,
+        ethers.parseEther("0.01")
+      );
+      // Reserves pay the debt, so lenders keep the value of the loan
+      expect(await protocol.totalAssets()).to.be.closeTo(
+        assetsBefore,
+        ethers.parseEther("0.01")
+      );
+    });
+
+    it("Should cap keeper repayments by reserves and re-check borrowers", async function () {
+      const { protocol, usd, feed, borrower, liquidator, user2 } =
+        await loadFixture(deployFixture);
+
+      await helpers.setupLoan(
+        protocol,
+        user2,
+        ONE_BTC,
+        ethers.parseEther("10000")
+      );
+      const reserves = ethers.parseEther("1000");
+      await usd.approve(await protocol.getAddress(), reserves);
+      await protocol.addReserves(reserves);
+      await helpers.makeLiquidatable(protocol, feed, usd, borrower, liquidator);
+      await protocol.setKeeperRewardRecipient(liquidator.address);
+
+      // Healthy borrowers passed in by a keeper are skipped
+      const performData = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["address[]"],
+        [[user2.address, borrower.address]]
+      );
+      const tx = await protocol.connect(liquidator).performUpkeep(performData);
+      await expect(tx)
+        .to.emit(protocol, "KeeperLiquidation")
+        .withArgs(
+          borrower.address,
+          liquidator.address,
+          ethers.ZeroAddress,
+          (collateral) => collateral > 0n,
+          (debt) =>
+            debt >= reserves && debt - reserves < ethers.parseEther("0.01"),
+          (reward) => reward > 0n
+        );
+      expect((await protocol.loans(user2.address)).collateralAmount).to.equal(
+        ONE_BTC
+      );
+
+      const tooMany = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["address[]"],
+        [Array(21).fill(borrower.address)]
+      );
+      await expect(
+        protocol.performUpkeep(tooMany)
+      ).to.be.revertedWithCustomError(protocol, "UpkeepBatchTooLarge");
+    });
+  });
+
+  describe("Bad Debt", function () {
+    it("Should detect positions whose collateral no longer covers the debt", async function () {
+      const { protocol, feed, borrower } = await loadFixture(deployFixture);
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("30000")
+      );
+      expect(await protocol.getShortfall(borrower.address)).to.equal(0);
+
+      // Liquidatable at $35k, but the collateral still covers the debt
+      await feed.updateAnswer(35000n * 10n ** 8n);
+      expect(await protocol.isLiquidatable(borrower.address)).to.be.true;
+      expect(await protocol.getShortfall(borrower.address)).to.equal(0);
+
+      await feed.updateAnswer(25000n * 10n ** 8n);
+      expect(await protocol.getShortfall(borrower.address)).to.equal(
+        (await protocol.getCurrentDebt(borrower.address)) -
+          ethers.parseEther("25000")
+      );
+    });
+
+    it("Should liquidate a shortfall position in full and cover bad debt from insurance", async function () {
+      const { protocol, usd, feed, owner, borrower, liquidator } =
+        await loadFixture(deployFixture);
+      const insurance = ethers.parseEther("2000");
+      await usd.approve(await protocol.getAddress(), insurance);
+      await protocol.addReserves(insurance);
+      await expect(protocol.connect(borrower).fundInsurance(insurance))
+        .to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount")
+        .withArgs(borrower.address);
+      await expect(
+        protocol.connect(owner).fundInsurance(insurance + 1n)
+      ).to.be.revertedWithCustomError(protocol, "InsufficientReserves");
+      await expect(protocol.connect(owner).fundInsurance(insurance))
+        .to.emit(protocol, "InsuranceFunded")
+        .withArgs(insurance);
+      expect(await protocol.usdReserves()).to.equal(0);
+      expect(await protocol.insuranceFund()).to.equal(insurance);
+
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("30000")
+      );
+      await feed.updateAnswer(25000n * 10n ** 8n);
+      await usd
+        .connect(liquidator)
+        .approve(await protocol.getAddress(), ethers.MaxUint256);
+      const assetsBefore = await protocol.totalAssets();
+
+      // Repaying the collateral's value net of the bonus takes all of it, past the close factor
+      const repay =
+        (ethers.parseEther("25000") * PRECISION) /
+        (PRECISION + LIQUIDATION_BONUS);
+      const tx = await protocol
+        .connect(liquidator)
+        .liquidate(borrower.address, repay, 0);
+      const badDebt = (await tx.wait()).logs
+        .map((log) => protocol.interface.parseLog(log))
+        .find((log) => log && log.name === "BadDebtRecorded").args.amount;
+      await expect(tx)
+        .to.emit(protocol, "Liquidation")
+        .withArgs(borrower.address, liquidator.address, ONE_BTC, repay);
+      await expect(tx)
+        .to.emit(protocol, "BadDebtRecorded")
+        .withArgs(borrower.address, badDebt, insurance);
+      expect(badDebt).to.be.closeTo(
+        ethers.parseEther("30000") - repay,
+        ethers.parseEther("0.01")
+      );
+
+      const loan = await protocol.loans(borrower.address);
+      expect([
+        loan.collateralAmount,
+        loan.borrowedAmount,
+        loan.active,
+      ]).to.deep.equal([0n, 0n, false]);
+      expect(await protocol.totalBorrowed()).to.equal(0);
+      expect(await protocol.getActiveBorrowerCount()).to.equal(0);
+      expect(await protocol.getBadDebtStats()).to.deep.equal([
+        badDebt,
+        insurance,
+        badDebt - insurance,
+        0n,
+      ]);
+      // The insurance fund pays its share back to lenders, who bear only the rest
+      expect(await protocol.totalAssets()).to.be.closeTo(
+        assetsBefore - (badDebt - insurance),
+        ethers.parseEther("0.01")
+      );
+    });
+
+    it("Should write off bad debt behind dust collateral and seize the dust", async function () {
+      const {
+        protocol,
+        usd,
+        feed,
+        wrbtc,
+        wrbtcFeed,
+        borrower,
+        liquidator,
+        user2,
+      } = await loadFixture(deployMultiCollateralFixture);
+      const asset = await wrbtc.getAddress();
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("30000")
+      );
+      // A donated balance worth $0.25 is not worth liquidating
+      const dust = ONE_WRBTC / 100000n;
+      await protocol
+        .connect(user2)
+        .depositTokenCollateralFor(borrower.address, asset, dust);
+      await Promise.all([
+        feed.updateAnswer(25000n * 10n ** 8n),
+        wrbtcFeed.updateAnswer(25000n * 10n ** 8n),
+      ]);
+      await usd
+        .connect(liquidator)
+        .approve(await protocol.getAddress(), ethers.MaxUint256);
+
+      const repay =
+        (ethers.parseEther("25000") * PRECISION) /
+        (PRECISION + LIQUIDATION_BONUS);
+      await expect(
+        protocol.connect(liquidator).liquidate(borrower.address, repay, 0)
+      ).to.emit(protocol, "BadDebtRecorded");
+
+      const loan = await protocol.loans(borrower.address);
+      expect([
+        loan.collateralAmount,
+        loan.borrowedAmount,
+        loan.active,
+      ]).to.deep.equal([0n, 0n, false]);
+      expect(await protocol.tokenCollateral(borrower.address, asset)).to.equal(
+        0
+      );
+      expect(await protocol.totalTokenCollateral(asset)).to.equal(0);
+      expect(await protocol.tokenReserves(asset)).to.equal(dust);
+    });
+
+    it("Should seize only the repaid value plus penalty from a shortfall position", async function () {
+      const { protocol, usd, feed, borrower, liquidator } = await loadFixture(
+        deployFixture
+      );
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("30000")
+      );
+      await feed.updateAnswer(29000n * 10n ** 8n);
+      expect(await protocol.getShortfall(borrower.address)).to.be.gt(0);
+      await usd
+        .connect(liquidator)
+        .approve(await protocol.getAddress(), ethers.MaxUint256);
+      const assetsBefore = await protocol.totalAssets();
+
+      const repay = ethers.parseEther("1");
+      const repayValue = (repay * ONE_BTC) / ethers.parseEther("29000");
+      const penalty =
+        (repayValue * (LIQUIDATION_PENALTY - LIQUIDATION_BONUS)) / PRECISION;
+      const seized =
+        (repayValue * (PRECISION + LIQUIDATION_BONUS)) / PRECISION + penalty;
+      await expect(
+        protocol.connect(liquidator).liquidate(borrower.address, repay, 0)
+      )
+        .to.emit(protocol, "Liquidation")
+        .withArgs(borrower.address, liquidator.address, seized, repay)
+        .and.not.to.emit(protocol, "BadDebtRecorded");
+
+      // The rest of the collateral stays with the loan and keeps backing its debt
+      const loan = await protocol.loans(borrower.address);
+      expect(loan.collateralAmount).to.equal(ONE_BTC - seized);
+      expect(loan.active).to.be.true;
+      expect(await protocol.rbtcReserves()).to.equal(penalty);
+      expect(await protocol.totalBadDebt()).to.equal(0);
+      expect(await protocol.totalAssets()).to.be.closeTo(
+        assetsBefore,
+        ethers.parseEther("0.01")
+      );
+    });
+
+    it("Should spread uncovered losses from keeper liquidations across all lenders", async function () {
+      const { protocol, usd, feed, owner, borrower, user2 } = await loadFixture(
+        deployFixture
+      );
+      const supplied = ethers.parseEther("50000");
+      await usd.connect(user2).approve(await protocol.getAddress(), supplied);
+      await protocol.connect(user2).deposit(supplied, user2.address);
+      const reserves = ethers.parseEther("30000");
+      await usd.approve(await protocol.getAddress(), reserves);
+      await protocol.addReserves(reserves);
+
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("30000")
+      );
+      await feed.updateAnswer(25000n * 10n ** 8n);
+      const [ownerShares, user2Shares] = await Promise.all([
+        protocol.balanceOf(owner.address),
+        protocol.balanceOf(user2.address),
+      ]);
+      const assetsBefore = await protocol.totalAssets();
+
+      const performData = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["address[]"],
+        [[borrower.address]]
+      );
+      await expect(protocol.performUpkeep(performData)).to.emit(
+        protocol,
+        "BadDebtRecorded"
+      );
+      // Without a reward recipient the keeper's share stays in reserves
+      expect(await protocol.rbtcReserves()).to.equal(ONE_BTC);
+
+      // Reserves repay the collateral's value net of the keeper's reward, the rest is lost
+      const repaid =
+        (ethers.parseEther("25000") * PRECISION) /
+        (PRECISION + LIQUIDATION_BONUS);
+      const [cumulative, covered, uncovered] = await protocol.getBadDebtStats();
+      expect(cumulative).to.be.closeTo(
+        ethers.parseEther("30000") - repaid,
+        ethers.parseEther("0.01")
+      );
+      expect([covered, uncovered]).to.deep.equal([0n, cumulative]);
+      expect(
+        (await protocol.loans(borrower.address)).collateralAmount
+      ).to.equal(0);
+
+      const assetsAfter = await protocol.totalAssets();
+      expect(assetsAfter).to.be.closeTo(
+        assetsBefore - uncovered,
+        ethers.parseEther("0.01")
+      );
+      // Every share loses the same value
+      const totalShares = await protocol.totalSupply();
+      expect(await protocol.convertToAssets(ownerShares)).to.equal(
+        (ownerShares * assetsAfter) / totalShares
+      );
+      expect(await protocol.convertToAssets(user2Shares)).to.equal(
+        (user2Shares * assetsAfter) / totalShares
+      );
+    });
+  });
+
+  describe("Flash Loans", function () {
+    async function deployFlashBorrower(protocol) {
+      const MockFlashBorrower = await ethers.getContractFactory(
+        "MockFlashBorrower"
+      );
+      return MockFlashBorrower.deploy(await protocol.getAddress());
+    }
+
+    it("Should lend idle pool liquidity for a fee paid into reserves", async function () {
+      const { protocol, usd, owner, borrower } = await loadFixture(
+        deployFixture
+      );
+      const receiver = await deployFlashBorrower(protocol);
+      const amount = ethers.parseEther("100000");
+      const fee = (amount * 9n) / 10000n;
+
+      expect(await protocol.flashLoanFee()).to.equal(9n);
+      expect(await protocol.maxFlashLoan(await usd.getAddress())).to.equal(
+        POOL_LIQUIDITY
+      );
+      expect(await protocol.maxFlashLoan(ethers.ZeroAddress)).to.equal(0);
+      expect(await protocol.flashFee(await usd.getAddress(), amount)).to.equal(
+        fee
+      );
+      await expect(
+        protocol.flashFee(ethers.ZeroAddress, amount)
+      ).to.be.revertedWithCustomError(protocol, "UnsupportedFlashLoanToken");
+
+      await usd.transfer(await receiver.getAddress(), fee);
+      await expect(receiver.flashBorrow(await usd.getAddress(), amount, "0x"))
+        .to.emit(protocol, "FlashLoan")
+        .withArgs(
+          await receiver.getAddress(),
+          await receiver.getAddress(),
+          amount,
+          fee
+        );
+      expect(await receiver.lastFee()).to.equal(fee);
+      expect(await receiver.balanceDuringLoan()).to.equal(amount + fee);
+      expect(await usd.balanceOf(await receiver.getAddress())).to.equal(0);
+      expect(await protocol.usdReserves()).to.equal(fee);
+      // The fee belongs to the protocol, lenders keep exactly their deposits
+      expect(await protocol.totalAssets()).to.equal(POOL_LIQUIDITY);
+
+      await expect(protocol.connect(borrower).setFlashLoanFee(0))
+        .to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount")
+        .withArgs(borrower.address);
+      await expect(
+        protocol.connect(owner).setFlashLoanFee(101)
+      ).to.be.revertedWithCustomError(protocol, "InvalidFlashLoanFee");
+      await expect(protocol.connect(owner).setFlashLoanFee(0))
+        .to.emit(protocol, "FlashLoanFeeUpdated")
+        .withArgs(9n, 0n);
+      await expect(receiver.flashBorrow(await usd.getAddress(), amount, "0x"))
+        .to.not.be.reverted;
+    });
+
+    it("Should let the receiver repay debt through liquidate during the loan", async function () {
+      const { protocol, usd, feed, borrower, liquidator } = await loadFixture(
+        deployFixture
+      );
+      const receiver = await deployFlashBorrower(protocol);
+      await helpers.makeLiquidatable(protocol, feed, usd, borrower, liquidator);
+      const repay = ethers.parseEther("10000");
+      const fee = await protocol.flashFee(await usd.getAddress(), repay);
+      // A real receiver sells the seized RBTC for USD; prefunding stands in for that swap
+      await usd.transfer(await receiver.getAddress(), repay + fee);
+
+      const action = protocol.interface.encodeFunctionData("liquidate", [
+        borrower.address,
+        repay,
+        0,
+      ]);
+      const tx = receiver.flashBorrow(await usd.getAddress(), repay, action);
+      const seized =
+        (((repay * 10n ** 8n) / (35000n * 10n ** 8n)) *
+          (PRECISION + LIQUIDATION_BONUS)) /
+        PRECISION;
+      await expect(tx).to.emit(protocol, "Liquidation");
+      await expect(tx).to.changeEtherBalance(receiver, seized);
+      await expect(tx).to.emit(protocol, "FlashLoan");
+
+      expect(await protocol.getCurrentDebt(borrower.address)).to.be.closeTo(
+        ethers.parseEther("20000"),
+        ethers.parseEther("0.01")
+      );
+      expect(await usd.balanceOf(await receiver.getAddress())).to.equal(0);
+    });
+
+    it("Should keep the vault and nested loans locked while USD is out", async function () {
+      const { protocol, usd } = await loadFixture(deployFixture);
+      const receiver = await deployFlashBorrower(protocol);
+      const token = await usd.getAddress();
+      const amount = ethers.parseEther("1000");
+      await usd.transfer(await receiver.getAddress(), ethers.parseEther("10"));
+
+      const deposit = protocol.interface.encodeFunctionData("deposit", [
+        1,
+        await receiver.getAddress(),
+      ]);
+      await expect(
+        receiver.flashBorrow(token, amount, deposit)
+      ).to.be.revertedWithCustomError(protocol, "FlashLoanInProgress");
+      const nested = protocol.interface.encodeFunctionData("flashLoan", [
+        await receiver.getAddress(),
+        token,
+        1,
+        "0x",
+      ]);
+      await expect(
+        receiver.flashBorrow(token, amount, nested)
+      ).to.be.revertedWithCustomError(protocol, "FlashLoanInProgress");
+      await expect(
+        receiver.flashBorrow(token, POOL_LIQUIDITY + 1n, "0x")
+      ).to.be.revertedWithCustomError(protocol, "InsufficientLiquidity");
+
+      await receiver.setApproveRepayment(false);
+      await expect(
+        receiver.flashBorrow(token, amount, "0x")
+      ).to.be.revertedWithCustomError(usd, "ERC20InsufficientAllowance");
+      await receiver.setApproveRepayment(true);
+      await receiver.setCallbackResult(ethers.ZeroHash);
+      await expect(
+        receiver.flashBorrow(token, amount, "0x")
+      ).to.be.revertedWithCustomError(protocol, "FlashLoanCallbackFailed");
+    });
+  });
+
+  describe("Position NFTs", function () {
+    const positionTokenOf = async (protocol) =>
+      ethers.getContractAt(
+        "BTCLendingPositions",
+        await protocol.positionToken()
+      );
+
+    it("Should open isolated positions next to the wallet loan", async function () {
+      const { protocol, borrower } = await loadFixture(deployFixture);
+      const positions = await positionTokenOf(protocol);
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("10000")
+      );
+
+      const account1 = await protocol.positionAccount(1);
+      await expect(protocol.connect(borrower).openPosition({ value: ONE_BTC }))
+        .to.emit(protocol, "PositionOpened")
+        .withArgs(1n, borrower.address, account1)
+        .and.to.emit(protocol, "CollateralDeposited")
+        .withArgs(account1, ONE_BTC);
+      await protocol.connect(borrower).openPosition();
+      await protocol
+        .connect(borrower)
+        .depositPositionCollateral(2, { value: HALF_BTC });
+      expect(await positions.balanceOf(borrower.address)).to.equal(2n);
+      expect(await positions.ownerOf(2)).to.equal(borrower.address);
+
+      await expect(
+        protocol
+          .connect(borrower)
+          .borrowFromPosition(1, ethers.parseEther("30000"))
+      )
+        .to.emit(protocol, "LoanTaken")
+        .withArgs(account1, ONE_BTC, ethers.parseEther("30000"));
+      await protocol
+        .connect(borrower)
+        .borrowFromPosition(2, ethers.parseEther("5000"));
+
+      // Each position only borrows against its own collateral
+      await expect(
+        protocol
+          .connect(borrower)
+          .borrowFromPosition(2, ethers.parseEther("15000"))
+      ).to.be.revertedWithCustomError(protocol, "ExceedsBorrowingLimit");
+      const [loan1, loan2, wallet] = await Promise.all([
+        protocol.getPositionLoan(1),
+        protocol.getPositionLoan(2),
+        protocol.getUserLoan(borrower.address),
+      ]);
+      for (const [loan, collateral, borrowed] of [
+        [loan1, ONE_BTC, "30000"],
+        [loan2, HALF_BTC, "5000"],
+        [wallet, ONE_BTC, "10000"],
+      ]) {
+        expect(loan.collateral).to.equal(collateral);
+        expect(loan.borrowed).to.be.closeTo(
+          ethers.parseEther(borrowed),
+          ethers.parseEther("0.01")
+        );
+      }
+      expect(await protocol.getActiveBorrowerCount()).to.equal(3n);
+
+      await expect(protocol.getPositionLoan(3)).to.be.revertedWithCustomError(
+        positions,
+        "ERC721NonexistentToken"
+      );
+      await expect(
+        protocol
+          .connect(borrower)
+          .depositPositionCollateral(3, { value: ONE_BTC })
+      ).to.be.revertedWithCustomError(positions, "ERC721NonexistentToken");
+      await expect(
+        positions.mint(borrower.address)
+      ).to.be.revertedWithCustomError(positions, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should hand control of a position, debt included, to the token holder", async function () {
+      const { protocol, usd, borrower, liquidator, user2 } = await loadFixture(
+        deployFixture
+      );
+      const positions = await positionTokenOf(protocol);
+      await protocol.connect(borrower).openPosition({ value: ONE_BTC });
+      await protocol
+        .connect(borrower)
+        .borrowFromPosition(1, ethers.parseEther("20000"));
+
+      await positions
+        .connect(borrower)
+        .transferFrom(borrower.address, user2.address, 1);
+      await expect(
+        protocol.connect(borrower).borrowFromPosition(1, 1n)
+      ).to.be.revertedWithCustomError(protocol, "NotPositionOwner");
+      await expect(
+        protocol.connect(borrower).withdrawPositionCollateral(1, 1n)
+      ).to.be.revertedWithCustomError(protocol, "NotPositionOwner");
+      expect(
+        (await protocol.getPositionLoan(1)).borrowed
+      ).to.be.greaterThanOrEqual(ethers.parseEther("20000"));
+
+      await usd
+        .connect(user2)
+        .approve(await protocol.getAddress(), ethers.MaxUint256);
+      await expect(
+        protocol.connect(user2).repayPosition(1, ethers.MaxUint256)
+      ).to.emit(protocol, "LoanRepaid");
+      await expect(
+        protocol.connect(user2).withdrawPositionCollateral(1, ONE_BTC)
+      ).to.changeEtherBalances([user2, protocol], [ONE_BTC, -ONE_BTC]);
+
+      // An approved operator manages the position and receives what it borrows
+      await protocol
+        .connect(user2)
+        .depositPositionCollateral(1, { value: ONE_BTC });
+      await positions.connect(user2).approve(liquidator.address, 1);
+      await expect(
+        protocol
+          .connect(liquidator)
+          .borrowFromPosition(1, ethers.parseEther("1000"))
+      ).to.changeTokenBalance(usd, liquidator, ethers.parseEther("1000"));
+    });
+
+    it("Should liquidate positions on their own health", async function () {
+      const { protocol, usd, feed, borrower, liquidator } = await loadFixture(
+        deployFixture
+      );
+      await protocol.connect(borrower).openPosition({ value: ONE_BTC });
+      await protocol.connect(borrower).openPosition({ value: ONE_BTC });
+      await protocol
+        .connect(borrower)
+        .borrowFromPosition(1, ethers.parseEther("30000"));
+      await protocol
+        .connect(borrower)
+        .borrowFromPosition(2, ethers.parseEther("10000"));
+      await feed.updateAnswer(35000n * 10n ** 8n);
+      await usd
+        .connect(liquidator)
+        .approve(await protocol.getAddress(), ethers.MaxUint256);
+      const account1 = await protocol.positionAccount(1);
+
+      // Keepers see positions through their accounts
+      const [upkeepNeeded, performData] = await protocol.checkUpkeep("0x");
+      expect(upkeepNeeded).to.be.true;
+      expect(
+        ethers.AbiCoder.defaultAbiCoder().decode(["address[]"], performData)[0]
+      ).to.deep.equal([account1]);
+
+      await expect(
+        protocol.connect(liquidator).liquidatePosition(2, ethers.MaxUint256, 0)
+      ).to.be.revertedWithCustomError(protocol, "LoanNotLiquidatable");
+      await expect(
+        protocol.connect(liquidator).liquidatePosition(1, ethers.MaxUint256, 0)
+      )
+        .to.emit(protocol, "Liquidation")
+        .withArgs(
+          account1,
+          liquidator.address,
+          (collateral) => collateral > 0n,
+          (debt) => debt > 0n
+        );
+      expect((await protocol.getPositionLoan(1)).borrowed).to.be.closeTo(
+        ethers.parseEther("15000"),
+        ethers.parseEther("0.01")
+      );
+      expect((await protocol.getPositionLoan(2)).collateral).to.equal(ONE_BTC);
+    });
+
+    it("Should hold ERC-20 collateral in positions", async function () {
+      const { protocol, usd, wrbtc, wrbtcFeed, borrower, liquidator } =
+        await loadFixture(deployMultiCollateralFixture);
+      const asset = await wrbtc.getAddress();
+      const account1 = await protocol.positionAccount(1);
+      await protocol.connect(borrower).openPosition();
+
+      await expect(
+        protocol
+          .connect(borrower)
+          .depositPositionTokenCollateral(1, asset, 2n * ONE_WRBTC)
+      )
+        .to.emit(protocol, "TokenCollateralDeposited")
+        .withArgs(account1, asset, 2n * ONE_WRBTC);
+      await protocol
+        .connect(borrower)
+        .borrowFromPosition(1, ethers.parseEther("25000"));
+      await expect(
+        protocol
+          .connect(borrower)
+          .withdrawPositionTokenCollateral(1, asset, ONE_WRBTC)
+      ).to.changeTokenBalance(wrbtc, borrower, ONE_WRBTC);
+      expect(await protocol.tokenCollateral(account1, asset)).to.equal(
+        ONE_WRBTC
+      );
+      expect(await protocol.tokenCollateral(borrower.address, asset)).to.equal(
+        0
+      );
+
+      await wrbtcFeed.updateAnswer(35000n * 10n ** 8n);
+      await usd
+        .connect(liquidator)
+        .approve(await protocol.getAddress(), ethers.MaxUint256);
+      await expect(
+        protocol
+          .connect(liquidator)
+          .liquidatePositionTokenCollateral(
+            1,
+            asset,
+            ethers.parseEther("10000"),
+            0
+          )
+      ).to.emit(protocol, "TokenCollateralLiquidated");
+      expect(await wrbtc.balanceOf(liquidator.address)).to.be.greaterThan(0n);
+    });
+  });
+
+  describe("On-Behalf Actions", function () {
+    const selector = (protocol, name) =>
+      protocol.interface.getFunction(name).selector;
+
+    it("Should let anyone rescue a loan with collateral or repayment", async function () {
+      const { protocol, usd, feed, borrower, user2 } = await loadFixture(
+        deployFixture
+      );
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("30000")
+      );
+      await feed.updateAnswer(39000n * 10n ** 8n);
+      expect(await protocol.isLiquidatable(borrower.address)).to.be.true;
+
+      await expect(
+        protocol
+          .connect(user2)
+          .depositCollateralFor(borrower.address, { value: HALF_BTC })
+      )
+        .to.emit(protocol, "CollateralDeposited")
+        .withArgs(borrower.address, HALF_BTC)
+        .and.to.emit(protocol, "ActionOnBehalf")
+        .withArgs(
+          borrower.address,
+          user2.address,
+          selector(protocol, "depositCollateralFor")
+        );
+      expect(await protocol.isLiquidatable(borrower.address)).to.be.false;
+
+      const amount = ethers.parseEther("10000");
+      await usd.connect(user2).approve(await protocol.getAddress(), amount);
+      const tx = protocol.connect(user2).repayFor(borrower.address, amount);
+      await expect(tx).to.changeTokenBalances(
+        usd,
+        [user2, borrower],
+        [-amount, 0n]
+      );
+      await expect(tx)
+        .to.emit(protocol, "ActionOnBehalf")
+        .withArgs(
+          borrower.address,
+          user2.address,
+          selector(protocol, "repayFor")
+        );
+      expect(await protocol.getCurrentDebt(borrower.address)).to.be.closeTo(
+        ethers.parseEther("20000"),
+        ethers.parseEther("0.01")
+      );
+
+      await expect(
+        protocol.connect(user2).repayFor(user2.address, 1n)
+      ).to.be.revertedWithCustomError(protocol, "NoActiveLoan");
+    });
+
+    it("Should let approved operators borrow and withdraw only to the user", async function () {
+      const {
+        protocol,
+        usd,
+        borrower,
+        liquidator: operator,
+      } = await loadFixture(deployFixture);
+      await helpers.deposit(protocol, borrower, ONE_BTC);
+      const amount = ethers.parseEther("10000");
+
+      await expect(
+        protocol.connect(operator).borrowFor(borrower.address, amount)
+      ).to.be.revertedWithCustomError(protocol, "NotOperator");
+      await expect(
+        protocol.connect(borrower).setOperator(operator.address, true)
+      )
+        .to.emit(protocol, "OperatorSet")
+        .withArgs(borrower.address, operator.address, true);
+      expect(await protocol.operators(borrower.address, operator.address)).to.be
+        .true;
+
+      const borrowTx = protocol
+        .connect(operator)
+        .borrowFor(borrower.address, amount);
+      await expect(borrowTx).to.changeTokenBalances(
+        usd,
+        [borrower, operator],
+        [amount, 0n]
+      );
+      await expect(borrowTx)
+        .to.emit(protocol, "ActionOnBehalf")
+        .withArgs(
+          borrower.address,
+          operator.address,
+          selector(protocol, "borrowFor")
+        );
+
+      const withdrawTx = protocol
+        .connect(operator)
+        .withdrawCollateralFor(borrower.address, HALF_BTC);
+      await expect(withdrawTx).to.changeEtherBalances(
+        [borrower, operator],
+        [HALF_BTC, 0n]
+      );
+      await expect(withdrawTx)
+        .to.emit(protocol, "ActionOnBehalf")
+        .withArgs(
+          borrower.address,
+          operator.address,
+          selector(protocol, "withdrawCollateralFor")
+        );
+      // The user's own borrowing limit still applies
+      await expect(
+        protocol
+          .connect(operator)
+          .withdrawCollateralFor(borrower.address, ethers.parseEther("0.4"))
+      ).to.be.revertedWithCustomError(protocol, "ExceedsBorrowingLimit");
+
+      await protocol.connect(borrower).setOperator(operator.address, false);
+      await expect(
+        protocol.connect(operator).withdrawCollateralFor(borrower.address, 1n)
+      ).to.be.revertedWithCustomError(protocol, "NotOperator");
+      await expect(
+        protocol.connect(borrower).setOperator(ethers.ZeroAddress, true)
+      ).to.be.revertedWithCustomError(protocol, "ZeroAddress");
+    });
+
+    it("Should move ERC-20 collateral on behalf of a user", async function () {
+      const { protocol, wrbtc, borrower, user2 } = await loadFixture(
+        deployMultiCollateralFixture
+      );
+      const asset = await wrbtc.getAddress();
+
+      await expect(
+        protocol
+          .connect(user2)
+          .depositTokenCollateralFor(borrower.address, asset, ONE_WRBTC)
+      )
+        .to.emit(protocol, "TokenCollateralDeposited")
+        .withArgs(borrower.address, asset, ONE_WRBTC)
+        .and.to.emit(protocol, "ActionOnBehalf")
+        .withArgs(
+          borrower.address,
+          user2.address,
+          selector(protocol, "depositTokenCollateralFor")
+        );
+      expect(await protocol.tokenCollateral(borrower.address, asset)).to.equal(
+        ONE_WRBTC
+      );
+
+      await expect(
+        protocol
+          .connect(user2)
+          .withdrawTokenCollateralFor(borrower.address, asset, ONE_WRBTC)
+      ).to.be.revertedWithCustomError(protocol, "NotOperator");
+      await protocol.connect(borrower).setOperator(user2.address, true);
+      await expect(
+        protocol
+          .connect(user2)
+          .withdrawTokenCollateralFor(borrower.address, asset, ONE_WRBTC)
+      ).to.changeTokenBalances(wrbtc, [borrower, user2], [ONE_WRBTC, 0n]);
+    });
+  });
+
+  describe("Signed Intents", function () {
+    const INTENT_TYPES = {
+      Borrow: [
+        { name: "user", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+      Repay: [
+        { name: "user", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+      Withdraw: [
+        { name: "user", type: "address" },
+        { name: "asset", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+    const PERMIT_TYPES = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+
+    // Domain as reported by the contract's ERC-5267 eip712Domain()
+    async function domainOf(contract) {
+      const [, name, version, chainId, verifyingContract] =
+        await contract.eip712Domain();
+      return { name, version, chainId, verifyingContract };
+    }
+
+    async function signIntent(protocol, signer, type, value) {
+      return signer.signTypedData(
+        await domainOf(protocol),
+        { [type]: INTENT_TYPES[type] },
+        value
+      );
+    }
+
+    async function signPermit(usd, owner, spender, value, deadline) {
+      const signature = await owner.signTypedData(
+        await domainOf(usd),
+        PERMIT_TYPES,
+        {
+          owner: owner.address,
+          spender,
+          value,
+          nonce: await usd.nonces(owner.address),
+          deadline,
+        }
+      );
+      return ethers.Signature.from(signature);
+    }
+
+    it("Should repay with an ERC-2612 permit instead of an approval", async function () {
+      const { protocol, usd, borrower, user2 } = await loadFixture(
+        deployFixture
+      );
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("10000")
+      );
+      const spender = await protocol.getAddress();
+      const deadline = (await time.latest()) + 3600;
+
+      const amount = ethers.parseEther("4000");
+      let { v, r, s } = await signPermit(
+        usd,
+        borrower,
+        spender,
+        amount,
+        deadline
+      );
+      await expect(
+        protocol.connect(borrower).repayWithPermit(amount, deadline, v, r, s)
+      )
+        .to.emit(protocol, "LoanRepaid")
+        .withArgs(borrower.address, amount);
+      expect(await usd.allowance(borrower.address, spender)).to.equal(0);
+
+      // A permit front-run by someone else still leaves the allowance in place
+      ({ v, r, s } = await signPermit(
+        usd,
+        borrower,
+        spender,
+        amount,
+        deadline
+      ));
+      await usd
+        .connect(user2)
+        .permit(borrower.address, spender, amount, deadline, v, r, s);
+      await expect(
+        protocol.connect(borrower).repayWithPermit(amount, deadline, v, r, s)
+      ).to.emit(protocol, "LoanRepaid");
+      expect(await protocol.getCurrentDebt(borrower.address)).to.be.closeTo(
+        ethers.parseEther("2000"),
+        ethers.parseEther("0.01")
+      );
+    });
+
+    it("Should borrow and withdraw for a signer through a relayer", async function () {
+      const {
+        protocol,
+        usd,
+        borrower,
+        user2: relayer,
+      } = await loadFixture(deployFixture);
+      await helpers.deposit(protocol, borrower, ONE_BTC);
+      const deadline = (await time.latest()) + 3600;
+      const borrow = {
+        user: borrower.address,
+        amount: ethers.parseEther("10000"),
+        nonce: 1n,
+        deadline,
+      };
+      const signature = await signIntent(protocol, borrower, "Borrow", borrow);
+
+      const relay = (intent, sig) =>
+        protocol
+          .connect(relayer)
+          .borrowWithSig(
+            intent.user,
+            intent.amount,
+            intent.nonce,
+            intent.deadline,
+            sig
+          );
+      await expect(
+        relay({ ...borrow, amount: borrow.amount + 1n }, signature)
+      ).to.be.revertedWithCustomError(protocol, "InvalidSignature");
+      await expect(
+        relay(borrow, await signIntent(protocol, relayer, "Borrow", borrow))
+      ).to.be.revertedWithCustomError(protocol, "InvalidSignature");
+
+      const tx = relay(borrow, signature);
+      await expect(tx).to.changeTokenBalances(
+        usd,
+        [borrower, relayer],
+        [borrow.amount, 0n]
+      );
+      await expect(tx)
+        .to.emit(protocol, "IntentExecuted")
+        .withArgs(borrower.address, 1n);
+      await expect(tx)
+        .to.emit(protocol, "ActionOnBehalf")
+        .withArgs(
+          borrower.address,
+          relayer.address,
+          protocol.interface.getFunction("borrowWithSig").selector
+        );
+      expect(await protocol.intentNonceUsed(borrower.address, 1n)).to.be.true;
+      await expect(relay(borrow, signature))
+        .to.be.revertedWithCustomError(protocol, "IntentNonceAlreadyUsed")
+        .withArgs(1n);
+
+      // Nonces are unordered, so a lower one still works
+      const withdraw = {
+        user: borrower.address,
+        asset: ethers.ZeroAddress,
+        amount: HALF_BTC,
+        nonce: 0n,
+        deadline,
+      };
+      const withdrawSignature = await signIntent(
+        protocol,
+        borrower,
+        "Withdraw",
+        withdraw
+      );
+      await expect(
+        protocol
+          .connect(relayer)
+          .withdrawWithSig(
+            borrower.address,
+            ethers.ZeroAddress,
+            HALF_BTC,
+            0n,
+            deadline,
+            withdrawSignature
+          )
+      ).to.changeEtherBalances([borrower, relayer], [HALF_BTC, 0n]);
+
+      await time.increaseTo(deadline + 1);
+      const late = { ...borrow, nonce: 2n };
+      await expect(
+        relay(late, await signIntent(protocol, borrower, "Borrow", late))
+      )
+        .to.be.revertedWithCustomError(protocol, "IntentExpired")
+        .withArgs(deadline);
+    });
+
+    it("Should repay from the signer and honour cancellations", async function () {
+      const {
+        protocol,
+        usd,
+        borrower,
+        user2: relayer,
+      } = await loadFixture(deployFixture);
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("10000")
+      );
+      const deadline = (await time.latest()) + 3600;
+      const amount = ethers.parseEther("5000");
+
+      // Fully gasless: the relayer submits both the permit and the intent
+      const { v, r, s } = await signPermit(
+        usd,
+        borrower,
+        await protocol.getAddress(),
+        amount,
+        deadline
+      );
+      await usd
+        .connect(relayer)
+        .permit(
+          borrower.address,
+          await protocol.getAddress(),
+          amount,
+          deadline,
+          v,
+          r,
+          s
+        );
+      const repay = { user: borrower.address, amount, nonce: 7n, deadline };
+      await expect(
+        protocol
+          .connect(relayer)
+          .repayWithSig(
+            borrower.address,
+            amount,
+            7n,
+            deadline,
+            await signIntent(protocol, borrower, "Repay", repay)
+          )
+      ).to.changeTokenBalances(usd, [borrower, relayer], [-amount, 0n]);
+
+      await expect(protocol.connect(borrower).cancelIntent(8n))
+        .to.emit(protocol, "IntentCancelled")
+        .withArgs(borrower.address, 8n);
+      await expect(protocol.connect(borrower).cancelIntent(8n))
+        .to.be.revertedWithCustomError(protocol, "IntentNonceAlreadyUsed")
+        .withArgs(8n);
+      const cancelled = { ...repay, nonce: 8n };
+      await expect(
+        protocol
+          .connect(relayer)
+          .repayWithSig(
+            borrower.address,
+            amount,
+            8n,
+            deadline,
+            await signIntent(protocol, borrower, "Repay", cancelled)
+          )
+      )
+        .to.be.revertedWithCustomError(protocol, "IntentNonceAlreadyUsed")
+        .withArgs(8n);
+    });
+  });
+
+  describe("Pause Guardian", function () {
+    const Action = { Deposit: 0, Borrow: 1, Withdraw: 2, Liquidate: 3 };
+
+    async function deployGuardedFixture() {
+      const base = await deployFixture();
+      const { protocol, owner, user2: guardian } = base;
+      await protocol.connect(owner).setPauseGuardian(guardian.address);
+      return { ...base, guardian };
+    }
+
+    it("Should pause each action independently and never repayments", async function () {
+      const { protocol, usd, feed, owner, borrower, liquidator, guardian } =
+        await loadFixture(deployGuardedFixture);
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("10000")
+      );
+      await expect(
+        protocol.connect(liquidator).pause(Action.Borrow)
+      ).to.be.revertedWithCustomError(protocol, "NotPauseGuardian");
+
+      await expect(protocol.connect(guardian).pause(Action.Borrow))
+        .to.emit(protocol, "PauseUpdated")
+        .withArgs(Action.Borrow, true, guardian.address);
+      expect(await protocol.getPauseStatus()).to.deep.equal([
+        false,
+        true,
+        false,
+        false,
+      ]);
+      await expect(helpers.borrow(protocol, borrower, 1n))
+        .to.be.revertedWithCustomError(protocol, "ActionPaused")
+        .withArgs(Action.Borrow);
+      expect(await protocol.maxFlashLoan(await usd.getAddress())).to.equal(0);
+      await expect(helpers.deposit(protocol, borrower, HALF_BTC)).to.emit(
+        protocol,
+        "CollateralDeposited"
+      );
+      await expect(
+        protocol.connect(borrower).withdrawCollateral(HALF_BTC)
+      ).to.emit(protocol, "CollateralWithdrawn");
+
+      await protocol.connect(guardian).pause(Action.Deposit);
+      await expect(helpers.deposit(protocol, borrower, HALF_BTC))
+        .to.be.revertedWithCustomError(protocol, "ActionPaused")
+        .withArgs(Action.Deposit);
+      await expect(
+        protocol.deposit(1n, owner.address)
+      ).to.be.revertedWithCustomError(protocol, "ERC4626ExceededMaxDeposit");
+
+      await protocol.connect(guardian).pause(Action.Withdraw);
+      await expect(protocol.connect(borrower).withdrawCollateral(1n))
+        .to.be.revertedWithCustomError(protocol, "ActionPaused")
+        .withArgs(Action.Withdraw);
+      expect(await protocol.maxWithdraw(owner.address)).to.equal(0);
+
+      await protocol.connect(guardian).pause(Action.Liquidate);
+      await feed.updateAnswer(13000n * 10n ** 8n);
+      expect(await protocol.isLiquidatable(borrower.address)).to.be.true;
+      await expect(
+        protocol.connect(liquidator).liquidate(borrower.address, 1n, 0)
+      )
+        .to.be.revertedWithCustomError(protocol, "ActionPaused")
+        .withArgs(Action.Liquidate);
+      expect((await protocol.checkUpkeep("0x"))[0]).to.be.false;
+      const performData = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["address[]"],
+        [[borrower.address]]
+      );
+      await expect(protocol.performUpkeep(performData))
+        .to.be.revertedWithCustomError(protocol, "ActionPaused")
+        .withArgs(Action.Liquidate);
+
+      // With everything paused, borrowers can still repay
+      expect(await protocol.getPauseStatus()).to.deep.equal([
+        true,
+        true,
+        true,
+        true,
+      ]);
+      await expect(helpers.repayAll(protocol, usd, borrower)).to.emit(
+        protocol,
+        "LoanRepaid"
+      );
+    });
+
+    it("Should leave unpausing and the guardian role to the owner", async function () {
+      const { protocol, owner, borrower, guardian } = await loadFixture(
+        deployGuardedFixture
+      );
+      await helpers.deposit(protocol, borrower, ONE_BTC);
+      expect(await protocol.pauseGuardian()).to.equal(guardian.address);
+
+      await protocol.connect(guardian).pause(Action.Borrow);
+      await expect(protocol.connect(guardian).unpause(Action.Borrow))
+        .to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount")
+        .withArgs(guardian.address);
+      await expect(protocol.connect(owner).unpause(Action.Borrow))
+        .to.emit(protocol, "PauseUpdated")
+        .withArgs(Action.Borrow, false, owner.address);
+      await expect(
+        helpers.borrow(protocol, borrower, ethers.parseEther("1000"))
+      ).to.emit(protocol, "LoanTaken");
+
+      // The owner can pause too, and replace or remove the guardian
+      await expect(protocol.connect(owner).pause(Action.Deposit)).to.emit(
+        protocol,
+        "PauseUpdated"
+      );
+      await expect(
+        protocol.connect(guardian).setPauseGuardian(borrower.address)
+      )
+        .to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount")
+        .withArgs(guardian.address);
+      await expect(protocol.connect(owner).setPauseGuardian(ethers.ZeroAddress))
+        .to.emit(protocol, "PauseGuardianUpdated")
+        .withArgs(guardian.address, ethers.ZeroAddress);
+      await expect(
+        protocol.connect(guardian).pause(Action.Withdraw)
+      ).to.be.revertedWithCustomError(protocol, "NotPauseGuardian");
+    });
+  });
+
+  describe("Caps", function () {
+    it("Should cap RBTC and token deposits per asset", async function () {
+      const { protocol, wrbtc, owner, borrower, user2 } = await loadFixture(
+        deployMultiCollateralFixture
+      );
+      const asset = await wrbtc.getAddress();
+      expect(await protocol.getDepositCapacity(ethers.ZeroAddress)).to.equal(
+        ethers.MaxUint256
+      );
+      await expect(
+        protocol.connect(borrower).setDepositCap(ethers.ZeroAddress, ONE_BTC)
+      ).to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount");
+      await expect(
+        protocol.connect(owner).setDepositCap(user2.address, ONE_BTC)
+      ).to.be.revertedWithCustomError(protocol, "CollateralNotListed");
+
+      await expect(
+        protocol
+          .connect(owner)
+          .setDepositCap(ethers.ZeroAddress, ONE_BTC + HALF_BTC)
+      )
+        .to.emit(protocol, "DepositCapUpdated")
+        .withArgs(ethers.ZeroAddress, 0, ONE_BTC + HALF_BTC);
+      await protocol.connect(owner).setDepositCap(asset, ONE_WRBTC);
+
+      await helpers.deposit(protocol, borrower, ONE_BTC);
+      expect(await protocol.getDepositCapacity(ethers.ZeroAddress)).to.equal(
+        HALF_BTC
+      );
+      await expect(helpers.deposit(protocol, user2, ONE_BTC))
+        .to.be.revertedWithCustomError(protocol, "DepositCapExceeded")
+        .withArgs(ethers.ZeroAddress, HALF_BTC);
+      await helpers.deposit(protocol, user2, HALF_BTC);
+      expect(await protocol.getDepositCapacity(ethers.ZeroAddress)).to.equal(0);
+
+      await protocol.connect(borrower).depositTokenCollateral(asset, ONE_WRBTC);
+      await expect(protocol.connect(user2).depositTokenCollateral(asset, 1n))
+        .to.be.revertedWithCustomError(protocol, "DepositCapExceeded")
+        .withArgs(asset, 0);
+
+      // Withdrawals free capacity again
+      await protocol.connect(borrower).withdrawCollateral(HALF_BTC);
+      expect(await protocol.getDepositCapacity(ethers.ZeroAddress)).to.equal(
+        HALF_BTC
+      );
+    });
+
+    it("Should cap total and per-account borrowing", async function () {
+      const { protocol, owner, borrower, user2 } = await loadFixture(
+        deployFixture
+      );
+      const cap = ethers.parseEther("15000");
+      const accountCap = ethers.parseEther("10000");
+      await expect(protocol.connect(owner).setBorrowCap(cap))
+        .to.emit(protocol, "BorrowCapUpdated")
+        .withArgs(0, cap);
+      await expect(protocol.connect(owner).setAccountBorrowCap(accountCap))
+        .to.emit(protocol, "AccountBorrowCapUpdated")
+        .withArgs(0, accountCap);
+      expect(
+        await protocol.getAccountBorrowCapacity(borrower.address)
+      ).to.equal(accountCap);
+
+      await helpers.setupLoan(protocol, borrower, ONE_BTC, accountCap);
+      expect(
+        await protocol.getAccountBorrowCapacity(borrower.address)
+      ).to.equal(0);
+      await expect(
+        helpers.borrow(protocol, borrower, 1n)
+      ).to.be.revertedWithCustomError(protocol, "AccountBorrowCapExceeded");
+
+      await helpers.deposit(protocol, user2, ONE_BTC);
+      const capacity = await protocol.getBorrowCapacity();
+      expect(capacity).to.be.closeTo(
+        cap - accountCap,
+        ethers.parseEther("0.01")
+      );
+      await expect(
+        helpers.borrow(protocol, user2, accountCap)
+      ).to.be.revertedWithCustomError(protocol, "BorrowCapExceeded");
+      await helpers.borrow(protocol, user2, ethers.parseEther("4000"));
+
+      // Lifting the caps restores borrowing up to the collateral limit
+      await protocol.connect(owner).setBorrowCap(0);
+      await protocol.connect(owner).setAccountBorrowCap(0);
+      expect(await protocol.getBorrowCapacity()).to.equal(ethers.MaxUint256);
+      await helpers.borrow(protocol, borrower, ethers.parseEther("20000"));
+    });
+
+    it("Should not let a loan be opened or left below the minimum size", async function () {
+      const { protocol, usd, owner, borrower } = await loadFixture(
+        deployFixture
+      );
+      const minimum = ethers.parseEther("1000");
+      await expect(protocol.connect(owner).setMinLoanSize(minimum))
+        .to.emit(protocol, "MinLoanSizeUpdated")
+        .withArgs(0, minimum);
+      expect(await protocol.getMinBorrowAmount(borrower.address)).to.equal(
+        minimum
+      );
+
+      await helpers.deposit(protocol, borrower, ONE_BTC);
+      await expect(helpers.borrow(protocol, borrower, ethers.parseEther("500")))
+        .to.be.revertedWithCustomError(protocol, "LoanBelowMinimum")
+        .withArgs(minimum);
+      await helpers.borrow(protocol, borrower, ethers.parseEther("2000"));
+      expect(await protocol.getMinBorrowAmount(borrower.address)).to.equal(0);
+      await helpers.borrow(protocol, borrower, 1n);
+
+      await expect(
+        helpers.repay(protocol, usd, borrower, ethers.parseEther("1500"))
+      )
+        .to.be.revertedWithCustomError(protocol, "LoanBelowMinimum")
+        .withArgs(minimum);
+      await helpers.repay(protocol, usd, borrower, ethers.parseEther("500"));
+      await helpers.repayAll(protocol, usd, borrower);
+      expect((await protocol.loans(borrower.address)).active).to.be.false;
+    });
+  });
+
+  describe("RBTC Payouts", function () {
+    async function deployReceiversFixture() {
+      const base = await deployFixture();
+      const [MockRBTCReceiver, MockWRBTC] = await Promise.all([
+        ethers.getContractFactory("MockRBTCReceiver"),
+        ethers.getContractFactory("MockWRBTC"),
+      ]);
+      const [rejecting, gasHungry, wrbtc] = await Promise.all([
+        MockRBTCReceiver.deploy(true),
+        MockRBTCReceiver.deploy(false),
+        MockWRBTC.deploy(),
+      ]);
+      return { ...base, rejecting, gasHungry, wrbtc };
+    }
+
+    // Deposits and borrows through a receiver contract, so it owns the loan
+    async function openWalletLoan(protocol, wallet, borrowed) {
+      const target = await protocol.getAddress();
+      await wallet.execute(
+        target,
+        protocol.interface.encodeFunctionData("depositCollateral"),
+        { value: ONE_BTC }
+      );
+      if (borrowed > 0n) {
+        await wallet.execute(
+          target,
+          protocol.interface.encodeFunctionData("borrow", [borrowed])
+        );
+      }
+    }
+
+    it("Should pay a wallet whose receive needs more than 2300 gas", async function () {
+      const { protocol, gasHungry } = await loadFixture(deployReceiversFixture);
+      await openWalletLoan(protocol, gasHungry, 0n);
+
+      await expect(
+        gasHungry.execute(
+          await protocol.getAddress(),
+          protocol.interface.encodeFunctionData("withdrawCollateral", [
+            HALF_BTC,
+          ])
+        )
+      ).to.changeEtherBalance(gasHungry, HALF_BTC);
+      expect(await gasHungry.totalReceived()).to.equal(HALF_BTC);
+      expect(await protocol.claimableRBTC(gasHungry.target)).to.equal(0);
+    });
+
+    it("Should credit a rejected payment for the recipient to claim", async function () {
+      const { protocol, rejecting, user2 } = await loadFixture(
+        deployReceiversFixture
+      );
+      await openWalletLoan(protocol, rejecting, 0n);
+      const target = await protocol.getAddress();
+
+      await expect(
+        rejecting.execute(
+          target,
+          protocol.interface.encodeFunctionData("withdrawCollateral", [
+            HALF_BTC,
+          ])
+        )
+      )
+        .to.emit(protocol, "RBTCClaimable")
+        .withArgs(rejecting.target, HALF_BTC);
+      expect(await protocol.claimableRBTC(rejecting.target)).to.equal(HALF_BTC);
+      expect(
+        (await protocol.loans(rejecting.target)).collateralAmount
+      ).to.equal(HALF_BTC);
+      await expect(
+        protocol.connect(user2).claimRBTC(user2.address, false)
+      ).to.be.revertedWithCustomError(protocol, "NothingToClaim");
+
+      // Claiming to itself still fails while it rejects, another recipient works
+      const claim = (to) =>
+        rejecting.execute(
+          target,
+          protocol.interface.encodeFunctionData("claimRBTC", [to, false])
+        );
+      await expect(claim(rejecting.target)).to.be.revertedWithCustomError(
+        protocol,
+        "TransferFailed"
+      );
+      const tx = claim(user2.address);
+      await expect(tx)
+        .to.emit(protocol, "RBTCClaimed")
+        .withArgs(rejecting.target, user2.address, HALF_BTC, false);
+      await expect(tx).to.changeEtherBalance(user2, HALF_BTC);
+      expect(await protocol.claimableRBTC(rejecting.target)).to.equal(0);
+    });
+
+    it("Should credit a liquidator contract that rejects the seized RBTC", async function () {
+      const { protocol, usd, feed, borrower, liquidator, rejecting } =
+        await loadFixture(deployReceiversFixture);
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("30000")
+      );
+      await feed.updateAnswer(35000n * 10n ** 8n);
+      await usd
+        .connect(liquidator)
+        .transfer(rejecting.target, ethers.parseEther("20000"));
+      const target = await protocol.getAddress();
+      await rejecting.execute(
+        await usd.getAddress(),
+        usd.interface.encodeFunctionData("approve", [target, ethers.MaxUint256])
+      );
+
+      const tx = rejecting.execute(
+        target,
+        protocol.interface.encodeFunctionData("liquidate", [
+          borrower.address,
+          ethers.parseEther("10000"),
+          0,
+        ])
+      );
+      await expect(tx).to.emit(protocol, "Liquidation");
+      await expect(tx).to.changeEtherBalance(rejecting, 0);
+      // 10000 USD at 35000 plus the 5% bonus
+      const expected = (ethers.parseEther("10000") * 105n) / 100n / 35000n;
+      expect(await protocol.claimableRBTC(rejecting.target)).to.be.closeTo(
+        expected,
+        1n
+      );
+    });
+
+    it("Should pay accounts that opt in with wrapped RBTC", async function () {
+      const { protocol, feed, wrbtc, owner, borrower, rejecting } =
+        await loadFixture(deployReceiversFixture);
+      await expect(
+        protocol.connect(borrower).setReceiveWrappedRBTC(true)
+      ).to.be.revertedWithCustomError(protocol, "WrappedRBTCNotSet");
+      await expect(
+        protocol.connect(borrower).queueWrappedRBTC(wrbtc.target)
+      ).to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount");
+
+      // The token holds opted-in payouts, so changing it waits for the timelock
+      await expect(protocol.connect(owner).queueWrappedRBTC(wrbtc.target))
+        .to.emit(protocol, "WrappedRBTCQueued")
+        .withArgs(wrbtc.target, (eta) => eta > 0n);
+      await expect(
+        protocol.connect(owner).executeWrappedRBTC()
+      ).to.be.revertedWithCustomError(protocol, "TimelockNotReady");
+      await expect(protocol.connect(owner).cancelWrappedRBTC())
+        .to.emit(protocol, "WrappedRBTCCancelled")
+        .withArgs(wrbtc.target);
+      await expect(
+        protocol.connect(owner).executeWrappedRBTC()
+      ).to.be.revertedWithCustomError(protocol, "NoPendingChange");
+
+      await protocol.connect(owner).queueWrappedRBTC(wrbtc.target);
+      await time.increase(TIMELOCK_DELAY);
+      await feed.updateAnswer(MOCK_BTC_PRICE);
+      await expect(
+        protocol.connect(borrower).executeWrappedRBTC()
+      ).to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount");
+      await expect(protocol.connect(owner).executeWrappedRBTC())
+        .to.emit(protocol, "WrappedRBTCUpdated")
+        .withArgs(ethers.ZeroAddress, wrbtc.target);
+      expect(await protocol.wrappedRBTC()).to.equal(wrbtc.target);
+      expect(await protocol.pendingWrappedRBTC()).to.equal(ethers.ZeroAddress);
+
+      await expect(protocol.connect(borrower).setReceiveWrappedRBTC(true))
+        .to.emit(protocol, "ReceiveWrappedRBTCSet")
+        .withArgs(borrower.address, true);
+      await helpers.deposit(protocol, borrower, ONE_BTC);
+      await expect(
+        protocol.connect(borrower).withdrawCollateral(HALF_BTC)
+      ).to.changeTokenBalance(wrbtc, borrower, HALF_BTC);
+      expect(await ethers.provider.getBalance(wrbtc.target)).to.equal(HALF_BTC);
+
+      // A rejected native payment can also be claimed wrapped
+      await openWalletLoan(protocol, rejecting, 0n);
+      const target = await protocol.getAddress();
+      await rejecting.execute(
+        target,
+        protocol.interface.encodeFunctionData("withdrawCollateral", [ONE_BTC])
+      );
+      await expect(
+        rejecting.execute(
+          target,
+          protocol.interface.encodeFunctionData("claimRBTC", [
+            rejecting.target,
+            true,
+          ])
+        )
+      ).to.changeTokenBalance(wrbtc, rejecting, ONE_BTC);
+    });
+  });
+
+  describe("Protection Orders", function () {
+    const OrderType = { Deleverage: 0, StopLoss: 1 };
+    const price = (usd) => BigInt(usd) * 10n ** 8n;
+
+    async function deployProtectionFixture() {
+      const base = await deployFixture();
+      const { protocol, usd, owner, borrower } = base;
+      const dex = await ethers.deployContract("MockSwapAdapter", [
+        await usd.getAddress(),
+      ]);
+      await usd.transfer(dex.target, ethers.parseEther("1000000"));
+      await dex.setRate(ethers.ZeroAddress, ethers.parseEther("50000"));
+      await protocol.connect(owner).setSwapAdapter(dex.target);
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("30000")
+      );
+      return { ...base, dex };
+    }
+
+    // Moves the oracle and the mock DEX to the same BTC price
+    async function setBtcPrice(feed, dex, usd) {
+      await feed.updateAnswer(price(usd));
+      await dex.setRate(ethers.ZeroAddress, ethers.parseEther(String(usd)));
+    }
+
+    it("Should deleverage a loan back to its target LTV for a keeper fee", async function () {
+      const { protocol, usd, feed, dex, borrower, liquidator } =
+        await loadFixture(deployProtectionFixture);
+      const order = {
+        asset: ethers.ZeroAddress,
+        trigger: 70n,
+        targetLtv: 50n,
+        maxSlippage: 100n,
+      };
+      await expect(
+        protocol
+          .connect(borrower)
+          .placeProtectionOrder(OrderType.Deleverage, order)
+      ).to.emit(protocol, "ProtectionOrderPlaced");
+      expect(
+        await protocol.isProtectionOrderTriggered(
+          borrower.address,
+          OrderType.Deleverage
+        )
+      ).to.be.false;
+      await expect(
+        protocol
+          .connect(liquidator)
+          .executeProtectionOrder(borrower.address, OrderType.Deleverage)
+      ).to.be.revertedWithCustomError(protocol, "OrderNotTriggered");
+
+      // At 42000 the LTV is about 71%
+      await setBtcPrice(feed, dex, 42000);
+      expect(
+        await protocol.isProtectionOrderTriggered(
+          borrower.address,
+          OrderType.Deleverage
+        )
+      ).to.be.true;
+      const keeperBefore = await usd.balanceOf(liquidator.address);
+      await expect(
+        protocol
+          .connect(liquidator)
+          .executeProtectionOrder(borrower.address, OrderType.Deleverage)
+      ).to.emit(protocol, "ProtectionOrderExecuted");
+
+      expect(await protocol.getLoanToValue(borrower.address)).to.be.oneOf([
+        49n,
+        50n,
+      ]);
+      // The keeper earns 0.5% of the ~18,182 USD the sale raised
+      const fee = (await usd.balanceOf(liquidator.address)) - keeperBefore;
+      expect(fee).to.be.closeTo(
+        ethers.parseEther("90.9"),
+        ethers.parseEther("0.1")
+      );
+      expect(
+        (
+          await protocol.protectionOrders(
+            borrower.address,
+            OrderType.Deleverage
+          )
+        ).trigger
+      ).to.equal(0);
+      expect(await protocol.isLiquidatable(borrower.address)).to.be.false;
+    });
+
+    it("Should close a loan on a stop-loss and return the surplus", async function () {
+      const { protocol, usd, feed, dex, borrower, liquidator } =
+        await loadFixture(deployProtectionFixture);
+      await protocol
+        .connect(borrower)
+        .placeProtectionOrder(OrderType.StopLoss, {
+          asset: ethers.ZeroAddress,
+          trigger: ethers.parseEther("40000"),
+          targetLtv: 0n,
+          maxSlippage: 200n,
+        });
+
+      await setBtcPrice(feed, dex, 45000);
+      await expect(
+        protocol
+          .connect(liquidator)
+          .executeProtectionOrder(borrower.address, OrderType.StopLoss)
+      ).to.be.revertedWithCustomError(protocol, "OrderNotTriggered");
+
+      await setBtcPrice(feed, dex, 39000);
+      await dex.setSlippage(100n);
+      const borrowerBefore = await usd.balanceOf(borrower.address);
+      await protocol
+        .connect(liquidator)
+        .executeProtectionOrder(borrower.address, OrderType.StopLoss);
+
+      const loan = await protocol.loans(borrower.address);
+      expect(loan.borrowedAmount).to.equal(0);
+      expect(loan.active).to.be.false;
+      // Enough RBTC was sold to cover the debt at the worst allowed slippage
+      expect(loan.collateralAmount).to.be.closeTo(
+        ethers.parseEther("0.2111"),
+        ethers.parseEther("0.0001")
+      );
+      const surplus = (await usd.balanceOf(borrower.address)) - borrowerBefore;
+      expect(surplus).to.be.closeTo(
+        ethers.parseEther("306.5"),
+        ethers.parseEther("1")
+      );
+      await expect(
+        protocol.connect(borrower).withdrawCollateral(loan.collateralAmount)
+      ).to.changeEtherBalance(borrower, loan.collateralAmount);
+    });
+
+    it("Should not leave a loan liquidatable or below the minimum size", async function () {
+      const { protocol, feed, dex, owner, borrower, liquidator } =
+        await loadFixture(deployProtectionFixture);
+      await protocol
+        .connect(borrower)
+        .placeProtectionOrder(OrderType.Deleverage, {
+          asset: ethers.ZeroAddress,
+          trigger: 70n,
+          targetLtv: 50n,
+          maxSlippage: 5000n,
+        });
+      await setBtcPrice(feed, dex, 42000);
+
+      // Selling at half the oracle price repays too little to help the loan
+      await dex.setSlippage(4900n);
+      await expect(
+        protocol
+          .connect(liquidator)
+          .executeProtectionOrder(borrower.address, OrderType.Deleverage)
+      ).to.be.revertedWithCustomError(protocol, "UnhealthyAfterProtection");
+
+      // About 11,909 USD of debt would be left
+      await dex.setSlippage(0n);
+      await protocol.connect(owner).setMinLoanSize(ethers.parseEther("12000"));
+      await expect(
+        protocol
+          .connect(liquidator)
+          .executeProtectionOrder(borrower.address, OrderType.Deleverage)
+      )
+        .to.be.revertedWithCustomError(protocol, "LoanBelowMinimum")
+        .withArgs(ethers.parseEther("12000"));
+
+      await protocol.connect(owner).setMinLoanSize(ethers.parseEther("10000"));
+      await expect(
+        protocol
+          .connect(liquidator)
+          .executeProtectionOrder(borrower.address, OrderType.Deleverage)
+      ).to.emit(protocol, "ProtectionOrderExecuted");
+    });
+
+    it("Should drop protection orders once the loan is repaid", async function () {
+      const { protocol, usd, borrower } = await loadFixture(
+        deployProtectionFixture
+      );
+      const order = {
+        asset: ethers.ZeroAddress,
+        trigger: 70n,
+        targetLtv: 50n,
+        maxSlippage: 100n,
+      };
+      await protocol
+        .connect(borrower)
+        .placeProtectionOrder(OrderType.Deleverage, order);
+      await protocol
+        .connect(borrower)
+        .placeProtectionOrder(OrderType.StopLoss, {
+          ...order,
+          trigger: ethers.parseEther("40000"),
+          targetLtv: 0n,
+        });
+
+      // Otherwise they would fire on the borrower's next loan
+      await helpers.repayAll(protocol, usd, borrower);
+      for (const orderType of [OrderType.Deleverage, OrderType.StopLoss]) {
+        expect(
+          (await protocol.protectionOrders(borrower.address, orderType)).trigger
+        ).to.equal(0);
+      }
+      await expect(
+        protocol.connect(borrower).cancelProtectionOrder(OrderType.StopLoss)
+      ).to.be.revertedWithCustomError(protocol, "NoProtectionOrder");
+    });
+
+    it("Should bound slippage and validate orders and fees", async function () {
+      const { protocol, feed, dex, owner, borrower, liquidator } =
+        await loadFixture(deployProtectionFixture);
+      const order = {
+        asset: ethers.ZeroAddress,
+        trigger: 70n,
+        targetLtv: 50n,
+        maxSlippage: 100n,
+      };
+      await expect(
+        protocol.connect(borrower).placeProtectionOrder(OrderType.Deleverage, {
+          ...order,
+          targetLtv: 70n,
+        })
+      ).to.be.revertedWithCustomError(protocol, "InvalidProtectionOrder");
+      await expect(
+        protocol
+          .connect(liquidator)
+          .executeProtectionOrder(borrower.address, OrderType.Deleverage)
+      ).to.be.revertedWithCustomError(protocol, "NoProtectionOrder");
+
+      await protocol
+        .connect(borrower)
+        .placeProtectionOrder(OrderType.Deleverage, order);
+      await setBtcPrice(feed, dex, 42000);
+      await dex.setSlippage(300n);
+      await expect(
+        protocol
+          .connect(liquidator)
+          .executeProtectionOrder(borrower.address, OrderType.Deleverage)
+      ).to.be.revertedWithCustomError(protocol, "SwapOutputBelowMinimum");
+
+      await protocol.connect(owner).setSwapAdapter(ethers.ZeroAddress);
+      await expect(
+        protocol
+          .connect(liquidator)
+          .executeProtectionOrder(borrower.address, OrderType.Deleverage)
+      ).to.be.revertedWithCustomError(protocol, "SwapAdapterNotSet");
+
+      await expect(
+        protocol.connect(borrower).cancelProtectionOrder(OrderType.Deleverage)
+      )
+        .to.emit(protocol, "ProtectionOrderCancelled")
+        .withArgs(borrower.address, OrderType.Deleverage);
+      await expect(
+        protocol.connect(borrower).cancelProtectionOrder(OrderType.Deleverage)
+      ).to.be.revertedWithCustomError(protocol, "NoProtectionOrder");
+
+      // The keeper fee always stays below the 10% liquidation penalty
+      await expect(
+        protocol.connect(owner).setProtectionFee(1000n)
+      ).to.be.revertedWithCustomError(protocol, "InvalidProtectionFee");
+      await expect(protocol.connect(owner).setProtectionFee(200n))
+        .to.emit(protocol, "ProtectionFeeUpdated")
+        .withArgs(50n, 200n);
+      await expect(
+        protocol.connect(owner).queueRiskParameters({
+          maxLtv: 70n,
+          liquidationThreshold: 75n,
+          liquidationPenalty: 2n,
+          liquidationBonus: 1n,
+          closeFactor: 50n,
+        })
+      ).to.be.revertedWithCustomError(protocol, "InvalidRiskParameters");
+    });
+  });
+
+  describe("CDP Mode", function () {
+    const STABILITY_FEE = 5n * 10n ** 16n; // 5% a year
+    const DEBT_CEILING = ethers.parseEther("100000");
+
+    async function deployUncappedCdpFixture() {
+      const [owner, borrower, liquidator] = await ethers.getSigners();
+      const [stable, feed, rateModel] = await Promise.all([
+        ethers.deployContract("BTCLendingStablecoin"),
+        ethers.deployContract("MockV3Aggregator", [
+          MOCK_DECIMALS,
+          MOCK_BTC_PRICE,
+        ]),
+        ethers.deployContract("InterestRateModel", [
+          RATE_MODEL.baseRate,
+          RATE_MODEL.slope1,
+          RATE_MODEL.kink,
+          RATE_MODEL.slope2,
+        ]),
+      ]);
+      const priceRouter = await deployPriceRouter(feed);
+      const protocol = await deployProtocol(
+        stable,
+        rateModel,
+        priceRouter,
+        true
+      );
+      await stable.transferOwnership(protocol.target);
+
+      return { protocol, stable, feed, owner, borrower, liquidator };
+    }
+
+    async function deployCdpFixture() {
+      const base = await deployUncappedCdpFixture();
+      await base.protocol.setDebtCeiling(DEBT_CEILING);
+      await base.protocol.setStabilityFee(STABILITY_FEE);
+      return base;
+    }
+
+    it("Should keep borrowing closed until the owner sets a debt ceiling", async function () {
+      const { protocol, owner, borrower } = await loadFixture(
+        deployUncappedCdpFixture
+      );
+      expect(await protocol.debtCeiling()).to.equal(0);
+      await helpers.deposit(protocol, borrower, ONE_BTC);
+      await expect(
+        helpers.borrow(protocol, borrower, ethers.parseEther("1000"))
+      )
+        .to.be.revertedWithCustomError(protocol, "DebtCeilingExceeded")
+        .withArgs(0);
+
+      await protocol.connect(owner).setDebtCeiling(DEBT_CEILING);
+      await helpers.borrow(protocol, borrower, ethers.parseEther("1000"));
+      expect(await protocol.totalBorrowed()).to.equal(
+        ethers.parseEther("1000")
+      );
+    });
+
+    it("Should mint on borrow and burn on repay up to the debt ceiling", async function () {
+      const { protocol, stable, owner, borrower } = await loadFixture(
+        deployCdpFixture
+      );
+      expect(await protocol.cdpMode()).to.be.true;
+      expect(await protocol.maxDeposit(owner.address)).to.equal(0);
+
+      await helpers.deposit(protocol, borrower, 4n * ONE_BTC);
+      await expect(
+        helpers.borrow(protocol, borrower, ethers.parseEther("30000"))
+      ).to.changeTokenBalance(stable, borrower, ethers.parseEther("30000"));
+      expect(await stable.totalSupply()).to.equal(ethers.parseEther("30000"));
+
+      await expect(
+        helpers.borrow(protocol, borrower, DEBT_CEILING)
+      ).to.be.revertedWithCustomError(protocol, "DebtCeilingExceeded");
+      await protocol.connect(owner).setDebtCeiling(ethers.parseEther("200000"));
+      await helpers.borrow(protocol, borrower, ethers.parseEther("70000"));
+
+      await helpers.repay(
+        protocol,
+        stable,
+        borrower,
+        ethers.parseEther("60000")
+      );
+      // Repayments are burned, the only stablecoins left over are accrued fees
+      const supply = await stable.totalSupply();
+      const reserves = await protocol.usdReserves();
+      expect(supply - reserves).to.equal(ethers.parseEther("40000"));
+      expect(await stable.balanceOf(protocol.target)).to.equal(reserves);
+    });
+
+    it("Should accrue the stability fee into minted reserves", async function () {
+      const { protocol, stable, owner, borrower } = await loadFixture(
+        deployCdpFixture
+      );
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("10000")
+      );
+      expect(await protocol.getBorrowRate()).to.equal(STABILITY_FEE);
+
+      await time.increase(365 * 24 * 60 * 60);
+      await protocol.accrueInterest();
+      const debt = await protocol.getCurrentDebt(borrower.address);
+      expect(debt).to.be.closeTo(
+        ethers.parseEther("10500"),
+        ethers.parseEther("1")
+      );
+      // Supply always matches the debt it is backed by
+      expect(await stable.totalSupply()).to.equal(
+        await protocol.totalBorrowed()
+      );
+      const fees = await protocol.usdReserves();
+      expect(fees).to.equal(debt - ethers.parseEther("10000"));
+
+      // Withdrawing accrues first, so a second more of fees is paid out
+      const balanceBefore = await stable.balanceOf(owner.address);
+      await protocol.withdrawProtocolFees();
+      expect(
+        (await stable.balanceOf(owner.address)) - balanceBefore
+      ).to.be.closeTo(fees, ethers.parseEther("0.001"));
+      await expect(
+        protocol.connect(owner).setStabilityFee(2n * 10n ** 18n)
+      ).to.be.revertedWithCustomError(protocol, "InvalidStabilityFee");
+    });
+
+    it("Should burn the liquidator's payment", async function () {
+      const { protocol, stable, feed, borrower, liquidator } =
+        await loadFixture(deployCdpFixture);
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("30000")
+      );
+      await helpers.setupLoan(
+        protocol,
+        liquidator,
+        2n * ONE_BTC,
+        ethers.parseEther("20000")
+      );
+      await feed.updateAnswer(35000n * 10n ** 8n);
+      await stable
+        .connect(liquidator)
+        .approve(protocol.target, ethers.MaxUint256);
+
+      const supplyBefore = await stable.totalSupply();
+      const reservesBefore = await protocol.usdReserves();
+      await protocol
+        .connect(liquidator)
+        .liquidate(borrower.address, ethers.parseEther("10000"), 0);
+      const minted = (await protocol.usdReserves()) - reservesBefore;
+      expect(await stable.totalSupply()).to.equal(
+        supplyBefore + minted - ethers.parseEther("10000")
+      );
+    });
+
+    it("Should reject CDP settings on a pooled deployment", async function () {
+      const { protocol, owner } = await loadFixture(deployFixture);
+      expect(await protocol.cdpMode()).to.be.false;
+      await expect(
+        protocol.connect(owner).setDebtCeiling(DEBT_CEILING)
+      ).to.be.revertedWithCustomError(protocol, "NotCdpMode");
+      await expect(
+        protocol.connect(owner).setStabilityFee(STABILITY_FEE)
+      ).to.be.revertedWithCustomError(protocol, "NotCdpMode");
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Should initialize the proxy once and never the implementation", async function () {
+      const { protocol, usd, rateModel, priceRouter, owner } =
+        await loadFixture(deployFixture);
+      const params = await protocol.riskParameters();
+      expect(params.maxLtv).to.equal(MAX_LTV);
+      expect(params.closeFactor).to.equal(CLOSE_FACTOR);
+      expect(await protocol.owner()).to.equal(owner.address);
+      expect(await protocol.asset()).to.equal(await usd.getAddress());
+      expect(await protocol.name()).to.equal("BTC Lending Pool USD");
+
+      const initArgs = [
+        await usd.getAddress(),
+        await rateModel.getAddress(),
+        await priceRouter.getAddress(),
+        await protocol.positionToken(),
+        RISK_PARAMETERS,
+        false,
+      ];
+      await expect(
+        protocol.initialize(...initArgs)
+      ).to.be.revertedWithCustomError(protocol, "InvalidInitialization");
+      const implementation = await ethers.getContractAt(
+        "BTCLendingProtocol",
+        ethers.getAddress(
+          "0x" +
+            (
+              await ethers.provider.getStorage(
+                protocol.target,
+                // ERC-1967 implementation slot
+                "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc"
+              )
+            ).slice(26)
+        )
+      );
+      await expect(
+        implementation.initialize(...initArgs)
+      ).to.be.revertedWithCustomError(protocol, "InvalidInitialization");
+
+      // A proxy is never left half set up with unsafe risk parameters
+      const fresh = await deployImplementation();
+      await expect(
+        ethers.deployContract("BTCLendingProxy", [
+          await fresh.getAddress(),
+          fresh.interface.encodeFunctionData("initialize", [
+            ...initArgs.slice(0, 4),
+            { ...RISK_PARAMETERS, maxLtv: LIQUIDATION_THRESHOLD },
+            false,
+          ]),
+        ])
+      ).to.be.revertedWithCustomError(protocol, "InvalidRiskParameters");
+    });
+
+    it("Should keep loans and totals through a timelocked upgrade", async function () {
+      const { protocol, usd, owner, borrower, user2 } = await loadFixture(
+        deployFixture
+      );
+      await helpers.setupLoan(
+        protocol,
+        borrower,
+        ONE_BTC,
+        ethers.parseEther("20000")
+      );
+      await protocol.connect(user2).openPosition({ value: HALF_BTC });
+      await protocol
+        .connect(user2)
+        .borrowFromPosition(1, ethers.parseEther("5000"));
+      await time.increase(30 * 24 * 60 * 60);
+
+      const v2 = await deployImplementation("BTCLendingProtocolV2");
+      await expect(
+        protocol.upgradeToAndCall(v2.target, "0x")
+      ).to.be.revertedWithCustomError(protocol, "NoPendingChange");
+      await expect(protocol.queueUpgrade(v2.target))
+        .to.emit(protocol, "UpgradeQueued")
+        .withArgs(v2.target, (eta) => eta > 0n);
+      await expect(
+        protocol.upgradeToAndCall(v2.target, "0x")
+      ).to.be.revertedWithCustomError(protocol, "TimelockNotReady");
+
+      await time.increase(TIMELOCK_DELAY);
+      await expect(
+        protocol.connect(borrower).upgradeToAndCall(v2.target, "0x")
+      ).to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount");
+      const other = await deployImplementation("BTCLendingProtocolV2");
+      await expect(protocol.upgradeToAndCall(other.target, "0x"))
+        .to.be.revertedWithCustomError(protocol, "UpgradeNotQueued")
+        .withArgs(other.target);
+      await protocol.accrueInterest();
+      const loanBefore = await protocol.loans(borrower.address);
+      const [totalCollateral, totalBorrowed, totalAssets, shares] =
+        await Promise.all([
+          protocol.totalCollateral(),
+          protocol.totalBorrowed(),
+          protocol.totalAssets(),
+          protocol.balanceOf(owner.address),
+        ]);
+
+      await expect(protocol.upgradeToAndCall(v2.target, "0x"))
+        .to.emit(protocol, "Upgraded")
+        .withArgs(v2.target);
+
+      const upgraded = await ethers.getContractAt(
+        "BTCLendingProtocolV2",
+        protocol.target
+      );
+      expect(await upgraded.version()).to.equal(2n);
+      expect(await protocol.pendingImplementation()).to.equal(
+        ethers.ZeroAddress
+      );
+      expect(await protocol.loans(borrower.address)).to.deep.equal(loanBefore);
+      expect(await protocol.totalCollateral()).to.equal(totalCollateral);
+      expect(await protocol.totalBorrowed()).to.be.closeTo(
+        totalBorrowed,
+        ethers.parseEther("0.01")
+      );
+      expect(await protocol.totalAssets()).to.be.closeTo(
+        totalAssets,
+        ethers.parseEther("0.01")
+      );
+      expect(await protocol.balanceOf(owner.address)).to.equal(shares);
+      expect(await protocol.owner()).to.equal(owner.address);
+
+      // Loans keep working on the new implementation
+      await helpers.repayAll(protocol, usd, borrower);
+      await usd
+        .connect(user2)
+        .approve(protocol.target, ethers.parseEther("1000"));
+      await protocol.connect(user2).repayPosition(1, ethers.parseEther("1000"));
+      expect(
+        await protocol.getCurrentDebt(await protocol.positionAccount(1))
+      ).to.be.closeTo(
+        ethers.parseEther("4000"),
+        ethers.parseEther("20") // a month of interest
+      );
+    });
+
+    it("Should keep one storage layout across the proxy, its delegates and upgrades", async function () {
+      const [protocol, ext, admin, v2] = await Promise.all(
+        [
+          "BTCLendingProtocol",
+          "BTCLendingExt",
+          "BTCLendingAdmin",
+          "BTCLendingProtocolV2",
+        ].map((name) => ethers.getContractFactory(name))
+      );
+      const opts = { kind: "uups", constructorArgs: [ethers.ZeroAddress] };
+      await upgrades.validateImplementation(protocol, opts);
+      await upgrades.validateUpgrade(protocol, v2, opts);
+
+      // The delegates are never proxy implementations themselves but run on
+      // the proxy's storage, so their layout must be a prefix of the proxy's
+      const delegateOpts = {
+        ...opts,
+        unsafeAllow: ["missing-initializer", "missing-public-upgradeto"],
+      };
+      await upgrades.validateUpgrade(ext, protocol, delegateOpts);
+      // The same constructor arguments are encoded for both sides, and the
+      // admin delegate takes none
+      const protocolWithoutArgs = new ethers.ContractFactory(
+        protocol.interface.fragments.filter(
+          (fragment) => fragment.type !== "constructor"
+        ),
+        protocol.bytecode
+      );
+      await upgrades.validateUpgrade(admin, protocolWithoutArgs, {
+        ...delegateOpts,
+        constructorArgs: [],
+      });
+    });
+
+    it("Should let the owner cancel a queued upgrade", async function () {
+      const { protocol, borrower } = await loadFixture(deployFixture);
+      const v2 = await deployImplementation("BTCLendingProtocolV2");
+      await expect(
+        protocol.connect(borrower).queueUpgrade(v2.target)
+      ).to.be.revertedWithCustomError(protocol, "OwnableUnauthorizedAccount");
+      await protocol.queueUpgrade(v2.target);
+      await expect(protocol.cancelUpgrade())
+        .to.emit(protocol, "UpgradeCancelled")
+        .withArgs(v2.target);
+
+      await time.increase(TIMELOCK_DELAY);
+      await expect(
+        protocol.upgradeToAndCall(v2.target, "0x")
+      ).to.be.revertedWithCustomError(protocol, "NoPendingChange");
+      await expect(protocol.cancelUpgrade()).to.be.revertedWithCustomError(
+        protocol,
+        "NoPendingChange"
+      );
+    });
+  });
+
+  describe("Edge Cases & Multi-User", function () {
+    it("Should handle edge cases and multiple users", async function () {
+      const { protocol, usd, borrower, user2 } = await loadFixture(
+        deployFixture
+      );
+
+      // Edge cases
+      const [zeroUsd, zeroMax, zeroLtv] = await Promise.all([
+        protocol.btcToUSD(0),
+        protocol.getMaxBorrowAmount(0),
+        protocol.getLoanToValue(borrower.address),
+      ]);
+      expect([zeroUsd, zeroMax, zeroLtv]).to.deep.equal([0n, 0n, 0n]);
+
+      // Large amounts
+      const largeAmount = ethers.parseEther("1000");
+      const [largeUsd, largeMax] = await Promise.all([
+        protocol.btcToUSD(largeAmount),
+        protocol.getMaxBorrowAmount(largeAmount),
+      ]);
+      expect([largeUsd, largeMax]).to.deep.equal([
+        ethers.parseEther("50000000"),
+        ethers.parseEther("35000000"),
+      ]);
+
+      // Multi-user operations
+      await Promise.all([
+        helpers.setupLoan(
+          protocol,
+          borrower,
+          ONE_BTC,
+          ethers.parseEther("30000")
+        ),
+        helpers.setupLoan(
+          protocol,
+          user2,
+          ethers.parseEther("1.5"),
+          ethers.parseEther("40000")
+        ),
+      ]);
+
+      const [loan1, loan2, totalBorrowed] = await Promise.all([
+        protocol.loans(borrower.address),
+        protocol.loans(user2.address),
+        protocol.totalBorrowed(),
+      ]);
+      expect([loan1.borrowedAmount, loan2.borrowedAmount]).to.deep.equal([
+        ethers.parseEther("30000"),
+        ethers.parseEther("40000"),
+      ]);
+      expect(totalBorrowed).to.be.closeTo(
+        ethers.parseEther("70000"),
+        ethers.parseEther("0.01")
+      );
 
       // Concurrent deposits
       const deposits = Array(3)
@@ -689,7 +4143,7 @@ describe("BTCLendingProtocol", function () {
       expect(loan.active).to.be.true;
       expect(loan.timestamp).to.be.gte(beforeBorrow).and.lte(afterBorrow);
 
-      await helpers.repay(protocol, usd, borrower, ethers.parseEther("30000"));
+      await helpers.repayAll(protocol, usd, borrower);
       loan = await protocol.loans(borrower.address);
       expect([loan.active, loan.borrowedAmount]).to.deep.equal([false, 0n]);
     });
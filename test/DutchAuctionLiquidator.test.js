@@ -0,0 +1,389 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("DutchAuctionLiquidator", function () {
+  const BTC_PRICE = 50000n * 10n ** 8n;
+  const DROPPED_PRICE = 38000n * 10n ** 8n;
+  const ONE_BTC = ethers.parseEther("1");
+  const WAD = 10n ** 18n;
+  const PRECISION = 100n;
+  const LIQUIDATION_PENALTY = 10n;
+  const START_PREMIUM = 120n;
+  const FLOOR_RATIO = 80n;
+  const DURATION = 3600;
+  const TIMELOCK_DELAY = 2 * 24 * 60 * 60;
+
+  async function deployFixture() {
+    const [owner, borrower, bidder, other] = await ethers.getSigners();
+    const [MockERC20, MockV3Aggregator, InterestRateModel, PriceRouter] =
+      await Promise.all([
+        ethers.getContractFactory("MockERC20"),
+        ethers.getContractFactory("MockV3Aggregator"),
+        ethers.getContractFactory("InterestRateModel"),
+        ethers.getContractFactory("PriceRouter"),
+      ]);
+    const [usd, feed, rateModel, extension, positions] = await Promise.all([
+      MockERC20.deploy("Mock USD", "mUSD", 18, ethers.parseEther("10000000")),
+      MockV3Aggregator.deploy(8, BTC_PRICE),
+      InterestRateModel.deploy(0, 0, 8n * 10n ** 17n, 0),
+      ethers.deployContract("BTCLendingExt", [
+        await ethers.deployContract("BTCLendingAdmin"),
+      ]),
+      ethers.deployContract("BTCLendingPositions"),
+    ]);
+    const priceRouter = await PriceRouter.deploy(
+      [await feed.getAddress()],
+      [3600],
+      500
+    );
+    const implementation = await ethers.deployContract("BTCLendingProtocol", [
+      await extension.getAddress(),
+    ]);
+    const proxy = await ethers.deployContract("BTCLendingProxy", [
+      await implementation.getAddress(),
+      implementation.interface.encodeFunctionData("initialize", [
+        await usd.getAddress(),
+        await rateModel.getAddress(),
+        await priceRouter.getAddress(),
+        await positions.getAddress(),
+        {
+          maxLtv: 70,
+          liquidationThreshold: 75,
+          liquidationPenalty: LIQUIDATION_PENALTY,
+          liquidationBonus: 5,
+          closeFactor: 50,
+        },
+        false,
+      ]),
+    ]);
+    await positions.transferOwnership(await proxy.getAddress());
+    const protocol = await ethers.getContractAt(
+      "IBTCLendingProtocol",
+      await proxy.getAddress()
+    );
+    const auction = await ethers.deployContract("DutchAuctionLiquidator", [
+      await protocol.getAddress(),
+      START_PREMIUM,
+      FLOOR_RATIO,
+      DURATION,
+    ]);
+
+    const protocolAddress = await protocol.getAddress();
+    await usd.approve(protocolAddress, ethers.parseEther("500000"));
+    await protocol.deposit(ethers.parseEther("500000"), owner.address);
+    await usd.transfer(bidder.address, ethers.parseEther("100000"));
+    await usd
+      .connect(bidder)
+      .approve(await auction.getAddress(), ethers.MaxUint256);
+
+    await protocol.queueAuctionHouse(await auction.getAddress());
+    await time.increase(TIMELOCK_DELAY);
+    await feed.updateAnswer(BTC_PRICE);
+    await protocol.executeAuctionHouse();
+
+    // 1 RBTC backing 30,000 USD turns liquidatable below 40,000 USD
+    await protocol.connect(borrower).depositCollateral({ value: ONE_BTC });
+    await protocol.connect(borrower).borrow(ethers.parseEther("30000"));
+
+    return { protocol, auction, usd, feed, owner, borrower, bidder, other };
+  }
+
+  // Auction price after `elapsed` seconds, before the floor
+  function priceAt(startPrice, elapsed) {
+    const floorPrice = (startPrice * FLOOR_RATIO) / START_PREMIUM;
+    return (
+      startPrice - ((startPrice - floorPrice) * elapsed) / BigInt(DURATION)
+    );
+  }
+
+  // Drops the price and starts an auction of the borrower's RBTC
+  async function deployAuctionFixture() {
+    const base = await deployFixture();
+    const { protocol, auction, feed, borrower, other } = base;
+    await feed.updateAnswer(DROPPED_PRICE);
+    await protocol.connect(other).liquidate(borrower.address, 0, 0);
+    const { debt, tab, startPrice, startTime } = await auction.auctions(1);
+    return { ...base, debt, tab, startPrice, startTime };
+  }
+
+  it("Should hand an unhealthy loan's collateral and debt to an auction", async function () {
+    const { protocol, auction, feed, borrower, other } = await loadFixture(
+      deployFixture
+    );
+    await feed.updateAnswer(DROPPED_PRICE);
+    const assetsBefore = await protocol.totalAssets();
+
+    const tx = protocol.connect(other).liquidate(borrower.address, 0, 0);
+    await expect(tx).to.changeEtherBalances(
+      [protocol, auction],
+      [-ONE_BTC, ONE_BTC]
+    );
+    const { debt, tab, startPrice } = await auction.auctions(1);
+    await expect(tx)
+      .to.emit(protocol, "AuctionStarted")
+      .withArgs(borrower.address, ethers.ZeroAddress, 1, ONE_BTC, debt);
+    await expect(tx)
+      .to.emit(auction, "AuctionKicked")
+      .withArgs(
+        1,
+        borrower.address,
+        ethers.ZeroAddress,
+        ONE_BTC,
+        debt,
+        tab,
+        startPrice
+      );
+
+    expect(tab).to.equal(
+      (debt * (PRECISION + LIQUIDATION_PENALTY)) / PRECISION
+    );
+    expect(startPrice).to.equal((38000n * WAD * START_PREMIUM) / PRECISION);
+    const loan = await protocol.loans(borrower.address);
+    expect(loan.collateralAmount).to.equal(0);
+    expect(loan.borrowedAmount).to.equal(0);
+    expect(loan.active).to.be.false;
+    expect(await protocol.getActiveBorrowerCount()).to.equal(0);
+    expect(await protocol.totalCollateral()).to.equal(0);
+    expect(await protocol.totalBorrowed()).to.equal(0);
+    // The debt is still owed to lenders while the auction runs
+    expect(await protocol.auctionDebt()).to.equal(debt);
+    expect(await protocol.totalAssets()).to.be.closeTo(
+      assetsBefore,
+      ethers.parseEther("0.01")
+    );
+  });
+
+  it("Should lower the price linearly from the start premium to the floor", async function () {
+    const { auction, startPrice, startTime } = await loadFixture(
+      deployAuctionFixture
+    );
+    const floorPrice = (startPrice * FLOOR_RATIO) / START_PREMIUM;
+
+    expect(await auction.getPrice(1)).to.deep.equal([startPrice, false]);
+    await time.increaseTo(startTime + BigInt(DURATION / 2));
+    expect(await auction.getPrice(1)).to.deep.equal([
+      (startPrice + floorPrice) / 2n,
+      false,
+    ]);
+    await time.increaseTo(startTime + BigInt(DURATION));
+    expect(await auction.getPrice(1)).to.deep.equal([floorPrice, true]);
+  });
+
+  it("Should sell collateral in parts and return the surplus to the borrower", async function () {
+    const {
+      protocol,
+      auction,
+      usd,
+      borrower,
+      bidder,
+      debt,
+      tab,
+      startPrice,
+      startTime,
+    } = await loadFixture(deployAuctionFixture);
+    const half = ONE_BTC / 2n;
+    const midPrice = priceAt(startPrice, BigInt(DURATION / 2));
+    const reservesBefore = await protocol.usdReserves();
+
+    // First bid pays debt only
+    await time.setNextBlockTimestamp(startTime + BigInt(DURATION / 2));
+    const firstPaid = (half * midPrice) / WAD;
+    await expect(
+      auction.connect(bidder).take(1, half, midPrice)
+    ).to.changeTokenBalances(usd, [bidder, protocol], [-firstPaid, firstPaid]);
+    expect(await protocol.auctionDebt()).to.equal(debt - firstPaid);
+    expect((await auction.auctions(1)).collateral).to.equal(half);
+
+    // Second bid asks for everything but is cut down to the remaining tab
+    await time.setNextBlockTimestamp(startTime + BigInt(DURATION / 2) + 1n);
+    const secondPrice = priceAt(startPrice, BigInt(DURATION / 2) + 1n);
+    const secondTake = auction.connect(bidder).take(1, half, ethers.MaxUint256);
+    const remainingTab = tab - firstPaid;
+    const secondAmount = (remainingTab * WAD) / secondPrice;
+    await expect(secondTake).to.changeEtherBalance(bidder, secondAmount);
+    await expect(secondTake)
+      .to.emit(auction, "AuctionClosed")
+      .withArgs(1, half - secondAmount, 0);
+    await expect(secondTake)
+      .to.emit(protocol, "AuctionSettlement")
+      .withArgs(
+        borrower.address,
+        ethers.ZeroAddress,
+        debt - firstPaid,
+        tab - debt,
+        half - secondAmount,
+        0
+      );
+
+    expect(await protocol.auctionDebt()).to.equal(0);
+    expect(await protocol.usdReserves()).to.equal(reservesBefore + tab - debt);
+    expect((await auction.auctions(1)).user).to.equal(ethers.ZeroAddress);
+    const surplus = half - secondAmount;
+    expect((await protocol.loans(borrower.address)).collateralAmount).to.equal(
+      surplus
+    );
+    expect(await protocol.totalCollateral()).to.equal(surplus);
+    await expect(
+      protocol.connect(borrower).withdrawCollateral(surplus)
+    ).to.changeEtherBalance(borrower, surplus);
+  });
+
+  it("Should record the debt left when the collateral runs out as bad debt", async function () {
+    const { protocol, auction, feed, borrower, bidder, other } =
+      await loadFixture(deployFixture);
+    await feed.updateAnswer(20000n * 10n ** 8n);
+    await protocol.connect(other).liquidate(borrower.address, 0, 0);
+    const { debt, startPrice, startTime } = await auction.auctions(1);
+    const assetsBefore = await protocol.totalAssets();
+
+    // 1 RBTC at 24,000 USD cannot raise the 30,000 USD debt
+    await time.setNextBlockTimestamp(startTime + 1n);
+    const tx = auction.connect(bidder).take(1, ONE_BTC, ethers.MaxUint256);
+    const paid = (ONE_BTC * priceAt(startPrice, 1n)) / WAD;
+    await expect(tx)
+      .to.emit(auction, "AuctionClosed")
+      .withArgs(1, 0, debt - paid);
+    await expect(tx)
+      .to.emit(protocol, "AuctionSettlement")
+      .withArgs(borrower.address, ethers.ZeroAddress, paid, 0, 0, debt - paid);
+    await expect(tx)
+      .to.emit(protocol, "BadDebtRecorded")
+      .withArgs(borrower.address, debt - paid, 0);
+
+    expect(await protocol.auctionDebt()).to.equal(0);
+    expect(await protocol.getBadDebtStats()).to.deep.equal([
+      debt - paid,
+      0n,
+      debt - paid,
+      0n,
+    ]);
+    // With no insurance fund, lenders absorb the shortfall
+    expect(await protocol.totalAssets()).to.be.closeTo(
+      assetsBefore - (debt - paid),
+      ethers.parseEther("0.01")
+    );
+  });
+
+  it("Should restart an expired auction from a fresh oracle price", async function () {
+    const { auction, feed, bidder, startTime } = await loadFixture(
+      deployAuctionFixture
+    );
+
+    await expect(auction.redo(1)).to.be.revertedWithCustomError(
+      auction,
+      "AuctionNotExpired"
+    );
+    await time.increaseTo(startTime + BigInt(DURATION));
+    await expect(
+      auction.connect(bidder).take(1, ONE_BTC, ethers.MaxUint256)
+    ).to.be.revertedWithCustomError(auction, "AuctionExpired");
+
+    await feed.updateAnswer(40000n * 10n ** 8n);
+    const newStartPrice = (40000n * WAD * START_PREMIUM) / PRECISION;
+    await expect(auction.redo(1))
+      .to.emit(auction, "AuctionReset")
+      .withArgs(1, newStartPrice);
+    expect(await auction.getPrice(1)).to.deep.equal([newStartPrice, false]);
+    await expect(auction.connect(bidder).take(1, ONE_BTC / 10n, newStartPrice))
+      .to.not.be.reverted;
+  });
+
+  it("Should split the debt across collateral assets by liquidation threshold", async function () {
+    const { protocol, auction, feed, owner, borrower, other } =
+      await loadFixture(deployFixture);
+    const wrbtc = await ethers.deployContract("MockERC20", [
+      "Wrapped RBTC",
+      "WRBTC",
+      8,
+      0,
+    ]);
+    const router = await ethers.deployContract("PriceRouter", [
+      [await feed.getAddress()],
+      [3600],
+      500,
+    ]);
+    await protocol
+      .connect(owner)
+      .queueCollateralConfig(
+        await wrbtc.getAddress(),
+        await router.getAddress(),
+        60,
+        70
+      );
+    await time.increase(TIMELOCK_DELAY);
+    await feed.updateAnswer(BTC_PRICE);
+    await protocol.executeCollateralConfig(await wrbtc.getAddress());
+    await wrbtc.mint(borrower.address, 10n ** 8n);
+    await wrbtc
+      .connect(borrower)
+      .approve(await protocol.getAddress(), ethers.MaxUint256);
+    await protocol
+      .connect(borrower)
+      .depositTokenCollateral(await wrbtc.getAddress(), 10n ** 8n);
+    await protocol.connect(borrower).borrow(ethers.parseEther("30000"));
+
+    // Same value in both assets: RBTC backs 75 parts of the debt, WRBTC 70
+    await feed.updateAnswer(30000n * 10n ** 8n);
+    await protocol
+      .connect(other)
+      .liquidateTokenCollateral(
+        borrower.address,
+        await wrbtc.getAddress(),
+        0,
+        0
+      );
+    const { debt: tokenDebt, collateral } = await auction.auctions(1);
+    const remaining = (await protocol.loans(borrower.address)).borrowedAmount;
+    expect(collateral).to.equal(10n ** 8n);
+    expect(tokenDebt).to.equal(((tokenDebt + remaining) * 70n) / 145n);
+    expect(await wrbtc.balanceOf(await auction.getAddress())).to.equal(
+      10n ** 8n
+    );
+
+    // The rest of the loan is exactly as healthy as before
+    expect(await protocol.isLiquidatable(borrower.address)).to.be.true;
+    await protocol.connect(other).liquidate(borrower.address, 0, 0);
+    expect((await auction.auctions(2)).debt).to.equal(remaining);
+    expect(await protocol.auctionDebt()).to.equal(tokenDebt + remaining);
+  });
+
+  it("Should enforce the price limit, access control and the mode timelock", async function () {
+    const { protocol, auction, owner, borrower, bidder, other, startPrice } =
+      await loadFixture(deployAuctionFixture);
+
+    await time.setNextBlockTimestamp(
+      (await auction.auctions(1)).startTime + 60n
+    );
+    await expect(
+      auction.connect(bidder).take(1, ONE_BTC, priceAt(startPrice, 60n) - 1n)
+    ).to.be.revertedWithCustomError(auction, "PriceAboveMax");
+    await expect(
+      auction.connect(other).kick(borrower.address, ethers.ZeroAddress, 1, 1, 1)
+    ).to.be.revertedWithCustomError(auction, "NotProtocol");
+    await expect(
+      protocol
+        .connect(other)
+        .settleAuction(borrower.address, ethers.ZeroAddress, 0, 0, 0, 0)
+    ).to.be.revertedWithCustomError(protocol, "NotAuctionHouse");
+    await expect(
+      auction.connect(other).setParameters(130, 70, DURATION)
+    ).to.be.revertedWithCustomError(auction, "OwnableUnauthorizedAccount");
+    await expect(
+      auction.connect(owner).setParameters(100, 70, DURATION)
+    ).to.be.revertedWithCustomError(auction, "InvalidAuctionParameters");
+
+    // Switching back to direct liquidation waits for running auctions
+    await protocol.connect(owner).queueAuctionHouse(ethers.ZeroAddress);
+    await time.increase(TIMELOCK_DELAY);
+    await expect(
+      protocol.connect(owner).executeAuctionHouse()
+    ).to.be.revertedWithCustomError(protocol, "AuctionsInProgress");
+    await expect(protocol.connect(owner).cancelAuctionHouse())
+      .to.emit(protocol, "AuctionHouseCancelled")
+      .withArgs(ethers.ZeroAddress);
+  });
+});
@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("InterestRateModel", function () {
+  const WAD = 10n ** 18n;
+  const BASE_RATE = 2n * 10n ** 16n;
+  const SLOPE1 = 10n ** 17n;
+  const KINK = 8n * 10n ** 17n;
+  const SLOPE2 = 10n ** 18n;
+
+  async function deployModel() {
+    const InterestRateModel = await ethers.getContractFactory(
+      "InterestRateModel"
+    );
+    return InterestRateModel.deploy(BASE_RATE, SLOPE1, KINK, SLOPE2);
+  }
+
+  it("Should compute utilization as borrows over total liquidity", async function () {
+    const model = await deployModel();
+    const [idle, half, full] = await Promise.all([
+      model.utilizationRate(1000, 0),
+      model.utilizationRate(500, 500),
+      model.utilizationRate(0, 1000),
+    ]);
+
+    expect([idle, half, full]).to.deep.equal([0n, WAD / 2n, WAD]);
+  });
+
+  it("Should apply slope1 below the kink and slope2 above it", async function () {
+    const model = await deployModel();
+    const [atZero, atHalfKink, atKink, atFull] = await Promise.all([
+      model.getBorrowRate(1000, 0),
+      model.getBorrowRate(600, 400),
+      model.getBorrowRate(200, 800),
+      model.getBorrowRate(0, 1000),
+    ]);
+
+    expect([atZero, atHalfKink, atKink, atFull]).to.deep.equal([
+      BASE_RATE,
+      BASE_RATE + SLOPE1 / 2n,
+      BASE_RATE + SLOPE1,
+      BASE_RATE + SLOPE1 + SLOPE2,
+    ]);
+  });
+
+  it("Should pay suppliers the utilized borrow rate net of reserves", async function () {
+    const model = await deployModel();
+    const borrowRate = await model.getBorrowRate(200, 800);
+
+    const [gross, net] = await Promise.all([
+      model.getSupplyRate(200, 800, 0),
+      model.getSupplyRate(200, 800, WAD / 10n),
+    ]);
+
+    expect(gross).to.equal((borrowRate * 8n) / 10n);
+    expect(net).to.equal((((borrowRate * 9n) / 10n) * 8n) / 10n);
+  });
+
+  it("Should reject a kink outside (0, 100%)", async function () {
+    const InterestRateModel = await ethers.getContractFactory(
+      "InterestRateModel"
+    );
+
+    await expect(
+      InterestRateModel.deploy(BASE_RATE, SLOPE1, 0, SLOPE2)
+    ).to.be.revertedWithCustomError(InterestRateModel, "InvalidKink");
+    await expect(
+      InterestRateModel.deploy(BASE_RATE, SLOPE1, WAD, SLOPE2)
+    ).to.be.revertedWithCustomError(InterestRateModel, "InvalidKink");
+  });
+});
@@ -0,0 +1,128 @@
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PriceRouter", function () {
+  const BTC_PRICE = 50000n * 10n ** 8n;
+  const MAX_DEVIATION = 500; // 5%
+
+  async function deployRouter(limits = [3600, 7200, 86400]) {
+    const MockV3Aggregator = await ethers.getContractFactory(
+      "MockV3Aggregator"
+    );
+    const PriceRouter = await ethers.getContractFactory("PriceRouter");
+    const [primary, fallback, slowFallback] = await Promise.all([
+      MockV3Aggregator.deploy(8, BTC_PRICE),
+      MockV3Aggregator.deploy(8, BTC_PRICE + 100n * 10n ** 8n),
+      // Different decimals are normalized before comparing feeds
+      MockV3Aggregator.deploy(18, 50050n * 10n ** 18n),
+    ]);
+    const feeds = [primary, fallback, slowFallback];
+    const router = await PriceRouter.deploy(
+      await Promise.all(feeds.map((feed) => feed.getAddress())),
+      limits,
+      MAX_DEVIATION
+    );
+    return { router, primary, fallback, slowFallback };
+  }
+
+  it("Should serve the primary feed while it is healthy", async function () {
+    const { router, primary } = await deployRouter();
+
+    expect(await router.getPrice()).to.deep.equal([BTC_PRICE, 8n]);
+    const [source] = await router.getSources();
+    expect(source.feed).to.equal(await primary.getAddress());
+    expect(source.stalenessLimit).to.equal(3600n);
+  });
+
+  it("Should fall back per feed staleness limit and emit on switches", async function () {
+    const { router, primary, fallback, slowFallback } = await deployRouter();
+
+    await time.increase(3600);
+    await fallback.updateAnswer(51000n * 10n ** 8n);
+    // The 18-decimal feed is still fresh under its 1 day limit and within 5%
+    expect(await router.getPrice()).to.deep.equal([51000n * 10n ** 8n, 8n]);
+    await expect(router.refreshPrice())
+      .to.emit(router, "PriceSourceSwitched")
+      .withArgs(0, 1, await fallback.getAddress());
+
+    await time.increase(7200);
+    expect(await router.getPrice()).to.deep.equal([50050n * 10n ** 18n, 18n]);
+    await expect(router.refreshPrice())
+      .to.emit(router, "PriceSourceSwitched")
+      .withArgs(1, 2, await slowFallback.getAddress());
+
+    await primary.updateAnswer(BTC_PRICE);
+    await expect(router.refreshPrice())
+      .to.emit(router, "PriceSourceSwitched")
+      .withArgs(2, 0, await primary.getAddress());
+    await expect(router.refreshPrice()).to.not.emit(
+      router,
+      "PriceSourceSwitched"
+    );
+    expect(await router.activeSource()).to.equal(0n);
+  });
+
+  it("Should skip incomplete and carried-over rounds", async function () {
+    const { router, primary } = await deployRouter();
+    const now = await time.latest();
+
+    // answeredInRound behind roundId means the answer was carried over
+    await primary.updateRoundData(5, BTC_PRICE, now, now);
+    await primary.setAnsweredInRound(5, 4);
+    const [price] = await router.getPrice();
+    expect(price).to.equal(50100n * 10n ** 8n);
+
+    // A round that has not started is incomplete
+    await primary.updateRoundData(6, BTC_PRICE, now, 0);
+    expect((await router.getPrice())[0]).to.equal(50100n * 10n ** 8n);
+  });
+
+  it("Should trip the circuit breaker when feeds disagree", async function () {
+    const { router, fallback } = await deployRouter();
+
+    await fallback.updateAnswer(56000n * 10n ** 8n); // 12% above primary
+    await expect(router.getPrice())
+      .to.be.revertedWithCustomError(router, "PriceDeviationTooHigh")
+      .withArgs(50000n * 10n ** 18n, 56000n * 10n ** 18n);
+    await expect(router.refreshPrice()).to.be.revertedWithCustomError(
+      router,
+      "PriceDeviationTooHigh"
+    );
+  });
+
+  it("Should revert with the primary failure when no feed is healthy", async function () {
+    const { router, primary } = await deployRouter([60, 60, 60]);
+
+    await time.increase(60);
+    await expect(router.getPrice()).to.be.revertedWithCustomError(
+      router,
+      "PriceDataStale"
+    );
+
+    await primary.updateAnswer(0);
+    await expect(router.getPrice()).to.be.revertedWithCustomError(
+      router,
+      "InvalidPriceData"
+    );
+  });
+
+  it("Should reject invalid configurations", async function () {
+    const PriceRouter = await ethers.getContractFactory("PriceRouter");
+    const { primary } = await deployRouter();
+    const feed = await primary.getAddress();
+
+    await expect(
+      PriceRouter.deploy([], [], MAX_DEVIATION)
+    ).to.be.revertedWithCustomError(PriceRouter, "InvalidFeedConfig");
+    await expect(
+      PriceRouter.deploy([feed], [3600, 60], MAX_DEVIATION)
+    ).to.be.revertedWithCustomError(PriceRouter, "InvalidFeedConfig");
+    await expect(
+      PriceRouter.deploy([feed], [0], MAX_DEVIATION)
+    ).to.be.revertedWithCustomError(PriceRouter, "InvalidFeedConfig");
+    await expect(
+      PriceRouter.deploy([feed], [3600], 0)
+    ).to.be.revertedWithCustomError(PriceRouter, "InvalidFeedConfig");
+  });
+});
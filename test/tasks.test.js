@@ -0,0 +1,133 @@
+// Runs the Hardhat tasks against a deployment on the in-process network, with
+// the manifest they read written the way scripts/deploy.js writes it.
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const hre = require("hardhat");
+const BTCLendingProtocolModule = require("../ignition/modules/BTCLendingProtocol");
+const { manifestPath, writeManifest } = require("../scripts/manifest");
+
+describe("Tasks", function () {
+  const { ethers } = hre;
+  const ONE_BTC = ethers.parseEther("1");
+
+  async function deployFixture() {
+    const { protocol, usdToken, priceFeed } = await hre.ignition.deploy(
+      BTCLendingProtocolModule
+    );
+    const contracts = {};
+    for (const [name, contract, artifactName] of [
+      ["BTCLendingProtocol", protocol, "IBTCLendingProtocol"],
+      ["USDToken", usdToken, "MockERC20"],
+      ["PriceFeed", priceFeed, "MockV3Aggregator"],
+    ]) {
+      const { abi } = await hre.artifacts.readArtifact(artifactName);
+      contracts[name] = { address: await contract.getAddress(), abi };
+    }
+    writeManifest(hre.network.name, { network: hre.network.name, contracts });
+
+    const [owner, borrower] = await ethers.getSigners();
+    return { protocol, usdToken, priceFeed, owner, borrower };
+  }
+
+  // The task's --json output, parsed
+  async function runTask(name, args) {
+    const log = console.log;
+    let output;
+    console.log = (text) => {
+      output = text;
+    };
+    try {
+      await hre.run(name, { ...args, json: true });
+    } finally {
+      console.log = log;
+    }
+    return JSON.parse(output);
+  }
+
+  after(function () {
+    fs.rmSync(manifestPath(hre.network.name), { force: true });
+  });
+
+  it("Should withdraw up to the loan's limit with interest accruing", async function () {
+    const { protocol, owner } = await loadFixture(deployFixture);
+    await runTask("deposit", { amount: "1" });
+    await runTask("borrow", { amount: "20000" });
+
+    const withdrawn = await runTask("withdraw", { amount: "max" });
+
+    expect(withdrawn.ok).to.equal(true);
+    const { collateralAmount } = await protocol.loans(owner.address);
+    expect(collateralAmount).to.equal(ONE_BTC - BigInt(withdrawn.amount));
+    // 20000 USD needs 0.5714 RBTC at 70% maximum loan-to-value
+    expect(collateralAmount).to.be.closeTo(
+      ethers.parseEther("0.5714"),
+      ethers.parseEther("0.001")
+    );
+    expect(await protocol.getLoanToValue(owner.address)).to.be.at.most(70n);
+  });
+
+  it("Should withdraw all the collateral once the loan is repaid", async function () {
+    const { protocol, owner } = await loadFixture(deployFixture);
+    await runTask("deposit", { amount: "1" });
+    await runTask("borrow", { amount: "20000" });
+    await runTask("repay", { amount: "max" });
+
+    const withdrawn = await runTask("withdraw", { amount: "max" });
+
+    expect(withdrawn.amount).to.equal(ONE_BTC.toString());
+    expect((await protocol.loans(owner.address)).collateralAmount).to.equal(0n);
+  });
+
+  it("Should approve only the close factor limit for a max liquidation", async function () {
+    const { protocol, usdToken, priceFeed, owner, borrower } =
+      await loadFixture(deployFixture);
+    await protocol.connect(borrower).depositCollateral({ value: ONE_BTC });
+    await protocol.connect(borrower).borrow(ethers.parseEther("35000"));
+    // 35000 USD against 45000 USD of collateral is above the 75% threshold
+    await priceFeed.updateAnswer(45000n * 10n ** 8n);
+
+    const liquidated = await runTask("liquidate", { user: borrower.address });
+
+    expect(liquidated.ok).to.equal(true);
+    const repaid = BigInt(liquidated.repaid);
+    expect(repaid).to.be.closeTo(
+      ethers.parseEther("17500"),
+      ethers.parseEther("1")
+    );
+    const allowance = await usdToken.allowance(
+      owner.address,
+      await protocol.getAddress()
+    );
+    expect(allowance).to.be.at.most(repaid / 500n);
+  });
+
+  it("Should queue, execute and cancel timelocked changes", async function () {
+    const { protocol, priceFeed } = await loadFixture(deployFixture);
+    const PriceRouter = await ethers.getContractFactory("PriceRouter");
+    const router = await PriceRouter.deploy(
+      [await priceFeed.getAddress()],
+      [3600],
+      500
+    );
+    const routerAddress = await router.getAddress();
+
+    const queued = await runTask("owner:queue-price-router", {
+      priceRouter: routerAddress,
+    });
+    expect(queued.executableFrom).to.equal(
+      (await protocol.priceRouterEta()).toString()
+    );
+    await time.increaseTo(BigInt(queued.executableFrom));
+    await priceFeed.updateAnswer(50000n * 10n ** 8n);
+    await runTask("owner:execute-price-router", {});
+    expect(await protocol.priceRouter()).to.equal(routerAddress);
+
+    await runTask("owner:queue-upgrade", { implementation: routerAddress });
+    await runTask("owner:cancel-upgrade", {});
+    expect(await protocol.upgradeEta()).to.equal(0n);
+  });
+});